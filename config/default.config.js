@@ -45,6 +45,31 @@ export default {
       backend: ['.js', '.ts'],
       frontend: ['.js', '.jsx', '.ts', '.tsx'],
       designSystem: ['.jsx', '.tsx']
+    },
+    secrets: {
+      // Extensiones extra (además de fileExtensions) y archivos .env*
+      extensions: ['.json', '.env', '.yml', '.yaml'],
+      // Globs de archivos o sha256:<fingerprint> a ignorar, uno por línea
+      allowlistFile: '.secrets-allowlist',
+      minEntropy: 4.5
+    },
+    dependencies: {
+      // Base de advisories offline (por defecto config/advisories.json del bot)
+      advisoryDb: null,
+      licenses: {
+        denied: ['GPL-2.0', 'GPL-3.0', 'AGPL-1.0', 'AGPL-3.0', 'LGPL-2.1', 'LGPL-3.0', 'SSPL-1.0', 'EUPL-1.2'],
+        // Si se define, cualquier licencia fuera de la lista es un issue
+        allowed: [],
+        // Paquetes aprobados explícitamente
+        exceptions: []
+      },
+      includeDevLicenses: false,
+      // Deben existir en una sola versión en el frontend (se suma el paquete del design system)
+      singletonPackages: ['react', 'react-dom'],
+      usage: {
+        // Paquetes que se usan sin import (polyfills, plugins cargados por nombre)
+        ignorePackages: []
+      }
     }
   },
   
@@ -59,9 +84,76 @@ export default {
     severity: {
       missingEndpoint: 'CRITICAL',
       missingAuth: 'HIGH',
+      missingRoleGuard: 'HIGH',
+      inconsistentRoleGuards: 'HIGH',
+      missingLockfile: 'MEDIUM',
+      disallowedLicense: 'HIGH',
+      duplicatePackage: 'HIGH',
+      undeclaredDependency: 'HIGH',
+      misplacedDevDependency: 'MEDIUM',
+      unusedDependency: 'LOW',
+      missingRequiredProp: 'HIGH',
+      invalidPropValue: 'HIGH',
+      unknownProp: 'MEDIUM',
+      replaceableElement: 'MEDIUM',
+      duplicateComponent: 'MEDIUM',
+      duplicateFrontendComponent: 'LOW',
+      hardcodedToken: 'LOW',
+      tokenDrift: 'MEDIUM',
       missingParam: 'HIGH',
       missingBodyField: 'MEDIUM',
-      unusedEndpoint: 'LOW'
+      unusedEndpoint: 'LOW',
+      specNotImplemented: 'HIGH',
+      undocumentedEndpoint: 'MEDIUM',
+      specParamMismatch: 'MEDIUM',
+      specTypeMismatch: 'MEDIUM'
+    },
+    // Elementos nativos / de terceros → componente del DS que los reemplaza.
+    // Solo se aplican las reglas cuyo componente existe en el design system
+    replacements: {
+      'button': 'Button',
+      'input[type=checkbox]': 'Checkbox',
+      'input[type=radio]': 'Radio',
+      'input': 'Input',
+      'select': 'Select',
+      'textarea': 'Textarea'
+    },
+    duplicates: {
+      // Similitud estructural (0-1) a partir de la cual un componente es una copia
+      threshold: 0.8,
+      // Tokens mínimos del AST: por debajo los componentes son demasiado triviales para comparar
+      minTokens: 60,
+      // Comparar también los componentes del frontend entre sí
+      compareFrontend: true,
+      // Regiones lado a lado por issue y líneas máximas de cada fragmento
+      maxRegions: 3,
+      maxSnippetLines: 12
+    },
+    adoption: {
+      // Elementos HTML nativos que cuentan como "no adoptado" (div/span/section no cuentan)
+      htmlElements: [
+        'button', 'input', 'select', 'textarea', 'a', 'label', 'form', 'table', 'img',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'hr', 'dialog', 'progress', 'ul', 'ol'
+      ],
+      // src/features/billing/components/X.jsx → src/features/billing
+      folderDepth: 3,
+      // Mínimo de elementos para entrar en el ranking de peores carpetas
+      minElements: 10,
+      worstFolders: 10
+    },
+    designTokens: {
+      // Distancia RGB bajo la cual un color se considera "casi" el token (#1da1f3 vs #1da1f2)
+      colorTolerance: 24,
+      // Valores normalizados que no se reportan
+      ignoreValues: ['0px', '1px', '#ffffff00', '#00000000', 'inherit'],
+      // Fragmentos de ruta del frontend a ignorar (CSS de terceros, estilos generados)
+      ignoreFiles: ['vendor/']
+    },
+    security: {
+      // Límite máximo aceptable para express.json()/urlencoded()
+      maxBodySize: '1mb',
+      // Rutas de autenticación que deben tener rate limiting
+      authRoutePatterns: [/login|signin|signup|register|password|token|otp|verify/i]
     }
   },
   
@@ -11,6 +11,8 @@ export default {
       name: 'DGuardAPI',
       path: '/Users/santiagogarcia/Documents/GitHub/DGuardAPI', // Ruta local (se actualizará automáticamente si se usa GitHub)
       type: 'nodejs-express',
+      // Especificación OpenAPI escrita a mano (relativa a path). Si existe, se valida el código contra ella
+      // openapiSpec: 'openapi.yaml',
       folders: {
         routes: 'routes',
         controllers: 'controllers',
@@ -137,6 +139,36 @@ export default {
       designSystem: ['.jsx', '.tsx']
     },
 
+    // Búsqueda de credenciales hardcodeadas en todos los proyectos
+    secrets: {
+      // Extensiones extra (además de fileExtensions) y archivos .env*
+      extensions: ['.json', '.env', '.yml', '.yaml'],
+      // Globs de archivos o sha256:<fingerprint> a ignorar, uno por línea
+      allowlistFile: '.secrets-allowlist',
+      // Entropía mínima (bits por carácter) de un string para considerarlo secreto
+      minEntropy: 4.5
+    },
+
+    // Auditoría de dependencias a partir de los lockfiles
+    dependencies: {
+      // Base de advisories offline (por defecto config/advisories.json del bot, npm run audit:advisories)
+      advisoryDb: null,
+      licenses: {
+        denied: ['GPL-2.0', 'GPL-3.0', 'AGPL-1.0', 'AGPL-3.0', 'LGPL-2.1', 'LGPL-3.0', 'SSPL-1.0', 'EUPL-1.2'],
+        // Si se define, cualquier licencia fuera de la lista es un issue
+        allowed: [],
+        // Paquetes aprobados explícitamente
+        exceptions: []
+      },
+      includeDevLicenses: false,
+      // Deben existir en una sola versión en el frontend (se suma el paquete del design system)
+      singletonPackages: ['react', 'react-dom'],
+      usage: {
+        // Paquetes que se usan sin import (polyfills, plugins cargados por nombre)
+        ignorePackages: []
+      }
+    },
+
     // Configuración específica por analizador
     backend: {
       // Detectar rutas en estos archivos/patrones
@@ -207,7 +239,59 @@ export default {
       unusedComponent: 'LOW',
       sensitiveEndpointNoAuth: 'CRITICAL',
       invalidApiCall: 'HIGH',
-      missingErrorHandling: 'MEDIUM'
+      missingErrorHandling: 'MEDIUM',
+      duplicateComponent: 'MEDIUM',
+      duplicateFrontendComponent: 'LOW',
+      // Validación contra la especificación OpenAPI (projects.backend.openapiSpec)
+      specNotImplemented: 'HIGH',
+      undocumentedEndpoint: 'MEDIUM',
+      specParamMismatch: 'MEDIUM',
+      specTypeMismatch: 'MEDIUM'
+    },
+
+    // Detección de componentes copiados (huella estructural del AST, JSX, props y hooks)
+    duplicates: {
+      threshold: 0.8,
+      minTokens: 60,
+      compareFrontend: true
+    },
+
+    // Elementos que deben usar el componente del design system.
+    // Selector: "tag", "tag[attr=valor]" o "paquete Componente"; valor: nombre del componente
+    // o { component, props: { propOriginal: 'propDelDS' | null }, severity }
+    replacements: {
+      'button': 'Button',
+      'input[type=checkbox]': 'Checkbox',
+      'input[type=radio]': 'Radio',
+      'input': 'Input',
+      'select': 'Select',
+      'textarea': 'Textarea',
+      '@mui/material Dialog': { component: 'Modal', props: { open: 'isOpen' } },
+      '@mui/material Button': 'Button'
+    },
+
+    // Colores, espaciados y tipografía hardcodeados frente a los tokens del design system
+    designTokens: {
+      // Distancia RGB bajo la cual un color se considera "casi" el token (#1da1f3 vs #1da1f2)
+      colorTolerance: 24,
+      // Valores normalizados que no se reportan
+      ignoreValues: ['0px', '1px', '#ffffff00', '#00000000', 'inherit'],
+      // Fragmentos de ruta del frontend a ignorar (CSS de terceros, estilos generados)
+      ignoreFiles: ['vendor/']
+    },
+
+    // Adopción del design system por página, carpeta y equipo (CODEOWNERS)
+    adoption: {
+      // Elementos HTML nativos que cuentan como "no adoptado" (div/span/section no cuentan)
+      htmlElements: [
+        'button', 'input', 'select', 'textarea', 'a', 'label', 'form', 'table', 'img',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'hr', 'dialog', 'progress', 'ul', 'ol'
+      ],
+      // src/features/billing/components/X.jsx → src/features/billing
+      folderDepth: 3,
+      // Mínimo de elementos para entrar en el ranking de peores carpetas
+      minElements: 10,
+      worstFolders: 10
     },
 
     // Configuración de seguridad
@@ -225,7 +309,13 @@ export default {
         'POST /api/auth/login',
         'POST /api/auth/register',
         'GET /api/public/*'
-      ]
+      ],
+
+      // Límite máximo aceptable para express.json()/urlencoded()
+      maxBodySize: '1mb',
+
+      // Rutas de autenticación que deben tener rate limiting
+      authRoutePatterns: [/login|signin|signup|register|password|token|otp|verify/i]
     }
   },
 
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import DesignSystemAnalyzer from '../src/analyzers/DesignSystemAnalyzer.js';
+import FrontendAnalyzer from '../src/analyzers/FrontendAnalyzer.js';
+import DesignSystemUpgradeValidator from '../src/validators/DesignSystemUpgradeValidator.js';
+import UpgradeChecklistReporter from '../src/reporters/UpgradeChecklistReporter.js';
+import RepositoryManager from '../src/github/RepositoryManager.js';
+
+const PROJECTS_CONFIG = fileURLToPath(new URL('../config/projects.config.js', import.meta.url));
+
+/**
+ * Checklist de actualización del design system entre dos versiones:
+ *   npm run audit:ds-upgrade -- --from ../ds-v1 --to ../ds-v2 [--frontend ../DGuard] [--out reports] [--ci]
+ *   npm run audit:ds-upgrade -- --from v1.4.0 --to main   (refs del repo de github.advanced.designSystem)
+ */
+async function dsUpgrade(args) {
+  const readOption = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const from = readOption('--from');
+  const to = readOption('--to');
+
+  if (!from || !to) {
+    console.log(chalk.yellow('Uso: npm run audit:ds-upgrade -- --from <ruta|ref> --to <ruta|ref> [--frontend <ruta>] [--out <dir>] [--ci]'));
+    console.log('Con dos rutas compara los directorios; si no, clona el design system y cambia de branch/tag');
+    process.exit(1);
+  }
+
+  const config = fs.existsSync(PROJECTS_CONFIG)
+    ? (await import(PROJECTS_CONFIG)).default
+    : (await import('../config/default.config.js')).default;
+
+  console.log(chalk.cyan.bold(`\n🔄 Design system: ${from} → ${to}\n`));
+
+  const [before, after] = fs.existsSync(from) && fs.existsSync(to)
+    ? [await analyzeDesignSystem(config, from), await analyzeDesignSystem(config, to)]
+    : await analyzeRefs(config, from, to);
+
+  const validator = new DesignSystemUpgradeValidator(config.rules);
+  const changes = validator.compare(before, after);
+
+  // Usos reales del frontend para saber qué se rompe y dónde
+  const frontendPath = readOption('--frontend') || config.projects.frontend?.path;
+  if (frontendPath && fs.existsSync(frontendPath)) {
+    const frontend = await new FrontendAnalyzer({ ...config.projects.frontend, path: frontendPath }, config.audit).analyze();
+    validator.findCallSites(changes, frontend, after.packageName || before.packageName, {
+      frontendPath,
+      fileExtensions: config.audit.fileExtensions?.frontend,
+      ignorePatterns: config.audit.ignorePatterns
+    });
+  } else {
+    console.log(chalk.yellow('⚠️  Sin frontend: se listan los cambios sin sus usos'));
+  }
+
+  const describe = (label, analysis) => ({
+    label,
+    packageName: analysis.packageName,
+    components: analysis.components.size,
+    tokens: analysis.tokens.length
+  });
+  const report = validator.buildUpgradeReport(changes, describe(from, before), describe(to, after));
+
+  const reporter = new UpgradeChecklistReporter({ ...config.reports, outputDir: readOption('--out') || config.reports?.outputDir });
+  const paths = await reporter.generate(report);
+
+  const { summary } = report;
+  console.log(chalk.cyan(`\n📋 ${summary.breakingChanges} cambios que rompen, ${summary.reviewChanges} a revisar, ${summary.addedComponents.length} componentes nuevos`));
+  console.log(chalk[summary.affectedCallSites > 0 ? 'red' : 'green'](`📍 ${summary.affectedCallSites} usos afectados en ${summary.affectedFiles} archivos`));
+  console.log(chalk.green(`📄 ${paths.markdown}\n📄 ${paths.json}`));
+
+  // En CI la actualización no se mergea mientras queden usos rotos
+  if (args.includes('--ci') && summary.affectedCallSites > 0) {
+    process.exit(1);
+  }
+}
+
+async function analyzeDesignSystem(config, designSystemPath) {
+  return new DesignSystemAnalyzer({ ...config.projects.designSystem, path: designSystemPath }, config.audit).analyze();
+}
+
+/**
+ * Analiza dos refs del repo del design system en un clon temporal
+ */
+async function analyzeRefs(config, from, to) {
+  const repository = config.github?.advanced?.designSystem || {};
+  const owner = repository.owner || config.github?.owner;
+  const repo = repository.name || config.github?.repositories?.designSystem;
+
+  if (!owner || !repo) {
+    throw new Error('Rutas inexistentes y sin repo del design system en github.advanced.designSystem');
+  }
+
+  const manager = new RepositoryManager({ cleanupOnExit: true });
+  const cloned = await manager.cloneRepository(owner, repo, { branch: from, depth: repository.depth, temporary: true });
+  const before = await analyzeDesignSystem(config, cloned.localPath);
+
+  await manager.switchBranch(owner, repo, to);
+  const after = await analyzeDesignSystem(config, cloned.localPath);
+
+  return [before, after];
+}
+
+dsUpgrade(process.argv.slice(2)).catch(error => {
+  console.error(chalk.red(`❌ ${error.message}`));
+  process.exit(1);
+});
\ No newline at end of file
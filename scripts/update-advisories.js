@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import AdvisoryDatabase from '../src/analyzers/AdvisoryDatabase.js';
+
+const DEFAULT_DB = fileURLToPath(new URL('../config/advisories.json', import.meta.url));
+
+/**
+ * Importa exports JSON a la base de advisories offline:
+ *   npm run audit:advisories -- npm-audit.json github-advisories.json [--db ruta/advisories.json]
+ */
+function updateAdvisories(args) {
+  const dbIndex = args.indexOf('--db');
+  const dbPath = dbIndex !== -1 ? path.resolve(args[dbIndex + 1]) : DEFAULT_DB;
+  const files = args.filter((arg, index) => arg !== '--db' && index !== dbIndex + 1);
+
+  if (files.length === 0) {
+    console.log(chalk.yellow('Uso: npm run audit:advisories -- <export.json> [...] [--db advisories.json]'));
+    console.log('Formatos: npm audit --json, endpoint bulk de npm, API de GitHub Advisory');
+    process.exit(1);
+  }
+
+  const db = new AdvisoryDatabase(dbPath);
+  const before = db.size;
+
+  files.forEach(file => {
+    try {
+      const exported = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const added = db.merge(exported, path.basename(file));
+      console.log(chalk.green(`✓ ${path.basename(file)}: ${added} advisories nuevos`));
+    } catch (error) {
+      console.error(chalk.red(`❌ No se pudo importar ${file}: ${error.message}`));
+    }
+  });
+
+  db.save();
+  console.log(chalk.cyan(`\n📚 ${db.size} advisories en ${dbPath} (antes ${before})`));
+}
+
+updateAdvisories(process.argv.slice(2));
\ No newline at end of file
@@ -7,17 +7,24 @@ import ora from 'ora';
 import BackendAnalyzer from './analyzers/BackendAnalyzer.js';
 import FrontendAnalyzer from './analyzers/FrontendAnalyzer.js';
 import DesignSystemAnalyzer from './analyzers/DesignSystemAnalyzer.js';
+import SecretsAnalyzer from './analyzers/SecretsAnalyzer.js';
+import DependencyAnalyzer from './analyzers/DependencyAnalyzer.js';
 
 // Importar validadores
 import EndpointValidator from './validators/EndpointValidator.js';
 import SecurityValidator from './validators/SecurityValidator.js';
 import ComponentValidator from './validators/ComponentValidator.js';
+import OpenAPIValidator from './validators/OpenAPIValidator.js';
+import DependencyValidator from './validators/DependencyValidator.js';
+import DesignTokenValidator from './validators/DesignTokenValidator.js';
+import { loadCodeowners } from './utils/codeownersUtils.js';
 
 // Importar reporteadores
 import JSONReporter from './reporters/JSONReporter.js';
 import HTMLReporter from './reporters/HTMLReporter.js';
 import MarkdownReporter from './reporters/MarkdownReporter.js';
 import ConsoleReporter from './reporters/ConsoleReporter.js';
+import OpenAPIReporter from './reporters/OpenAPIReporter.js';
 
 // Importar utilidades avanzadas
 import CacheManager from './utils/CacheManager.js';
@@ -52,11 +59,25 @@ export default class AuditBot {
       );
     }
     
+    // Escáner de secretos sobre los mismos proyectos habilitados
+    const scannedProjects = Object.fromEntries(
+      Object.keys(this.analyzers).map(key => [key, this.config.projects[key]])
+    );
+    this.secretsAnalyzer = Object.keys(scannedProjects).length > 0
+      ? new SecretsAnalyzer(scannedProjects, this.config.audit)
+      : null;
+    this.dependencyAnalyzer = Object.keys(scannedProjects).length > 0
+      ? new DependencyAnalyzer(scannedProjects, this.config.audit)
+      : null;
+    
     // Inicializar validadores
     this.validators = {
       endpoint: new EndpointValidator(this.config.rules),
       security: new SecurityValidator(this.config.rules),
-      component: new ComponentValidator(this.config.rules)
+      component: new ComponentValidator(this.config.rules),
+      openapi: new OpenAPIValidator(this.config.rules),
+      dependency: new DependencyValidator(this.config.rules),
+      designTokens: new DesignTokenValidator(this.config.rules)
     };
     
     // Inicializar reporteadores
@@ -64,6 +85,7 @@ export default class AuditBot {
       json: new JSONReporter(this.config.reports),
       html: new HTMLReporter(this.config.reports),
       markdown: new MarkdownReporter(this.config.reports),
+      openapi: new OpenAPIReporter(this.config.reports),
       console: new ConsoleReporter(this.config.reports, options)
     };
     
@@ -72,8 +94,12 @@ export default class AuditBot {
       backend: null,
       frontend: null,
       designSystem: null,
+      secrets: null,
+      dependencies: null,
       issues: [],
       validations: [],
+      accessMatrix: null,
+      adoption: null,
       summary: null,
       performance: {},
       metadata: {
@@ -183,6 +209,28 @@ export default class AuditBot {
       }
     }
     
+    // Secretos hardcodeados en los tres proyectos
+    if (this.secretsAnalyzer) {
+      this.log('info', '🔑 Buscando secretos hardcodeados...');
+      
+      try {
+        this.results.secrets = await this.secretsAnalyzer.analyze();
+      } catch (error) {
+        this.log('error', `   ❌ Error buscando secretos: ${error.message}`);
+      }
+    }
+    
+    // Lockfiles: vulnerabilidades, licencias y duplicados
+    if (this.dependencyAnalyzer) {
+      this.log('info', '📚 Auditando dependencias...');
+      
+      try {
+        this.results.dependencies = await this.dependencyAnalyzer.analyze();
+      } catch (error) {
+        this.log('error', `   ❌ Error auditando dependencias: ${error.message}`);
+      }
+    }
+    
     const analysisTime = ((performance.now() - analysisStart) / 1000).toFixed(2);
     this.results.performance.totalAnalysis = analysisTime;
   }
@@ -215,27 +263,125 @@ export default class AuditBot {
           this.results.frontend.apiCalls
         );
         this.results.issues.push(...securityIssues);
+        this.results.accessMatrix = this.validators.security.buildAccessMatrix(this.results.backend.endpoints);
         this.log('info', `   ✓ ${securityIssues.length} issues de seguridad detectados`);
       } catch (error) {
         this.log('error', `   ❌ Error validando seguridad: ${error.message}`);
       }
     }
     
+    // Flujos de datos de la request hacia sinks peligrosos
+    if (this.results.backend?.taintFlows) {
+      this.log('info', '   → Analizando flujos de input hacia sinks...');
+      try {
+        const taintIssues = this.validators.security.validateTaintFlows(
+          this.results.backend.taintFlows,
+          this.results.backend.endpoints
+        );
+        this.results.issues.push(...taintIssues);
+        this.log('info', `   ✓ ${taintIssues.length} flujos de input sin sanitizar detectados`);
+      } catch (error) {
+        this.log('error', `   ❌ Error analizando flujos de input: ${error.message}`);
+      }
+    }
+    
+    // Seguridad del lado del cliente
+    if (this.results.frontend?.securityFindings) {
+      const clientIssues = this.validators.security.validateFrontendSecurity(this.results.frontend.securityFindings);
+      this.results.issues.push(...clientIssues);
+      this.log('info', `   ✓ ${clientIssues.length} issues de seguridad del frontend detectados`);
+    }
+    
+    // Hardening de la app Express
+    if (this.results.backend?.hardening) {
+      this.log('info', '   → Validando hardening de Express...');
+      try {
+        const hardeningIssues = this.validators.security.validateHardening(
+          this.results.backend.hardening,
+          this.results.backend.endpoints
+        );
+        this.results.issues.push(...hardeningIssues);
+        this.log('info', `   ✓ ${hardeningIssues.length} issues de hardening detectados`);
+      } catch (error) {
+        this.log('error', `   ❌ Error validando hardening: ${error.message}`);
+      }
+    }
+    
+    // Secretos hardcodeados
+    if (this.results.secrets) {
+      const secretIssues = this.validators.security.validateSecrets(this.results.secrets.findings);
+      this.results.issues.push(...secretIssues);
+      this.log('info', `   ✓ ${secretIssues.length} secretos hardcodeados detectados`);
+    }
+    
+    // Dependencias (categoría "dependencies")
+    if (this.results.dependencies) {
+      const dependencyIssues = this.validators.dependency.validate(this.results.dependencies);
+      this.results.issues.push(...dependencyIssues);
+      this.log('info', `   ✓ ${dependencyIssues.length} issues de dependencias detectados`);
+    }
+    
+    // Validación contra la especificación OpenAPI del backend
+    const specPath = this.config.projects.backend?.openapiSpec;
+    if (this.results.backend && specPath) {
+      this.log('info', '   → Validando contra especificación OpenAPI...');
+      try {
+        const openapiIssues = await this.validators.openapi.validate(
+          this.results.backend.endpoints,
+          this.results.frontend?.apiCalls || new Map(),
+          path.resolve(this.config.projects.backend.path, specPath)
+        );
+        this.results.issues.push(...openapiIssues);
+        this.log('info', `   ✓ ${openapiIssues.length} issues de especificación OpenAPI detectados`);
+      } catch (error) {
+        this.log('error', `   ❌ Error validando especificación OpenAPI: ${error.message}`);
+      }
+    }
+    
     // Validación de Componentes
     if (this.results.designSystem && this.results.frontend) {
       this.log('info', '   → Validando componentes...');
       try {
         const componentIssues = await this.validators.component.validate(
           this.results.designSystem.components,
-          this.results.frontend.components
+          this.results.frontend.components,
+          this.results.frontend.jsxUsages,
+          this.results.designSystem.packageName,
+          this.results.frontend.renderedElements
         );
         this.results.issues.push(...componentIssues);
         this.log('info', `   ✓ ${componentIssues.length} issues de componentes detectados`);
+        
+        // Adopción del DS por página/carpeta/equipo (owners desde CODEOWNERS del frontend)
+        this.results.adoption = this.validators.component.buildAdoptionReport(
+          this.results.frontend.renderedElements,
+          this.results.frontend.pages,
+          this.results.designSystem.packageName,
+          loadCodeowners(this.config.projects.frontend.path)
+        );
+        if (this.results.adoption.totals.adoption !== null) {
+          this.log('info', `   ✓ Adopción del design system: ${this.results.adoption.totals.adoption}%`);
+        }
       } catch (error) {
         this.log('error', `   ❌ Error validando componentes: ${error.message}`);
       }
     }
     
+    // Valores de estilo hardcodeados vs design tokens (categoría "design-tokens")
+    if (this.results.designSystem && this.results.frontend) {
+      this.log('info', '   → Validando design tokens...');
+      try {
+        const tokenIssues = this.validators.designTokens.validate(
+          this.results.designSystem.tokens,
+          this.results.frontend.styleValues
+        );
+        this.results.issues.push(...tokenIssues);
+        this.log('info', `   ✓ ${tokenIssues.length} issues de design tokens detectados`);
+      } catch (error) {
+        this.log('error', `   ❌ Error validando design tokens: ${error.message}`);
+      }
+    }
+    
     const validationTime = ((performance.now() - validationStart) / 1000).toFixed(2);
     this.results.performance.totalValidation = validationTime;
     
@@ -267,7 +413,17 @@ export default class AuditBot {
         analyzed: !!this.results.designSystem,
         components: this.results.designSystem?.components?.size || 0,
         used: this.calculateUsedComponents(),
-        unused: this.calculateUnusedComponents()
+        unused: this.calculateUnusedComponents(),
+        tokens: this.results.designSystem?.tokens?.length || 0,
+        adoption: this.results.adoption?.totals.adoption ?? null
+      },
+      dependencies: {
+        analyzed: !!this.results.dependencies,
+        packages: Object.values(this.results.dependencies?.projects || {})
+          .reduce((sum, project) => sum + project.packages, 0),
+        vulnerable: this.results.dependencies?.vulnerabilities.length || 0,
+        licenses: this.results.dependencies?.licenses.length || 0,
+        duplicates: this.results.dependencies?.duplicates.length || 0
       },
       issues: {
         total: issues.length,
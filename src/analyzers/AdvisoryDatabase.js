@@ -0,0 +1,130 @@
+import fs from 'fs';
+import { readFileSafe, writeFileSafe } from '../utils/fileUtils.js';
+import { satisfies } from '../utils/versionUtils.js';
+
+// Severidades de npm/GitHub → severidades del bot
+const SEVERITY_MAP = {
+  critical: 'CRITICAL',
+  high: 'HIGH',
+  moderate: 'MEDIUM',
+  medium: 'MEDIUM',
+  low: 'LOW',
+  info: 'LOW'
+};
+
+/**
+ * Base de advisories local (offline). El archivo guarda
+ * { updatedAt, sources, advisories: { paquete: [{ id, title, severity, vulnerableVersions, patchedVersions, url }] } }
+ * y se actualiza importando exports de `npm audit --json`, del endpoint
+ * bulk de npm o de la API de GitHub Advisory (scripts/update-advisories.js).
+ */
+export default class AdvisoryDatabase {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.data = { updatedAt: null, sources: [], advisories: {} };
+
+    if (dbPath && fs.existsSync(dbPath)) {
+      const content = readFileSafe(dbPath);
+      this.data = { ...this.data, ...JSON.parse(content) };
+    }
+  }
+
+  get size() {
+    return Object.values(this.data.advisories).reduce((sum, list) => sum + list.length, 0);
+  }
+
+  /**
+   * @param {string} name - Nombre del paquete
+   * @param {string} version - Versión instalada (exacta, del lockfile)
+   * @returns {array} Advisories que afectan a esa versión
+   */
+  findVulnerabilities(name, version) {
+    return (this.data.advisories[name] || [])
+      .filter(advisory => satisfies(version, advisory.vulnerableVersions))
+      .map(advisory => ({ ...advisory, severity: SEVERITY_MAP[advisory.severity] || advisory.severity }));
+  }
+
+  /**
+   * Importa un export JSON y lo fusiona con la base (sin duplicar ids)
+   * @param {object|array} exported - Contenido del export
+   * @param {string} source - Nombre del archivo importado
+   * @returns {number} Advisories nuevos
+   */
+  merge(exported, source) {
+    let added = 0;
+
+    this.normalize(exported).forEach(advisory => {
+      const list = this.data.advisories[advisory.package] || (this.data.advisories[advisory.package] = []);
+      const { package: _pkg, ...entry } = advisory;
+      const index = list.findIndex(existing => existing.id === entry.id);
+
+      if (index === -1) {
+        list.push(entry);
+        added++;
+      } else {
+        list[index] = entry;
+      }
+    });
+
+    this.data.updatedAt = new Date().toISOString();
+    this.data.sources = [...new Set([...(this.data.sources || []), source])];
+    return added;
+  }
+
+  save() {
+    writeFileSafe(this.dbPath, JSON.stringify(this.data, null, 2));
+  }
+
+  normalize(exported) {
+    // GitHub Advisory API: [{ ghsa_id, summary, vulnerabilities: [{ package, vulnerable_version_range }] }]
+    if (Array.isArray(exported)) {
+      return exported.flatMap(advisory => (advisory.vulnerabilities || [])
+        .filter(vuln => !vuln.package?.ecosystem || vuln.package.ecosystem === 'npm')
+        .map(vuln => ({
+          package: vuln.package.name,
+          id: advisory.ghsa_id || advisory.id,
+          title: advisory.summary || advisory.title,
+          severity: String(advisory.severity || 'moderate').toLowerCase(),
+          // ">= 1.0.0, < 1.2.6" → ">= 1.0.0 < 1.2.6"
+          vulnerableVersions: String(vuln.vulnerable_version_range || '*').replace(/,/g, ' '),
+          patchedVersions: vuln.first_patched_version?.identifier || vuln.first_patched_version || null,
+          url: advisory.html_url || advisory.url || null
+        })));
+    }
+
+    // npm audit --json (v7+): { vulnerabilities: { paquete: { via: [{ source, title, range }] } } }
+    if (exported?.vulnerabilities) {
+      return Object.values(exported.vulnerabilities).flatMap(vuln => (vuln.via || [])
+        .filter(via => typeof via === 'object')
+        .map(via => ({
+          package: via.name || vuln.name,
+          id: String(via.source),
+          title: via.title,
+          severity: via.severity,
+          vulnerableVersions: via.range,
+          patchedVersions: null,
+          url: via.url || null
+        })));
+    }
+
+    // npm audit v6: { advisories: { id: { module_name, vulnerable_versions, patched_versions } } }
+    // Bulk endpoint: { paquete: [{ id, title, severity, vulnerable_versions }] }
+    // Otra base de DGuard: { advisories: { paquete: [{ id, vulnerableVersions }] } }
+    const advisories = exported?.advisories || exported || {};
+    const entries = Object.values(advisories).some(list => !Array.isArray(list) && list?.module_name)
+      ? Object.values(advisories).map(advisory => [advisory.module_name, [advisory]])
+      : Object.entries(advisories);
+
+    return entries
+      .filter(([, list]) => Array.isArray(list))
+      .flatMap(([name, list]) => list.map(advisory => ({
+        package: name,
+        id: String(advisory.github_advisory_id || advisory.id),
+        title: advisory.title,
+        severity: String(advisory.severity || 'moderate').toLowerCase(),
+        vulnerableVersions: advisory.vulnerable_versions || advisory.vulnerableVersions,
+        patchedVersions: advisory.patched_versions || advisory.patchedVersions || null,
+        url: advisory.url || null
+      })));
+  }
+}
\ No newline at end of file
@@ -3,6 +3,21 @@ import path from 'path';
 import traverse from '@babel/traverse';
 import { findFiles, readFileSafe, getRelativePaths } from '../utils/fileUtils.js';
 import { parseCodeSafe, extractStringValue, extractObjectStructure, findFunctionCalls } from '../utils/astUtils.js';
+import { extractHandlerContract, createEmptyContract } from '../utils/contractUtils.js';
+import RouteMountResolver from './RouteMountResolver.js';
+import ValidationSchemaExtractor from './ValidationSchemaExtractor.js';
+import MiddlewareClassifier from './MiddlewareClassifier.js';
+import TaintAnalyzer from './TaintAnalyzer.js';
+import HardeningInspector from './HardeningInspector.js';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+
+// Métodos en los que se expande router.all()
+const ALL_EXPANDED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Guards de autorización: authorize('admin'), checkRole([...]), hasPermission('x'), can('delete')
+const ROLE_GUARD_PATTERN = /role|authori[sz]e|restrict(ed)?to/i;
+const PERMISSION_GUARD_PATTERN = /permission|scope|abilit|polic|privilege|(^|\.)can([A-Z]|$)/i;
 
 export default class BackendAnalyzer {
   constructor(projectConfig, auditConfig) {
@@ -16,6 +31,12 @@ export default class BackendAnalyzer {
     this.routes = [];
     this.controllers = new Map();
     this.middleware = [];
+    this.mountResolver = null;
+    this.schemaExtractor = null;
+    this.middlewareClassifier = null;
+    this.taintAnalyzer = new TaintAnalyzer();
+    this.taintFlows = [];
+    this.hardening = null;
   }
 
   async analyze() {
@@ -28,6 +49,9 @@ export default class BackendAnalyzer {
     // Analizar estructura del proyecto
     await this.analyzeProjectStructure();
     
+    // Resolver grafo de montaje de routers (app.use / router.use)
+    await this.resolveMountGraph();
+    
     // Analizar rutas/endpoints
     await this.analyzeRoutes();
     
@@ -40,10 +64,19 @@ export default class BackendAnalyzer {
     // Analizar middleware
     await this.analyzeMiddleware();
     
+    // Hardening de la app: helmet, cors, cookies, límites de body, error handlers
+    this.inspectHardening();
+    
     // Post-procesamiento
     await this.linkControllersToEndpoints();
     
     console.log(`   ✓ ${this.endpoints.size} endpoints encontrados`);
+    
+    const heuristicEndpoints = Array.from(this.endpoints.values())
+      .filter(e => e.basePathSource === 'heuristic').length;
+    if (heuristicEndpoints > 0) {
+      console.warn(`   ⚠️  ${heuristicEndpoints} endpoints con base path inferido (montaje no resuelto)`);
+    }
     console.log(`   ✓ ${this.files.length} archivos procesados`);
     
     return {
@@ -52,7 +85,9 @@ export default class BackendAnalyzer {
       models: this.models,
       routes: this.routes,
       controllers: this.controllers,
-      middleware: this.middleware
+      middleware: this.middleware,
+      taintFlows: this.taintFlows,
+      hardening: this.hardening
     };
   }
 
@@ -83,6 +118,20 @@ export default class BackendAnalyzer {
     }
   }
 
+  async resolveMountGraph() {
+    this.mountResolver = new RouteMountResolver(this.projectConfig.path, this.auditConfig);
+    this.mountResolver.resolve();
+    this.schemaExtractor = new ValidationSchemaExtractor(this.projectConfig.path, this.mountResolver);
+    this.middlewareClassifier = new MiddlewareClassifier(
+      this.projectConfig.path,
+      this.mountResolver,
+      this.projectConfig.folders?.middleware || 'middleware'
+    );
+    
+    this.routes = this.mountResolver.getMountedRouters();
+    console.log(`   ✓ ${this.routes.length} routers montados resueltos`);
+  }
+
   async analyzeRoutes() {
     const routePaths = [
       this.projectConfig.folders?.routes,
@@ -105,6 +154,14 @@ export default class BackendAnalyzer {
         }
       }
     }
+    
+    // Rutas definidas directamente sobre la app (app.js, server.js)
+    for (const file of this.mountResolver?.getAppFiles() || []) {
+      if (!this.files.some(f => path.resolve(f) === file)) {
+        await this.analyzeRouteFile(file);
+        this.files.push(file);
+      }
+    }
   }
 
   async analyzeRouteFile(filePath) {
@@ -119,21 +176,234 @@ export default class BackendAnalyzer {
       return;
     }
     
-    // Detectar base path del router
-    let basePath = this.detectBasePath(content, relativePath);
+    // Identificadores creados con express() / express.Router() / Router()
+    const routers = this.findRouterIdentifiers(ast);
+    
+    // Base path heurístico, solo si la cadena de montaje no se resuelve
+    let heuristicBasePath = null;
     
     // Buscar definiciones de rutas
     traverse.default(ast, {
       CallExpression: (path) => {
-        const endpoint = this.extractEndpointFromCall(path.node, basePath, relativePath, content);
-        if (endpoint) {
-          const key = `${endpoint.method} ${endpoint.path}`;
-          this.endpoints.set(key, endpoint);
+        // Las cadenas router.route('/x').get().put() se procesan desde la llamada exterior
+        if (path.parentPath.isMemberExpression() && path.parent.object === path.node) {
+          return;
+        }
+        
+        const definitions = this.extractRouteDefinitions(path, filePath, routers);
+        if (definitions.length === 0) return;
+        
+        const routerName = definitions[0].router;
+        let mounts = this.mountResolver?.getMountPaths(filePath, routerName);
+        
+        if (!mounts) {
+          if (heuristicBasePath === null) {
+            heuristicBasePath = this.detectBasePath(content, relativePath);
+          }
+          mounts = [{ path: heuristicBasePath, chain: [], source: 'heuristic' }];
         }
+        
+        definitions.forEach(definition => {
+          mounts.forEach(mount => {
+            const endpoint = this.createEndpoint(definition, mount, relativePath, content);
+            const key = `${endpoint.method} ${endpoint.path}`;
+            this.endpoints.set(key, endpoint);
+          });
+        });
       }
     });
   }
 
+  findRouterIdentifiers(ast) {
+    const expressNames = new Set();
+    const routerFactoryNames = new Set();
+    const routers = new Set();
+    
+    const isExpressRequire = (node) =>
+      node?.type === 'CallExpression' &&
+      node.callee.name === 'require' &&
+      node.arguments[0]?.value === 'express';
+    
+    const isRouterCreation = (node) => {
+      if (node?.type !== 'CallExpression' && node?.type !== 'NewExpression') return false;
+      const callee = node.callee;
+      
+      // express() / Router()
+      if (callee.type === 'Identifier') {
+        return expressNames.has(callee.name) || routerFactoryNames.has(callee.name);
+      }
+      
+      // require('express')()
+      if (isExpressRequire(callee)) return true;
+      
+      // express.Router() / require('express').Router()
+      return callee.type === 'MemberExpression' &&
+        callee.property.name === 'Router' &&
+        (expressNames.has(callee.object.name) || isExpressRequire(callee.object));
+    };
+    
+    // Primera pasada: bindings de express y Router
+    traverse.default(ast, {
+      ImportDeclaration: (path) => {
+        if (path.node.source.value !== 'express') return;
+        path.node.specifiers.forEach(spec => {
+          if (spec.type === 'ImportDefaultSpecifier' || spec.type === 'ImportNamespaceSpecifier') {
+            expressNames.add(spec.local.name);
+          } else if (spec.imported?.name === 'Router') {
+            routerFactoryNames.add(spec.local.name);
+          }
+        });
+      },
+      
+      VariableDeclarator: (path) => {
+        const { id, init } = path.node;
+        if (!isExpressRequire(init)) return;
+        
+        if (id.type === 'Identifier') {
+          expressNames.add(id.name);
+        } else if (id.type === 'ObjectPattern') {
+          // const { Router } = require('express')
+          id.properties.forEach(prop => {
+            if (prop.type === 'ObjectProperty' && prop.key.name === 'Router' && prop.value.type === 'Identifier') {
+              routerFactoryNames.add(prop.value.name);
+            }
+          });
+        }
+      }
+    });
+    
+    // Segunda pasada: variables inicializadas con una instancia de router/app
+    traverse.default(ast, {
+      VariableDeclarator: (path) => {
+        if (path.node.id.type === 'Identifier' && isRouterCreation(path.node.init)) {
+          routers.add(path.node.id.name);
+        }
+      },
+      
+      AssignmentExpression: (path) => {
+        if (path.node.left.type === 'Identifier' && isRouterCreation(path.node.right)) {
+          routers.add(path.node.left.name);
+        }
+      }
+    });
+    
+    return routers;
+  }
+
+  isRouterIdentifier(name, filePath, routers) {
+    if (!name) return false;
+    if (routers.has(name)) return true;
+    
+    // Routers recibidos por parámetro o importados y montados desde otro módulo
+    if (this.mountResolver?.getMountPaths(filePath, name)) return true;
+    
+    // Compatibilidad: nombres convencionales cuando el origen no es visible
+    return name === 'router' || name === 'app';
+  }
+
+  extractRouteDefinitions(callPath, filePath, routers) {
+    // Desenrollar la cadena: router.route('/x').get(h).put(h) o router.get(...).post(...)
+    const links = [];
+    let currentPath = callPath;
+    let current = callPath.node;
+    
+    while (
+      current?.type === 'CallExpression' &&
+      current.callee.type === 'MemberExpression' &&
+      !current.callee.computed
+    ) {
+      const argPaths = currentPath.get('arguments');
+      const lastArg = argPaths[argPaths.length - 1];
+      
+      links.unshift({
+        name: current.callee.property.name,
+        args: current.arguments,
+        handlerPath: lastArg?.isFunction() ? lastArg : null,
+        line: current.loc?.start?.line || 0
+      });
+      currentPath = currentPath.get('callee.object');
+      current = currentPath.node;
+    }
+    
+    if (current?.type !== 'Identifier' || links.length === 0) return [];
+    if (!this.isRouterIdentifier(current.name, filePath, routers)) return [];
+    
+    const definitions = [];
+    let routePath = null;
+    let chainMiddleware = [];
+    let chainGuards = [];
+    let chainAll = [];
+    
+    const addDefinition = (method, definitionPath, middleware, controller, link, pathPattern = null, inheritedGuards = []) => {
+      const methods = method === 'ALL' ? ALL_EXPANDED_METHODS : [method];
+      methods.forEach(expandedMethod => {
+        definitions.push({
+          router: current.name,
+          method: expandedMethod,
+          routePath: definitionPath,
+          middleware,
+          controller,
+          line: link.line,
+          pathPattern,
+          contract: link.handlerPath ? extractHandlerContract(link.handlerPath) : null,
+          validation: this.schemaExtractor?.extract(link.args, filePath, routePath !== null ? 0 : 1) || null,
+          accessGuards: [...inheritedGuards, ...this.extractAccessGuards(link.args, routePath !== null ? 0 : 1)]
+        });
+      });
+    };
+    
+    const flushRouteChain = () => {
+      // route('/x').all(handler) sin métodos encadenados: atiende todos los métodos
+      chainAll.forEach(link => addDefinition('ALL', routePath, link.middleware, link.controller, link));
+      chainAll = [];
+    };
+    
+    links.forEach(link => {
+      if (link.name === 'route') {
+        flushRouteChain();
+        routePath = extractStringValue(link.args[0]);
+        chainMiddleware = [];
+        chainGuards = [];
+        return;
+      }
+      
+      const method = link.name === 'all' ? 'ALL' : link.name.toUpperCase();
+      if (method !== 'ALL' && !HTTP_METHODS.includes(method)) return;
+      
+      if (routePath !== null) {
+        const { middleware, controller } = this.extractMiddlewareAndController(link.args, 0);
+        
+        // route('/x').all(mw).get(h): los handlers de all() preceden a cada método
+        if (method === 'ALL') {
+          chainAll.push({ ...link, middleware, controller });
+          chainMiddleware.push(...middleware, ...(controller ? [controller] : []));
+          chainGuards.push(...this.extractAccessGuards(link.args, 0));
+          return;
+        }
+        
+        chainAll = [];
+        addDefinition(method, routePath, [...chainMiddleware, ...middleware], controller, link, null, chainGuards);
+        return;
+      }
+      
+      // router.get('/x', h): requiere path y al menos un handler (app.get('env') es un getter)
+      // router.get(/^\/files\/.*$/, h): ruta definida con expresión regular
+      const regexRoute = link.args[0]?.type === 'RegExpLiteral' ? link.args[0] : null;
+      const linkPath = regexRoute
+        ? `/${regexRoute.pattern}/${regexRoute.flags}`
+        : extractStringValue(link.args[0]);
+      if (!linkPath || link.args.length < 2) return;
+      
+      const { middleware, controller } = this.extractMiddlewareAndController(link.args);
+      const pathPattern = regexRoute ? { source: regexRoute.pattern, flags: regexRoute.flags } : null;
+      addDefinition(method, linkPath, middleware, controller, link, pathPattern);
+    });
+    
+    if (routePath !== null) flushRouteChain();
+    
+    return definitions;
+  }
+
   detectBasePath(content, relativePath) {
     // Intentar detectar base path de varias formas
     
@@ -240,55 +510,61 @@ export default class BackendAnalyzer {
     return prefix;
   }
 
-  extractEndpointFromCall(node, basePath, file, content) {
-    // Detectar llamadas como: router.get(), app.post(), etc.
-    if (
-      node.callee.type === 'MemberExpression' &&
-      (node.callee.object.name === 'router' || 
-       node.callee.object.name === 'app' ||
-       node.callee.object.name === 'express') &&
-      ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'].includes(node.callee.property.name)
-    ) {
-      const method = node.callee.property.name.toUpperCase();
-      const pathArg = node.arguments[0];
-      const routePath = extractStringValue(pathArg);
-      
-      if (!routePath) return null;
-      
-      const fullPath = this.normalizePath(basePath + routePath);
-      
-      // Extraer middleware y controlador
-      const { middleware, controller } = this.extractMiddlewareAndController(node.arguments);
-      
-      return {
-        method,
-        path: fullPath,
-        originalPath: routePath,
-        basePath,
-        file,
-        line: node.loc?.start?.line || 0,
-        middleware,
-        controller,
-        requiresAuth: this.detectAuthRequirement(middleware),
-        params: this.extractPathParams(fullPath),
-        queryParams: [],
-        expectedBody: {},
-        responseStructure: {},
-        statusCodes: [],
-        used: false,
-        description: this.extractDescription(content, node.loc?.start?.line)
-      };
-    }
+  createEndpoint(definition, mount, file, content) {
+    const basePath = mount.path;
     
-    return null;
+    // Las rutas regex se conservan literalmente tras el prefijo de montaje
+    const fullPath = definition.pathPattern
+      ? this.normalizePath(basePath).replace(/\/$/, '') + definition.routePath
+      : this.normalizePath(basePath + '/' + definition.routePath);
+    const { middleware, controller } = definition;
+    const contract = createEmptyContract();
+    const auth = this.resolveAuthMiddleware(definition, mount, file, fullPath);
+    const accessGuards = [...auth.inheritedGuards, ...definition.accessGuards];
+    
+    const endpoint = {
+      method: definition.method,
+      path: fullPath,
+      originalPath: definition.routePath,
+      basePath,
+      basePathSource: mount.source || 'mount',
+      mountChain: mount.chain,
+      file,
+      line: definition.line,
+      middleware,
+      inheritedMiddleware: auth.inherited,
+      controller,
+      requiresAuth: auth.authMiddleware.length > 0,
+      authMiddleware: auth.authMiddleware,
+      accessGuards,
+      ...this.resolveAccess(accessGuards),
+      params: definition.pathPattern ? [] : this.extractPathParams(fullPath),
+      pathPattern: definition.pathPattern
+        ? { ...definition.pathPattern, basePath: this.normalizePath(basePath) }
+        : null,
+      queryParams: contract.queryParams,
+      expectedBody: contract.expectedBody,
+      responseStructure: contract.responseStructure,
+      statusCodes: contract.statusCodes,
+      acceptsArbitraryBody: contract.acceptsArbitraryBody,
+      used: false,
+      description: this.extractDescription(content, definition.line),
+      validators: definition.validation?.validators || []
+    };
+    
+    // Esquemas de validación primero: sus tipos y required prevalecen sobre lo inferido del handler
+    if (definition.validation) this.applyContract(endpoint, definition.validation);
+    if (definition.contract) this.applyContract(endpoint, definition.contract);
+    
+    return endpoint;
   }
 
-  extractMiddlewareAndController(args) {
+  extractMiddlewareAndController(args, startIndex = 1) {
     const middleware = [];
     let controller = null;
     
     // Todos los argumentos excepto el primero (path) pueden ser middleware o controller
-    for (let i = 1; i < args.length; i++) {
+    for (let i = startIndex; i < args.length; i++) {
       const arg = args[i];
       
       if (arg.type === 'Identifier') {
@@ -307,16 +583,14 @@ export default class BackendAnalyzer {
         }
       } else if (arg.type === 'CallExpression') {
         // Middleware que se ejecuta: auth(), validate(), etc.
-        const name = arg.callee.name || 
-          (arg.callee.type === 'MemberExpression' ? 
-           `${arg.callee.object.name}.${arg.callee.property.name}` : 
-           'unknown');
-        middleware.push(name);
+        middleware.push(this.getMiddlewareCallName(arg));
       } else if (arg.type === 'ArrayExpression') {
         // Array de middleware
         arg.elements.forEach(element => {
           if (element.type === 'Identifier') {
             middleware.push(element.name);
+          } else if (element.type === 'CallExpression') {
+            middleware.push(this.getMiddlewareCallName(element));
           }
         });
       }
@@ -325,21 +599,153 @@ export default class BackendAnalyzer {
     return { middleware, controller };
   }
 
-  detectAuthRequirement(middleware) {
-    const authPatterns = [
-      /auth/i,
-      /jwt/i,
-      /verify/i,
-      /protect/i,
-      /authenticate/i,
-      /authorize/i,
-      /guard/i,
-      /secure/i
+  getMiddlewareCallName(callNode) {
+    // body('email').isEmail().optional() → body
+    let callee = callNode.callee;
+    while (callee.type === 'MemberExpression' && callee.object.type === 'CallExpression') {
+      callee = callee.object.callee;
+    }
+    
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression') return `${callee.object.name}.${callee.property.name}`;
+    return 'unknown';
+  }
+
+  resolveAuthMiddleware(definition, mount, file, fullPath) {
+    const filePath = path.resolve(this.projectConfig.path, file);
+    
+    // app.use()/router.use() heredados de la cadena de montaje + router.use() previos a la ruta
+    const inherited = [
+      ...(mount.middleware || []),
+      ...(this.mountResolver?.getRouterMiddleware(filePath, definition.router, definition.line, mount.path) || [])
+    ].filter(mw => this.mountResolver.appliesTo(mw.scope, fullPath));
+    
+    const classified = [
+      ...inherited.map(mw => ({
+        ...this.classifyMiddleware(mw.node, mw.file),
+        inherited: true,
+        registeredAt: `${path.relative(this.projectConfig.path, mw.file)}:${mw.line}`
+      })),
+      ...definition.middleware.map(name => ({
+        ...this.classifyMiddleware(name, filePath),
+        inherited: false
+      }))
     ];
     
-    return middleware.some(mw => 
-      authPatterns.some(pattern => pattern.test(mw))
+    return {
+      inherited: inherited.map(mw => mw.name),
+      inheritedGuards: this.extractAccessGuards(inherited.map(mw => mw.node), 0, true),
+      authMiddleware: classified
+        .filter(mw => mw.isAuth)
+        .map(({ isAuth, ...mw }) => mw)
+    };
+  }
+
+  extractAccessGuards(args, startIndex = 1, inherited = false) {
+    const guards = [];
+    
+    args.slice(startIndex).forEach(arg => {
+      if (arg?.type === 'ArrayExpression') {
+        guards.push(...this.extractAccessGuards(arg.elements, 0, inherited));
+        return;
+      }
+      
+      const guard = this.describeAccessGuard(arg);
+      if (guard) guards.push({ ...guard, inherited });
+    });
+    
+    return guards;
+  }
+
+  describeAccessGuard(node) {
+    // isAdmin, adminOnly, roles.requireAdmin: el rol va en el nombre del middleware
+    if (node?.type === 'Identifier' || (node?.type === 'MemberExpression' && !node.computed)) {
+      const name = node.type === 'Identifier' ? node.name : `${node.object.name}.${node.property.name}`;
+      return /admin/i.test(name.split('.').pop())
+        ? { name, kind: 'role', values: ['admin'], source: 'name' }
+        : null;
+    }
+    
+    // body('x').isEmail() no es un guard: solo llamadas directas
+    if (node?.type !== 'CallExpression' || node.callee.object?.type === 'CallExpression') return null;
+    
+    const name = this.getMiddlewareCallName(node);
+    const kind = PERMISSION_GUARD_PATTERN.test(name) ? 'permission'
+      : ROLE_GUARD_PATTERN.test(name) ? 'role'
+      : null;
+    if (!kind) return null;
+    
+    // authorize() sin roles solo exige autenticación
+    const values = [...new Set(this.extractGuardValues(node.arguments))];
+    if (values.length === 0) return null;
+    
+    return { name, kind, values, source: 'arguments' };
+  }
+
+  extractGuardValues(nodes) {
+    const values = [];
+    
+    nodes.forEach(node => {
+      switch (node?.type) {
+        case 'StringLiteral':
+          values.push(node.value);
+          break;
+        case 'TemplateLiteral':
+          if (node.expressions.length === 0) values.push(node.quasis[0].value.cooked);
+          break;
+        case 'ArrayExpression':
+          values.push(...this.extractGuardValues(node.elements));
+          break;
+        case 'SpreadElement':
+          values.push(...this.extractGuardValues([node.argument]));
+          break;
+        case 'MemberExpression':
+          // Roles.ADMIN → admin
+          if (!node.computed && node.property.type === 'Identifier') {
+            values.push(node.property.name.toLowerCase());
+          }
+          break;
+        case 'Identifier':
+          // Constante no resuelta (ADMIN_ROLES): se conserva su nombre
+          if (node.name !== 'undefined') values.push(node.name);
+          break;
+        case 'ObjectExpression':
+          // authorize({ roles: ['admin'] })
+          node.properties.forEach(prop => {
+            const key = prop.key?.name || prop.key?.value || '';
+            if (prop.type === 'ObjectProperty' && /role|permission|scope/i.test(key)) {
+              values.push(...this.extractGuardValues([prop.value]));
+            }
+          });
+          break;
+      }
+    });
+    
+    return values;
+  }
+
+  resolveAccess(guards) {
+    // Guards encadenados se suman: roles por intersección, permisos acumulados
+    const roleGuards = guards.filter(guard => guard.kind === 'role');
+    const roles = roleGuards.reduce(
+      (allowed, guard) => allowed === null ? [...guard.values] : allowed.filter(role => guard.values.includes(role)),
+      null
     );
+    const permissions = [...new Set(
+      guards.filter(guard => guard.kind === 'permission').flatMap(guard => guard.values)
+    )];
+    
+    return { roles: roles || [], permissions };
+  }
+
+  classifyMiddleware(target, filePath) {
+    if (this.middlewareClassifier) {
+      return this.middlewareClassifier.classify(target, filePath);
+    }
+    
+    // Sin grafo de módulos no hay definiciones que inspeccionar
+    const name = typeof target === 'string' ? target : 'anonymous';
+    return { name, isAuth: /auth|jwt|protect|guard|passport/i.test(name), source: 'name', signals: [] };
   }
 
   extractPathParams(path) {
@@ -436,6 +842,7 @@ export default class BackendAnalyzer {
             type: path.node.right.type,
             async: this.isAsyncFunction(path.node.right),
             params: this.extractControllerParams(path.node.right),
+            contract: this.extractControllerContract(path.get('right')),
             file: relativePath,
             line: path.node.loc?.start?.line
           });
@@ -445,13 +852,14 @@ export default class BackendAnalyzer {
       // export const functionName = ...
       ExportNamedDeclaration: (path) => {
         if (path.node.declaration?.type === 'VariableDeclaration') {
-          path.node.declaration.declarations.forEach(decl => {
+          path.node.declaration.declarations.forEach((decl, index) => {
             if (decl.id.name) {
               controllerFunctions.set(decl.id.name, {
                 name: decl.id.name,
                 type: decl.init?.type,
                 async: this.isAsyncFunction(decl.init),
                 params: this.extractControllerParams(decl.init),
+                contract: this.extractControllerContract(path.get(`declaration.declarations.${index}.init`)),
                 file: relativePath,
                 line: decl.loc?.start?.line
               });
@@ -468,10 +876,34 @@ export default class BackendAnalyzer {
             type: 'FunctionDeclaration',
             async: path.node.async,
             params: this.extractControllerParams(path.node),
+            contract: this.extractControllerContract(path),
             file: relativePath,
             line: path.node.loc?.start?.line
           });
         }
+      },
+      
+      // const functionName = async (req, res) => {} (exportado con module.exports = {...})
+      VariableDeclarator: (path) => {
+        const name = path.node.id?.name;
+        if (
+          !name ||
+          controllerFunctions.has(name) ||
+          !path.parentPath.parentPath?.isProgram() ||
+          !this.getHandlerPath(path.get('init'))
+        ) {
+          return;
+        }
+        
+        controllerFunctions.set(name, {
+          name,
+          type: path.node.init.type,
+          async: this.isAsyncFunction(path.node.init),
+          params: this.extractControllerParams(path.node.init),
+          contract: this.extractControllerContract(path.get('init')),
+          file: relativePath,
+          line: path.node.loc?.start?.line
+        });
       }
     });
     
@@ -479,6 +911,28 @@ export default class BackendAnalyzer {
       file: relativePath,
       functions: controllerFunctions
     });
+    
+    // Flujos de req.* hacia sinks peligrosos (SQL, exec, eval, fs, HTTP)
+    this.taintFlows.push(...this.taintAnalyzer.analyze(ast, relativePath));
+  }
+
+  getHandlerPath(valuePath) {
+    if (!valuePath?.node) return null;
+    if (valuePath.isFunction()) return valuePath;
+    
+    // asyncHandler(async (req, res) => {...}) / catchAsync(...)
+    if (valuePath.isCallExpression()) {
+      const args = valuePath.get('arguments');
+      const last = args[args.length - 1];
+      return last?.isFunction() ? last : null;
+    }
+    
+    return null;
+  }
+
+  extractControllerContract(valuePath) {
+    const handlerPath = this.getHandlerPath(valuePath);
+    return handlerPath ? extractHandlerContract(handlerPath) : createEmptyContract();
   }
 
   isAsyncFunction(node) {
@@ -562,12 +1016,26 @@ export default class BackendAnalyzer {
     }));
   }
 
+  inspectHardening() {
+    const inspector = new HardeningInspector(this.projectConfig.path, this.auditConfig);
+    this.hardening = inspector.inspect(this.mountResolver?.getAppFiles() || []);
+  }
+
   async linkControllersToEndpoints() {
     // Intentar vincular controladores con endpoints
     this.endpoints.forEach((endpoint, key) => {
       if (endpoint.controller) {
+        // userController.getUser → archivo userController, función getUser
+        const [objectName, functionName] = endpoint.controller.split('.');
+        const qualified = functionName && this.controllers.get(objectName);
+        if (qualified?.functions.has(functionName)) {
+          endpoint.controllerDetails = qualified.functions.get(functionName);
+        }
+        
         // Buscar el controlador en nuestro mapa
         for (const [controllerName, controllerData] of this.controllers) {
+          if (endpoint.controllerDetails) break;
+          
           if (controllerData.functions.has(endpoint.controller)) {
             const func = controllerData.functions.get(endpoint.controller);
             endpoint.controllerDetails = func;
@@ -586,7 +1054,39 @@ export default class BackendAnalyzer {
             break;
           }
         }
+        
+        // Completar el contrato del endpoint con lo que lee/responde el controlador
+        if (endpoint.controllerDetails?.contract) {
+          this.applyContract(endpoint, endpoint.controllerDetails.contract);
+        }
       }
     });
   }
+
+  applyContract(endpoint, contract) {
+    Object.entries(contract.expectedBody || {}).forEach(([field, spec]) => {
+      if (!endpoint.expectedBody[field]) {
+        endpoint.expectedBody[field] = { ...spec };
+      } else if (spec.required && !endpoint.expectedBody[field].source) {
+        endpoint.expectedBody[field].required = true;
+      }
+    });
+    
+    (contract.queryParams || []).forEach(param => {
+      const existing = endpoint.queryParams.find(p => p.name === param.name);
+      if (!existing) {
+        endpoint.queryParams.push({ ...param });
+      } else if (param.required && !existing.source) {
+        existing.required = true;
+      }
+    });
+    
+    if (Object.keys(endpoint.responseStructure).length === 0) {
+      endpoint.responseStructure = contract.responseStructure || {};
+    }
+    
+    endpoint.statusCodes = [...new Set([...endpoint.statusCodes, ...(contract.statusCodes || [])])]
+      .sort((a, b) => a - b);
+    endpoint.acceptsArbitraryBody = endpoint.acceptsArbitraryBody || !!contract.acceptsArbitraryBody;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,169 @@
+// Claves del AST que no forman parte de la estructura del componente
+const IGNORED_KEYS = new Set([
+  'loc', 'start', 'end', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments',
+  // Los tipos de TS son el contrato de props, no la implementación
+  'typeAnnotation', 'returnType', 'typeParameters', 'typeArguments', 'predicate'
+]);
+
+const HOOK_PATTERN = /^use[A-Z0-9]/;
+
+// Tokens consecutivos por shingle: con menos, dos componentes cualesquiera se parecen
+const SHINGLE_SIZE = 5;
+
+/**
+ * Huella estructural de un componente React para detectar copias aunque se renombren:
+ * - tokens: recorrido del AST normalizado (identificadores y literales anonimizados,
+ *   se conservan tags HTML, atributos JSX y hooks) con la línea de cada token
+ * - shingles: hashes de k tokens consecutivos (similitud de Jaccard)
+ * - jsx: aristas padre>hijo del árbol JSX (forma del render)
+ * - props y hooks usados
+ */
+export default class ComponentFingerprinter {
+  /**
+   * @param {object} node - Nodo del componente (función, declarador o clase)
+   * @param {string} content - Contenido del archivo
+   * @param {array} props - Props del componente ([{ name }])
+   * @returns {object|null} { tokens, lines, shingles, shingleSize, jsx, hooks, props, code, startLine }
+   */
+  fingerprint(node, content, props = []) {
+    if (!node?.loc) return null;
+
+    const tokens = [];
+    const lines = [];
+    const jsx = new Set();
+    const hooks = [];
+
+    this.walk(node, {
+      emit: (token, line) => {
+        tokens.push(token);
+        lines.push(line);
+      },
+      jsx,
+      hooks,
+      parents: []
+    });
+
+    return {
+      tokens,
+      lines,
+      shingles: this.createShingles(tokens),
+      shingleSize: SHINGLE_SIZE,
+      jsx: Array.from(jsx),
+      hooks,
+      props: props.map(prop => prop.name).filter(Boolean),
+      // Líneas completas del componente, para mostrar las regiones coincidentes
+      code: content.split('\n').slice(node.loc.start.line - 1, node.loc.end.line).join('\n'),
+      startLine: node.loc.start.line
+    };
+  }
+
+  walk(node, state) {
+    if (!node || typeof node.type !== 'string') return;
+
+    const line = node.loc?.start?.line || 0;
+    const token = this.normalize(node);
+    if (token) state.emit(token, line);
+
+    // Árbol JSX: <form><Input/><button/></form> → form>Component, form>button
+    const tag = node.type === 'JSXElement' ? this.getTagName(node.openingElement.name) : null;
+    if (tag) {
+      state.jsx.add(`${state.parents[state.parents.length - 1] || 'root'}>${tag}`);
+      state.parents.push(tag);
+    }
+
+    if (node.type === 'CallExpression' && HOOK_PATTERN.test(this.getCalleeName(node.callee) || '')) {
+      state.hooks.push(this.getCalleeName(node.callee));
+    }
+
+    Object.keys(node).forEach(key => {
+      if (IGNORED_KEYS.has(key)) return;
+
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(child => this.walk(child, state));
+      } else if (value && typeof value === 'object') {
+        this.walk(value, state);
+      }
+    });
+
+    if (tag) state.parents.pop();
+  }
+
+  /**
+   * Token normalizado de un nodo; null para los que no aportan estructura
+   */
+  normalize(node) {
+    switch (node.type) {
+      case 'Identifier':
+        // Los hooks se conservan: useState/useEffect son parte del comportamiento
+        return HOOK_PATTERN.test(node.name) ? node.name : 'id';
+      case 'JSXIdentifier':
+        // Nombre del atributo (onClick, className) o tag HTML; los componentes se anonimizan
+        return /^[a-z]/.test(node.name) ? node.name : 'Component';
+      case 'StringLiteral':
+      case 'TemplateElement':
+        return 'str';
+      case 'NumericLiteral':
+        return 'num';
+      case 'JSXText':
+        return node.value.trim() ? 'text' : null;
+      case 'BinaryExpression':
+      case 'LogicalExpression':
+      case 'AssignmentExpression':
+      case 'UnaryExpression':
+      case 'UpdateExpression':
+        return `${node.type}:${node.operator}`;
+      case 'File':
+      case 'Program':
+      case 'JSXClosingElement':
+      case 'JSXExpressionContainer':
+      case 'ExpressionStatement':
+        return null;
+      default:
+        return node.type;
+    }
+  }
+
+  getTagName(name) {
+    if (name.type === 'JSXIdentifier') return /^[a-z]/.test(name.name) ? name.name : 'Component';
+    // <Foo.Bar>, <motion.div>
+    return 'Component';
+  }
+
+  getCalleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    // React.useState
+    if (callee.type === 'MemberExpression' && !callee.computed) return callee.property.name;
+    return null;
+  }
+
+  createShingles(tokens) {
+    const shingles = new Set();
+
+    for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+      shingles.add(this.hashShingle(tokens, i));
+    }
+
+    return shingles;
+  }
+
+  /**
+   * FNV-1a de los k tokens a partir de la posición start
+   */
+  hashShingle(tokens, start) {
+    let hash = 0x811c9dc5;
+
+    for (let i = start; i < start + SHINGLE_SIZE; i++) {
+      const token = tokens[i];
+      for (let j = 0; j < token.length; j++) {
+        hash ^= token.charCodeAt(j);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      // Separador entre tokens
+      hash ^= 0xff;
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,422 @@
+import path from 'path';
+import { readFileSafe, resolveImportPath } from '../utils/fileUtils.js';
+import { parseCodeSafe } from '../utils/astUtils.js';
+
+const MAX_DEPTH = 30;
+
+/**
+ * Propagación de constantes para URLs del frontend: resuelve constantes de
+ * módulo, mapas de endpoints importados (API.USERS, ENDPOINTS.user(id)),
+ * template literals y concatenaciones entre archivos. Las partes dinámicas
+ * se convierten en parámetros con el nombre del identificador (`${userId}` → :userId).
+ */
+export default class ConstantResolver {
+  constructor(projectPath, auditConfig, aliases = {}) {
+    this.projectPath = projectPath;
+    this.extensions = auditConfig.fileExtensions?.frontend || ['.js', '.jsx', '.ts', '.tsx'];
+    this.aliases = aliases;
+
+    // Declaraciones de nivel superior por archivo (ruta absoluta → datos)
+    this.modules = new Map();
+  }
+
+  /**
+   * Resuelve un nodo a string estático (con :params para las partes dinámicas)
+   * @param {object} node - Nodo AST (argumento de fetch/axios, baseURL...)
+   * @param {string} file - Archivo del nodo (relativo al proyecto o absoluto)
+   * @param {object} scopePath - NodePath de babel para resolver variables locales (opcional)
+   * @returns {string|null} Valor resuelto o null si no es estático
+   */
+  resolveString(node, file, scopePath = null) {
+    const value = this.evaluate(node, {
+      file: path.resolve(this.projectPath, file),
+      scopePath,
+      env: new Map(),
+      depth: 0
+    });
+
+    return value?.kind === 'string' ? value.value : null;
+  }
+
+  evaluate(node, ctx) {
+    if (!node || ctx.depth > MAX_DEPTH) return null;
+    const next = { ...ctx, depth: ctx.depth + 1 };
+
+    switch (node.type) {
+      case 'StringLiteral':
+        return { kind: 'string', value: node.value };
+
+      case 'NumericLiteral':
+        return { kind: 'string', value: String(node.value) };
+
+      case 'TemplateLiteral':
+        return this.evaluateParts(
+          node.quasis.flatMap((quasi, index) => index < node.expressions.length
+            ? [{ text: quasi.value.cooked }, { node: node.expressions[index] }]
+            : [{ text: quasi.value.cooked }]),
+          next
+        );
+
+      case 'BinaryExpression':
+        if (node.operator !== '+') return null;
+        return this.evaluateParts(this.flattenConcat(node), next);
+
+      case 'LogicalExpression': {
+        // process.env.API_URL || 'http://localhost:3000/api'
+        const left = this.evaluate(node.left, next);
+        return left?.kind === 'string' ? left : this.evaluate(node.right, next);
+      }
+
+      case 'TSAsExpression':
+      case 'TSNonNullExpression':
+      case 'TypeCastExpression':
+        return this.evaluate(node.expression, next);
+
+      case 'ObjectExpression':
+        return { kind: 'object', node, ctx: next };
+
+      case 'ArrowFunctionExpression':
+      case 'FunctionExpression':
+      case 'ObjectMethod':
+        return { kind: 'function', node, ctx: next };
+
+      case 'Identifier':
+        return this.evaluateIdentifier(node.name, next);
+
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        return this.evaluateMember(node, next);
+
+      case 'CallExpression':
+        return this.evaluateCall(node, next);
+
+      default:
+        return null;
+    }
+  }
+
+  flattenConcat(node) {
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      return [...this.flattenConcat(node.left), ...this.flattenConcat(node.right)];
+    }
+    return node.type === 'StringLiteral' ? [{ text: node.value }] : [{ node }];
+  }
+
+  evaluateParts(parts, ctx) {
+    let value = '';
+    let hasStaticText = false;
+
+    parts.forEach((part, index) => {
+      if (part.text !== undefined) {
+        value += part.text;
+        if (part.text) hasStaticText = true;
+        return;
+      }
+
+      const resolved = this.evaluate(part.node, ctx);
+      if (resolved?.kind === 'string') {
+        value += resolved.value;
+        hasStaticText = true;
+        return;
+      }
+
+      // `${API_HOST}/users`: una expresión desconocida al inicio es el host/base
+      const isLeading = value === '' && parts.slice(0, index).every(p => !p.text);
+      if (isLeading) return;
+
+      const name = resolved?.kind === 'param' ? resolved.name : this.getParamName(part.node);
+      value += `:${name}`;
+    });
+
+    return hasStaticText ? { kind: 'string', value } : null;
+  }
+
+  evaluateIdentifier(name, ctx) {
+    if (ctx.env.has(name)) return ctx.env.get(name);
+
+    // Variables locales del archivo que contiene la llamada
+    const binding = ctx.scopePath?.scope?.getBinding(name);
+    if (binding) {
+      if (binding.kind === 'module') {
+        return this.resolveImportedBinding(ctx.file, name, ctx);
+      }
+
+      if (binding.path.isVariableDeclarator() && binding.constant && binding.path.node.init) {
+        return this.evaluate(binding.path.node.init, {
+          ...ctx,
+          scopePath: binding.path.get('init'),
+          env: new Map()
+        });
+      }
+
+      if (binding.path.isFunctionDeclaration()) {
+        return { kind: 'function', node: binding.path.node, ctx: { ...ctx, env: new Map() } };
+      }
+
+      return null;
+    }
+
+    const module = this.getModule(ctx.file);
+    if (!module) return null;
+
+    if (module.declarations.has(name)) {
+      return this.evaluate(module.declarations.get(name), { ...ctx, scopePath: null, env: new Map() });
+    }
+
+    if (module.imports.has(name)) {
+      return this.resolveImportedBinding(ctx.file, name, ctx);
+    }
+
+    return null;
+  }
+
+  evaluateMember(node, ctx) {
+    const object = this.evaluate(node.object, ctx);
+    if (!object) return null;
+
+    const key = node.computed
+      ? this.evaluate(node.property, ctx)?.value
+      : node.property.name;
+    if (key === undefined || key === null) return null;
+
+    return this.getProperty(object, key, ctx);
+  }
+
+  getProperty(object, key, ctx) {
+    if (!object) return null;
+
+    if (object.kind === 'namespace') {
+      return this.resolveExport(object.file, key, ctx);
+    }
+
+    if (object.kind !== 'object') return null;
+
+    // Las propiedades posteriores (y los spreads) sobrescriben a las anteriores
+    const properties = [...object.node.properties].reverse();
+    for (const prop of properties) {
+      if (prop.type === 'SpreadElement') {
+        const value = this.getProperty(this.evaluate(prop.argument, object.ctx), key, object.ctx);
+        if (value) return value;
+        continue;
+      }
+
+      const propKey = prop.computed ? null : prop.key.name || prop.key.value;
+      if (String(propKey) !== String(key)) continue;
+
+      if (prop.type === 'ObjectMethod') {
+        return { kind: 'function', node: prop, ctx: object.ctx };
+      }
+      return this.evaluate(prop.value, object.ctx);
+    }
+
+    return null;
+  }
+
+  evaluateCall(node, ctx) {
+    const callee = this.evaluate(node.callee, ctx);
+    if (callee?.kind !== 'function') return null;
+
+    const fn = callee.node;
+    const env = new Map(callee.ctx.env);
+
+    fn.params.forEach((param, index) => {
+      const paramNode = param.type === 'AssignmentPattern' ? param.left : param;
+      if (paramNode.type !== 'Identifier') return;
+
+      const arg = node.arguments[index];
+      const value = arg ? this.evaluate(arg, ctx) : null;
+
+      // ENDPOINTS.user(userId) → :userId; sin argumento resoluble se usa el nombre del parámetro
+      env.set(paramNode.name, value?.kind === 'string'
+        ? value
+        : { kind: 'param', name: (arg && this.getParamName(arg, null)) || paramNode.name });
+    });
+
+    const body = fn.body;
+    const returned = body.type === 'BlockStatement'
+      ? body.body.find(statement => statement.type === 'ReturnStatement')?.argument
+      : body;
+
+    return this.evaluate(returned, { ...callee.ctx, env, depth: ctx.depth + 1 });
+  }
+
+  getParamName(node, fallback = 'param') {
+    if (!node) return fallback;
+
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        // `${user.id}` → :id
+        return node.computed ? fallback : node.property.name;
+      case 'CallExpression':
+        // `${encodeURIComponent(slug)}` → :slug
+        return this.getParamName(node.arguments[0], fallback);
+      case 'TSAsExpression':
+      case 'TSNonNullExpression':
+        return this.getParamName(node.expression, fallback);
+      default:
+        return fallback;
+    }
+  }
+
+  resolveImportedBinding(file, name, ctx) {
+    const module = this.getModule(file);
+    const imported = module?.imports.get(name);
+    if (!imported) return null;
+
+    const targetFile = resolveImportPath(file, imported.source, this.extensions, this.aliases);
+    if (!targetFile) return null;
+
+    if (imported.imported === '*') {
+      return { kind: 'namespace', file: targetFile };
+    }
+
+    return this.resolveExport(targetFile, imported.imported, ctx);
+  }
+
+  resolveExport(file, exportName, ctx) {
+    if (ctx.depth > MAX_DEPTH) return null;
+
+    const module = this.getModule(file);
+    const exported = module?.exports.get(exportName);
+    if (!exported) return null;
+
+    const exportCtx = { file, scopePath: null, env: new Map(), depth: ctx.depth + 1 };
+
+    if (exported.source) {
+      const targetFile = resolveImportPath(file, exported.source, this.extensions, this.aliases);
+      return targetFile ? this.resolveExport(targetFile, exported.imported, exportCtx) : null;
+    }
+
+    if (exported.node) {
+      return this.evaluate(exported.node, exportCtx);
+    }
+
+    return this.evaluateIdentifier(exported.local, exportCtx);
+  }
+
+  getModule(file) {
+    if (this.modules.has(file)) return this.modules.get(file);
+
+    const content = readFileSafe(file);
+    const ast = content ? parseCodeSafe(content) : null;
+    const module = ast ? this.collectTopLevel(ast) : null;
+
+    this.modules.set(file, module);
+    return module;
+  }
+
+  collectTopLevel(ast) {
+    const module = {
+      declarations: new Map(),
+      imports: new Map(),
+      exports: new Map()
+    };
+
+    const addDeclaration = (declaration) => {
+      if (declaration.type === 'FunctionDeclaration' && declaration.id) {
+        module.declarations.set(declaration.id.name, declaration);
+        return [declaration.id.name];
+      }
+
+      if (declaration.type !== 'VariableDeclaration') return [];
+
+      return declaration.declarations
+        .filter(decl => decl.id.type === 'Identifier' && decl.init)
+        .map(decl => {
+          const required = this.extractRequire(decl.init);
+          if (required) {
+            module.imports.set(decl.id.name, required);
+          } else {
+            module.declarations.set(decl.id.name, decl.init);
+          }
+          return decl.id.name;
+        });
+    };
+
+    ast.program.body.forEach(statement => {
+      switch (statement.type) {
+        case 'VariableDeclaration':
+        case 'FunctionDeclaration':
+          addDeclaration(statement);
+          break;
+
+        case 'ImportDeclaration':
+          statement.specifiers.forEach(spec => {
+            const imported = spec.type === 'ImportDefaultSpecifier'
+              ? 'default'
+              : spec.type === 'ImportNamespaceSpecifier'
+                ? '*'
+                : spec.imported.name || spec.imported.value;
+            module.imports.set(spec.local.name, { source: statement.source.value, imported });
+          });
+          break;
+
+        case 'ExportNamedDeclaration':
+          if (statement.declaration) {
+            addDeclaration(statement.declaration)
+              .forEach(name => module.exports.set(name, { local: name }));
+          }
+          (statement.specifiers || []).forEach(spec => {
+            const exported = spec.exported.name || spec.exported.value;
+            module.exports.set(exported, statement.source
+              ? { source: statement.source.value, imported: spec.local.name }
+              : { local: spec.local.name });
+          });
+          break;
+
+        case 'ExportDefaultDeclaration': {
+          const declaration = statement.declaration;
+          module.exports.set('default', declaration.type === 'Identifier'
+            ? { local: declaration.name }
+            : { node: declaration });
+          break;
+        }
+
+        case 'ExpressionStatement':
+          this.collectCommonJSExport(statement.expression, module);
+          break;
+      }
+    });
+
+    return module;
+  }
+
+  collectCommonJSExport(expression, module) {
+    if (expression.type !== 'AssignmentExpression' || expression.left.type !== 'MemberExpression') return;
+
+    const { left, right } = expression;
+    const toExport = (node) => node.type === 'Identifier' ? { local: node.name } : { node };
+
+    // module.exports = { API_URL, ENDPOINTS } / module.exports = ENDPOINTS
+    if (left.object.name === 'module' && left.property.name === 'exports') {
+      module.exports.set('default', toExport(right));
+      if (right.type === 'ObjectExpression') {
+        right.properties.forEach(prop => {
+          if (prop.type === 'ObjectProperty' && !prop.computed) {
+            module.exports.set(prop.key.name || prop.key.value, toExport(prop.value));
+          }
+        });
+      }
+      return;
+    }
+
+    // exports.API_URL = '...'
+    if (left.object.name === 'exports' && !left.computed) {
+      module.exports.set(left.property.name, toExport(right));
+    }
+  }
+
+  extractRequire(node) {
+    if (
+      node.type === 'CallExpression' &&
+      node.callee.name === 'require' &&
+      node.arguments[0]?.type === 'StringLiteral'
+    ) {
+      return { source: node.arguments[0].value, imported: 'default' };
+    }
+    return null;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,436 @@
+import { extractStringValue } from '../utils/astUtils.js';
+
+// Hooks de React Query / TanStack Query cuyo queryFn/mutationFn hace la request
+const REACT_QUERY_HOOKS = ['useQuery', 'useInfiniteQuery', 'useSuspenseQuery', 'useSuspenseInfiniteQuery', 'useMutation', 'useQueries', 'queryOptions', 'infiniteQueryOptions'];
+const REACT_QUERY_FN_KEYS = ['queryFn', 'mutationFn'];
+
+// Hooks de SWR: la key es la URL y el fetcher el segundo argumento
+const SWR_HOOKS = ['useSWR', 'useSWRImmutable', 'useSWRInfinite', 'useSWRMutation'];
+
+// Tipos de endpoint de RTK Query: build.query / build.mutation / build.infiniteQuery
+const RTK_BUILDERS = {
+  query: 'Query',
+  infiniteQuery: 'InfiniteQuery',
+  mutation: 'Mutation'
+};
+
+const RTK_HOOK_PATTERN = /^use(Lazy)?[A-Z]\w*(Query|Mutation)$/;
+
+/**
+ * Detecta llamadas API hechas a través de librerías de data fetching:
+ * React Query (queryFn/mutationFn), SWR (key + fetcher) y RTK Query
+ * (endpoints de createApi/injectEndpoints combinados con el baseUrl del baseQuery).
+ */
+export default class DataFetchingDetector {
+  constructor(constants, httpClients) {
+    this.constants = constants;
+    this.httpClients = httpClients;
+
+    // Hooks generados por RTK Query → componentes que los usan
+    this.hookUsages = new Map();
+  }
+
+  /**
+   * Llamadas declaradas por la librería en este CallExpression (useSWR, build.query)
+   * @param {object} nodePath - NodePath de babel del CallExpression
+   * @param {string} file - Archivo relativo al proyecto
+   * @returns {array} Llamadas en el formato de detectAPICall
+   */
+  detect(nodePath, file) {
+    const node = nodePath.node;
+
+    if (node.callee.type === 'Identifier' && SWR_HOOKS.includes(node.callee.name)) {
+      const call = this.detectSWR(nodePath, file);
+      return call ? [call] : [];
+    }
+
+    const rtkCall = this.detectRTKEndpoint(nodePath, file);
+    return rtkCall ? [rtkCall] : [];
+  }
+
+  /**
+   * Librería y componente al que pertenece una llamada (fetch/axios dentro de un queryFn)
+   * @param {object} nodePath - NodePath de la llamada
+   * @returns {object} { library, hookLine, component }
+   */
+  getContext(nodePath) {
+    const context = {
+      library: null,
+      hookLine: null,
+      component: this.getOwningComponent(nodePath)
+    };
+
+    let fnPath = nodePath.getFunctionParent();
+    while (fnPath) {
+      const hook = this.getOwningHook(fnPath);
+      if (hook) {
+        context.library = hook.library;
+        context.hookLine = hook.path.node.loc?.start?.line || null;
+        break;
+      }
+      fnPath = fnPath.parentPath?.getFunctionParent();
+    }
+
+    return context;
+  }
+
+  /**
+   * Registra el uso de un hook generado por RTK Query (useGetUserQuery)
+   */
+  recordHookUsage(nodePath, file) {
+    const callee = nodePath.node.callee;
+    if (callee.type !== 'Identifier' || !RTK_HOOK_PATTERN.test(callee.name)) return;
+
+    const line = nodePath.node.loc?.start?.line || 0;
+    const usages = this.hookUsages.get(callee.name) || [];
+
+    // Un mismo archivo puede recorrerse desde varias carpetas de búsqueda
+    if (usages.some(usage => usage.file === file && usage.line === line)) return;
+
+    usages.push({ component: this.getOwningComponent(nodePath), file, line });
+    this.hookUsages.set(callee.name, usages);
+  }
+
+  /**
+   * Asigna a los endpoints de RTK Query los componentes que usan sus hooks
+   * @param {Map} apiCalls - Llamadas normalizadas del frontend
+   * @returns {number} Endpoints de RTK Query con al menos un componente
+   */
+  linkHookUsages(apiCalls) {
+    let linked = 0;
+
+    apiCalls.forEach(calls => {
+      calls.forEach(call => {
+        if (!call.hooks) return;
+
+        call.usedBy = call.hooks.flatMap(hook => this.hookUsages.get(hook) || []);
+        if (call.usedBy.length > 0) {
+          call.component = call.usedBy[0].component;
+          linked++;
+        }
+      });
+    });
+
+    return linked;
+  }
+
+  detectSWR(nodePath, file) {
+    const node = nodePath.node;
+    const keyNode = this.unwrapKey(node.arguments[0]);
+    if (!keyNode) return null;
+
+    const isMutation = node.callee.name === 'useSWRMutation';
+
+    return {
+      type: 'swr',
+      library: 'swr',
+      method: isMutation
+        ? this.inferFetcherMethod(nodePath.get('arguments.1'), 'POST')
+        : 'GET',
+      urlArg: keyNode,
+      hookLine: node.loc?.start?.line || null,
+      client: this.getFetcherClient(nodePath.get('arguments.1'), file)
+    };
+  }
+
+  unwrapKey(node) {
+    if (!node) return null;
+
+    switch (node.type) {
+      case 'ArrayExpression':
+        // useSWR(['/api/user', token], fetcher)
+        return this.unwrapKey(node.elements[0]);
+
+      case 'ConditionalExpression':
+        // useSWR(shouldFetch ? '/api/data' : null, fetcher)
+        return this.unwrapKey(this.isNullish(node.consequent) ? node.alternate : node.consequent);
+
+      case 'LogicalExpression':
+        // useSWR(user && `/api/users/${user.id}`, fetcher)
+        return node.operator === '&&' ? this.unwrapKey(node.right) : this.unwrapKey(node.left);
+
+      case 'ArrowFunctionExpression':
+      case 'FunctionExpression': {
+        // useSWRInfinite((index) => `/api/items?page=${index}`, fetcher)
+        if (node.body.type !== 'BlockStatement') return this.unwrapKey(node.body);
+
+        const returned = node.body.body
+          .filter(statement => statement.type === 'ReturnStatement' && !this.isNullish(statement.argument))
+          .pop();
+        return this.unwrapKey(returned?.argument);
+      }
+
+      default:
+        return this.isNullish(node) ? null : node;
+    }
+  }
+
+  isNullish(node) {
+    return !node ||
+      node.type === 'NullLiteral' ||
+      (node.type === 'Identifier' && node.name === 'undefined') ||
+      (node.type === 'BooleanLiteral' && node.value === false);
+  }
+
+  inferFetcherMethod(fetcherPath, fallback) {
+    const fetcher = this.resolveFunctionPath(fetcherPath);
+    if (!fetcher) return fallback;
+
+    let method = null;
+    fetcher.traverse({
+      ObjectProperty: (propPath) => {
+        const key = propPath.node.key.name || propPath.node.key.value;
+        const value = extractStringValue(propPath.node.value);
+        if (!method && key === 'method' && value) method = value.toUpperCase();
+      },
+      CallExpression: (callPath) => {
+        const callee = callPath.node.callee;
+        const name = callee.type === 'MemberExpression' ? callee.property.name : null;
+        if (!method && ['post', 'put', 'patch', 'delete'].includes(name)) method = name.toUpperCase();
+      }
+    });
+
+    return method || fallback;
+  }
+
+  getFetcherClient(fetcherPath, file) {
+    // fetcher = (url) => api.get(url).then(res => res.data): el baseURL/auth es el de la instancia
+    const fetcher = this.resolveFunctionPath(fetcherPath);
+    if (!fetcher || !this.httpClients) return null;
+
+    let client = null;
+    fetcher.traverse({
+      CallExpression: (callPath) => {
+        const callee = callPath.node.callee;
+        if (client || callee.type !== 'MemberExpression' || callee.object.type !== 'Identifier') return;
+        client = this.httpClients.getClient(file, callee.object.name);
+      }
+    });
+
+    return client;
+  }
+
+  resolveFunctionPath(fnPath) {
+    if (!fnPath?.node) return null;
+    if (fnPath.isFunction()) return fnPath;
+
+    // const fetcher = (url) => fetch(url).then(r => r.json())
+    if (fnPath.isIdentifier()) {
+      const binding = fnPath.scope.getBinding(fnPath.node.name);
+      if (binding?.path.isFunctionDeclaration()) return binding.path;
+      if (binding?.path.isVariableDeclarator()) {
+        const init = binding.path.get('init');
+        return init.isFunction() ? init : null;
+      }
+    }
+
+    return null;
+  }
+
+  detectRTKEndpoint(nodePath, file) {
+    const node = nodePath.node;
+    const callee = node.callee;
+
+    // build.query({ query: (id) => `users/${id}` })
+    if (
+      callee.type !== 'MemberExpression' ||
+      callee.object.type !== 'Identifier' ||
+      !RTK_BUILDERS[callee.property.name]
+    ) {
+      return null;
+    }
+
+    const endpointsFn = nodePath.getFunctionParent();
+    const builderParam = endpointsFn?.node.params[0];
+    if (builderParam?.type !== 'Identifier' || builderParam.name !== callee.object.name) return null;
+
+    // endpoints: (build) => ({...}) | endpoints(build) { return {...} }
+    const endpointsProp = endpointsFn.isObjectMethod() ? endpointsFn : endpointsFn.parentPath;
+    const apiCall = endpointsProp?.parentPath?.parentPath;
+    if (!(endpointsProp?.isObjectProperty() || endpointsProp?.isObjectMethod())) return null;
+    if (!apiCall?.isCallExpression()) return null;
+    if ((endpointsProp.node.key.name || endpointsProp.node.key.value) !== 'endpoints') return null;
+
+    const client = this.getApiSlice(apiCall, file);
+    if (!client) return null;
+
+    const endpointProp = nodePath.parentPath;
+    const endpointName = endpointProp.isObjectProperty()
+      ? endpointProp.node.key.name || endpointProp.node.key.value
+      : null;
+
+    const request = this.extractRTKRequest(nodePath.get('arguments.0'));
+    if (!request) return null;
+
+    const kind = RTK_BUILDERS[callee.property.name];
+    const hooks = endpointName ? this.getGeneratedHooks(endpointName, kind) : [];
+
+    return {
+      type: 'rtk-query',
+      library: 'rtk-query',
+      method: request.method || 'GET',
+      urlArg: request.urlNode,
+      dataArg: request.bodyNode,
+      queryParams: request.queryParams,
+      client,
+      endpointName,
+      hooks
+    };
+  }
+
+  getApiSlice(apiCallPath, file) {
+    const callee = apiCallPath.node.callee;
+
+    // createApi({...}) asignado a una variable o exportado por defecto
+    if (callee.type === 'Identifier' && callee.name === 'createApi') {
+      const declarator = apiCallPath.parentPath;
+      const local = declarator.isVariableDeclarator() && declarator.node.id.type === 'Identifier'
+        ? declarator.node.id.name
+        : '*default*';
+      return this.httpClients?.getClient(file, local) || { name: local, baseURL: null, hasAuth: false };
+    }
+
+    // baseApi.injectEndpoints({ endpoints: build => ({...}) })
+    if (
+      callee.type === 'MemberExpression' &&
+      callee.object.type === 'Identifier' &&
+      ['injectEndpoints', 'enhanceEndpoints'].includes(callee.property.name)
+    ) {
+      return this.httpClients?.getClient(file, callee.object.name) ||
+        { name: callee.object.name, baseURL: null, hasAuth: false };
+    }
+
+    return null;
+  }
+
+  extractRTKRequest(optionsPath) {
+    if (!optionsPath?.isObjectExpression()) return null;
+
+    const queryProp = optionsPath.get('properties').find(prop =>
+      (prop.isObjectProperty() || prop.isObjectMethod()) &&
+      (prop.node.key.name || prop.node.key.value) === 'query'
+    );
+    if (!queryProp) return null;
+
+    // query: (id) => `users/${id}` | query: (body) => ({ url, method, body, params })
+    const fnPath = queryProp.isObjectMethod() ? queryProp : queryProp.get('value');
+    const returnedPath = this.getReturnedPath(fnPath);
+    if (!returnedPath) return null;
+
+    if (!returnedPath.isObjectExpression()) {
+      return { urlNode: returnedPath.node, method: null, bodyNode: null, queryParams: [] };
+    }
+
+    const request = { urlNode: null, method: null, bodyNode: null, queryParams: [] };
+
+    returnedPath.node.properties.forEach(prop => {
+      if (prop.type !== 'ObjectProperty') return;
+      const key = prop.key.name || prop.key.value;
+
+      if (key === 'url') {
+        request.urlNode = prop.value;
+      } else if (key === 'method') {
+        request.method = extractStringValue(prop.value)?.toUpperCase() || null;
+      } else if (key === 'body') {
+        request.bodyNode = prop.value;
+      } else if (key === 'params' && prop.value.type === 'ObjectExpression') {
+        request.queryParams = prop.value.properties
+          .filter(param => param.type === 'ObjectProperty' && !param.computed)
+          .map(param => param.key.name || param.key.value);
+      }
+    });
+
+    return request.urlNode ? request : null;
+  }
+
+  getReturnedPath(fnPath) {
+    if (!fnPath?.isFunction()) return null;
+
+    const body = fnPath.get('body');
+    if (!body.isBlockStatement()) return body;
+
+    const returned = body.get('body').filter(statement => statement.isReturnStatement()).pop();
+    return returned?.get('argument')?.node ? returned.get('argument') : null;
+  }
+
+  getGeneratedHooks(endpointName, kind) {
+    const name = endpointName.charAt(0).toUpperCase() + endpointName.slice(1);
+
+    return kind === 'Query'
+      ? [`use${name}Query`, `useLazy${name}Query`]
+      : [`use${name}${kind}`];
+  }
+
+  getOwningHook(fnPath) {
+    const parent = fnPath.parentPath;
+
+    // useQuery({ queryKey, queryFn: () => api.get('/users') })
+    const property = fnPath.isObjectMethod()
+      ? fnPath
+      : parent?.isObjectProperty() && parent.node.value === fnPath.node ? parent : null;
+
+    if (property) {
+      const key = property.node.key.name || property.node.key.value;
+      if (!REACT_QUERY_FN_KEYS.includes(key)) return null;
+
+      const hookPath = property.findParent(ancestor => ancestor.isCallExpression());
+      return hookPath ? { library: 'react-query', path: hookPath } : null;
+    }
+
+    // v3: useQuery(['users'], fetchUsers) / useMutation((data) => api.post('/users', data))
+    // SWR: useSWR('/api/users', (url) => api.get(url))
+    if (parent?.isCallExpression() && parent.node.callee.type === 'Identifier') {
+      const hookName = parent.node.callee.name;
+      const index = parent.node.arguments.indexOf(fnPath.node);
+
+      if (REACT_QUERY_HOOKS.includes(hookName) && index >= 0) {
+        return { library: 'react-query', path: parent };
+      }
+      if (SWR_HOOKS.includes(hookName) && index >= 1) {
+        return { library: 'swr', path: parent };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Nombre del componente o hook que contiene la llamada (UserProfile, useUsers)
+   */
+  getOwningComponent(nodePath) {
+    let fnPath = nodePath.getFunctionParent();
+
+    while (fnPath) {
+      const name = this.getFunctionName(fnPath);
+      if (name && (/^[A-Z]/.test(name) || /^use[A-Z]/.test(name))) return name;
+      fnPath = fnPath.parentPath?.getFunctionParent();
+    }
+
+    return null;
+  }
+
+  getFunctionName(fnPath) {
+    if (fnPath.node.id?.name) return fnPath.node.id.name;
+
+    // render() / componentDidMount() de un componente de clase
+    if (fnPath.isClassMethod()) {
+      return fnPath.findParent(ancestor => ancestor.isClass())?.node.id?.name || null;
+    }
+
+    // const UserList = () => {} / const UserList = memo(() => {}) / forwardRef(...)
+    let current = fnPath.parentPath;
+    while (current?.isCallExpression()) {
+      current = current.parentPath;
+    }
+
+    if (current?.isVariableDeclarator() && current.node.id.type === 'Identifier') {
+      return current.node.id.name;
+    }
+
+    if (current?.isClassProperty()) {
+      return current.findParent(ancestor => ancestor.isClass())?.node.id?.name || null;
+    }
+
+    return null;
+  }
+}
\ No newline at end of file
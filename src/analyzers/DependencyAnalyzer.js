@@ -0,0 +1,336 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { readFileSafe } from '../utils/fileUtils.js';
+import AdvisoryDatabase from './AdvisoryDatabase.js';
+import DependencyUsageAnalyzer from './DependencyUsageAnalyzer.js';
+
+// Base de advisories incluida con el bot
+const DEFAULT_ADVISORY_DB = fileURLToPath(new URL('../../config/advisories.json', import.meta.url));
+
+// Lockfiles soportados, en orden de preferencia
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+// Licencias copyleft que obligan a publicar el código del producto
+const DEFAULT_DENIED_LICENSES = ['GPL-2.0', 'GPL-3.0', 'AGPL-1.0', 'AGPL-3.0', 'LGPL-2.1', 'LGPL-3.0', 'SSPL-1.0', 'EUPL-1.2'];
+
+// Paquetes que deben existir en una sola versión en el bundle del frontend
+const DEFAULT_SINGLETONS = ['react', 'react-dom'];
+
+/**
+ * Auditoría de dependencias de backend, frontend y design system a partir de
+ * sus lockfiles: versiones vulnerables según la base de advisories local,
+ * licencias fuera de la política y paquetes duplicados en el árbol del frontend
+ * (React y el propio design system), más el uso real de cada dependencia
+ * (DependencyUsageAnalyzer). DependencyValidator genera los issues.
+ */
+export default class DependencyAnalyzer {
+  /**
+   * @param {object} projects - { backend, frontend, designSystem } habilitados
+   * @param {object} auditConfig - config.audit (dependencies)
+   */
+  constructor(projects, auditConfig) {
+    this.projects = projects;
+    this.auditConfig = auditConfig;
+    this.options = {
+      advisoryDb: null,
+      includeDevLicenses: false,
+      singletonPackages: DEFAULT_SINGLETONS,
+      ...(auditConfig.dependencies || {})
+    };
+    this.options.licenses = {
+      denied: DEFAULT_DENIED_LICENSES,
+      allowed: [],
+      exceptions: [],
+      ...(auditConfig.dependencies?.licenses || {})
+    };
+
+    const dbPath = this.options.advisoryDb ? path.resolve(this.options.advisoryDb) : DEFAULT_ADVISORY_DB;
+    this.advisories = new AdvisoryDatabase(dbPath);
+    this.usageAnalyzer = new DependencyUsageAnalyzer(this.options.usage);
+  }
+
+  async analyze() {
+    const result = {
+      advisoryDb: {
+        path: this.advisories.dbPath,
+        updatedAt: this.advisories.data.updatedAt,
+        advisories: this.advisories.size
+      },
+      projects: {},
+      vulnerabilities: [],
+      licenses: [],
+      duplicates: [],
+      usage: {}
+    };
+
+    for (const [projectKey, projectConfig] of Object.entries(this.projects)) {
+      if (!projectConfig?.path || !fs.existsSync(path.join(projectConfig.path, 'package.json'))) continue;
+
+      const project = this.analyzeProject(projectKey, projectConfig.path);
+      result.projects[projectKey] = {
+        lockfile: project.lockfile,
+        packages: project.packages.length,
+        direct: project.packages.filter(pkg => pkg.direct).length
+      };
+
+      result.vulnerabilities.push(...this.findVulnerabilities(projectKey, project));
+      result.licenses.push(...this.checkLicenses(projectKey, project));
+
+      // Imports reales contra package.json
+      const usage = this.usageAnalyzer.analyze(projectConfig.path, project.manifest);
+      // Sin declarar puede llegar como transitivo o no estar instalado; sin lockfile no se sabe
+      const locked = new Set(project.packages.map(pkg => pkg.name));
+      usage.missing.forEach(finding => {
+        finding.installed = project.lockfile ? locked.has(finding.package) : null;
+      });
+      result.usage[projectKey] = usage;
+
+      // Duplicados solo importan en el bundle del navegador
+      if (projectKey === 'frontend') {
+        result.duplicates.push(...this.findDuplicates(projectKey, project));
+      }
+    }
+
+    const total = Object.values(result.projects).reduce((sum, project) => sum + project.packages, 0);
+    console.log(`   ✓ ${total} paquetes revisados contra ${result.advisoryDb.advisories} advisories`);
+    if (result.vulnerabilities.length > 0) {
+      console.log(`   ⚠️  ${result.vulnerabilities.length} versiones vulnerables`);
+    }
+
+    return result;
+  }
+
+  analyzeProject(projectKey, projectPath) {
+    const manifest = JSON.parse(readFileSafe(path.join(projectPath, 'package.json')) || '{}');
+    const lockfile = LOCKFILES.find(name => fs.existsSync(path.join(projectPath, name))) || null;
+
+    let packages = [];
+    if (lockfile) {
+      const content = readFileSafe(path.join(projectPath, lockfile)) || '';
+      try {
+        if (lockfile === 'yarn.lock') packages = this.parseYarnLock(content);
+        else if (lockfile === 'pnpm-lock.yaml') packages = this.parsePnpmLock(yaml.load(content) || {});
+        else packages = this.parsePackageLock(JSON.parse(content));
+      } catch (error) {
+        console.warn(`   ⚠️  No se pudo parsear ${projectKey}/${lockfile}: ${error.message}`);
+      }
+    }
+
+    const production = Object.keys(manifest.dependencies || {});
+    const development = Object.keys(manifest.devDependencies || {});
+
+    packages.forEach(pkg => {
+      // En package-lock las copias anidadas (node_modules/x/node_modules/react) son transitivas
+      const topLevel = !pkg.path.includes('node_modules/') || pkg.path === `node_modules/${pkg.name}`;
+      pkg.direct = topLevel && (production.includes(pkg.name) || development.includes(pkg.name));
+      // yarn/pnpm no guardan la licencia: se lee del paquete instalado
+      if (pkg.license === undefined) pkg.license = this.readInstalledLicense(projectPath, pkg);
+      if (pkg.dev === undefined) pkg.dev = development.includes(pkg.name) && !production.includes(pkg.name);
+    });
+
+    return { name: manifest.name, manifest, lockfile, packages };
+  }
+
+  parsePackageLock(lock) {
+    // lockfileVersion 2/3: { packages: { 'node_modules/a/node_modules/b': { version, license, dev } } }
+    if (lock.packages) {
+      return Object.entries(lock.packages)
+        .filter(([key, entry]) => key.includes('node_modules/') && entry.version && !entry.link)
+        .map(([key, entry]) => ({
+          name: entry.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length),
+          version: entry.version,
+          path: key,
+          dev: Boolean(entry.dev || entry.devOptional),
+          license: this.normalizeLicense(entry.license)
+        }));
+    }
+
+    // lockfileVersion 1: dependencias anidadas
+    const packages = [];
+    const walk = (dependencies, parentPath) => {
+      Object.entries(dependencies || {}).forEach(([name, entry]) => {
+        const pkgPath = `${parentPath}node_modules/${name}`;
+        packages.push({ name, version: entry.version, path: pkgPath, dev: Boolean(entry.dev) });
+        walk(entry.dependencies, `${pkgPath}/`);
+      });
+    };
+    walk(lock.dependencies, '');
+    return packages;
+  }
+
+  parseYarnLock(content) {
+    const packages = [];
+    let current = null;
+
+    content.split('\n').forEach(line => {
+      // "react@^18.2.0", react@^18.0.0:  /  "react@npm:^18.2.0":
+      if (/^\S.*:$/.test(line) && !line.startsWith('#') && !line.startsWith('__metadata')) {
+        const spec = line.slice(0, -1).split(',')[0].trim().replace(/^"|"$/g, '');
+        const at = spec.indexOf('@', 1);
+        current = { name: spec.slice(0, at), spec: spec.slice(at + 1) };
+        return;
+      }
+
+      const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+      if (current && version) {
+        // Workspaces de yarn berry: 0.0.0-use.local
+        if (!current.spec.startsWith('workspace:')) {
+          packages.push({ name: current.name, version: version[1], path: `${current.name}@${current.spec}` });
+        }
+        current = null;
+      }
+    });
+
+    return packages;
+  }
+
+  parsePnpmLock(lock) {
+    return Object.entries(lock.packages || {}).map(([key, entry]) => {
+      // v5: /react-dom/18.2.0_react@18.2.0  v6: /react@18.2.0(react-dom@18.2.0)  v9: react@18.2.0
+      const clean = key.replace(/^\//, '').replace(/\(.*$/, '');
+      // En v5 la versión va tras la última / y el sufijo _… son los peers: se prueba antes que
+      // name@version, que en /react-dom/18.2.0_react@18.2.0 cortaría por la @ del peer
+      const match = clean.match(/^(@[^/]+\/[^/]+|[^@/]+)\/(\d[^/_]*)(?:_.*)?$/) || clean.match(/^(@?[^@]+)@(.+)$/);
+      const [name, version] = match ? [match[1], match[2]] : [clean, null];
+
+      return {
+        name: entry.name || name,
+        version: entry.version || version,
+        path: key,
+        dev: entry.dev
+      };
+    });
+  }
+
+  readInstalledLicense(projectPath, pkg) {
+    const location = pkg.path?.includes('node_modules/') ? pkg.path : `node_modules/${pkg.name}`;
+    const manifestPath = path.join(projectPath, location, 'package.json');
+    if (!fs.existsSync(manifestPath)) return null;
+
+    try {
+      const manifest = JSON.parse(readFileSafe(manifestPath));
+      return this.normalizeLicense(manifest.license || manifest.licenses);
+    } catch {
+      return null;
+    }
+  }
+
+  normalizeLicense(license) {
+    if (!license) return null;
+    // Formato antiguo: { type: 'MIT' } / [{ type: 'MIT' }, { type: 'Apache-2.0' }]
+    if (Array.isArray(license)) return license.map(entry => entry.type || entry).join(' OR ');
+    if (typeof license === 'object') return license.type || null;
+    return license;
+  }
+
+  findVulnerabilities(projectKey, project) {
+    const findings = [];
+    const seen = new Set();
+
+    project.packages.forEach(pkg => {
+      this.advisories.findVulnerabilities(pkg.name, pkg.version).forEach(advisory => {
+        // Un advisory por paquete@versión aunque aparezca en varias ramas del árbol
+        const key = `${pkg.name}@${pkg.version}:${advisory.id}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        findings.push({
+          project: projectKey,
+          lockfile: project.lockfile,
+          package: pkg.name,
+          version: pkg.version,
+          direct: pkg.direct,
+          dev: pkg.dev,
+          path: pkg.path,
+          advisory
+        });
+      });
+    });
+
+    return findings;
+  }
+
+  checkLicenses(projectKey, project) {
+    const { denied, allowed, exceptions } = this.options.licenses;
+    const findings = [];
+    const seen = new Set();
+
+    project.packages.forEach(pkg => {
+      if (!pkg.license || (pkg.dev && !this.options.includeDevLicenses)) return;
+      if (exceptions.includes(pkg.name) || seen.has(`${pkg.name}@${pkg.version}`)) return;
+
+      const reason = this.evaluateLicense(pkg.license, denied, allowed);
+      if (!reason) return;
+
+      seen.add(`${pkg.name}@${pkg.version}`);
+      findings.push({
+        project: projectKey,
+        package: pkg.name,
+        version: pkg.version,
+        license: pkg.license,
+        direct: pkg.direct,
+        reason
+      });
+    });
+
+    return findings;
+  }
+
+  /**
+   * Evalúa una expresión SPDX: con OR basta una licencia aceptable, con AND todas
+   * @returns {string|null} 'denied' | 'not-allowed' | null si cumple la política
+   */
+  evaluateLicense(expression, denied, allowed) {
+    const alternatives = expression.replace(/[()]/g, '').split(/\s+OR\s+/i);
+
+    const verdicts = alternatives.map(alternative => {
+      const licenses = alternative.split(/\s+AND\s+/i).map(license => license.trim());
+      // GPL-3.0-only / GPL-3.0-or-later / GPL-3.0+ comparten política con GPL-3.0
+      const base = (license) => license.replace(/(-only|-or-later|\+)$/i, '');
+
+      if (licenses.some(license => denied.some(entry => base(entry) === base(license)))) return 'denied';
+      if (allowed.length > 0 && !licenses.every(license => allowed.some(entry => base(entry) === base(license)))) {
+        return 'not-allowed';
+      }
+      return null;
+    });
+
+    if (verdicts.includes(null)) return null;
+    return verdicts.includes('denied') ? 'denied' : 'not-allowed';
+  }
+
+  findDuplicates(projectKey, project) {
+    const singletons = [...this.options.singletonPackages];
+    const dsName = this.getDesignSystemPackageName();
+    if (dsName && !singletons.includes(dsName)) singletons.push(dsName);
+
+    return singletons.flatMap(name => {
+      const installs = project.packages.filter(pkg => pkg.name === name);
+      const versions = [...new Set(installs.map(pkg => pkg.version))];
+      if (versions.length < 2) return [];
+
+      return [{
+        project: projectKey,
+        package: name,
+        isDesignSystem: name === dsName,
+        versions,
+        paths: installs.map(pkg => ({ path: pkg.path, version: pkg.version }))
+      }];
+    });
+  }
+
+  getDesignSystemPackageName() {
+    const designSystem = this.projects.designSystem;
+    if (designSystem?.packageName) return designSystem.packageName;
+    if (!designSystem?.path) return null;
+
+    const manifest = readFileSafe(path.join(designSystem.path, 'package.json'));
+    try {
+      return manifest ? JSON.parse(manifest).name || null : null;
+    } catch {
+      return null;
+    }
+  }
+}
\ No newline at end of file
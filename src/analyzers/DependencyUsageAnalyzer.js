@@ -0,0 +1,201 @@
+import fs from 'fs';
+import path from 'path';
+import { builtinModules } from 'module';
+import { findFiles, readFileSafe } from '../utils/fileUtils.js';
+import { parseCodeSafe, findImports } from '../utils/astUtils.js';
+import { loadImportAliases } from '../utils/aliasUtils.js';
+
+// Todo el código JS/TS del proyecto, incluidos tests y archivos de configuración
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+// Los tests sí cuentan aquí: son los que usan jest, @testing-library, etc.
+const DEFAULT_IGNORE = ['**/node_modules/**', '**/dist/**', '**/build/**', '**/.git/**', '**/coverage/**'];
+
+// Archivos que solo se ejecutan en desarrollo: sus imports pueden ser devDependencies
+const DEV_FILE_PATTERN = /(\.(test|spec|stories|story)\.[cm]?[jt]sx?$)|(^|\/)(__tests__|__mocks__|tests?|e2e|cypress|scripts|\.storybook)\/|(^|\/)[^/]+\.config\.[cm]?[jt]s$|(^|\/)\.[a-z]+rc\.[cm]?js$|(^|\/)setupTests\.[jt]s$/;
+
+// Configuración de herramientas que referencia paquetes por nombre
+const TOOL_CONFIG_PATTERN = /^(\.(eslintrc|babelrc|prettierrc|stylelintrc|postcssrc|lintstagedrc|commitlintrc)(\.(js|cjs|json|ya?ml))?|[a-z-]+\.config\.[cm]?[jt]s|tsconfig(\.[a-z]+)?\.json)$/;
+
+// Secciones de package.json que referencian paquetes por nombre
+const MANIFEST_TOOL_SECTIONS = ['eslintConfig', 'babel', 'jest', 'prettier', 'stylelint', 'lint-staged', 'commitlint', 'husky'];
+
+// Binarios que no coinciden con el nombre del paquete (sin node_modules instalado)
+const KNOWN_BINARIES = {
+  typescript: ['tsc', 'tsserver'],
+  'npm-run-all': ['run-p', 'run-s', 'npm-run-all'],
+  '@storybook/cli': ['sb', 'storybook'],
+  '@angular/cli': ['ng']
+};
+
+// eslint-plugin-react se referencia como 'react', babel-preset-env como 'env',
+// @typescript-eslint/eslint-plugin como '@typescript-eslint'
+const SHORTHAND_PATTERN = /^(?:(@[^/]+)\/)?(?:eslint-plugin|eslint-config|babel-preset|babel-plugin|prettier-plugin|stylelint-config)(?:-(.+))?$/;
+
+/**
+ * Compara los imports reales (import, require, import(), export from) de un
+ * proyecto con su package.json: dependencias sin uso, paquetes importados sin
+ * declarar (solo llegan como transitivos) y devDependencies usadas en código
+ * de producción. Los alias de tsconfig/vite/webpack no son paquetes.
+ */
+export default class DependencyUsageAnalyzer {
+  /**
+   * @param {object} options - config.audit.dependencies.usage
+   */
+  constructor(options = {}) {
+    this.options = {
+      ignorePatterns: DEFAULT_IGNORE,
+      ignorePackages: [],
+      ...options
+    };
+    this.filesScanned = 0;
+    this.hasJsx = false;
+  }
+
+  /**
+   * @param {string} projectPath - Raíz del proyecto
+   * @param {object} manifest - package.json parseado
+   * @returns {object} { filesScanned, unused, missing, misplaced }
+   */
+  analyze(projectPath, manifest) {
+    const aliases = loadImportAliases(projectPath);
+    const usages = this.collectUsages(projectPath, aliases, manifest.name);
+
+    const dependencies = Object.keys(manifest.dependencies || {});
+    const devDependencies = Object.keys(manifest.devDependencies || {});
+    const declared = new Set([
+      ...dependencies,
+      ...devDependencies,
+      ...Object.keys(manifest.peerDependencies || {}),
+      ...Object.keys(manifest.optionalDependencies || {})
+    ]);
+
+    const toolReferences = this.collectToolReferences(projectPath, manifest);
+    const isIgnored = (name) => this.options.ignorePackages.includes(name);
+
+    const unused = [...new Set([...dependencies, ...devDependencies])]
+      .filter(name => !usages.has(name) && !isIgnored(name))
+      // Runtime JSX automático (React 17+): react se usa sin importarlo
+      .filter(name => !(name === 'react' && this.hasJsx))
+      .filter(name => !this.isToolingPackage(name, projectPath, manifest, toolReferences))
+      .map(name => ({ package: name, dev: !dependencies.includes(name) }));
+
+    const missing = Array.from(usages.entries())
+      .filter(([name]) => !declared.has(name) && !isIgnored(name))
+      .map(([name, files]) => ({
+        package: name,
+        files,
+        onlyDev: files.every(usage => usage.dev)
+      }));
+
+    const misplaced = Array.from(usages.entries())
+      .filter(([name]) => devDependencies.includes(name) && !dependencies.includes(name) && !isIgnored(name))
+      .map(([name, files]) => ({ package: name, files: files.filter(usage => !usage.dev) }))
+      .filter(entry => entry.files.length > 0);
+
+    return { filesScanned: this.filesScanned, unused, missing, misplaced };
+  }
+
+  collectUsages(projectPath, aliases, ownName) {
+    const usages = new Map();
+    const files = findFiles(projectPath, SOURCE_EXTENSIONS, this.options.ignorePatterns);
+    this.filesScanned = 0;
+    this.hasJsx = false;
+
+    files.forEach(file => {
+      const content = readFileSafe(file);
+      const ast = content && parseCodeSafe(content);
+      if (!ast) return;
+
+      this.filesScanned++;
+      if (/\.[jt]sx$/.test(file)) this.hasJsx = true;
+      const relativePath = path.relative(projectPath, file);
+      const dev = DEV_FILE_PATTERN.test(relativePath.split(path.sep).join('/'));
+
+      findImports(ast).forEach(imp => {
+        const name = this.getPackageName(imp.source, aliases);
+        if (!name || name === ownName) return;
+
+        if (!usages.has(name)) usages.set(name, []);
+        // import type … se borra al compilar: basta con tenerlo en devDependencies
+        usages.get(name).push({ file: relativePath, line: imp.line, kind: imp.kind, dev: dev || Boolean(imp.isTypeOnly) });
+      });
+    });
+
+    return usages;
+  }
+
+  /**
+   * '@dguard/ds/Button' → '@dguard/ds', 'lodash/get' → 'lodash'; null si no es un paquete
+   */
+  getPackageName(source, aliases) {
+    if (!source || /^(\.|\/|#|[a-z]+:|~)/.test(source) || source.includes('!')) {
+      // node:fs, virtual:, data:, webpack loaders, subpath imports y rutas locales
+      return null;
+    }
+
+    const isAlias = Object.keys(aliases).some(prefix =>
+      source === prefix.replace(/\/$/, '') || source.startsWith(prefix)
+    );
+    if (isAlias) return null;
+
+    const segments = source.split('/');
+    const name = source.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+    if (builtinModules.includes(name)) return null;
+
+    return name;
+  }
+
+  /**
+   * Texto de configuración de herramientas donde buscar referencias a paquetes
+   */
+  collectToolReferences(projectPath, manifest) {
+    const texts = MANIFEST_TOOL_SECTIONS
+      .filter(section => manifest[section])
+      .map(section => JSON.stringify(manifest[section]));
+
+    fs.readdirSync(projectPath)
+      .filter(name => TOOL_CONFIG_PATTERN.test(name))
+      .forEach(name => texts.push(readFileSafe(path.join(projectPath, name)) || ''));
+
+    return texts.join('\n');
+  }
+
+  /**
+   * Paquetes usados por herramientas sin import: binarios de scripts, plugins
+   * de eslint/babel/prettier y tipos de TypeScript
+   */
+  isToolingPackage(name, projectPath, manifest, toolReferences) {
+    if (name.startsWith('@types/')) return true;
+
+    const scripts = Object.values(manifest.scripts || {}).join(' && ');
+    const commands = new Set(scripts.split(/[\s&|;()]+/).filter(Boolean));
+    const bins = this.getBinaries(name, projectPath);
+    if (bins.some(bin => commands.has(bin))) return true;
+
+    const referenced = (reference) => new RegExp(`['"\`](plugin:)?${escapeRegex(reference)}['"\`/]`).test(toolReferences);
+    if (referenced(name)) return true;
+
+    const shorthand = name.match(SHORTHAND_PATTERN);
+    if (!shorthand) return false;
+    return referenced(shorthand[1] && shorthand[2] ? `${shorthand[1]}/${shorthand[2]}` : shorthand[1] || shorthand[2]);
+  }
+
+  getBinaries(name, projectPath) {
+    const fallback = [name.split('/').pop(), ...(KNOWN_BINARIES[name] || [])];
+    const manifestPath = path.join(projectPath, 'node_modules', name, 'package.json');
+    if (!fs.existsSync(manifestPath)) return fallback;
+
+    try {
+      const { bin } = JSON.parse(readFileSafe(manifestPath));
+      if (!bin) return fallback;
+      return typeof bin === 'string' ? fallback : [...Object.keys(bin), ...fallback];
+    } catch {
+      return fallback;
+    }
+  }
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
\ No newline at end of file
@@ -2,7 +2,10 @@ import fs from 'fs';
 import path from 'path';
 import traverse from '@babel/traverse';
 import { findFiles, readFileSafe } from '../utils/fileUtils.js';
-import { parseCodeSafe, findExports, isReactComponent, extractReactProps } from '../utils/astUtils.js';
+import { parseCodeSafe, findExports, isReactComponent } from '../utils/astUtils.js';
+import PropContractExtractor from './PropContractExtractor.js';
+import ThemeTokenExtractor from './ThemeTokenExtractor.js';
+import ComponentFingerprinter from './ComponentFingerprinter.js';
 
 export default class DesignSystemAnalyzer {
   constructor(projectConfig, auditConfig) {
@@ -14,7 +17,13 @@ export default class DesignSystemAnalyzer {
     this.files = [];
     this.exports = new Map();
     this.themes = [];
+    this.tokens = [];
     this.utilities = [];
+    this.packageName = null;
+    
+    // Tipos/PropTypes indexados por archivo, compartidos entre componentes
+    this.propContracts = new PropContractExtractor();
+    this.fingerprinter = new ComponentFingerprinter();
   }
 
   async analyze() {
@@ -40,13 +49,18 @@ export default class DesignSystemAnalyzer {
     await this.analyzeUtilities();
     
     console.log(`   ✓ ${this.components.size} componentes del design system encontrados`);
+    if (this.tokens.length > 0) {
+      console.log(`   ✓ ${this.tokens.length} design tokens extraídos de ${this.themes.length} archivos de tema`);
+    }
     
     return {
       components: this.components,
       files: this.files,
       exports: this.exports,
       themes: this.themes,
-      utilities: this.utilities
+      tokens: this.tokens,
+      utilities: this.utilities,
+      packageName: this.packageName
     };
   }
 
@@ -77,6 +91,7 @@ export default class DesignSystemAnalyzer {
       const packageJson = JSON.parse(readFileSafe(packageJsonPath) || '{}');
       
       if (packageJson.name) {
+        this.packageName = packageJson.name;
         console.log(`   ✓ Design System: ${packageJson.name} v${packageJson.version || 'unknown'}`);
       }
       
@@ -184,12 +199,13 @@ export default class DesignSystemAnalyzer {
 
   extractComponentsFromFile(ast, file, content) {
     const components = [];
+    const module = this.propContracts.loadModule(path.join(this.projectConfig.path, file), ast, content);
     
     traverse.default(ast, {
       // Function components
       FunctionDeclaration: (path) => {
         if (isReactComponent(path.node)) {
-          const component = this.createComponentInfo(path.node, file, content, 'function');
+          const component = this.createComponentInfo(path.node, file, content, 'function', module);
           if (component) components.push(component);
         }
       },
@@ -197,7 +213,7 @@ export default class DesignSystemAnalyzer {
       // Arrow function components
       VariableDeclarator: (path) => {
         if (isReactComponent(path.node)) {
-          const component = this.createComponentInfo(path.node, file, content, 'arrow');
+          const component = this.createComponentInfo(path.node, file, content, 'arrow', module);
           if (component) components.push(component);
         }
       },
@@ -215,7 +231,7 @@ export default class DesignSystemAnalyzer {
           );
           
           if (isReact) {
-            const component = this.createComponentInfo(node, file, content, 'class');
+            const component = this.createComponentInfo(node, file, content, 'class', module);
             if (component) components.push(component);
           }
         }
@@ -225,24 +241,31 @@ export default class DesignSystemAnalyzer {
     return components;
   }
 
-  createComponentInfo(node, file, content, type) {
+  createComponentInfo(node, file, content, type, module) {
     const name = node.id?.name || (node.type === 'VariableDeclarator' ? node.id?.name : null);
     
     if (!name) return null;
     
+    // Tabla de props: tipo, required y default (TypeScript, PropTypes, defaultProps, desestructuración)
+    const contract = this.propContracts.extract(node, name, module);
+    
     return {
       name,
       type,
       file,
       line: node.loc?.start?.line || 0,
-      props: extractReactProps(node),
+      props: contract.props,
+      acceptsUnknownProps: contract.acceptsUnknownProps,
+      propsSource: contract.source,
       description: this.extractComponentDescription(content, node.loc?.start?.line),
       category: this.inferComponentCategory(name, file),
       complexity: this.calculateComplexity(content),
       hasStyles: this.hasStyles(content),
       hasTests: this.hasTests(file),
       hasStories: this.hasStories(file),
-      dependencies: this.extractDependencies(content)
+      dependencies: this.extractDependencies(content),
+      // Huella estructural para detectar copias en el frontend
+      fingerprint: this.fingerprinter.fingerprint(node, content, contract.props)
     };
   }
 
@@ -429,15 +452,20 @@ export default class DesignSystemAnalyzer {
   }
 
   async analyzeThemes() {
-    // Buscar archivos de tema
+    // Buscar archivos de tema y de tokens
     const themePaths = [
       'theme',
       'themes',
+      'tokens',
       'styles/theme',
       'src/theme',
       'src/themes',
-      'src/styles/theme'
+      'src/tokens',
+      'src/styles/theme',
+      'src/styles/tokens'
     ];
+    const extractor = new ThemeTokenExtractor();
+    const seen = new Set();
     
     for (const themePath of themePaths) {
       const fullPath = path.join(this.projectConfig.path, themePath);
@@ -445,25 +473,28 @@ export default class DesignSystemAnalyzer {
       if (fs.existsSync(fullPath)) {
         const themeFiles = findFiles(
           fullPath,
-          ['.js', '.ts', '.json'],
+          ['.js', '.ts', '.json', '.css', '.scss'],
           this.auditConfig.ignorePatterns
         );
         
-        themeFiles.forEach(file => {
+        themeFiles.filter(file => !seen.has(file)).forEach(file => {
+          seen.add(file);
           const relativePath = path.relative(this.projectConfig.path, file);
+          const tokens = extractor.extractFile(file, relativePath);
+          this.tokens.push(...tokens);
+          
           this.themes.push({
             file: relativePath,
             name: path.basename(file, path.extname(file)),
-            type: this.inferThemeType(file)
+            type: this.inferThemeType(file, tokens),
+            tokens: tokens.length
           });
         });
-        
-        break;
       }
     }
   }
 
-  inferThemeType(filePath) {
+  inferThemeType(filePath, tokens = []) {
     const fileName = path.basename(filePath).toLowerCase();
     
     if (fileName.includes('colors') || fileName.includes('palette')) return 'colors';
@@ -473,6 +504,16 @@ export default class DesignSystemAnalyzer {
     if (fileName.includes('shadows') || fileName.includes('elevation')) return 'shadows';
     if (fileName.includes('tokens')) return 'tokens';
     
+    // Nombre genérico (index.ts, theme.js): categoría dominante de sus tokens
+    const categories = new Set(tokens.map(token => token.category));
+    if (categories.size === 1) {
+      const [category] = categories;
+      if (category === 'color') return 'colors';
+      if (category === 'spacing') return 'spacing';
+      if (category === 'shadow') return 'shadows';
+      if (category.startsWith('font')) return 'typography';
+    }
+    
     return 'theme';
   }
 
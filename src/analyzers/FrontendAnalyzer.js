@@ -3,6 +3,13 @@ import path from 'path';
 import traverse from '@babel/traverse';
 import { findFiles, readFileSafe, getRelativePaths } from '../utils/fileUtils.js';
 import { parseCodeSafe, extractStringValue, extractObjectStructure, findImports, isReactComponent, extractReactProps } from '../utils/astUtils.js';
+import { loadImportAliases } from '../utils/aliasUtils.js';
+import HttpClientResolver from './HttpClientResolver.js';
+import ConstantResolver from './ConstantResolver.js';
+import DataFetchingDetector from './DataFetchingDetector.js';
+import FrontendSecurityScanner from './FrontendSecurityScanner.js';
+import StyleValueCollector from './StyleValueCollector.js';
+import ComponentFingerprinter from './ComponentFingerprinter.js';
 
 export default class FrontendAnalyzer {
   constructor(projectConfig, auditConfig) {
@@ -16,6 +23,15 @@ export default class FrontendAnalyzer {
     this.services = [];
     this.files = [];
     this.imports = new Map();
+    this.jsxUsages = new Map();
+    this.renderedElements = new Map();
+    this.httpClients = null;
+    this.constants = null;
+    this.dataFetching = null;
+    this.importAliases = {};
+    this.securityScanner = new FrontendSecurityScanner();
+    this.styleCollector = new StyleValueCollector();
+    this.fingerprinter = new ComponentFingerprinter();
   }
 
   async analyze() {
@@ -28,25 +44,46 @@ export default class FrontendAnalyzer {
     // Analizar estructura del proyecto
     await this.analyzeProjectStructure();
     
+    // Resolver constantes de URL e instancias axios.create (baseURL, interceptores de auth)
+    await this.resolveHttpClients();
+    
     // Buscar y analizar archivos
     await this.analyzeSourceFiles();
     
+    // URLs http:// en variables de entorno del bundle (.env, .env.production)
+    await this.scanEnvFiles();
+    
+    // Valores de estilo hardcodeados en hojas CSS/SCSS (para comparar con los design tokens)
+    await this.scanStylesheets();
+    
     // Analizar servicios/API calls específicamente
     await this.analyzeServices();
     
+    // Vincular endpoints de RTK Query con los componentes que usan sus hooks
+    await this.linkDataFetchingHooks();
+    
     // Post-procesamiento
     await this.linkImportsToComponents();
     
     console.log(`   ✓ ${this.apiCalls.size} llamadas API encontradas`);
     console.log(`   ✓ ${this.components.size} componentes encontrados`);
     
+    const securityFindings = this.securityScanner.getFindings();
+    if (securityFindings.length > 0) {
+      console.log(`   ⚠️  ${securityFindings.length} hallazgos de seguridad del lado del cliente`);
+    }
+    
     return {
       apiCalls: this.apiCalls,
       components: this.components,
       pages: this.pages,
       services: this.services,
       files: this.files,
-      imports: this.imports
+      imports: this.imports,
+      jsxUsages: Array.from(this.jsxUsages.values()),
+      renderedElements: Array.from(this.renderedElements.values()),
+      securityFindings,
+      styleValues: this.styleCollector.getValues()
     };
   }
 
@@ -93,6 +130,33 @@ export default class FrontendAnalyzer {
     }
   }
 
+  async resolveHttpClients() {
+    this.importAliases = this.getImportAliases();
+    this.constants = new ConstantResolver(this.projectConfig.path, this.auditConfig, this.importAliases);
+    this.httpClients = new HttpClientResolver(
+      this.projectConfig.path,
+      this.auditConfig,
+      this.importAliases,
+      this.constants
+    ).resolve();
+    this.dataFetching = new DataFetchingDetector(this.constants, this.httpClients);
+    
+    const clients = this.httpClients.getClients();
+    if (clients.length > 0) {
+      const authenticated = clients.filter(client => client.hasAuth).length;
+      console.log(`   ✓ ${clients.length} instancias HTTP (axios.create/createApi), ${authenticated} con auth por interceptor/headers`);
+    }
+  }
+
+  getImportAliases() {
+    // Alias de Vite/CRA más habitual: '@/...' → src/, más los declarados en tsconfig/vite/webpack
+    const srcDir = path.join(this.projectConfig.path, 'src');
+    return {
+      ...(fs.existsSync(srcDir) ? { '@/': srcDir } : {}),
+      ...loadImportAliases(this.projectConfig.path)
+    };
+  }
+
   async analyzeSourceFiles() {
     // Buscar archivos en directorios principales
     const searchPaths = [
@@ -148,8 +212,43 @@ export default class FrontendAnalyzer {
     // Buscar componentes React
     await this.extractComponents(ast, relativePath, content);
     
+    // Usos JSX de componentes importados (<Button variant="x" />) con sus atributos
+    this.extractJSXUsages(ast, relativePath, imports);
+    
     // Clasificar archivo
     this.classifyFile(relativePath, content, ast);
+    
+    // Revisión de seguridad del cliente (XSS, tokens en storage, postMessage...)
+    this.securityScanner.scan(ast, relativePath);
+    
+    // Colores, espaciados y fuentes hardcodeados (style, styled-components, Tailwind)
+    this.styleCollector.scan(ast, relativePath);
+  }
+
+  async scanEnvFiles() {
+    const envFiles = fs.readdirSync(this.projectConfig.path)
+      .filter(name => /^\.env(\..+)?$/.test(name) && !name.endsWith('.example'));
+    
+    envFiles.forEach(name => {
+      const content = readFileSafe(path.join(this.projectConfig.path, name));
+      if (content) this.securityScanner.scanEnvFile(content, name);
+    });
+  }
+
+  async scanStylesheets() {
+    const stylesheets = findFiles(
+      this.projectConfig.path,
+      ['.css', '.scss'],
+      this.auditConfig.ignorePatterns
+    );
+    
+    stylesheets.forEach(file => {
+      const relativePath = path.relative(this.projectConfig.path, file);
+      if (this.shouldExcludeFile(relativePath)) return;
+      
+      const content = readFileSafe(file);
+      if (content) this.styleCollector.scanStylesheet(content, relativePath);
+    });
   }
 
   shouldExcludeFile(relativePath) {
@@ -174,21 +273,42 @@ export default class FrontendAnalyzer {
     
     traverse.default(ast, {
       CallExpression: (path) => {
-        const apiCall = this.detectAPICall(path.node, content);
-        if (apiCall) {
-          apiCall.file = file;
-          apiCall.line = path.node.loc?.start?.line || 0;
-          apiCalls.push(apiCall);
-        }
+        const apiCall = this.detectAPICall(path.node, content, file);
+        
+        // React Query, SWR y RTK Query declaran la request fuera de fetch/axios
+        const libraryCalls = this.dataFetching?.detect(path, file) || [];
+        
+        [apiCall, ...libraryCalls].filter(Boolean).forEach(call => {
+          const context = this.dataFetching?.getContext(path) || {};
+          
+          call.file = file;
+          call.line = path.node.loc?.start?.line || 0;
+          call.nodePath = path;
+          call.library = call.library || context.library || null;
+          call.hookLine = call.hookLine || context.hookLine || null;
+          call.component = context.component || null;
+          apiCalls.push(call);
+        });
+        
+        this.dataFetching?.recordHookUsage(path, file);
       }
     });
     
+    // useSWR('/api/users', () => api.get('/api/users')): la key y el fetcher son la misma request
+    const seenHookCalls = new Set();
+    
     // Procesar y normalizar llamadas API
     for (const call of apiCalls) {
       const normalizedCall = await this.normalizeAPICall(call);
       if (normalizedCall) {
         const key = `${normalizedCall.method} ${normalizedCall.endpoint}`;
         
+        if (call.hookLine) {
+          const hookKey = `${call.hookLine}|${key}`;
+          if (seenHookCalls.has(hookKey)) continue;
+          seenHookCalls.add(hookKey);
+        }
+        
         if (!this.apiCalls.has(key)) {
           this.apiCalls.set(key, []);
         }
@@ -198,7 +318,9 @@ export default class FrontendAnalyzer {
     }
   }
 
-  detectAPICall(node, content) {
+  detectAPICall(node, content, file) {
+    const httpMethods = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+    
     // 1. fetch(url, options)
     if (node.callee.name === 'fetch') {
       return {
@@ -208,7 +330,25 @@ export default class FrontendAnalyzer {
       };
     }
     
-    // 2. axios.METHOD(url, data, config)
+    // 2. Instancias axios.create importadas: apiClient.METHOD(url, data, config)
+    const client = file &&
+      node.callee.type === 'MemberExpression' &&
+      node.callee.object.type === 'Identifier' &&
+      httpMethods.includes(node.callee.property.name) &&
+      this.httpClients?.getClient(file, node.callee.object.name);
+    
+    if (client) {
+      return {
+        type: client === this.httpClients.getGlobalClient() ? 'axios' : 'api',
+        method: node.callee.property.name.toUpperCase(),
+        urlArg: node.arguments[0],
+        dataArg: node.arguments[1],
+        configArg: node.arguments[2],
+        client
+      };
+    }
+    
+    // 3. axios.METHOD(url, data, config)
     if (
       node.callee.type === 'MemberExpression' &&
       node.callee.object.name === 'axios' &&
@@ -219,11 +359,12 @@ export default class FrontendAnalyzer {
         method: node.callee.property.name.toUpperCase(),
         urlArg: node.arguments[0],
         dataArg: node.arguments[1],
-        configArg: node.arguments[2]
+        configArg: node.arguments[2],
+        client: this.httpClients?.getGlobalClient() || null
       };
     }
     
-    // 3. api.METHOD() - Custom API wrapper
+    // 4. api.METHOD() - Custom API wrapper
     if (
       node.callee.type === 'MemberExpression' &&
       (node.callee.object.name === 'api' || 
@@ -241,7 +382,7 @@ export default class FrontendAnalyzer {
       };
     }
     
-    // 4. request() calls
+    // 5. request() calls
     if (node.callee.name === 'request' || 
         (node.callee.type === 'MemberExpression' && node.callee.property.name === 'request')) {
       return {
@@ -250,11 +391,13 @@ export default class FrontendAnalyzer {
       };
     }
     
-    // 5. Custom service calls que contengan 'api' en el nombre
+    // 6. Custom service calls que contengan 'api' en el nombre
     if (
       node.callee.type === 'MemberExpression' &&
       node.callee.object.name &&
-      /api|service|client/i.test(node.callee.object.name)
+      /api|service|client/i.test(node.callee.object.name) &&
+      !this.isURLBuilderCall(node, file) &&
+      !this.isApiSliceCall(node, file)
     ) {
       return {
         type: 'service',
@@ -277,7 +420,7 @@ export default class FrontendAnalyzer {
     try {
       // Extraer endpoint según tipo de llamada
       if (call.type === 'fetch') {
-        endpoint = extractStringValue(call.urlArg);
+        endpoint = this.resolveURL(call);
         
         // Extraer método de options
         if (call.optionsArg) {
@@ -299,7 +442,7 @@ export default class FrontendAnalyzer {
           }
         }
       } else if (call.type === 'axios' || call.type === 'api') {
-        endpoint = extractStringValue(call.urlArg);
+        endpoint = this.resolveURL(call);
         
         // Extraer data
         if (call.dataArg) {
@@ -313,6 +456,13 @@ export default class FrontendAnalyzer {
             hasAuth = this.checkAuthInHeaders(config.headers);
           }
         }
+      } else if (call.type === 'swr' || call.type === 'rtk-query') {
+        // La key de SWR / el query de RTK Query es la URL; el body sale del query de la mutation
+        endpoint = this.resolveURL(call);
+        
+        if (call.dataArg) {
+          data = extractObjectStructure(call.dataArg);
+        }
       } else if (call.type === 'service') {
         // Para llamadas de servicio custom, intentar inferir endpoint
         endpoint = `/${call.serviceName}/${call.method}`;
@@ -325,10 +475,17 @@ export default class FrontendAnalyzer {
       
       if (!endpoint) return null;
       
-      // Limpiar y normalizar endpoint
+      // La instancia aporta baseURL y, si tiene interceptor/headers de auth, autenticación
+      if (call.client) {
+        endpoint = this.applyBaseURL(endpoint, call.client.baseURL);
+        hasAuth = hasAuth || call.client.hasAuth;
+      }
+      
+      // Limpiar y normalizar endpoint (los query params se leen antes de descartarlos)
+      const queryParams = [...this.extractQueryParams(endpoint), ...(call.queryParams || [])];
       endpoint = this.cleanEndpoint(endpoint);
       
-      return {
+      const normalizedCall = {
         method,
         endpoint,
         originalUrl: extractStringValue(call.urlArg),
@@ -338,10 +495,22 @@ export default class FrontendAnalyzer {
         data,
         hasAuth,
         expectedResponse,
+        client: call.client?.name || null,
+        library: call.library || null,
+        component: call.component || null,
         params: this.extractURLParams(endpoint),
-        queryParams: this.extractQueryParams(endpoint)
+        queryParams
       };
       
+      // RTK Query: los componentes se conocen al encontrar los hooks generados (useGetUserQuery)
+      if (call.hooks) {
+        normalizedCall.endpointName = call.endpointName;
+        normalizedCall.hooks = call.hooks;
+        normalizedCall.usedBy = [];
+      }
+      
+      return normalizedCall;
+      
     } catch (error) {
       console.warn(`   ⚠️  Error normalizando API call en ${call.file}:${call.line}`);
       return null;
@@ -382,6 +551,32 @@ export default class FrontendAnalyzer {
            'POST';
   }
 
+  isURLBuilderCall(node, file) {
+    // API.user(id) en un mapa de endpoints construye una URL, no hace la request
+    return !!(file && this.constants?.resolveString(node, file));
+  }
+
+  isApiSliceCall(node, file) {
+    // baseApi.injectEndpoints({...}) de RTK Query define endpoints, no hace la request
+    if (['injectEndpoints', 'enhanceEndpoints'].includes(node.callee.property.name)) return true;
+    
+    const client = file && this.httpClients?.getClient(file, node.callee.object.name);
+    return client?.library === 'rtk-query';
+  }
+
+  resolveURL(call) {
+    // Constantes, mapas de endpoints y templates; si no es estático, el literal tal cual
+    const resolved = this.constants?.resolveString(call.urlArg, call.file, call.nodePath);
+    return resolved ?? extractStringValue(call.urlArg);
+  }
+
+  applyBaseURL(endpoint, baseURL) {
+    // Igual que axios: las URLs absolutas ignoran baseURL
+    if (!baseURL || /^https?:\/\//.test(endpoint)) return endpoint;
+    
+    return `${baseURL.replace(/\/+$/, '')}/${endpoint.replace(/^\/+/, '')}`;
+  }
+
   cleanEndpoint(endpoint) {
     if (!endpoint) return '';
     
@@ -442,13 +637,15 @@ export default class FrontendAnalyzer {
       // Function components: function ComponentName() {}
       FunctionDeclaration: (path) => {
         if (isReactComponent(path.node)) {
+          const props = extractReactProps(path.node);
           components.push({
             name: path.node.id.name,
             type: 'function',
             file,
             line: path.node.loc?.start?.line,
-            props: extractReactProps(path.node),
-            isDefault: false
+            props,
+            isDefault: false,
+            fingerprint: this.fingerprinter.fingerprint(path.node, content, props)
           });
         }
       },
@@ -456,13 +653,15 @@ export default class FrontendAnalyzer {
       // Arrow function components: const ComponentName = () => {}
       VariableDeclarator: (path) => {
         if (isReactComponent(path.node)) {
+          const props = extractReactProps(path.node);
           components.push({
             name: path.node.id.name,
             type: 'arrow',
             file,
             line: path.node.loc?.start?.line,
-            props: extractReactProps(path.node),
-            isDefault: false
+            props,
+            isDefault: false,
+            fingerprint: this.fingerprinter.fingerprint(path.node, content, props)
           });
         }
       },
@@ -486,7 +685,8 @@ export default class FrontendAnalyzer {
               file,
               line: node.loc?.start?.line,
               props: [],
-              isDefault: false
+              isDefault: false,
+              fingerprint: this.fingerprinter.fingerprint(node, content)
             });
           }
         }
@@ -510,6 +710,131 @@ export default class FrontendAnalyzer {
     });
   }
 
+  extractJSXUsages(ast, file, imports) {
+    // Nombre local → { source, imported }
+    const bindings = new Map();
+    imports.forEach(imp => {
+      if (imp.kind !== 'import') return;
+      if (imp.defaultName) bindings.set(imp.defaultName, { source: imp.source, imported: 'default' });
+      if (imp.namespaceName) bindings.set(imp.namespaceName, { source: imp.source, imported: '*' });
+      imp.specifiers.forEach(spec => bindings.set(spec.local, { source: imp.source, imported: spec.imported }));
+    });
+    
+    traverse.default(ast, {
+      JSXOpeningElement: (path) => {
+        const node = path.node;
+        const tag = this.resolveJSXTag(node.name, bindings);
+        const line = node.loc?.start?.line || 0;
+        const key = `${file}:${line}:${node.loc?.start?.column || 0}`;
+        
+        // Todo elemento renderizado cuenta para la adopción del design system
+        this.recordRenderedElement(key, node, tag, file, line);
+        if (!tag) return;
+        
+        // Archivos en varias carpetas de búsqueda se analizan más de una vez
+        if (this.jsxUsages.has(key)) return;
+        
+        const children = path.parent.children || [];
+        this.jsxUsages.set(key, {
+          ...tag,
+          file,
+          line,
+          attributes: node.attributes
+            .filter(attr => attr.type === 'JSXAttribute')
+            .map(attr => this.readJSXAttribute(attr)),
+          hasSpread: node.attributes.some(attr => attr.type === 'JSXSpreadAttribute'),
+          hasChildren: children.some(child => child.type !== 'JSXText' || child.value.trim() !== '')
+        });
+      }
+    });
+  }
+  
+  recordRenderedElement(key, node, tag, file, line) {
+    if (this.renderedElements.has(key)) return;
+    
+    const { name } = node;
+    const usage = {
+      file,
+      line,
+      attributes: node.attributes
+        .filter(attr => attr.type === 'JSXAttribute')
+        .map(attr => this.readJSXAttribute(attr)),
+      hasSpread: node.attributes.some(attr => attr.type === 'JSXSpreadAttribute')
+    };
+    
+    // <div>, <button>: elementos HTML nativos
+    if (name.type === 'JSXIdentifier' && /^[a-z]/.test(name.name)) {
+      this.renderedElements.set(key, { ...usage, tag: name.name, kind: 'html', source: null });
+      return;
+    }
+    
+    // <Fragment> / <React.Fragment> no renderizan nada
+    const label = name.type === 'JSXMemberExpression' && name.object.type === 'JSXIdentifier'
+      ? `${name.object.name}.${name.property.name}`
+      : name.name;
+    if (typeof label !== 'string' || /(^|\.)Fragment$/.test(label)) return;
+    
+    // Importado: el validador decide si viene del design system, de un paquete o es local
+    this.renderedElements.set(key, tag
+      ? { ...usage, tag: tag.component, kind: 'imported', source: tag.source, localSource: this.isLocalSource(tag.source) }
+      : { ...usage, tag: label, kind: 'local', source: null });
+  }
+  
+  isLocalSource(source) {
+    // ./Card, ../components/Card o un alias del proyecto (@/components/Card)
+    return source.startsWith('.') || Object.keys(this.importAliases).some(prefix =>
+      source === prefix.replace(/\/$/, '') || source.startsWith(prefix)
+    );
+  }
+  
+  resolveJSXTag(name, bindings) {
+    // <Button />: import { Button } / import Button from '.../Button'
+    if (name.type === 'JSXIdentifier' && /^[A-Z]/.test(name.name)) {
+      const binding = bindings.get(name.name);
+      if (!binding) return null;
+      
+      return {
+        component: binding.imported === 'default' ? name.name : binding.imported,
+        local: name.name,
+        source: binding.source
+      };
+    }
+    
+    // <DS.Button />: import * as DS
+    if (name.type === 'JSXMemberExpression' && name.object.type === 'JSXIdentifier') {
+      const binding = bindings.get(name.object.name);
+      if (!binding) return null;
+      
+      return {
+        component: name.property.name,
+        local: `${name.object.name}.${name.property.name}`,
+        source: binding.source
+      };
+    }
+    
+    return null;
+  }
+  
+  readJSXAttribute(attr) {
+    const name = attr.name.type === 'JSXNamespacedName'
+      ? `${attr.name.namespace.name}:${attr.name.name.name}`
+      : attr.name.name;
+    
+    // <Button disabled /> equivale a disabled={true}
+    if (!attr.value) return { name, isLiteral: true, value: true };
+    if (attr.value.type === 'StringLiteral') return { name, isLiteral: true, value: attr.value.value };
+    
+    const expression = attr.value.expression;
+    if (['StringLiteral', 'NumericLiteral', 'BooleanLiteral'].includes(expression?.type)) {
+      return { name, isLiteral: true, value: expression.value };
+    }
+    if (expression?.type === 'TemplateLiteral' && expression.expressions.length === 0) {
+      return { name, isLiteral: true, value: expression.quasis[0].value.cooked };
+    }
+    
+    return { name, isLiteral: false, value: null };
+  }
+
   classifyFile(file, content, ast) {
     const fileName = path.basename(file).toLowerCase();
     const dirName = path.dirname(file).toLowerCase();
@@ -528,7 +853,7 @@ export default class FrontendAnalyzer {
     // Clasificar como servicio
     if (dirName.includes('services') || dirName.includes('api') ||
         fileName.includes('service') || fileName.includes('api') ||
-        this.containsMultipleAPICalls(ast)) {
+        this.containsMultipleAPICalls(ast, file)) {
       this.services.push({
         file,
         name: path.basename(file, path.extname(file)),
@@ -548,12 +873,12 @@ export default class FrontendAnalyzer {
     return 'component-page';
   }
 
-  containsMultipleAPICalls(ast) {
+  containsMultipleAPICalls(ast, file) {
     let apiCallCount = 0;
     
     traverse.default(ast, {
       CallExpression: (path) => {
-        if (this.detectAPICall(path.node)) {
+        if (this.detectAPICall(path.node, null, file)) {
           apiCallCount++;
         }
       }
@@ -604,6 +929,15 @@ export default class FrontendAnalyzer {
     }
   }
 
+  async linkDataFetchingHooks() {
+    if (!this.dataFetching) return;
+    
+    const linked = this.dataFetching.linkHookUsages(this.apiCalls);
+    if (linked > 0) {
+      console.log(`   ✓ ${linked} endpoints de RTK Query vinculados a componentes`);
+    }
+  }
+
   async linkImportsToComponents() {
     // Vincular imports con componentes para detectar uso del design system
     // Esto se implementará cuando tengamos el DesignSystemAnalyzer
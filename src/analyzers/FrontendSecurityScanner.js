@@ -0,0 +1,465 @@
+import traverse from '@babel/traverse';
+
+// Claves de storage que guardan credenciales
+const TOKEN_KEY_PATTERN = /token|jwt|auth|session|access|refresh|credential|secret/i;
+
+// DOMPurify.sanitize(html), sanitizeHtml(html), xss(html)
+const HTML_SANITIZER_PATTERN = /sanitiz|purify|xss|escape/i;
+
+// Funciones que validan o sanean una URL: sanitizeUrl(url), isSafeUrl(url)
+const URL_VALIDATOR_PATTERN = /sanitizeUrl|isSafeUrl|isValidUrl|validateUrl|safeUrl/i;
+
+// URLs http:// locales son aceptables en desarrollo
+const LOCAL_HOST_PATTERN = /^http:\/\/(localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1\])(:\d+)?(\/|$)/i;
+
+// Variables que suelen contener la URL base de la API
+const URL_NAME_PATTERN = /url|uri|api|base|endpoint|host|server/i;
+
+const HTTP_CALLEES = ['fetch', 'axios', 'axios.get', 'axios.post', 'axios.put', 'axios.patch', 'axios.delete', 'axios.create'];
+
+const FINDINGS = {
+  'dangerous-html': { type: 'DANGEROUS_INNER_HTML', severity: 'HIGH' },
+  'token-storage': { type: 'TOKEN_IN_WEB_STORAGE', severity: 'MEDIUM' },
+  'unsafe-url': { type: 'UNSAFE_URL_NAVIGATION', severity: 'MEDIUM' },
+  'postmessage-origin': { type: 'POSTMESSAGE_NO_ORIGIN_CHECK', severity: 'HIGH' },
+  'insecure-http': { type: 'INSECURE_HTTP_URL', severity: 'HIGH' },
+  'target-blank': { type: 'TARGET_BLANK_NO_NOOPENER', severity: 'LOW' }
+};
+
+/**
+ * Revisión de seguridad del lado del cliente sobre cada archivo del frontend:
+ * dangerouslySetInnerHTML dinámico, tokens en localStorage/sessionStorage,
+ * navegación a URLs sin validar javascript:, listeners de postMessage sin
+ * verificar origin, URLs http:// y target="_blank" sin rel="noopener".
+ */
+export default class FrontendSecurityScanner {
+  constructor() {
+    // archivo:línea:regla → hallazgo (el mismo archivo puede analizarse más de una vez)
+    this.findings = new Map();
+  }
+
+  /**
+   * @param {object} ast - AST del archivo
+   * @param {string} file - Ruta relativa al proyecto
+   */
+  scan(ast, file) {
+    traverse.default(ast, {
+      JSXOpeningElement: (nodePath) => {
+        this.checkDangerousHTML(nodePath, file);
+        this.checkTargetBlank(nodePath, file);
+        this.checkJSXHref(nodePath, file);
+      },
+
+      CallExpression: (nodePath) => {
+        const callee = this.getCalleeName(nodePath.node.callee);
+
+        this.checkStorageCall(nodePath, callee, file);
+        this.checkMessageListener(nodePath, callee, file);
+        this.checkHttpCall(nodePath, callee, file);
+        if (/^(window\.)?open$/.test(callee)) {
+          this.checkNavigationTarget(nodePath.node.arguments[0], nodePath, file, callee);
+        }
+      },
+
+      AssignmentExpression: (nodePath) => {
+        const target = this.getCalleeName(nodePath.node.left);
+
+        // localStorage.token = jwt / localStorage['token'] = jwt
+        if (/^(window\.)?(localStorage|sessionStorage)\./.test(target)) {
+          const key = nodePath.node.left.computed
+            ? this.getStaticString(nodePath.node.left.property, nodePath)
+            : nodePath.node.left.property.name;
+          this.checkStoredValue(key, nodePath.node.right, nodePath, file, target.split('.').slice(-2)[0]);
+        }
+
+        // window.location.href = url / location = url
+        if (/^(window\.)?location(\.href)?$|^(window|document)\.location$/.test(target)) {
+          this.checkNavigationTarget(nodePath.node.right, nodePath, file, target);
+        }
+
+        // window.onmessage = (event) => {...}
+        if (/^(window\.)?onmessage$/.test(target)) {
+          this.checkMessageHandler(nodePath.get('right'), nodePath, file);
+        }
+      },
+
+      ObjectProperty: (nodePath) => {
+        // axios.create({ baseURL: 'http://api.empresa.com' })
+        const key = nodePath.node.key.name || nodePath.node.key.value;
+        if (key === 'baseURL' || key === 'baseUrl') {
+          this.checkInsecureURL(nodePath.node.value, nodePath, file, key);
+        }
+      },
+
+      VariableDeclarator: (nodePath) => {
+        // const API_URL = 'http://api.empresa.com'
+        const { id, init } = nodePath.node;
+        if (id.type === 'Identifier' && URL_NAME_PATTERN.test(id.name) && init) {
+          this.checkInsecureURL(init, nodePath, file, id.name);
+        }
+      }
+    });
+  }
+
+  /**
+   * Hallazgos acumulados de todos los archivos escaneados
+   * @returns {array} Array de { rule, type, severity, message, file, line, details }
+   */
+  getFindings() {
+    return Array.from(this.findings.values());
+  }
+
+  /**
+   * Escanea archivos .env del frontend: VITE_API_URL=http://...
+   */
+  scanEnvFile(content, file) {
+    content.split('\n').forEach((line, index) => {
+      const match = line.match(/^\s*(?:export\s+)?([A-Za-z0-9_]+)\s*=\s*['"]?(http:\/\/[^'"\s#]+)/);
+      if (!match || !URL_NAME_PATTERN.test(match[1]) || LOCAL_HOST_PATTERN.test(match[2])) return;
+
+      this.addFinding('insecure-http', file, index + 1, `${match[1]} usa http:// sin TLS: ${match[2]}`, {
+        name: match[1],
+        url: match[2]
+      });
+    });
+  }
+
+  checkDangerousHTML(nodePath, file) {
+    const attribute = this.getJSXAttribute(nodePath.node, 'dangerouslySetInnerHTML');
+    if (!attribute) return;
+
+    const expression = attribute.value?.expression;
+    const html = expression?.type === 'ObjectExpression'
+      ? expression.properties.find(prop => (prop.key?.name || prop.key?.value) === '__html')?.value
+      : expression;
+    if (!html) return;
+
+    // Strings fijos o HTML pasado por DOMPurify/sanitize-html
+    if (this.getStaticString(html, nodePath) !== null) return;
+    if (html.type === 'CallExpression' && HTML_SANITIZER_PATTERN.test(this.getCalleeName(html.callee))) return;
+    if (html.type === 'Identifier' && this.isSanitizedBinding(html.name, nodePath)) return;
+
+    this.addFinding('dangerous-html', file, attribute.loc?.start?.line,
+      `dangerouslySetInnerHTML con contenido dinámico en <${this.getElementName(nodePath.node)}>`,
+      { element: this.getElementName(nodePath.node), value: this.describe(html) }
+    );
+  }
+
+  isSanitizedBinding(name, nodePath) {
+    const init = nodePath.scope.getBinding(name)?.path.node.init;
+    return init?.type === 'CallExpression' && HTML_SANITIZER_PATTERN.test(this.getCalleeName(init.callee));
+  }
+
+  checkTargetBlank(nodePath, file) {
+    const target = this.getJSXAttribute(nodePath.node, 'target');
+    if (this.getJSXAttributeString(target, nodePath) !== '_blank') return;
+
+    const rel = this.getJSXAttribute(nodePath.node, 'rel');
+    if (rel) {
+      const relValue = this.getJSXAttributeString(rel, nodePath);
+      // rel dinámico: no se puede verificar
+      if (relValue === null || /noopener|noreferrer/i.test(relValue)) return;
+    }
+
+    this.addFinding('target-blank', file, target.loc?.start?.line,
+      `<${this.getElementName(nodePath.node)} target="_blank"> sin rel="noopener noreferrer"`,
+      { element: this.getElementName(nodePath.node) }
+    );
+  }
+
+  checkJSXHref(nodePath, file) {
+    const element = this.getElementName(nodePath.node);
+    if (!['a', 'Link', 'NavLink', 'area'].includes(element)) return;
+
+    const href = this.getJSXAttribute(nodePath.node, 'href') || this.getJSXAttribute(nodePath.node, 'to');
+    const expression = href?.value?.type === 'JSXExpressionContainer' ? href.value.expression : null;
+    if (expression) this.checkNavigationTarget(expression, nodePath, file, `<${element} ${href.name.name}>`);
+  }
+
+  checkNavigationTarget(node, nodePath, file, sink) {
+    if (!node || this.isSafeURL(node, nodePath)) return;
+
+    this.addFinding('unsafe-url', file, node.loc?.start?.line,
+      `${sink} con URL dinámica sin validar el esquema javascript:`,
+      { sink, value: this.describe(node) }
+    );
+  }
+
+  isSafeURL(node, nodePath) {
+    // isSafeUrl(url) ? url : '#'
+    if (node.type === 'ConditionalExpression') {
+      return this.isSafeURL(node.consequent, nodePath) && this.isSafeURL(node.alternate, nodePath);
+    }
+    return this.hasSafePrefix(node, nodePath) || this.isValidatedURL(node, nodePath);
+  }
+
+  hasSafePrefix(node, nodePath) {
+    // `/users/${id}` o 'https://...' + path: el esquema está fijado
+    const isSafe = (text) => /^(\/(?!\/)|#|\?|\.|https:\/\/|mailto:|tel:)/i.test(text);
+
+    const value = this.getStaticString(node, nodePath);
+    if (value !== null) return !/^\s*javascript:/i.test(value);
+
+    // ROUTES.HOME, API_DOCS_URL, ROUTES.user(id), generatePath(...): rutas definidas en código
+    let root = node.type === 'CallExpression' ? node.callee : node;
+    if (root.type === 'Identifier' && root.name === 'generatePath') return true;
+    while (root.type === 'MemberExpression') root = root.object;
+    if (root.type === 'Identifier' && /^[A-Z][A-Z0-9_]*$/.test(root.name)) return true;
+
+    if (node.type === 'TemplateLiteral') return isSafe(node.quasis[0].value.cooked);
+    if (node.type === 'BinaryExpression' && node.operator === '+') return this.hasSafePrefix(node.left, nodePath);
+
+    // Objetos de react-router: to={{ pathname: '/x' }}
+    return node.type === 'ObjectExpression';
+  }
+
+  /**
+   * La URL pasa por un validador o se comprueba en el ámbito donde se declara:
+   * sanitizeUrl(url), const safe = sanitizeUrl(url), if (!isSafeUrl(url)) return,
+   * url.startsWith('javascript:'), new URL(url).protocol
+   */
+  isValidatedURL(node, nodePath) {
+    if (node.type === 'CallExpression') return URL_VALIDATOR_PATTERN.test(this.getCalleeName(node.callee));
+
+    const name = this.getCalleeName(node);
+    if (!name) return false;
+
+    const root = name.split('.')[0];
+    const binding = nodePath.scope.getBinding(root);
+    const init = binding?.path.node.init;
+    if (name === root && init?.type === 'CallExpression' && URL_VALIDATOR_PATTERN.test(this.getCalleeName(init.callee))) {
+      return true;
+    }
+
+    // Solo cuentan las comprobaciones sobre esta misma URL, no cualquier .protocol del archivo
+    const scopePath = binding ? binding.scope.path : nodePath.scope.getProgramParent().path;
+    let validated = false;
+    scopePath.traverse({
+      CallExpression: (callPath) => {
+        if (this.checksURL(callPath.node, name, callPath)) {
+          validated = true;
+          callPath.stop();
+        }
+      },
+      MemberExpression: (memberPath) => {
+        if (memberPath.node.property.name === 'protocol' && this.isParsedURL(memberPath.node.object, name, memberPath)) {
+          validated = true;
+          memberPath.stop();
+        }
+      }
+    });
+
+    return validated;
+  }
+
+  checksURL(call, name, callPath) {
+    const refersToURL = (node) => this.getURLSubject(node) === name;
+
+    // if (!isSafeUrl(url)) / validateUrl(props.href); const safe = sanitizeUrl(url) no valida url
+    if (URL_VALIDATOR_PATTERN.test(this.getCalleeName(call.callee))) {
+      return !callPath.parentPath.isVariableDeclarator() && call.arguments.some(refersToURL);
+    }
+
+    // url.startsWith('javascript:') / /^javascript:/i.test(url)
+    if (call.callee.type !== 'MemberExpression') return false;
+    const mentionsScheme = [call.callee.object, ...call.arguments].some(arg =>
+      (arg.type === 'RegExpLiteral' && /javascript/i.test(arg.pattern)) ||
+      /javascript:/i.test(this.getStaticString(arg, callPath) || '')
+    );
+    return mentionsScheme && [call.callee.object, ...call.arguments].some(refersToURL);
+  }
+
+  isParsedURL(node, name, nodePath) {
+    // new URL(url).protocol
+    if (node.type === 'NewExpression') {
+      return this.getCalleeName(node.callee) === 'URL' && this.getURLSubject(node.arguments[0]) === name;
+    }
+
+    // const parsed = new URL(url); parsed.protocol
+    if (node.type === 'Identifier') {
+      const init = nodePath.scope.getBinding(node.name)?.path.node.init;
+      return init?.type === 'NewExpression' && this.isParsedURL(init, name, nodePath);
+    }
+
+    return false;
+  }
+
+  getURLSubject(node) {
+    // url.trim().toLowerCase() sigue siendo url
+    let subject = node;
+    while (subject?.type === 'CallExpression' && subject.callee.type === 'MemberExpression') {
+      subject = subject.callee.object;
+    }
+    return subject ? this.getCalleeName(subject) : '';
+  }
+
+  checkStorageCall(nodePath, callee, file) {
+    const match = callee.match(/^(?:window\.)?(localStorage|sessionStorage)\.setItem$/);
+    if (!match) return;
+
+    const [keyNode, valueNode] = nodePath.node.arguments;
+    this.checkStoredValue(this.getStaticString(keyNode, nodePath), valueNode, nodePath, file, match[1]);
+  }
+
+  checkStoredValue(key, valueNode, nodePath, file, storage) {
+    const valueName = valueNode ? this.describe(valueNode) : '';
+    const storesToken = (key && TOKEN_KEY_PATTERN.test(key)) || /token|jwt/i.test(valueName);
+    if (!storesToken) return;
+
+    this.addFinding('token-storage', file, nodePath.node.loc?.start?.line,
+      `Token guardado en ${storage}${key ? ` ('${key}')` : ''}: accesible desde cualquier script (XSS)`,
+      { storage, key, value: valueName }
+    );
+  }
+
+  checkMessageListener(nodePath, callee, file) {
+    if (!/(^|\.)addEventListener$/.test(callee)) return;
+
+    // Solo listeners globales: window.addEventListener('message') / addEventListener('message')
+    const object = callee.split('.').slice(0, -1).join('.');
+    if (object && !['window', 'self', 'globalThis'].includes(object)) return;
+
+    const [eventNode] = nodePath.node.arguments;
+    if (this.getStaticString(eventNode, nodePath) !== 'message') return;
+
+    this.checkMessageHandler(nodePath.get('arguments.1'), nodePath, file);
+  }
+
+  checkMessageHandler(handlerPath, nodePath, file) {
+    let fnPath = handlerPath;
+
+    // window.addEventListener('message', handleMessage)
+    if (fnPath?.isIdentifier()) {
+      const binding = fnPath.scope.getBinding(fnPath.node.name);
+      fnPath = binding?.path.isVariableDeclarator() ? binding.path.get('init') : binding?.path;
+    }
+    if (!fnPath?.isFunction()) return;
+
+    // event.origin / e.origin / ({ origin, data }) => ...
+    const [param] = fnPath.node.params;
+    if (!param) {
+      this.reportMessageListener(nodePath, file);
+      return;
+    }
+    if (param.type === 'ObjectPattern') {
+      if (param.properties.some(prop => (prop.key?.name || prop.key?.value) === 'origin')) return;
+    } else if (param.type === 'Identifier') {
+      let checksOrigin = false;
+      fnPath.traverse({
+        MemberExpression: (memberPath) => {
+          const { object, property } = memberPath.node;
+          if (object.type === 'Identifier' && object.name === param.name && property.name === 'origin') {
+            checksOrigin = true;
+            memberPath.stop();
+          }
+        }
+      });
+      if (checksOrigin) return;
+    }
+
+    this.reportMessageListener(nodePath, file);
+  }
+
+  reportMessageListener(nodePath, file) {
+    this.addFinding('postmessage-origin', file, nodePath.node.loc?.start?.line,
+      'Listener de postMessage que no verifica event.origin',
+      {}
+    );
+  }
+
+  checkHttpCall(nodePath, callee, file) {
+    if (!HTTP_CALLEES.includes(callee)) return;
+
+    // fetch(API_URL): la constante se reporta en su declaración
+    const [first] = nodePath.node.arguments;
+    if (first && first.type !== 'ObjectExpression' && first.type !== 'Identifier') {
+      this.checkInsecureURL(first, nodePath, file, callee);
+    }
+  }
+
+  checkInsecureURL(node, nodePath, file, context) {
+    let url = this.getStaticString(node, nodePath);
+
+    // process.env.VITE_API_URL || 'http://...' / `http://${host}/api` / 'http://api' + path
+    if (url === null && node.type === 'LogicalExpression') url = this.getStaticString(node.right, nodePath);
+    if (url === null && node.type === 'TemplateLiteral') url = node.quasis[0].value.cooked;
+    if (url === null && node.type === 'BinaryExpression' && node.left.type === 'StringLiteral') url = node.left.value;
+
+    if (!url || !/^http:\/\//i.test(url) || LOCAL_HOST_PATTERN.test(url)) return;
+
+    this.addFinding('insecure-http', file, node.loc?.start?.line,
+      `${context} usa http:// sin TLS: ${url}`,
+      { context, url }
+    );
+  }
+
+  addFinding(rule, file, line, message, details) {
+    const key = `${file}:${line}:${rule}`;
+    if (this.findings.has(key)) return;
+
+    this.findings.set(key, {
+      rule,
+      ...FINDINGS[rule],
+      message,
+      file,
+      line: line || 0,
+      details
+    });
+  }
+
+  getJSXAttribute(openingElement, name) {
+    return openingElement.attributes.find(attr =>
+      attr.type === 'JSXAttribute' && attr.name.name === name
+    ) || null;
+  }
+
+  getJSXAttributeString(attribute, nodePath) {
+    if (!attribute?.value) return null;
+    if (attribute.value.type === 'StringLiteral') return attribute.value.value;
+    if (attribute.value.type === 'JSXExpressionContainer') {
+      return this.getStaticString(attribute.value.expression, nodePath);
+    }
+    return null;
+  }
+
+  getStaticString(node, nodePath) {
+    if (!node) return null;
+    if (node.type === 'StringLiteral') return node.value;
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+
+    // const KEY = 'token'
+    if (node.type === 'Identifier') {
+      const binding = nodePath.scope.getBinding(node.name);
+      const init = binding?.constant ? binding.path.node.init : null;
+      return init && init !== node && init.type !== 'Identifier' ? this.getStaticString(init, nodePath) : null;
+    }
+
+    return null;
+  }
+
+  getElementName(openingElement) {
+    const name = openingElement.name;
+    if (name.type === 'JSXIdentifier') return name.name;
+    if (name.type === 'JSXMemberExpression') return `${name.object.name}.${name.property.name}`;
+    return 'unknown';
+  }
+
+  getCalleeName(callee) {
+    if (!callee) return '';
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'ThisExpression') return 'this';
+    if (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') {
+      const property = callee.computed ? callee.property.value : callee.property.name;
+      return `${this.getCalleeName(callee.object)}.${property}`;
+    }
+    return '';
+  }
+
+  describe(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression') return this.getCalleeName(node);
+    if (node.type === 'CallExpression') return `${this.getCalleeName(node.callee)}()`;
+    if (node.type === 'TemplateLiteral') return 'template literal';
+    return node.type;
+  }
+}
\ No newline at end of file
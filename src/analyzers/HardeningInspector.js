@@ -0,0 +1,307 @@
+import path from 'path';
+import traverse from '@babel/traverse';
+import { findFiles, readFileSafe } from '../utils/fileUtils.js';
+import { parseCodeSafe } from '../utils/astUtils.js';
+
+// Parsers de body de Express/body-parser
+const BODY_PARSERS = [
+  'express.json', 'express.urlencoded', 'express.raw', 'express.text',
+  'bodyParser.json', 'bodyParser.urlencoded', 'bodyParser.raw', 'bodyParser.text'
+];
+
+// Middleware de sesión: express-session recibe { cookie: {...} }, cookie-session las opciones directas
+const SESSION_FACTORIES = ['session', 'expressSession'];
+const COOKIE_SESSION_FACTORIES = ['cookieSession'];
+
+const RATE_LIMIT_PACKAGES = ['express-rate-limit', 'express-slow-down', 'rate-limiter-flexible', 'express-brute'];
+const RATE_LIMIT_FACTORIES = /^(rateLimit|RateLimit|rateLimiter|slowDown|limiter)$/;
+
+const COOKIE_FLAGS = ['httpOnly', 'secure', 'sameSite'];
+
+/**
+ * Inventario de hardening de la app Express: helmet, cors, límites de body,
+ * x-powered-by, flags de cookies/sesión, rate limiters y error handlers que
+ * exponen err.stack. SecurityValidator convierte el inventario en issues.
+ */
+export default class HardeningInspector {
+  constructor(projectPath, auditConfig) {
+    this.projectPath = projectPath;
+    this.auditConfig = auditConfig;
+  }
+
+  /**
+   * @param {string[]} appFiles - Archivos donde se crea la app (RouteMountResolver.getAppFiles)
+   * @returns {object} Inventario de hardening
+   */
+  inspect(appFiles) {
+    const appSet = new Set(appFiles.map(file => path.resolve(file)));
+    const report = {
+      appFiles: Array.from(appSet).map(file => this.relative(file)),
+      helmet: [],
+      cors: [],
+      bodyParsers: [],
+      poweredByDisabled: [],
+      sessions: [],
+      cookies: [],
+      errorHandlers: [],
+      rateLimiters: []
+    };
+
+    const files = findFiles(
+      this.projectPath,
+      this.auditConfig.fileExtensions?.backend || ['.js', '.ts'],
+      this.auditConfig.ignorePatterns || []
+    );
+
+    files.forEach(file => {
+      const content = readFileSafe(file);
+      const ast = content && parseCodeSafe(content);
+      if (!ast) return;
+
+      // Configuración global solo en los archivos de bootstrap; cookies y errores en todo el backend
+      this.inspectFile(ast, this.relative(file), appSet.has(path.resolve(file)), report);
+    });
+
+    report.rateLimiters = [...new Set(report.rateLimiters)];
+    return report;
+  }
+
+  inspectFile(ast, file, isAppFile, report) {
+    const imports = this.collectImports(ast);
+
+    traverse.default(ast, {
+      VariableDeclarator: (nodePath) => {
+        // const authLimiter = rateLimit({ windowMs, max })
+        const { id, init } = nodePath.node;
+        const call = init?.type === 'NewExpression' || init?.type === 'CallExpression' ? init : null;
+        if (id.type !== 'Identifier' || !call) return;
+
+        const name = this.getCalleeName(call.callee);
+        const root = name.split('.')[0];
+        if (RATE_LIMIT_FACTORIES.test(name) || RATE_LIMIT_PACKAGES.includes(imports.get(root))) {
+          report.rateLimiters.push(id.name);
+        }
+      },
+
+      CallExpression: (nodePath) => {
+        const node = nodePath.node;
+        const name = this.getCalleeName(node.callee);
+        const line = node.loc?.start?.line || 0;
+        const options = this.resolveObject(node.arguments[0], nodePath.scope);
+
+        // res.cookie('token', value, { httpOnly, secure, sameSite })
+        if (
+          node.callee.type === 'MemberExpression' &&
+          this.getPropertyName(node.callee) === 'cookie' &&
+          node.arguments.length >= 2
+        ) {
+          const cookieOptions = this.resolveObject(node.arguments[2], nodePath.scope);
+          report.cookies.push({
+            file,
+            line,
+            kind: 'cookie',
+            name: node.arguments[0]?.type === 'StringLiteral' ? node.arguments[0].value : null,
+            flags: node.arguments[2] && !cookieOptions
+              ? this.unknownFlags()
+              : this.readCookieFlags(cookieOptions)
+          });
+          return;
+        }
+
+        if (!isAppFile) return;
+
+        if (name === 'helmet' || name.startsWith('helmet.')) {
+          report.helmet.push({ file, line });
+        } else if (name === 'cors') {
+          report.cors.push({ file, line, ...this.readCorsOptions(node.arguments[0], options) });
+        } else if (BODY_PARSERS.includes(name)) {
+          report.bodyParsers.push({ file, line, name, limit: this.readLimit(options) });
+        } else if (this.isPoweredByDisabled(node, name)) {
+          report.poweredByDisabled.push({ file, line });
+        } else if (SESSION_FACTORIES.includes(name) || COOKIE_SESSION_FACTORIES.includes(name)) {
+          const cookie = SESSION_FACTORIES.includes(name)
+            ? this.resolveObject(this.getProperty(options, 'cookie'), nodePath.scope)
+            : options;
+          report.sessions.push({ file, line, kind: 'session', name, flags: this.readCookieFlags(cookie, name) });
+        }
+      },
+
+      Function: (nodePath) => {
+        // (err, req, res, next) => ...: Express solo lo trata como error handler con 4 parámetros
+        const params = nodePath.node.params;
+        if (params.length !== 4 || params[0].type !== 'Identifier') return;
+
+        const leak = this.findStackLeak(nodePath, params[0].name, params[2].name);
+        report.errorHandlers.push({
+          file,
+          line: nodePath.node.loc?.start?.line || 0,
+          leaksStack: Boolean(leak),
+          stackLine: leak?.node.loc?.start?.line || null
+        });
+      }
+    });
+  }
+
+  readCorsOptions(arg, options) {
+    // cors() sin opciones: Access-Control-Allow-Origin: *
+    if (!arg) return { origin: '*', credentials: false };
+    if (!options) return { origin: 'dynamic', credentials: 'dynamic' };
+
+    const origin = this.getProperty(options, 'origin');
+    const credentials = this.getProperty(options, 'credentials');
+
+    let originMode = 'restricted';
+    if (!origin || (origin.type === 'StringLiteral' && origin.value === '*')) originMode = '*';
+    // origin: true refleja el Origin de la request: equivale a '*'
+    else if (origin.type === 'BooleanLiteral' && origin.value) originMode = 'reflect';
+
+    return {
+      origin: originMode,
+      credentials: !credentials ? false : credentials.type === 'BooleanLiteral' ? credentials.value : 'dynamic'
+    };
+  }
+
+  readLimit(options) {
+    const limit = this.getProperty(options, 'limit');
+    if (!limit) return null;
+    if (limit.type === 'StringLiteral' || limit.type === 'NumericLiteral') return limit.value;
+    return 'dynamic';
+  }
+
+  isPoweredByDisabled(node, name) {
+    const setting = node.arguments[0]?.type === 'StringLiteral' ? node.arguments[0].value.toLowerCase() : null;
+    if (setting !== 'x-powered-by') return false;
+
+    // app.disable('x-powered-by') / app.set('x-powered-by', false)
+    return name.endsWith('.disable') ||
+      (name.endsWith('.set') && node.arguments[1]?.type === 'BooleanLiteral' && !node.arguments[1].value);
+  }
+
+  readCookieFlags(options, factory = null) {
+    // express-session marca httpOnly por defecto; res.cookie no marca nada
+    const defaults = SESSION_FACTORIES.includes(factory) || COOKIE_SESSION_FACTORIES.includes(factory)
+      ? { httpOnly: true, secure: false, sameSite: false }
+      : { httpOnly: false, secure: false, sameSite: false };
+
+    return Object.fromEntries(COOKIE_FLAGS.map(flag => {
+      const value = this.getProperty(options, flag);
+      if (!value) return [flag, defaults[flag]];
+      if (value.type === 'BooleanLiteral') return [flag, value.value];
+      // sameSite: 'none' no protege contra CSRF
+      if (value.type === 'StringLiteral') return [flag, flag === 'sameSite' ? value.value.toLowerCase() !== 'none' : true];
+      // secure: process.env.NODE_ENV === 'production'
+      return [flag, 'dynamic'];
+    }));
+  }
+
+  unknownFlags() {
+    return Object.fromEntries(COOKIE_FLAGS.map(flag => [flag, 'dynamic']));
+  }
+
+  findStackLeak(fnPath, errName, resName) {
+    let leak = null;
+
+    fnPath.traverse({
+      MemberExpression: (memberPath) => {
+        const { object, property } = memberPath.node;
+        if (leak || object.type !== 'Identifier' || object.name !== errName || property.name !== 'stack') return;
+
+        // Solo cuenta si llega a la respuesta: res.json({ stack: err.stack }) / res.send(err.stack)
+        const responseCall = memberPath.findParent(parent =>
+          parent.isCallExpression() &&
+          [`${resName}.json`, `${resName}.send`, `${resName}.end`, `${resName}.render`, `${resName}.jsonp`,
+            `${resName}.status().json`, `${resName}.status().send`].includes(this.getResponseCallName(parent.node.callee))
+        );
+        if (!responseCall) return;
+
+        // process.env.NODE_ENV === 'development' ? err.stack : undefined
+        const guarded = memberPath.findParent(parent =>
+          (parent.isConditionalExpression() || parent.isIfStatement() || parent.isLogicalExpression()) &&
+          this.mentionsEnvironment(parent.node.test || parent.node.left)
+        );
+        if (!guarded) leak = memberPath;
+      }
+    });
+
+    return leak;
+  }
+
+  mentionsEnvironment(node) {
+    let found = false;
+    if (!node) return found;
+
+    traverse.default.cheap(node, child => {
+      const text = child.type === 'Identifier' ? child.name : child.type === 'StringLiteral' ? child.value : '';
+      if (/NODE_ENV|isDev|development|production|debug/i.test(text)) found = true;
+    });
+    return found;
+  }
+
+  getResponseCallName(callee) {
+    // res.status(500).json(...) → res.status().json
+    if (callee.type !== 'MemberExpression') return '';
+    const object = callee.object.type === 'CallExpression'
+      ? `${this.getCalleeName(callee.object.callee)}()`
+      : this.getCalleeName(callee.object);
+    return `${object}.${this.getPropertyName(callee)}`;
+  }
+
+  resolveObject(node, scope) {
+    if (!node) return null;
+    if (node.type === 'ObjectExpression') return node;
+
+    // const corsOptions = {...}; cors(corsOptions)
+    if (node.type === 'Identifier') {
+      const init = scope.getBinding(node.name)?.path.node.init;
+      return init?.type === 'ObjectExpression' ? init : null;
+    }
+
+    return null;
+  }
+
+  getProperty(objectNode, key) {
+    const prop = objectNode?.properties?.find(p =>
+      p.type === 'ObjectProperty' && (p.key.name === key || p.key.value === key)
+    );
+    return prop?.value || null;
+  }
+
+  collectImports(ast) {
+    const imports = new Map();
+
+    ast.program.body.forEach(statement => {
+      if (statement.type === 'ImportDeclaration') {
+        statement.specifiers.forEach(spec => imports.set(spec.local.name, statement.source.value));
+      }
+
+      // const rateLimit = require('express-rate-limit')
+      if (statement.type === 'VariableDeclaration') {
+        statement.declarations.forEach(decl => {
+          const init = decl.init;
+          if (init?.type !== 'CallExpression' || init.callee.name !== 'require') return;
+          const source = init.arguments[0]?.value;
+          if (decl.id.type === 'Identifier') imports.set(decl.id.name, source);
+          if (decl.id.type === 'ObjectPattern') {
+            decl.id.properties.forEach(prop => prop.value?.name && imports.set(prop.value.name, source));
+          }
+        });
+      }
+    });
+
+    return imports;
+  }
+
+  getCalleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression') return `${this.getCalleeName(callee.object)}.${this.getPropertyName(callee)}`;
+    return '';
+  }
+
+  getPropertyName(member) {
+    return member.computed ? member.property.value : member.property.name;
+  }
+
+  relative(file) {
+    return path.relative(this.projectPath, file);
+  }
+}
\ No newline at end of file
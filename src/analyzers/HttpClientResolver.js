@@ -0,0 +1,455 @@
+import path from 'path';
+import traverse from '@babel/traverse';
+import { findFiles, readFileSafe, resolveImportPath } from '../utils/fileUtils.js';
+import { parseCodeSafe, extractStringValue } from '../utils/astUtils.js';
+
+const MAX_DEPTH = 20;
+
+// Headers que cuentan como autenticación cuando los inyecta una instancia/interceptor
+const AUTH_HEADER_PATTERN = /authorization|x-auth-token|x-access-token|bearer/i;
+
+/**
+ * Resuelve instancias de axios (axios.create) y APIs de RTK Query (createApi)
+ * a través de imports: baseURL, headers por defecto e interceptores que inyectan Authorization.
+ */
+export default class HttpClientResolver {
+  constructor(projectPath, auditConfig, aliases = {}, constants = null) {
+    this.projectPath = projectPath;
+    this.auditConfig = auditConfig;
+    this.extensions = auditConfig.fileExtensions?.frontend || ['.js', '.jsx', '.ts', '.tsx'];
+    this.aliases = aliases;
+
+    // ConstantResolver para baseURL definidas con constantes/imports
+    this.constants = constants;
+
+    this.modules = new Map();
+
+    // Configuración global aplicada sobre el axios por defecto
+    this.globalAxios = { name: 'axios', baseURL: null, hasAuth: false, file: null, line: null };
+  }
+
+  resolve() {
+    const files = findFiles(this.projectPath, this.extensions, this.auditConfig.ignorePatterns);
+    files.forEach(file => this.collectModule(file));
+
+    // Interceptores/defaults pueden configurarse en otro archivo que importa la instancia
+    this.modules.forEach((info, file) => {
+      info.configurations.forEach(configuration => {
+        const client = configuration.local === '*axios*'
+          ? this.globalAxios
+          : this.resolveBinding(file, configuration.local, 0);
+        if (!client) return;
+
+        if (configuration.hasAuth) client.hasAuth = true;
+        if (configuration.baseURL !== undefined && configuration.baseURL !== null) {
+          client.baseURL = configuration.baseURL;
+        }
+      });
+    });
+
+    return this;
+  }
+
+  /**
+   * Devuelve la instancia HTTP a la que se refiere un identificador local
+   * @param {string} file - Archivo (relativo al proyecto o absoluto)
+   * @param {string} localName - Identificador usado en la llamada (apiClient.get)
+   * @returns {object|null} { name, baseURL, hasAuth, file, line }
+   */
+  getClient(file, localName) {
+    const absolutePath = path.resolve(this.projectPath, file);
+    const info = this.modules.get(absolutePath);
+    if (!info) return null;
+
+    if (info.axiosLocals.has(localName)) {
+      return this.globalAxios;
+    }
+
+    return this.resolveBinding(absolutePath, localName, 0);
+  }
+
+  getGlobalClient() {
+    return this.globalAxios;
+  }
+
+  getClients() {
+    const clients = [];
+    this.modules.forEach(info => {
+      info.instances.forEach(instance => clients.push(instance));
+    });
+    return clients;
+  }
+
+  collectModule(file) {
+    const content = readFileSafe(file);
+    if (!content) return;
+
+    const ast = parseCodeSafe(content);
+    if (!ast) return;
+
+    const info = {
+      axiosLocals: new Set(),
+      instances: new Map(),
+      imports: new Map(),
+      exports: new Map(),
+      configurations: [],
+      apiSlices: [],
+      declarations: new Map()
+    };
+
+    traverse.default(ast, {
+      ImportDeclaration: (nodePath) => {
+        const source = nodePath.node.source.value;
+
+        nodePath.node.specifiers.forEach(spec => {
+          if (source === 'axios' && spec.type === 'ImportDefaultSpecifier') {
+            info.axiosLocals.add(spec.local.name);
+            return;
+          }
+
+          const imported = spec.type === 'ImportDefaultSpecifier'
+            ? 'default'
+            : spec.imported?.name || spec.imported?.value;
+          if (imported) {
+            info.imports.set(spec.local.name, { source, imported });
+          }
+        });
+      },
+
+      VariableDeclarator: (nodePath) => {
+        const { id, init } = nodePath.node;
+        if (id.type !== 'Identifier' || !init) return;
+
+        const required = this.extractRequire(init);
+        if (required) {
+          if (required.source === 'axios') {
+            info.axiosLocals.add(id.name);
+          } else {
+            info.imports.set(id.name, required);
+          }
+          return;
+        }
+
+        if (this.isClientCreation(init, info)) {
+          info.instances.set(id.name, this.describeInstance(id.name, init, file));
+        } else if (this.isApiSliceCreation(init)) {
+          info.apiSlices.push({ local: id.name, name: id.name, node: init });
+        } else {
+          // fetchBaseQuery y wrappers (retry, baseQueryWithReauth) usados como baseQuery
+          info.declarations.set(id.name, init);
+        }
+      },
+
+      FunctionDeclaration: (nodePath) => {
+        if (nodePath.node.id) {
+          info.declarations.set(nodePath.node.id.name, nodePath.node);
+        }
+      },
+
+      ExportNamedDeclaration: (nodePath) => {
+        const { declaration, specifiers, source } = nodePath.node;
+
+        if (declaration?.type === 'VariableDeclaration') {
+          declaration.declarations.forEach(decl => {
+            if (decl.id.type === 'Identifier') {
+              info.exports.set(decl.id.name, { local: decl.id.name });
+            }
+          });
+        }
+
+        (specifiers || []).forEach(spec => {
+          const exported = spec.exported.name || spec.exported.value;
+          if (source) {
+            // export { default as api } from './client'
+            info.exports.set(exported, { source: source.value, imported: spec.local.name });
+          } else {
+            info.exports.set(exported, { local: spec.local.name });
+          }
+        });
+      },
+
+      ExportDefaultDeclaration: (nodePath) => {
+        const declaration = nodePath.node.declaration;
+
+        if (declaration.type === 'Identifier') {
+          info.exports.set('default', { local: declaration.name });
+        } else if (this.isClientCreation(declaration, info)) {
+          const name = path.basename(file, path.extname(file));
+          info.instances.set('*default*', this.describeInstance(name, declaration, file));
+          info.exports.set('default', { local: '*default*' });
+        } else if (this.isApiSliceCreation(declaration)) {
+          const name = path.basename(file, path.extname(file));
+          info.apiSlices.push({ local: '*default*', name, node: declaration });
+          info.exports.set('default', { local: '*default*' });
+        }
+      },
+
+      AssignmentExpression: (nodePath) => {
+        const { left, right } = nodePath.node;
+
+        // module.exports = apiClient / module.exports = { apiClient }
+        if (this.isModuleExports(left)) {
+          if (right.type === 'Identifier') {
+            info.exports.set('default', { local: right.name });
+          } else if (this.isClientCreation(right, info)) {
+            const name = path.basename(file, path.extname(file));
+            info.instances.set('*default*', this.describeInstance(name, right, file));
+            info.exports.set('default', { local: '*default*' });
+          } else if (right.type === 'ObjectExpression') {
+            right.properties.forEach(prop => {
+              if (prop.type === 'ObjectProperty' && prop.value.type === 'Identifier') {
+                info.exports.set(prop.key.name || prop.key.value, { local: prop.value.name });
+              }
+            });
+          }
+          return;
+        }
+
+        // api.defaults.baseURL = '...' / api.defaults.headers.common.Authorization = ...
+        const target = this.getDefaultsTarget(left);
+        if (!target) return;
+
+        const local = info.axiosLocals.has(target.root) ? '*axios*' : target.root;
+        const assignment = content.slice(nodePath.node.start, nodePath.node.end);
+
+        if (target.property === 'baseURL') {
+          info.configurations.push({ local, baseURL: this.extractBasePath(right, file) });
+        } else if (target.property === 'headers' && AUTH_HEADER_PATTERN.test(assignment)) {
+          info.configurations.push({ local, hasAuth: true });
+        }
+      },
+
+      CallExpression: (nodePath) => {
+        // api.interceptors.request.use(config => { config.headers.Authorization = ... })
+        const interceptor = this.getRequestInterceptorTarget(nodePath.node.callee);
+        if (!interceptor) return;
+
+        const handler = nodePath.node.arguments[0];
+        if (!handler) return;
+
+        const handlerSource = content.slice(handler.start, handler.end);
+        if (!AUTH_HEADER_PATTERN.test(handlerSource) && !this.callsAuthHelper(handler)) return;
+
+        const local = info.axiosLocals.has(interceptor) ? '*axios*' : interceptor;
+        info.configurations.push({ local, hasAuth: true });
+      }
+    });
+
+    // El baseQuery puede declararse después de createApi: se describe al terminar el archivo
+    info.apiSlices.forEach(slice => {
+      info.instances.set(slice.local, this.describeApiSlice(slice.name, slice.node, file, content, info));
+    });
+
+    this.modules.set(path.resolve(file), info);
+  }
+
+  isClientCreation(node, info) {
+    // axios.create({...})
+    return node?.type === 'CallExpression' &&
+      node.callee.type === 'MemberExpression' &&
+      node.callee.object.type === 'Identifier' &&
+      (info.axiosLocals.has(node.callee.object.name) || node.callee.object.name === 'axios') &&
+      node.callee.property.name === 'create';
+  }
+
+  describeInstance(name, createCall, file) {
+    const instance = {
+      name,
+      baseURL: null,
+      hasAuth: false,
+      file: path.relative(this.projectPath, file),
+      line: createCall.loc?.start?.line || 0
+    };
+
+    const config = createCall.arguments[0];
+    if (config?.type !== 'ObjectExpression') return instance;
+
+    config.properties.forEach(prop => {
+      if (prop.type !== 'ObjectProperty') return;
+      const key = prop.key.name || prop.key.value;
+
+      if (key === 'baseURL') {
+        instance.baseURL = this.extractBasePath(prop.value, file);
+      } else if (key === 'headers' && prop.value.type === 'ObjectExpression') {
+        instance.hasAuth = prop.value.properties.some(header =>
+          AUTH_HEADER_PATTERN.test(header.key?.name || header.key?.value || '')
+        );
+      }
+    });
+
+    return instance;
+  }
+
+  isApiSliceCreation(node) {
+    // createApi({ baseQuery: fetchBaseQuery({ baseUrl }), endpoints })
+    return node?.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' &&
+      node.callee.name === 'createApi';
+  }
+
+  describeApiSlice(name, createCall, file, content, info) {
+    const instance = {
+      name,
+      baseURL: null,
+      hasAuth: false,
+      library: 'rtk-query',
+      file: path.relative(this.projectPath, file),
+      line: createCall.loc?.start?.line || 0
+    };
+
+    const baseQueryProp = createCall.arguments[0]?.properties?.find(prop =>
+      prop.type === 'ObjectProperty' && (prop.key.name || prop.key.value) === 'baseQuery'
+    );
+
+    const fetchBaseQuery = this.findFetchBaseQuery(baseQueryProp?.value, content, info, 0);
+    const config = fetchBaseQuery?.arguments[0];
+    if (config?.type !== 'ObjectExpression') return instance;
+
+    config.properties.forEach(prop => {
+      if (prop.type !== 'ObjectProperty' && prop.type !== 'ObjectMethod') return;
+      const key = prop.key.name || prop.key.value;
+
+      if (key === 'baseUrl' && prop.type === 'ObjectProperty') {
+        instance.baseURL = this.extractBasePath(prop.value, file);
+      } else if (key === 'prepareHeaders' || key === 'headers') {
+        instance.hasAuth = instance.hasAuth || AUTH_HEADER_PATTERN.test(content.slice(prop.start, prop.end));
+      }
+    });
+
+    return instance;
+  }
+
+  findFetchBaseQuery(node, content, info, depth) {
+    if (!node || depth > MAX_DEPTH) return null;
+
+    if (node.type === 'CallExpression') {
+      if (node.callee.type === 'Identifier' && node.callee.name === 'fetchBaseQuery') {
+        return node;
+      }
+
+      // retry(fetchBaseQuery({...}), { maxRetries: 3 })
+      for (const arg of node.arguments) {
+        const found = this.findFetchBaseQuery(arg, content, info, depth + 1);
+        if (found) return found;
+      }
+      return null;
+    }
+
+    if (node.type === 'Identifier') {
+      return this.findFetchBaseQuery(info.declarations.get(node.name), content, info, depth + 1);
+    }
+
+    // baseQueryWithReauth: wrapper que delega en un baseQuery declarado en el archivo
+    if (['ArrowFunctionExpression', 'FunctionExpression', 'FunctionDeclaration'].includes(node.type)) {
+      const source = content.slice(node.body.start, node.body.end);
+      const delegate = Array.from(info.declarations.keys()).find(name =>
+        name !== node.id?.name && new RegExp(`\\b${name.replace(/\$/g, '\\$')}\\s*\\(`).test(source)
+      );
+      return delegate
+        ? this.findFetchBaseQuery(info.declarations.get(delegate), content, info, depth + 1)
+        : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Extrae la parte de path de una baseURL: 'https://api.x.com/v1' → '/v1'
+   */
+  extractBasePath(node, file) {
+    const value = this.constants
+      ? this.constants.resolveString(node, file)
+      : extractStringValue(node);
+
+    if (value === null) return null;
+
+    const basePath = value.replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/\/+$/, '');
+    return basePath && !basePath.startsWith('/') ? `/${basePath}` : basePath;
+  }
+
+  getDefaultsTarget(left) {
+    // api.defaults.baseURL / api.defaults.headers.common['Authorization']
+    const chain = [];
+    let current = left;
+
+    while (current?.type === 'MemberExpression') {
+      chain.unshift(current.computed ? extractStringValue(current.property) : current.property.name);
+      current = current.object;
+    }
+
+    if (current?.type !== 'Identifier' || chain[0] !== 'defaults' || !chain[1]) return null;
+    return { root: current.name, property: chain[1] };
+  }
+
+  getRequestInterceptorTarget(callee) {
+    // X.interceptors.request.use
+    if (
+      callee.type === 'MemberExpression' &&
+      callee.property.name === 'use' &&
+      callee.object.type === 'MemberExpression' &&
+      callee.object.property.name === 'request' &&
+      callee.object.object.type === 'MemberExpression' &&
+      callee.object.object.property.name === 'interceptors' &&
+      callee.object.object.object.type === 'Identifier'
+    ) {
+      return callee.object.object.object.name;
+    }
+    return null;
+  }
+
+  callsAuthHelper(handler) {
+    // interceptors.request.use(attachToken) / use(authInterceptor)
+    if (handler.type !== 'Identifier') return false;
+    return /auth|token|bearer/i.test(handler.name);
+  }
+
+  isModuleExports(node) {
+    return node.type === 'MemberExpression' &&
+      node.object.type === 'Identifier' &&
+      node.object.name === 'module' &&
+      node.property.name === 'exports';
+  }
+
+  extractRequire(node) {
+    if (
+      node.type === 'CallExpression' &&
+      node.callee.name === 'require' &&
+      node.arguments[0]?.type === 'StringLiteral'
+    ) {
+      return { source: node.arguments[0].value, imported: 'default' };
+    }
+    return null;
+  }
+
+  resolveBinding(file, localName, depth) {
+    if (depth > MAX_DEPTH) return null;
+
+    const info = this.modules.get(file);
+    if (!info) return null;
+
+    if (info.instances.has(localName)) {
+      return info.instances.get(localName);
+    }
+
+    const imported = info.imports.get(localName);
+    if (!imported) return null;
+
+    const targetFile = resolveImportPath(file, imported.source, this.extensions, this.aliases);
+    return targetFile ? this.resolveExport(targetFile, imported.imported, depth + 1) : null;
+  }
+
+  resolveExport(file, exportName, depth) {
+    if (depth > MAX_DEPTH) return null;
+
+    const info = this.modules.get(file);
+    const exported = info?.exports.get(exportName);
+    if (!exported) return null;
+
+    if (exported.source) {
+      const targetFile = resolveImportPath(file, exported.source, this.extensions, this.aliases);
+      return targetFile ? this.resolveExport(targetFile, exported.imported, depth + 1) : null;
+    }
+
+    return this.resolveBinding(file, exported.local, depth + 1);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,511 @@
+import fs from 'fs';
+import path from 'path';
+import traverse from '@babel/traverse';
+import { findFiles, readFileSafe } from '../utils/fileUtils.js';
+import { parseCodeSafe, extractStringValue } from '../utils/astUtils.js';
+
+const MAX_DEPTH = 10;
+
+// Headers/cookies que transportan credenciales
+const AUTH_HEADER_PATTERN = /^(authorization|x-auth-token|x-access-token|x-api-key)$/i;
+const AUTH_COOKIE_PATTERN = /token|jwt|session/i;
+
+// Propiedades de req donde un middleware de auth deja la identidad
+const USER_PROPERTIES = ['user', 'auth', 'userId', 'currentUser'];
+
+// Paquetes cuyo middleware exige autenticación aunque su código no sea visible
+const AUTH_PACKAGES = [
+  'passport',
+  'express-jwt',
+  'express-oauth2-jwt-bearer',
+  'express-openid-connect',
+  'express-basic-auth',
+  'keycloak-connect',
+  'connect-ensure-login',
+  '@clerk/express',
+  '@clerk/clerk-sdk-node'
+];
+
+// Último recurso cuando la definición no se encuentra
+const AUTH_NAME_PATTERN = /auth|jwt|protect|guard|passport/i;
+
+/**
+ * Clasifica middleware Express por lo que hace su definición, no por su nombre:
+ * lee req.headers.authorization, llama a jwt.verify, asigna req.user o responde 401/403.
+ * Sigue imports entre archivos y busca en la carpeta de middleware del proyecto.
+ */
+export default class MiddlewareClassifier {
+  constructor(projectPath, mountResolver, middlewareDir = 'middleware') {
+    this.projectPath = projectPath;
+    this.mountResolver = mountResolver;
+    this.middlewareDir = path.join(projectPath, middlewareDir);
+
+    // Caché de declaraciones de nivel superior por archivo y de clasificaciones
+    this.moduleCache = new Map();
+    this.results = new Map();
+    this.middlewareFiles = null;
+  }
+
+  /**
+   * Clasifica un middleware usado en una ruta o en un use()
+   * @param {string|object} target - Nombre (requireUser, auth.required) o nodo AST
+   * @param {string} filePath - Archivo donde se usa el middleware
+   * @returns {object} { name, isAuth, source, signals, file, line }
+   */
+  classify(target, filePath) {
+    const file = path.resolve(filePath);
+    const name = typeof target === 'string' ? target : this.getName(target);
+    const cacheKey = typeof target === 'string' || !/Function/.test(target.type)
+      ? `${file}#${name}`
+      : `${file}@${target.start}`;
+
+    if (this.results.has(cacheKey)) return this.results.get(cacheKey);
+
+    const node = typeof target === 'string' ? this.nameToNode(target) : target;
+    const result = this.classifyNode(name, node, file);
+
+    this.results.set(cacheKey, result);
+    return result;
+  }
+
+  classifyNode(name, node, file) {
+    const result = { name, isAuth: false, source: 'unresolved', signals: [], file: null, line: null };
+
+    // passport.authenticate('jwt') / expressjwt({...}) / requiresAuth()
+    const library = this.getLibrary(node, file);
+    if (library) {
+      return { ...result, isAuth: true, source: 'library', signals: [`package:${library}`] };
+    }
+
+    const definition = this.resolveDefinition(node, file, 0);
+    if (!definition) {
+      return AUTH_NAME_PATTERN.test(name)
+        ? { ...result, isAuth: true, source: 'name' }
+        : result;
+    }
+
+    const signals = this.collectSignals(definition.node, definition.file, 0);
+
+    return {
+      ...result,
+      isAuth: signals.has('verifies-token') ||
+        signals.has('rejects-401-403') ||
+        (signals.has('reads-credentials') && signals.has('sets-req-user')),
+      source: 'definition',
+      signals: Array.from(signals),
+      file: path.relative(this.projectPath, definition.file),
+      line: definition.node.loc?.start?.line || null
+    };
+  }
+
+  nameToNode(name) {
+    // 'auth.required' → MemberExpression sintético
+    return name.split('.').reduce((object, property) => object
+      ? { type: 'MemberExpression', object, property: { type: 'Identifier', name: property }, computed: false }
+      : { type: 'Identifier', name: property }, null);
+  }
+
+  getName(node) {
+    if (!node) return 'anonymous';
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression') return `${this.getName(node.object)}.${node.property.name || node.property.value}`;
+    if (node.type === 'CallExpression') return this.getName(node.callee);
+    return 'anonymous';
+  }
+
+  getLibrary(node, file) {
+    let root = node;
+    while (root?.type === 'CallExpression' || root?.type === 'MemberExpression') {
+      root = root.type === 'CallExpression' ? root.callee : root.object;
+    }
+    if (root?.type !== 'Identifier') return null;
+
+    const imported = this.getModule(file)?.imports.get(root.name);
+    const source = imported?.source;
+    return source && AUTH_PACKAGES.some(pkg => source === pkg || source.startsWith(`${pkg}/`)) ? source : null;
+  }
+
+  resolveDefinition(node, file, depth) {
+    if (!node || depth > MAX_DEPTH) return null;
+
+    switch (node.type) {
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+      case 'ObjectMethod':
+        return { node, file };
+
+      case 'Identifier': {
+        const resolved = this.resolveIdentifier(file, node.name, depth + 1) ||
+          this.findInMiddlewareFolder(node.name);
+        return resolved ? this.resolveDefinition(resolved.node, resolved.file, depth + 1) : null;
+      }
+
+      case 'MemberExpression': {
+        const property = node.property.name || node.property.value;
+        const object = node.object.type === 'Identifier'
+          ? this.resolveObject(file, node.object.name, depth + 1)
+          : this.resolveDefinition(node.object, file, depth + 1);
+        if (!object) return null;
+
+        if (object.namespace) {
+          const exported = this.resolveExport(object.file, property, depth + 1);
+          return exported ? this.resolveDefinition(exported.node, exported.file, depth + 1) : null;
+        }
+
+        if (object.node.type !== 'ObjectExpression') return null;
+        const prop = object.node.properties.find(candidate =>
+          (candidate.key?.name || candidate.key?.value) === property
+        );
+        if (!prop) return null;
+        return this.resolveDefinition(prop.type === 'ObjectMethod' ? prop : prop.value, object.file, depth + 1);
+      }
+
+      case 'CallExpression':
+        // authorize('admin') / const requireAdmin = requireRole('admin'): se inspecciona la factory
+        return this.resolveDefinition(node.callee, file, depth + 1);
+
+      case 'ObjectExpression':
+        return { node, file };
+
+      default:
+        return null;
+    }
+  }
+
+  resolveObject(file, name, depth) {
+    const module = this.getModule(file);
+    const imported = module?.imports.get(name);
+
+    // import * as auth from './middleware/auth'
+    if (imported?.imported === '*') {
+      const targetFile = this.mountResolver?.resolveModulePath(file, imported.source);
+      return targetFile ? { namespace: true, file: targetFile } : null;
+    }
+
+    const resolved = this.resolveIdentifier(file, name, depth);
+    if (resolved?.node.type === 'Identifier') return null;
+    return resolved;
+  }
+
+  collectSignals(definitionNode, file, depth) {
+    const signals = new Set();
+    if (depth > 2) return signals;
+
+    // Nombres del parámetro request: primer parámetro de los handlers (req, res, next)
+    const requestNames = new Set(['req', 'request']);
+    traverse.default.cheap(definitionNode, node => {
+      if (/Function|ObjectMethod/.test(node.type) && node.params?.length >= 2 && node.params[0].type === 'Identifier') {
+        requestNames.add(node.params[0].name);
+      }
+    });
+
+    const isRequest = (node) => node?.type === 'Identifier' && requestNames.has(node.name);
+    const propertyName = (node) => node.computed ? extractStringValue(node.property) : node.property.name;
+
+    traverse.default.cheap(definitionNode, node => {
+      switch (node.type) {
+        case 'MemberExpression': {
+          // req.headers.authorization / req.headers['x-access-token'] / req.cookies.token
+          const object = node.object;
+          if (object.type !== 'MemberExpression' || !isRequest(object.object)) break;
+
+          const container = propertyName(object);
+          const key = propertyName(node) || '';
+          if (container === 'headers' && AUTH_HEADER_PATTERN.test(key)) signals.add('reads-credentials');
+          if ((container === 'cookies' || container === 'signedCookies') && AUTH_COOKIE_PATTERN.test(key)) {
+            signals.add('reads-credentials');
+          }
+          break;
+        }
+
+        case 'VariableDeclarator':
+          // const { authorization } = req.headers
+          if (
+            node.id.type === 'ObjectPattern' &&
+            node.init?.type === 'MemberExpression' &&
+            isRequest(node.init.object) &&
+            propertyName(node.init) === 'headers' &&
+            node.id.properties.some(prop => AUTH_HEADER_PATTERN.test(prop.key?.name || prop.key?.value || ''))
+          ) {
+            signals.add('reads-credentials');
+          }
+          break;
+
+        case 'AssignmentExpression': {
+          // req.user = decoded / res.locals.user = user
+          const left = node.left;
+          if (left.type !== 'MemberExpression') break;
+
+          if (isRequest(left.object) && USER_PROPERTIES.includes(propertyName(left))) {
+            signals.add('sets-req-user');
+          } else if (
+            left.object.type === 'MemberExpression' &&
+            propertyName(left.object) === 'locals' &&
+            USER_PROPERTIES.includes(propertyName(left))
+          ) {
+            signals.add('sets-req-user');
+          }
+          break;
+        }
+
+        case 'CallExpression':
+        case 'NewExpression':
+          this.collectCallSignals(node, file, isRequest, signals, depth);
+          break;
+
+        case 'ThrowStatement':
+          if (this.isAuthError(node.argument)) signals.add('rejects-401-403');
+          break;
+
+        default:
+          break;
+      }
+    });
+
+    return signals;
+  }
+
+  collectCallSignals(node, file, isRequest, signals, depth) {
+    const callee = node.callee;
+    const calleeName = callee.type === 'MemberExpression'
+      ? callee.property.name
+      : callee.name;
+    const firstArg = node.arguments[0];
+
+    // req.header('Authorization') / req.get('authorization')
+    if (
+      callee.type === 'MemberExpression' &&
+      isRequest(callee.object) &&
+      ['header', 'get'].includes(calleeName) &&
+      AUTH_HEADER_PATTERN.test(extractStringValue(firstArg) || '')
+    ) {
+      signals.add('reads-credentials');
+    }
+
+    // jwt.verify(token, secret) / admin.auth().verifyIdToken(token) / jwtVerify (jose)
+    const isTokenVerification =
+      (calleeName === 'verify' && /jwt|jsonwebtoken|jose|token/i.test(callee.object?.name || callee.object?.property?.name || '')) ||
+      ['verifyIdToken', 'verifyAccessToken', 'jwtVerify'].includes(calleeName);
+    if (isTokenVerification) {
+      signals.add('verifies-token');
+    }
+
+    // res.status(401) / res.sendStatus(403) / next(createError(401)) / new HttpError(403)
+    if (['status', 'sendStatus'].includes(calleeName) && this.isAuthStatus(firstArg)) {
+      signals.add('rejects-401-403');
+    }
+    if (/error|exception/i.test(calleeName || '') && this.isAuthStatus(firstArg)) {
+      signals.add('rejects-401-403');
+    }
+    if (node.type === 'NewExpression' && this.isAuthError(node)) {
+      signals.add('rejects-401-403');
+    }
+
+    // Helpers locales: const user = await verifyToken(token)
+    if (callee.type === 'Identifier' && depth < 2) {
+      const helper = this.resolveIdentifier(file, callee.name, 0);
+      const helperFunction = helper && this.resolveDefinition(helper.node, helper.file, 0);
+      if (helperFunction && helperFunction.node !== node) {
+        this.collectSignals(helperFunction.node, helperFunction.file, depth + 1)
+          .forEach(signal => signals.add(signal));
+      }
+    }
+  }
+
+  isAuthStatus(node) {
+    if (!node) return false;
+    if (node.type === 'NumericLiteral') return node.value === 401 || node.value === 403;
+
+    // StatusCodes.UNAUTHORIZED / httpStatus.FORBIDDEN
+    return node.type === 'MemberExpression' && /^(UNAUTHORIZED|FORBIDDEN)$/.test(node.property.name || '');
+  }
+
+  isAuthError(node) {
+    if (node?.type !== 'NewExpression' && node?.type !== 'CallExpression') return false;
+
+    const name = node.callee.type === 'MemberExpression' ? node.callee.property.name : node.callee.name;
+    return /unauthori[sz]ed|forbidden|authentication/i.test(name || '') ||
+      (/error|exception/i.test(name || '') && this.isAuthStatus(node.arguments[0]));
+  }
+
+  findInMiddlewareFolder(name) {
+    // Middleware global o importado con alias: buscar el export en la carpeta de middleware
+    if (this.middlewareFiles === null) {
+      this.middlewareFiles = fs.existsSync(this.middlewareDir)
+        ? findFiles(this.middlewareDir, ['.js', '.ts', '.mjs', '.cjs'], [])
+        : [];
+    }
+
+    for (const file of this.middlewareFiles) {
+      const resolved = this.resolveExport(path.resolve(file), name, 0);
+      if (resolved) return resolved;
+
+      if (path.basename(file, path.extname(file)) === name) {
+        const defaultExport = this.resolveExport(path.resolve(file), 'default', 0);
+        if (defaultExport) return defaultExport;
+      }
+    }
+
+    return null;
+  }
+
+  resolveIdentifier(file, name, depth) {
+    if (depth > MAX_DEPTH) return null;
+
+    const module = this.getModule(file);
+    if (!module) return null;
+
+    if (module.declarations.has(name)) {
+      const node = module.declarations.get(name);
+      return node.type === 'Identifier'
+        ? this.resolveIdentifier(file, node.name, depth + 1) || { node, file }
+        : { node, file };
+    }
+
+    const imported = module.imports.get(name);
+    if (!imported || imported.imported === '*') return null;
+
+    const targetFile = this.mountResolver?.resolveModulePath(file, imported.source);
+    if (!targetFile) return null;
+
+    return this.resolveExport(targetFile, imported.imported, depth + 1);
+  }
+
+  resolveExport(file, exportName, depth) {
+    const module = this.getModule(file);
+    if (!module || depth > MAX_DEPTH) return null;
+
+    const exported = module.exports.get(exportName);
+    if (!exported) return null;
+
+    if (exported.node) return { node: exported.node, file };
+    return this.resolveIdentifier(file, exported.local, depth + 1);
+  }
+
+  getModule(file) {
+    if (this.moduleCache.has(file)) return this.moduleCache.get(file);
+
+    const content = readFileSafe(file);
+    const ast = content ? parseCodeSafe(content) : null;
+    const module = ast ? this.collectTopLevel(ast) : null;
+
+    this.moduleCache.set(file, module);
+    return module;
+  }
+
+  collectTopLevel(ast) {
+    const module = {
+      declarations: new Map(),
+      imports: new Map(),
+      exports: new Map()
+    };
+
+    const addDeclaration = (declaration) => {
+      if (declaration.type === 'FunctionDeclaration' && declaration.id) {
+        module.declarations.set(declaration.id.name, declaration);
+        return;
+      }
+
+      if (declaration.type !== 'VariableDeclaration') return;
+      declaration.declarations.forEach(decl => {
+        if (!decl.init) return;
+        const required = this.extractRequire(decl.init);
+
+        if (decl.id.type === 'Identifier') {
+          if (required) {
+            module.imports.set(decl.id.name, required);
+          } else {
+            module.declarations.set(decl.id.name, decl.init);
+          }
+        } else if (decl.id.type === 'ObjectPattern' && required) {
+          // const { requireUser } = require('../middleware/auth')
+          decl.id.properties.forEach(prop => {
+            if (prop.type === 'ObjectProperty' && prop.value.type === 'Identifier') {
+              module.imports.set(prop.value.name, { source: required.source, imported: prop.key.name });
+            }
+          });
+        }
+      });
+    };
+
+    ast.program.body.forEach(statement => {
+      if (statement.type === 'VariableDeclaration' || statement.type === 'FunctionDeclaration') {
+        addDeclaration(statement);
+      } else if (statement.type === 'ImportDeclaration') {
+        statement.specifiers.forEach(spec => {
+          const imported = spec.type === 'ImportDefaultSpecifier'
+            ? 'default'
+            : spec.type === 'ImportNamespaceSpecifier'
+              ? '*'
+              : spec.imported.name || spec.imported.value;
+          module.imports.set(spec.local.name, { source: statement.source.value, imported });
+        });
+      } else if (statement.type === 'ExportNamedDeclaration') {
+        if (statement.declaration) {
+          addDeclaration(statement.declaration);
+
+          const names = statement.declaration.type === 'FunctionDeclaration'
+            ? [statement.declaration.id?.name]
+            : (statement.declaration.declarations || []).map(decl => decl.id.name);
+          names.filter(Boolean).forEach(name => module.exports.set(name, { local: name }));
+        }
+        (statement.specifiers || []).forEach(spec => {
+          module.exports.set(spec.exported.name || spec.exported.value, { local: spec.local.name });
+        });
+      } else if (statement.type === 'ExportDefaultDeclaration') {
+        const declaration = statement.declaration;
+        module.exports.set('default', declaration.type === 'Identifier'
+          ? { local: declaration.name }
+          : { node: declaration });
+      } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+        this.collectCommonJSExport(statement.expression, module);
+      }
+    });
+
+    return module;
+  }
+
+  collectCommonJSExport(assignment, module) {
+    const left = assignment.left;
+    if (left.type !== 'MemberExpression') return;
+
+    const toExport = (node) => node.type === 'Identifier' ? { local: node.name } : { node };
+
+    // module.exports = { requireUser, requireAdmin: requireRole('admin') }
+    if (left.object.name === 'module' && left.property.name === 'exports') {
+      if (assignment.right.type === 'ObjectExpression') {
+        assignment.right.properties.forEach(prop => {
+          if (prop.type === 'ObjectProperty') {
+            module.exports.set(prop.key.name || prop.key.value, toExport(prop.value));
+          } else if (prop.type === 'ObjectMethod') {
+            module.exports.set(prop.key.name || prop.key.value, { node: prop });
+          }
+        });
+      }
+      module.exports.set('default', toExport(assignment.right));
+      return;
+    }
+
+    // exports.requireUser = (req, res, next) => {...}
+    const isExportsObject = left.object.name === 'exports' ||
+      (left.object.type === 'MemberExpression' &&
+       left.object.object.name === 'module' &&
+       left.object.property.name === 'exports');
+
+    if (isExportsObject && left.property.name) {
+      module.exports.set(left.property.name, toExport(assignment.right));
+    }
+  }
+
+  extractRequire(node) {
+    if (
+      node?.type === 'CallExpression' &&
+      node.callee.name === 'require' &&
+      node.arguments[0]?.type === 'StringLiteral'
+    ) {
+      return { source: node.arguments[0].value, imported: 'default' };
+    }
+    return null;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,391 @@
+import traverse from '@babel/traverse';
+import { readFileSafe, resolveImportPath } from '../utils/fileUtils.js';
+import { parseCodeSafe, extractReactProps } from '../utils/astUtils.js';
+
+// Archivos donde buscar tipos importados (import type { ButtonProps } from './Button.types')
+const TYPE_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx'];
+
+// PropTypes.x → tipo legible en la tabla de props
+const PROP_TYPE_NAMES = {
+  string: 'string',
+  number: 'number',
+  bool: 'boolean',
+  func: 'function',
+  object: 'object',
+  array: 'array',
+  symbol: 'symbol',
+  node: 'ReactNode',
+  element: 'ReactElement',
+  elementType: 'ElementType',
+  any: 'any'
+};
+
+/**
+ * Tabla de props de los componentes del design system:
+ * interfaces/type aliases de TypeScript (extends, intersecciones, Partial/Pick/Omit
+ * y tipos importados desde otros archivos del repo), PropTypes, defaultProps
+ * y valores por defecto de la desestructuración. Cada prop queda como
+ * { name, type, required, default, hasDefault, values } donde values son los
+ * literales permitidos de una unión o de PropTypes.oneOf.
+ */
+export default class PropContractExtractor {
+  constructor() {
+    this.modules = new Map();
+  }
+
+  /**
+   * Indexa tipos, PropTypes, defaultProps e imports de un archivo (con caché)
+   * @param {string} filePath - Ruta absoluta
+   * @param {object} ast - AST ya parseado (opcional)
+   * @param {string} content - Código fuente (opcional)
+   */
+  loadModule(filePath, ast = null, content = null) {
+    if (this.modules.has(filePath)) return this.modules.get(filePath);
+
+    const source = content ?? readFileSafe(filePath);
+    const tree = ast || (source && parseCodeSafe(source));
+    const module = {
+      file: filePath,
+      content: source || '',
+      types: new Map(),
+      imports: new Map(),
+      propTypes: new Map(),
+      defaultProps: new Map()
+    };
+    this.modules.set(filePath, module);
+    if (!tree) return module;
+
+    tree.program.body.forEach(statement => {
+      if (statement.type === 'ImportDeclaration') {
+        statement.specifiers.forEach(spec => module.imports.set(spec.local.name, {
+          source: statement.source.value,
+          imported: spec.type === 'ImportSpecifier' ? spec.imported.name : 'default'
+        }));
+      }
+
+      // export type { ButtonProps } from './types'
+      if (statement.type === 'ExportNamedDeclaration' && statement.source) {
+        statement.specifiers.forEach(spec => module.imports.set(spec.exported.name, {
+          source: statement.source.value,
+          imported: spec.local.name
+        }));
+      }
+    });
+
+    traverse.default(tree, {
+      TSInterfaceDeclaration: (nodePath) => {
+        module.types.set(nodePath.node.id.name, nodePath.node);
+      },
+
+      TSTypeAliasDeclaration: (nodePath) => {
+        module.types.set(nodePath.node.id.name, nodePath.node);
+      },
+
+      // Button.propTypes = { ... } / Button.defaultProps = { ... }
+      AssignmentExpression: (nodePath) => {
+        const { left, right } = nodePath.node;
+        if (left.type !== 'MemberExpression' || left.object.type !== 'Identifier' || right.type !== 'ObjectExpression') return;
+
+        if (left.property.name === 'propTypes') module.propTypes.set(left.object.name, right);
+        if (left.property.name === 'defaultProps') module.defaultProps.set(left.object.name, right);
+      },
+
+      // class Button extends Component { static propTypes = {...}; static defaultProps = {...} }
+      ClassProperty: (nodePath) => {
+        const { key, value } = nodePath.node;
+        const classNode = nodePath.parentPath.parent;
+        if (!nodePath.node.static || value?.type !== 'ObjectExpression' || !classNode.id) return;
+
+        if (key.name === 'propTypes') module.propTypes.set(classNode.id.name, value);
+        if (key.name === 'defaultProps') module.defaultProps.set(classNode.id.name, value);
+      }
+    });
+
+    return module;
+  }
+
+  /**
+   * @param {object} node - FunctionDeclaration / VariableDeclarator / ClassDeclaration del componente
+   * @param {string} name - Nombre del componente
+   * @param {object} module - Resultado de loadModule del archivo del componente
+   * @returns {object} { props, acceptsUnknownProps, source }
+   */
+  extract(node, name, module) {
+    const props = new Map();
+    const sources = [];
+    let open = false;
+
+    const merge = (prop) => props.set(prop.name, { ...props.get(prop.name), ...prop });
+
+    // Desestructuración: nombres y valores por defecto
+    const pattern = this.getPropsParam(node);
+    const forwardsRest = pattern?.type === 'ObjectPattern' &&
+      pattern.properties.some(prop => prop.type === 'RestElement');
+
+    if (pattern?.type === 'ObjectPattern') {
+      sources.push('destructuring');
+      extractReactProps(node).forEach(prop => merge({
+        name: prop.name,
+        hasDefault: prop.hasDefault,
+        ...(prop.hasDefault ? { default: this.getDefaultText(pattern, prop.name, module) } : {})
+      }));
+    }
+
+    // Tipos de TypeScript
+    const typeNode = this.getPropsType(node);
+    if (typeNode) {
+      const typed = this.readTypeMembers(typeNode, module);
+      if (typed) {
+        sources.push('typescript');
+        open = open || typed.open;
+        typed.members.forEach(merge);
+      }
+    }
+
+    // PropTypes
+    const propTypes = module.propTypes.get(name);
+    if (propTypes) {
+      sources.push('propTypes');
+      propTypes.properties.forEach(prop => {
+        if (prop.type !== 'ObjectProperty') {
+          open = true;
+          return;
+        }
+
+        const propName = prop.key.name || prop.key.value;
+        const fromPropTypes = this.readPropType(prop.value, module);
+        // El tipo de TypeScript es más preciso que el de PropTypes
+        merge(props.get(propName)?.type ? { name: propName, required: fromPropTypes.required || props.get(propName).required } : { name: propName, ...fromPropTypes });
+      });
+    }
+
+    // defaultProps
+    const defaultProps = module.defaultProps.get(name);
+    defaultProps?.properties
+      .filter(prop => prop.type === 'ObjectProperty')
+      .forEach(prop => merge({
+        name: prop.key.name || prop.key.value,
+        hasDefault: true,
+        default: this.sourceOf(prop.value, module)
+      }));
+
+    const result = Array.from(props.values()).map(prop => ({
+      name: prop.name,
+      type: prop.type || null,
+      required: Boolean(prop.required) && !prop.hasDefault,
+      default: prop.default ?? null,
+      hasDefault: Boolean(prop.hasDefault),
+      values: prop.values || null
+    }));
+
+    return {
+      props: result,
+      // Sin tipos ni PropTypes, o reenviando ...rest, cualquier prop puede ser válida
+      acceptsUnknownProps: open || forwardsRest || sources.length === 0,
+      source: sources.includes('typescript') ? 'typescript' : sources[sources.length - 1] || null
+    };
+  }
+
+  getPropsParam(node) {
+    const fn = node.type === 'VariableDeclarator' ? node.init : node;
+    return fn?.params?.[0] || null;
+  }
+
+  getPropsType(node) {
+    // ({ variant }: ButtonProps) => ...
+    const param = this.getPropsParam(node);
+    if (param?.typeAnnotation?.typeAnnotation) return param.typeAnnotation.typeAnnotation;
+
+    // const Button: React.FC<ButtonProps> = ...
+    const idType = node.type === 'VariableDeclarator' ? node.id.typeAnnotation?.typeAnnotation : null;
+    if (idType?.typeParameters?.params?.[0]) return idType.typeParameters.params[0];
+
+    // class Button extends Component<ButtonProps>
+    if (node.type === 'ClassDeclaration') return node.superTypeParameters?.params?.[0] || null;
+
+    return null;
+  }
+
+  /**
+   * Busca la declaración de un tipo en el archivo o siguiendo sus imports relativos
+   * @returns {object|null} { declaration, module }
+   */
+  resolveType(name, module, seen = new Set()) {
+    const key = `${module.file}:${name}`;
+    if (seen.has(key)) return null;
+    seen.add(key);
+
+    if (module.types.has(name)) return { declaration: module.types.get(name), module };
+
+    const imported = module.imports.get(name);
+    if (!imported || !imported.source.startsWith('.')) return null;
+
+    const target = resolveImportPath(module.file, imported.source, TYPE_EXTENSIONS);
+    if (!target) return null;
+
+    const targetModule = this.loadModule(target);
+    return this.resolveType(imported.imported === 'default' ? name : imported.imported, targetModule, seen);
+  }
+
+  /**
+   * @returns {object|null} { members, open } o null si el tipo no se puede resolver en el repo
+   */
+  readTypeMembers(typeNode, module, seen = new Set()) {
+    if (!typeNode) return null;
+
+    if (typeNode.type === 'TSTypeLiteral') {
+      return { members: this.readSignatures(typeNode.members, module), open: false };
+    }
+
+    if (typeNode.type === 'TSParenthesizedType') return this.readTypeMembers(typeNode.typeAnnotation, module, seen);
+
+    if (typeNode.type === 'TSIntersectionType') {
+      const parts = typeNode.types.map(part => this.readTypeMembers(part, module, seen));
+      return {
+        members: parts.filter(Boolean).flatMap(part => part.members),
+        open: parts.some(part => !part || part.open)
+      };
+    }
+
+    if (typeNode.type === 'TSTypeReference' || typeNode.type === 'TSExpressionWithTypeArguments' || typeNode.type === 'TSInterfaceHeritage') {
+      const reference = typeNode.typeName || typeNode.expression;
+      const params = (typeNode.typeParameters || typeNode.typeArguments)?.params || [];
+      if (reference?.type !== 'Identifier') return null;
+
+      const utility = this.readUtilityType(reference.name, params, module, seen);
+      if (utility !== undefined) return utility;
+
+      const resolved = this.resolveType(reference.name, module);
+      if (!resolved || seen.has(resolved.declaration)) return null;
+      seen.add(resolved.declaration);
+
+      const { declaration, module: declarationModule } = resolved;
+      if (declaration.type === 'TSTypeAliasDeclaration') {
+        return this.readTypeMembers(declaration.typeAnnotation, declarationModule, seen);
+      }
+
+      // interface ButtonProps extends BaseProps, React.ButtonHTMLAttributes<...>
+      const parents = (declaration.extends || []).map(parent => this.readTypeMembers(parent, declarationModule, seen));
+      return {
+        members: [
+          ...parents.filter(Boolean).flatMap(parent => parent.members),
+          ...this.readSignatures(declaration.body.body, declarationModule)
+        ],
+        // extends de tipos externos (ButtonHTMLAttributes): acepta props que no conocemos
+        open: parents.some(parent => !parent || parent.open)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Partial/Required/Pick/Omit sobre tipos del repo; undefined si no es un utility type
+   */
+  readUtilityType(name, params, module, seen) {
+    if (!['Partial', 'Required', 'Pick', 'Omit'].includes(name)) return undefined;
+
+    const base = this.readTypeMembers(params[0], module, seen);
+    if (!base) return null;
+
+    const keys = this.readUnionValues(params[1]) || [];
+    switch (name) {
+      case 'Partial':
+        return { ...base, members: base.members.map(member => ({ ...member, required: false })) };
+      case 'Required':
+        return { ...base, members: base.members.map(member => ({ ...member, required: true })) };
+      case 'Pick':
+        return { open: false, members: base.members.filter(member => keys.includes(member.name)) };
+      default:
+        return { ...base, members: base.members.filter(member => !keys.includes(member.name)) };
+    }
+  }
+
+  readSignatures(members, module) {
+    return members
+      .filter(member => member.type === 'TSPropertySignature' && (member.key.name || member.key.value))
+      .map(member => {
+        const typeNode = member.typeAnnotation?.typeAnnotation;
+        return {
+          name: member.key.name || member.key.value,
+          type: typeNode ? this.sourceOf(typeNode, module) : 'any',
+          required: !member.optional,
+          values: this.readUnionValues(typeNode, module)
+        };
+      });
+  }
+
+  readUnionValues(typeNode, module = null) {
+    // variant: 'primary' | 'secondary', o un alias type Variant = 'primary' | 'secondary'
+    if (!typeNode) return null;
+
+    if (typeNode.type === 'TSTypeReference' && typeNode.typeName.type === 'Identifier' && module) {
+      const resolved = this.resolveType(typeNode.typeName.name, module);
+      return resolved?.declaration.type === 'TSTypeAliasDeclaration'
+        ? this.readUnionValues(resolved.declaration.typeAnnotation, resolved.module)
+        : null;
+    }
+
+    const types = typeNode.type === 'TSUnionType' ? typeNode.types : [typeNode];
+    if (!types.every(type => type.type === 'TSLiteralType' || type.type === 'TSUndefinedKeyword' || type.type === 'TSNullKeyword')) {
+      return null;
+    }
+
+    const values = types
+      .filter(type => type.type === 'TSLiteralType' && type.literal.value !== undefined)
+      .map(type => type.literal.value);
+    return values.length > 0 ? values : null;
+  }
+
+  readPropType(node, module) {
+    // PropTypes.string.isRequired / PropTypes.oneOf([...]).isRequired
+    let required = false;
+    let current = node;
+
+    if (current.type === 'MemberExpression' && current.property.name === 'isRequired') {
+      required = true;
+      current = current.object;
+    }
+
+    let values = null;
+    let type = 'any';
+
+    if (current.type === 'MemberExpression') {
+      type = PROP_TYPE_NAMES[current.property.name] || current.property.name;
+    } else if (current.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+      const factory = current.callee.property.name;
+      const [arg] = current.arguments;
+
+      if (factory === 'oneOf' && arg?.type === 'ArrayExpression') {
+        if (arg.elements.every(element => /^(String|Numeric|Boolean)Literal$/.test(element?.type))) {
+          values = arg.elements.map(element => element.value);
+          type = values.map(value => JSON.stringify(value)).join(' | ');
+        } else {
+          type = 'enum';
+        }
+      } else if (factory === 'oneOfType' && arg?.type === 'ArrayExpression') {
+        type = arg.elements.map(element => this.readPropType(element, module).type).join(' | ');
+      } else if (factory === 'arrayOf' && arg) {
+        type = `${this.readPropType(arg, module).type}[]`;
+      } else if (factory === 'instanceOf' && arg) {
+        type = this.sourceOf(arg, module);
+      } else {
+        // shape, exact, objectOf
+        type = 'object';
+      }
+    }
+
+    return { required, values, type };
+  }
+
+  getDefaultText(pattern, propName, module) {
+    const prop = pattern.properties.find(p => p.type === 'ObjectProperty' && p.key?.name === propName);
+    return prop?.value?.type === 'AssignmentPattern' ? this.sourceOf(prop.value.right, module) : null;
+  }
+
+  sourceOf(node, module) {
+    if (node.start === undefined || !module.content) return null;
+    const text = module.content.slice(node.start, node.end).replace(/\s+/g, ' ');
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,698 @@
+import path from 'path';
+import traverse from '@babel/traverse';
+import { findFiles, readFileSafe } from '../utils/fileUtils.js';
+import { parseCodeSafe } from '../utils/astUtils.js';
+
+const ROUTER_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all', 'use', 'route'];
+const ENTRY_FILES = ['app', 'server', 'index', 'main'];
+const MAX_DEPTH = 20;
+
+/**
+ * Construye el grafo de montaje de routers Express de un proyecto:
+ * sigue require/import entre módulos, registra app.use('/prefijo', router)
+ * y router.use('/x', subRouter), y calcula el path completo de cada router
+ * a partir de la cadena real de montaje. Los use() que no montan un router
+ * se registran como middleware en orden de aparición y se heredan hacia abajo.
+ */
+export default class RouteMountResolver {
+  constructor(projectPath, auditConfig) {
+    this.projectPath = projectPath;
+    this.auditConfig = auditConfig;
+    this.extensions = auditConfig.fileExtensions?.backend || ['.js', '.ts'];
+
+    // Información por módulo (ruta absoluta → datos)
+    this.modules = new Map();
+
+    // Grafo: aristas de montaje y paths resueltos por nodo (`archivo#variable`)
+    this.edges = [];
+    this.resolved = new Map();
+
+    // Middleware registrado con use() por nodo (app/router), en orden de aparición
+    this.middlewareUses = new Map();
+  }
+
+  resolve() {
+    const files = findFiles(
+      this.projectPath,
+      this.extensions,
+      this.auditConfig.ignorePatterns || []
+    );
+
+    files.forEach(file => this.collectModule(file));
+
+    this.modules.forEach((info, file) => this.buildEdges(file, info));
+
+    this.getRoots().forEach(root => {
+      this.walk(root, '', [], new Set(), 0, []);
+    });
+
+    return this.resolved;
+  }
+
+  /**
+   * Paths de montaje de un router, o null si su cadena no se pudo resolver
+   * @param {string} filePath - Ruta absoluta del archivo donde se usa el router
+   * @param {string} localName - Nombre de la variable del router
+   * @returns {array|null} Array de { path, chain }
+   */
+  getMountPaths(filePath, localName) {
+    if (!localName) return null;
+    const mounts = this.resolved.get(this.nodeId(path.resolve(filePath), localName));
+    return mounts && mounts.length > 0 ? mounts : null;
+  }
+
+  /**
+   * Middleware registrado con router.use() antes de una ruta del propio router
+   * @param {string} filePath - Ruta absoluta del archivo del router
+   * @param {string} localName - Nombre de la variable del router
+   * @param {number} line - Línea de la definición de la ruta
+   * @param {string} mountPath - Path de montaje del router
+   * @returns {array} Array de { name, node, file, line, scope }
+   */
+  getRouterMiddleware(filePath, localName, line, mountPath = '') {
+    const nodeId = this.resolveBinding(path.resolve(filePath), localName, 0);
+    if (!nodeId) return [];
+
+    return this.getMiddlewareBefore(nodeId, line, Infinity, mountPath);
+  }
+
+  /**
+   * Comprueba si un middleware con scope (prefijo de use()) alcanza a un path
+   * @param {string} scope - Path absoluto del use() ('' = todo)
+   * @param {string} fullPath - Path completo del endpoint
+   * @returns {boolean}
+   */
+  appliesTo(scope, fullPath) {
+    const scopeSegments = (scope || '').split('/').filter(Boolean);
+    const pathSegments = (fullPath || '').split('/').filter(Boolean);
+    if (scopeSegments.length > pathSegments.length) return false;
+
+    // use('/admin', mw) no aplica a '/:id': solo coincidiría con id === 'admin'
+    return scopeSegments.every((segment, index) =>
+      segment.startsWith(':') ||
+      segment.toLowerCase() === pathSegments[index].toLowerCase()
+    );
+  }
+
+  /**
+   * Lista plana de routers montados, para el inventario de rutas
+   * @returns {array} Array de { file, router, basePath, chain }
+   */
+  getMountedRouters() {
+    const routers = [];
+
+    this.resolved.forEach((mounts, nodeId) => {
+      const [file, router] = this.splitNodeId(nodeId);
+      mounts.forEach(mount => {
+        routers.push({
+          file: path.relative(this.projectPath, file),
+          router,
+          basePath: mount.path || '/',
+          chain: mount.chain
+        });
+      });
+    });
+
+    return routers;
+  }
+
+  /**
+   * Archivos donde se crea la aplicación Express (app.js, server.js...)
+   * @returns {string[]} Rutas absolutas
+   */
+  getAppFiles() {
+    return Array.from(this.modules.entries())
+      .filter(([, info]) => info.apps.size > 0)
+      .map(([file]) => file);
+  }
+
+  nodeId(file, localName) {
+    return `${file}#${localName}`;
+  }
+
+  splitNodeId(nodeId) {
+    const index = nodeId.lastIndexOf('#');
+    return [nodeId.substring(0, index), nodeId.substring(index + 1)];
+  }
+
+  collectModule(file) {
+    const content = readFileSafe(file);
+    if (!content) return;
+
+    const ast = parseCodeSafe(content);
+    if (!ast) return;
+
+    const info = {
+      apps: new Set(),
+      routerLocals: new Set(),
+      imports: new Map(),
+      exports: { default: null, named: new Map() },
+      constants: new Map(),
+      mounts: [],
+      registrations: []
+    };
+
+    traverse.default(ast, {
+      VariableDeclarator: (nodePath) => {
+        this.collectDeclarator(nodePath.node, info, nodePath.parentPath?.parentPath?.isProgram());
+      },
+
+      ImportDeclaration: (nodePath) => {
+        const source = nodePath.node.source.value;
+        nodePath.node.specifiers.forEach(spec => {
+          if (spec.type === 'ImportDefaultSpecifier') {
+            info.imports.set(spec.local.name, { source, imported: 'default' });
+          } else if (spec.type === 'ImportSpecifier') {
+            info.imports.set(spec.local.name, {
+              source,
+              imported: spec.imported.name || spec.imported.value
+            });
+          }
+        });
+      },
+
+      ExportDefaultDeclaration: (nodePath) => {
+        info.exports.default = this.describeExport(nodePath.node.declaration);
+      },
+
+      ExportNamedDeclaration: (nodePath) => {
+        const node = nodePath.node;
+        if (node.declaration?.type === 'VariableDeclaration') {
+          node.declaration.declarations.forEach(decl => {
+            if (decl.id.type === 'Identifier') {
+              info.exports.named.set(decl.id.name, { local: decl.id.name });
+            }
+          });
+        }
+
+        (node.specifiers || []).forEach(spec => {
+          const exported = spec.exported?.name || spec.exported?.value;
+          if (!exported || !spec.local) return;
+          info.exports.named.set(exported, node.source
+            ? { source: node.source.value, imported: spec.local.name }
+            : { local: spec.local.name });
+        });
+      },
+
+      AssignmentExpression: (nodePath) => {
+        this.collectCommonJSExport(nodePath.node, info);
+      },
+
+      CallExpression: (nodePath) => {
+        this.collectCall(nodePath.node, info);
+      }
+    });
+
+    this.modules.set(path.resolve(file), info);
+  }
+
+  collectDeclarator(node, info, isModuleLevel) {
+    const init = node.init;
+    if (!init) return;
+
+    if (node.id.type === 'Identifier') {
+      const name = node.id.name;
+
+      if (this.isExpressAppCreation(init)) {
+        info.apps.add(name);
+        info.routerLocals.add(name);
+        return;
+      }
+
+      const required = this.extractRequire(init);
+      if (required) {
+        info.imports.set(name, required);
+        return;
+      }
+
+      if (isModuleLevel) {
+        const value = this.resolveStaticString(init, info.constants);
+        if (value !== null) {
+          info.constants.set(name, value);
+        }
+      }
+    } else if (node.id.type === 'ObjectPattern') {
+      // const { usersRouter } = require('./routes')
+      const required = this.extractRequire(init);
+      if (!required) return;
+
+      node.id.properties.forEach(prop => {
+        if (prop.type === 'ObjectProperty' && prop.value.type === 'Identifier') {
+          info.imports.set(prop.value.name, {
+            source: required.source,
+            imported: prop.key.name || prop.key.value
+          });
+        }
+      });
+    }
+  }
+
+  collectCommonJSExport(node, info) {
+    if (node.operator !== '=' || node.left.type !== 'MemberExpression') return;
+
+    const left = node.left;
+    const isModuleExports = left.object.name === 'module' && left.property.name === 'exports';
+
+    // module.exports = router
+    if (isModuleExports) {
+      if (node.right.type === 'ObjectExpression') {
+        node.right.properties.forEach(prop => {
+          if (prop.type !== 'ObjectProperty') return;
+          const key = prop.key.name || prop.key.value;
+          const described = this.describeExport(prop.value);
+          if (key && described) {
+            info.exports.named.set(key, described);
+          }
+        });
+      } else {
+        info.exports.default = this.describeExport(node.right);
+      }
+      return;
+    }
+
+    // exports.router = router / module.exports.router = router
+    const isExportsObject = left.object.name === 'exports' ||
+      (left.object.type === 'MemberExpression' &&
+       left.object.object.name === 'module' &&
+       left.object.property.name === 'exports');
+
+    if (isExportsObject && left.property.name) {
+      const described = this.describeExport(node.right);
+      if (described) {
+        info.exports.named.set(left.property.name, described);
+      }
+    }
+  }
+
+  collectCall(node, info) {
+    const callee = node.callee;
+
+    // app.use('/api', usersRouter) / router.use(subRouter)
+    if (
+      callee.type === 'MemberExpression' &&
+      callee.object.type === 'Identifier' &&
+      callee.property.name === 'use'
+    ) {
+      const args = node.arguments;
+      let prefixes = [''];
+      let targetArgs = args;
+
+      const firstPrefixes = this.extractPrefixes(args[0], info.constants);
+      if (firstPrefixes) {
+        prefixes = firstPrefixes;
+        targetArgs = args.slice(1);
+      }
+
+      // Cada handler es un router (arista del grafo) o un middleware; se decide al resolver imports
+      const handlers = [];
+      targetArgs.forEach((arg, position) => {
+        const elements = arg.type === 'ArrayExpression' ? arg.elements : [arg];
+        elements.forEach(element => {
+          if (element) handlers.push({ node: element, target: this.describeTarget(element), position });
+        });
+      });
+
+      info.routerLocals.add(callee.object.name);
+      info.mounts.push({
+        from: callee.object.name,
+        prefixes,
+        handlers,
+        line: node.loc?.start?.line || 0
+      });
+      return;
+    }
+
+    // router.get(...) → la variable se usa como router
+    if (
+      callee.type === 'MemberExpression' &&
+      callee.object.type === 'Identifier' &&
+      ROUTER_METHODS.includes(callee.property.name)
+    ) {
+      info.routerLocals.add(callee.object.name);
+      return;
+    }
+
+    // require('./routes')(app) / registerRoutes(app)
+    const registration = this.describeTarget(callee);
+    if (registration && node.arguments.length > 0) {
+      info.registrations.push({
+        target: registration,
+        args: node.arguments.map(arg => arg.type === 'Identifier' ? arg.name : null),
+        line: node.loc?.start?.line || 0
+      });
+    }
+  }
+
+  describeExport(node) {
+    if (!node) return null;
+
+    if (node.type === 'Identifier') {
+      return { local: node.name };
+    }
+
+    const required = this.extractRequire(node);
+    if (required) {
+      return required;
+    }
+
+    // module.exports = (app) => { app.get(...) }
+    if (
+      node.type === 'FunctionDeclaration' ||
+      node.type === 'FunctionExpression' ||
+      node.type === 'ArrowFunctionExpression'
+    ) {
+      return {
+        params: node.params.map(param => param.type === 'Identifier' ? param.name : null)
+      };
+    }
+
+    return null;
+  }
+
+  describeTarget(node) {
+    if (!node) return null;
+
+    if (node.type === 'Identifier') {
+      return { local: node.name };
+    }
+
+    return this.extractRequire(node);
+  }
+
+  extractRequire(node) {
+    if (!node) return null;
+
+    // require('./x')
+    if (
+      node.type === 'CallExpression' &&
+      node.callee.name === 'require' &&
+      node.arguments[0]?.type === 'StringLiteral'
+    ) {
+      return { source: node.arguments[0].value, imported: 'default' };
+    }
+
+    // require('./x').router
+    if (node.type === 'MemberExpression' && node.property.name) {
+      const required = this.extractRequire(node.object);
+      if (required) {
+        return { source: required.source, imported: node.property.name };
+      }
+    }
+
+    return null;
+  }
+
+  isExpressAppCreation(node) {
+    return node.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' &&
+      node.callee.name === 'express';
+  }
+
+  extractPrefixes(node, constants) {
+    if (!node) return null;
+
+    if (node.type === 'ArrayExpression') {
+      const values = node.elements.map(element => this.resolveStaticString(element, constants));
+      return values.length > 0 && values.every(value => value !== null) ? values : null;
+    }
+
+    const value = this.resolveStaticString(node, constants);
+    return value !== null ? [value] : null;
+  }
+
+  resolveStaticString(node, constants) {
+    if (!node) return null;
+
+    if (node.type === 'StringLiteral') {
+      return node.value;
+    }
+
+    if (node.type === 'TemplateLiteral') {
+      let value = '';
+      for (let i = 0; i < node.quasis.length; i++) {
+        value += node.quasis[i].value.cooked;
+        if (i < node.expressions.length) {
+          const expression = this.resolveStaticString(node.expressions[i], constants);
+          if (expression === null) return null;
+          value += expression;
+        }
+      }
+      return value;
+    }
+
+    if (node.type === 'Identifier' && constants.has(node.name)) {
+      return constants.get(node.name);
+    }
+
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      const left = this.resolveStaticString(node.left, constants);
+      const right = this.resolveStaticString(node.right, constants);
+      return left !== null && right !== null ? left + right : null;
+    }
+
+    return null;
+  }
+
+  buildEdges(file, info) {
+    info.mounts.forEach(mount => {
+      const from = this.resolveBinding(file, mount.from, 0);
+      if (!from) return;
+
+      mount.handlers.forEach(handler => {
+        const to = handler.target ? this.resolveTarget(file, handler.target) : null;
+        if (to === from) return;
+
+        if (to) {
+          mount.prefixes.forEach(prefix => {
+            this.edges.push({ from, to, prefix, file, line: mount.line, position: handler.position });
+          });
+          return;
+        }
+
+        // app.use(requireUser) / router.use('/admin', requireAdmin)
+        const uses = this.middlewareUses.get(from) || [];
+        uses.push({
+          name: this.getHandlerName(handler.node),
+          node: handler.node,
+          file,
+          line: mount.line,
+          position: handler.position,
+          prefixes: mount.prefixes
+        });
+        this.middlewareUses.set(from, uses);
+      });
+    });
+
+    info.registrations.forEach(registration => {
+      const fn = this.resolveExportedFunction(file, registration.target, 0);
+      if (!fn) return;
+
+      registration.args.forEach((argName, index) => {
+        const paramName = fn.params[index];
+        if (!argName || !paramName) return;
+
+        const from = this.resolveBinding(file, argName, 0);
+        if (!from) return;
+
+        this.edges.push({
+          from,
+          to: this.nodeId(fn.file, paramName),
+          prefix: '',
+          file,
+          line: registration.line
+        });
+      });
+    });
+  }
+
+  getHandlerName(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression') {
+      return `${this.getHandlerName(node.object)}.${node.property.name || node.property.value}`;
+    }
+    if (node.type === 'CallExpression') return this.getHandlerName(node.callee);
+    return 'anonymous';
+  }
+
+  getMiddlewareBefore(nodeId, line, position, mountPath) {
+    // Solo cuenta el middleware registrado antes (en el código) que la ruta o el montaje
+    return (this.middlewareUses.get(nodeId) || [])
+      .filter(use => use.line < line || (use.line === line && use.position < position))
+      .flatMap(use => use.prefixes.map(prefix => ({
+        name: use.name,
+        node: use.node,
+        file: use.file,
+        line: use.line,
+        scope: this.joinPaths(mountPath + '/' + prefix)
+      })));
+  }
+
+  resolveTarget(file, target) {
+    if (target.local) {
+      return this.resolveBinding(file, target.local, 0);
+    }
+
+    const targetFile = this.resolveModulePath(file, target.source);
+    return targetFile ? this.resolveExport(targetFile, target.imported, 0) : null;
+  }
+
+  resolveBinding(file, localName, depth) {
+    const info = this.modules.get(file);
+    if (!info || depth > MAX_DEPTH) return null;
+
+    if (info.routerLocals.has(localName)) {
+      return this.nodeId(file, localName);
+    }
+
+    const imported = info.imports.get(localName);
+    if (imported) {
+      const targetFile = this.resolveModulePath(file, imported.source);
+      return targetFile ? this.resolveExport(targetFile, imported.imported, depth + 1) : null;
+    }
+
+    return null;
+  }
+
+  resolveExport(file, exportName, depth) {
+    const info = this.modules.get(file);
+    if (!info || depth > MAX_DEPTH) return null;
+
+    const exported = exportName === 'default'
+      ? info.exports.default
+      : info.exports.named.get(exportName);
+
+    if (!exported) return null;
+
+    if (exported.local) {
+      return this.resolveBinding(file, exported.local, depth + 1);
+    }
+
+    if (exported.source) {
+      const targetFile = this.resolveModulePath(file, exported.source);
+      return targetFile ? this.resolveExport(targetFile, exported.imported, depth + 1) : null;
+    }
+
+    return null;
+  }
+
+  resolveExportedFunction(file, target, depth) {
+    if (depth > MAX_DEPTH) return null;
+
+    let targetFile = file;
+    let exportName = null;
+
+    if (target.local) {
+      const imported = this.modules.get(file)?.imports.get(target.local);
+      if (!imported) return null;
+      targetFile = this.resolveModulePath(file, imported.source);
+      exportName = imported.imported;
+    } else {
+      targetFile = this.resolveModulePath(file, target.source);
+      exportName = target.imported;
+    }
+
+    const info = targetFile && this.modules.get(targetFile);
+    if (!info) return null;
+
+    const exported = exportName === 'default'
+      ? info.exports.default
+      : info.exports.named.get(exportName);
+
+    if (exported?.params) {
+      return { file: targetFile, params: exported.params };
+    }
+
+    if (exported?.source) {
+      return this.resolveExportedFunction(targetFile, exported, depth + 1);
+    }
+
+    return null;
+  }
+
+  resolveModulePath(fromFile, source) {
+    if (!source || !source.startsWith('.')) return null;
+
+    const base = path.resolve(path.dirname(fromFile), source);
+    const candidates = [
+      base,
+      ...this.extensions.map(ext => base + ext),
+      ...this.extensions.map(ext => path.join(base, `index${ext}`))
+    ];
+
+    // import './users.js' desde TypeScript puede apuntar a users.ts
+    const ext = path.extname(base);
+    if (ext) {
+      const withoutExt = base.slice(0, -ext.length);
+      candidates.push(...this.extensions.map(extension => withoutExt + extension));
+    }
+
+    return candidates.find(candidate => this.modules.has(candidate)) || null;
+  }
+
+  getRoots() {
+    const roots = [];
+
+    this.modules.forEach((info, file) => {
+      info.apps.forEach(app => roots.push(this.nodeId(file, app)));
+    });
+
+    if (roots.length > 0) return roots;
+
+    // Sin express() visible: routers de los archivos de entrada que nadie monta
+    const mountedNodes = new Set(this.edges.map(edge => edge.to));
+
+    this.modules.forEach((info, file) => {
+      const relative = path.relative(this.projectPath, file);
+      const baseName = path.basename(relative, path.extname(relative));
+      const dirName = path.dirname(relative);
+
+      if (!ENTRY_FILES.includes(baseName) || !['.', 'src'].includes(dirName)) return;
+
+      info.routerLocals.forEach(local => {
+        const nodeId = this.nodeId(file, local);
+        if (!mountedNodes.has(nodeId)) {
+          roots.push(nodeId);
+        }
+      });
+    });
+
+    return roots;
+  }
+
+  walk(nodeId, prefix, chain, visiting, depth, middleware) {
+    if (visiting.has(nodeId) || depth > MAX_DEPTH) return;
+
+    const mountPath = this.joinPaths(prefix);
+    const mounts = this.resolved.get(nodeId) || [];
+
+    if (!mounts.some(mount => mount.path === mountPath)) {
+      mounts.push({ path: mountPath, chain, middleware });
+      this.resolved.set(nodeId, mounts);
+    }
+
+    visiting.add(nodeId);
+
+    this.edges
+      .filter(edge => edge.from === nodeId)
+      .forEach(edge => {
+        const link = {
+          file: path.relative(this.projectPath, edge.file),
+          line: edge.line,
+          path: edge.prefix
+        };
+        const inherited = [
+          ...middleware,
+          ...this.getMiddlewareBefore(nodeId, edge.line, edge.position ?? Infinity, mountPath)
+        ];
+        this.walk(edge.to, prefix + '/' + edge.prefix, [...chain, link], visiting, depth + 1, inherited);
+      });
+
+    visiting.delete(nodeId);
+  }
+
+  joinPaths(prefix) {
+    const normalized = prefix.replace(/\/+/g, '/');
+    if (normalized === '/' || normalized === '') return '';
+    return normalized.endsWith('/') ? normalized.slice(0, -1) : normalized;
+  }
+}
\ No newline at end of file
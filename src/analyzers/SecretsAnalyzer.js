@@ -0,0 +1,303 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { minimatch } from 'minimatch';
+import { findFiles, readFileSafe } from '../utils/fileUtils.js';
+
+// Formatos de credenciales con prefijo/estructura conocida
+const TOKEN_PATTERNS = [
+  { kind: 'private-key', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/ },
+  { kind: 'github-token', pattern: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36}\b|\bgithub_pat_[A-Za-z0-9_]{22,}\b/ },
+  { kind: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { kind: 'stripe-key', pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/ },
+  { kind: 'slack-webhook', pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+/ },
+  { kind: 'slack-token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/ },
+  { kind: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  { kind: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/ }
+];
+
+// secret = '...', "password": "...", apiKey: `...`
+const ASSIGNMENT_PATTERN = /([A-Za-z0-9_$.-]+)['"]?\s*[:=]\s*(['"`])([^'"`\s]{6,})\2/g;
+
+// JWT_SECRET=... en archivos .env
+const ENV_ASSIGNMENT_PATTERN = /^\s*(?:export\s+)?([A-Za-z0-9_]+)\s*=\s*['"]?([^'"\s#]{6,})/;
+
+// Nombres de variable que contienen una credencial
+const SECRET_NAME_PATTERN = /(secret|password|passwd|pwd|credentials?|private[_-]?key)$/i;
+const TOKEN_NAME_PATTERN = /(token|api[_-]?key|access[_-]?key|auth[_-]?key)$/i;
+
+// Un token real es largo y variado; 'abc123' o 'dev-key' son valores de prueba
+const MIN_TOKEN_LENGTH = 16;
+const MIN_TOKEN_ENTROPY = 3;
+
+// Secciones de package.json con nombres de paquete y rangos semver ("jsonwebtoken": "^9.0.0")
+const DEPENDENCY_SECTION_PATTERN = /"(dependencies|devDependencies|peerDependencies|optionalDependencies)"\s*:\s*\{/;
+
+// Valores de ejemplo que no son credenciales reales
+const PLACEHOLDER_PATTERN = /^(process\.env|import\.meta|\$\{|<|your[_-]|change[_-]?me|x{3,}|\*{3,}|\.{3}|example|dummy|placeholder|redacted|null|undefined|true|false)/i;
+
+// Strings de alta entropía: base64/hex sin espacios
+const ENTROPY_CANDIDATE = /(['"`])([A-Za-z0-9+/=_-]{24,})\1/g;
+
+// Archivos que no son del proyecto aunque tengan extensión escaneable
+const SKIPPED_FILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'npm-shrinkwrap.json'];
+
+// Variables de entorno que el bundler inyecta en el cliente
+const PUBLIC_ENV_PREFIX = /^(VITE_|REACT_APP_|NEXT_PUBLIC_|EXPO_PUBLIC_)/;
+
+const MAX_LINE_LENGTH = 500;
+
+/**
+ * Busca credenciales hardcodeadas en backend, frontend y design system:
+ * formatos conocidos (GitHub, AWS, Stripe, Slack, claves privadas, JWT),
+ * asignaciones a variables de nombre sensible y strings de alta entropía.
+ */
+export default class SecretsAnalyzer {
+  /**
+   * @param {object} projects - { backend, frontend, designSystem } habilitados
+   * @param {object} auditConfig - config.audit (ignorePatterns, fileExtensions, secrets)
+   */
+  constructor(projects, auditConfig) {
+    this.projects = projects;
+    this.auditConfig = auditConfig;
+    this.options = {
+      extensions: ['.json', '.env', '.yml', '.yaml'],
+      allowlistFile: '.secrets-allowlist',
+      minEntropy: 4.5,
+      ...(auditConfig.secrets || {})
+    };
+
+    this.findings = [];
+    this.allowlisted = 0;
+    this.filesScanned = 0;
+  }
+
+  async analyze() {
+    for (const [projectKey, projectConfig] of Object.entries(this.projects)) {
+      if (!projectConfig?.path || !fs.existsSync(projectConfig.path)) continue;
+
+      const allowlist = this.loadAllowlist(projectConfig.path);
+      const files = this.getScannableFiles(projectKey, projectConfig.path);
+
+      for (const file of files) {
+        this.scanFile(projectKey, projectConfig.path, file, allowlist);
+      }
+    }
+
+    console.log(`   ✓ ${this.filesScanned} archivos escaneados, ${this.findings.length} secretos encontrados`);
+    if (this.allowlisted > 0) {
+      console.log(`   ✓ ${this.allowlisted} coincidencias ignoradas por allowlist`);
+    }
+
+    return {
+      findings: this.findings,
+      filesScanned: this.filesScanned,
+      allowlisted: this.allowlisted
+    };
+  }
+
+  getScannableFiles(projectKey, projectPath) {
+    const extensions = [
+      ...(this.auditConfig.fileExtensions?.[projectKey] || []),
+      ...this.options.extensions
+    ];
+
+    // Todos los archivos: .env/.env.production no tienen extensión reconocible
+    return findFiles(projectPath, [], this.auditConfig.ignorePatterns).filter(file => {
+      const name = path.basename(file);
+      if (SKIPPED_FILES.includes(name)) return false;
+      return this.isEnvFile(name) || extensions.includes(path.extname(name));
+    });
+  }
+
+  isEnvFile(name) {
+    return /^\.env(\..+)?$/.test(name);
+  }
+
+  /**
+   * Allowlist por proyecto (y global en el directorio actual):
+   * una entrada por línea, glob de archivo (test/fixtures/**) o sha256:<fingerprint>
+   */
+  loadAllowlist(projectPath) {
+    const allowlist = { globs: [], fingerprints: new Set() };
+    const candidates = [
+      path.resolve(this.options.allowlistFile),
+      path.resolve(projectPath, this.options.allowlistFile)
+    ];
+
+    [...new Set(candidates)].forEach(file => {
+      if (!fs.existsSync(file)) return;
+
+      readFileSafe(file).split('\n').forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        if (!line) return;
+
+        if (line.startsWith('sha256:')) {
+          allowlist.fingerprints.add(line.slice('sha256:'.length));
+        } else {
+          allowlist.globs.push(line);
+        }
+      });
+    });
+
+    return allowlist;
+  }
+
+  scanFile(projectKey, projectPath, file, allowlist) {
+    const content = readFileSafe(file);
+    if (!content) return;
+
+    const relativePath = path.relative(projectPath, file);
+    this.filesScanned++;
+
+    if (allowlist.globs.some(glob => minimatch(relativePath, glob, { dot: true }))) {
+      const matches = this.detectSecrets(content, path.basename(file));
+      this.allowlisted += matches.length;
+      return;
+    }
+
+    this.detectSecrets(content, path.basename(file)).forEach(match => {
+      const fingerprint = this.fingerprint(match.value);
+      if (allowlist.fingerprints.has(fingerprint)) {
+        this.allowlisted++;
+        return;
+      }
+
+      this.findings.push({
+        project: projectKey,
+        kind: match.kind,
+        detector: match.detector,
+        name: match.name || null,
+        severity: this.getSeverity(projectKey, match, path.basename(file)),
+        file: relativePath,
+        line: match.line,
+        preview: this.redactLine(match.lineText, match.value),
+        redacted: this.redact(match.value),
+        entropy: Number(this.entropy(match.value).toFixed(2)),
+        fingerprint
+      });
+    });
+  }
+
+  detectSecrets(content, fileName) {
+    const matches = [];
+    const isEnv = this.isEnvFile(fileName);
+    const isManifest = fileName === 'package.json';
+    let inDependencies = false;
+
+    content.split('\n').forEach((lineText, index) => {
+      const line = index + 1;
+
+      if (isManifest && DEPENDENCY_SECTION_PATTERN.test(lineText)) {
+        inDependencies = !lineText.includes('}');
+        return;
+      }
+      if (inDependencies) {
+        if (lineText.includes('}')) inDependencies = false;
+        return;
+      }
+
+      const found = new Set();
+      const envName = isEnv ? lineText.match(ENV_ASSIGNMENT_PATTERN)?.[1] : null;
+      const add = (match) => {
+        // Un mismo valor se reporta una vez por línea, con el detector más específico
+        if (found.has(match.value)) return;
+        found.add(match.value);
+        matches.push({ name: envName || null, ...match, line, lineText });
+      };
+
+      TOKEN_PATTERNS.forEach(({ kind, pattern }) => {
+        const match = lineText.match(pattern);
+        if (match) add({ kind, detector: 'format', value: match[0] });
+      });
+
+      if (isEnv) {
+        const match = lineText.match(ENV_ASSIGNMENT_PATTERN);
+        if (match && this.isSecretAssignment(match[1], match[2])) {
+          add({ kind: 'assignment', detector: 'assignment', name: match[1], value: match[2] });
+        }
+        return;
+      }
+
+      for (const match of lineText.matchAll(ASSIGNMENT_PATTERN)) {
+        const name = match[1].split('.').pop();
+        if (this.isSecretAssignment(name, match[3])) {
+          add({ kind: 'assignment', detector: 'assignment', name, value: match[3] });
+        }
+      }
+
+      // Líneas minificadas: demasiados falsos positivos de entropía
+      if (lineText.length > MAX_LINE_LENGTH) return;
+
+      for (const match of lineText.matchAll(ENTROPY_CANDIDATE)) {
+        const value = match[2];
+        if (this.isHighEntropy(value)) {
+          add({ kind: 'high-entropy', detector: 'entropy', value });
+        }
+      }
+    });
+
+    return matches;
+  }
+
+  isSecretAssignment(name, value) {
+    // Textos de UI ('Contraseña') no son credenciales: solo ASCII imprimible
+    if (PLACEHOLDER_PATTERN.test(value) || !/^[\x21-\x7e]+$/.test(value)) return false;
+
+    // JWT_SECRET = 'supersecretkey': cualquier valor literal es sospechoso
+    if (SECRET_NAME_PATTERN.test(name)) return true;
+
+    // TOKEN_KEY = 'auth_token' es un nombre de clave, no un token
+    return TOKEN_NAME_PATTERN.test(name) &&
+      !/^[a-z]+([_.-][a-z]+)*$/.test(value) &&
+      !/^[a-z]+([A-Z][a-z]+)*$/.test(value) &&
+      value.length >= MIN_TOKEN_LENGTH &&
+      this.entropy(value) >= MIN_TOKEN_ENTROPY;
+  }
+
+  isHighEntropy(value) {
+    // sha512-... (integrity), rutas y nombres compuestos no son secretos
+    if (/^sha(1|256|384|512)-/.test(value) || /^[A-Za-z]+([_/-][A-Za-z]+)*$/.test(value)) return false;
+
+    // Hex tiene menos entropía por carácter que base64
+    const threshold = /^[0-9a-f]+$/i.test(value)
+      ? Math.min(this.options.minEntropy, 3.5)
+      : this.options.minEntropy;
+    return /\d/.test(value) && this.entropy(value) >= threshold;
+  }
+
+  entropy(value) {
+    const frequencies = {};
+    for (const char of value) frequencies[char] = (frequencies[char] || 0) + 1;
+
+    return Object.values(frequencies).reduce((sum, count) => {
+      const p = count / value.length;
+      return sum - p * Math.log2(p);
+    }, 0);
+  }
+
+  getSeverity(projectKey, match, fileName) {
+    // Todo lo que está en el frontend termina en el bundle del navegador
+    if (projectKey === 'frontend') {
+      const serverOnlyEnv = this.isEnvFile(fileName) && !PUBLIC_ENV_PREFIX.test(match.name || '');
+      return serverOnlyEnv ? 'HIGH' : 'CRITICAL';
+    }
+
+    if (match.kind === 'private-key') return 'CRITICAL';
+    return match.detector === 'entropy' ? 'MEDIUM' : 'HIGH';
+  }
+
+  fingerprint(value) {
+    return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+  }
+
+  redact(value) {
+    if (value.length <= 8) return '*'.repeat(value.length);
+    return `${value.slice(0, 4)}${'*'.repeat(Math.min(value.length - 6, 12))}${value.slice(-2)}`;
+  }
+
+  redactLine(lineText, value) {
+    const redacted = lineText.split(value).join(this.redact(value)).trim();
+    return redacted.length > 120 ? `${redacted.slice(0, 117)}...` : redacted;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,202 @@
+import traverse from '@babel/traverse';
+import {
+  COLOR_PATTERN,
+  getStyleCategory,
+  normalizeColor,
+  parseDeclarations,
+  toKebabCase
+} from '../utils/styleUtils.js';
+
+// Props JSX con objetos de estilo: style={{...}}, sx={{...}} (MUI), css={{...}} (emotion)
+const STYLE_PROPS = ['style', 'sx', 'css'];
+
+// Tags de template con CSS: styled.div``, styled(Button)``, css``, keyframes``, createGlobalStyle``
+const STYLE_TAGS = ['styled', 'css', 'keyframes', 'createGlobalStyle', 'injectGlobal'];
+
+// Props numéricas sin unidad que React no convierte a px
+const UNITLESS_PROPERTIES = /^(font-weight|line-height|opacity|z-index|flex(-grow|-shrink)?|order|zoom)$/;
+
+// Prefijo de la clase Tailwind → categoría del valor arbitrario (bg-[#1da1f2], p-[13px])
+const TAILWIND_PREFIXES = [
+  { pattern: /^(p|px|py|pt|pr|pb|pl|ps|pe|m|mx|my|mt|mr|mb|ml|ms|me|gap|gap-x|gap-y|space-x|space-y|inset|inset-x|inset-y|top|right|bottom|left)$/, category: 'spacing' },
+  { pattern: /^rounded(-[a-z]+)?$/, category: 'radius' },
+  { pattern: /^text$/, category: 'fontSize' },
+  { pattern: /^font$/, category: 'font' },
+  { pattern: /^shadow$/, category: 'shadow' },
+  { pattern: /^(bg|text|border(-[trblxyse])?|fill|stroke|ring|ring-offset|outline|decoration|divide|from|via|to|accent|caret|placeholder|shadow)$/, category: 'color' }
+];
+
+const TAILWIND_ARBITRARY_PATTERN = /(?:^|\s)(?:[\w-]+:)*!?-?([a-z]+(?:-[a-z]+)*)-\[([^\]\s]+)\]/g;
+
+/**
+ * Recolecta valores de estilo hardcodeados en el frontend para compararlos con los
+ * tokens del design system: props style/sx/css, templates de styled-components/emotion,
+ * valores arbitrarios de Tailwind en className y hojas CSS/SCSS (incluidos CSS modules).
+ * Los valores que ya usan tokens (var(--x), $x, theme.x, ${...}) no se recogen.
+ */
+export default class StyleValueCollector {
+  constructor() {
+    // archivo:línea:categoría:valor → valor (el mismo archivo puede analizarse más de una vez)
+    this.values = new Map();
+  }
+
+  /**
+   * @param {object} ast - AST del archivo
+   * @param {string} file - Ruta relativa al proyecto
+   */
+  scan(ast, file) {
+    traverse.default(ast, {
+      JSXAttribute: (nodePath) => {
+        const { name, value } = nodePath.node;
+        const attribute = name.type === 'JSXIdentifier' ? name.name : null;
+        const expression = value?.type === 'JSXExpressionContainer' ? value.expression : null;
+
+        if (STYLE_PROPS.includes(attribute) && expression?.type === 'ObjectExpression') {
+          this.collectObjectStyle(expression, file, `${attribute}-prop`);
+        }
+
+        if (attribute === 'className' || attribute === 'class') {
+          this.collectClassNames(nodePath, file);
+        }
+      },
+
+      TaggedTemplateExpression: (nodePath) => {
+        if (!STYLE_TAGS.includes(this.getTagRoot(nodePath.node.tag))) return;
+
+        // Cada quasi por separado: las interpolaciones ${theme.x} no son valores hardcodeados
+        nodePath.node.quasi.quasis.forEach(quasi => {
+          parseDeclarations(quasi.value.cooked || '', quasi.loc?.start.line || 0)
+            .forEach(declaration => this.addDeclaration(declaration.property, declaration.value, file, declaration.line, 'styled'));
+        });
+      }
+    });
+  }
+
+  /**
+   * @param {string} content - Contenido del .css/.scss
+   * @param {string} file - Ruta relativa al proyecto
+   */
+  scanStylesheet(content, file) {
+    parseDeclarations(content).forEach(declaration => {
+      this.addDeclaration(declaration.property, declaration.value, file, declaration.line, 'stylesheet');
+    });
+  }
+
+  getValues() {
+    return Array.from(this.values.values());
+  }
+
+  getTagRoot(tag) {
+    let current = tag;
+
+    // styled.div.attrs({...})`` / styled(Button)`` / styled('div')``
+    while (current) {
+      if (current.type === 'Identifier') return current.name;
+      if (current.type === 'MemberExpression') current = current.object;
+      else if (current.type === 'CallExpression') current = current.callee;
+      else return null;
+    }
+
+    return null;
+  }
+
+  collectObjectStyle(objectNode, file, origin) {
+    objectNode.properties.forEach(prop => {
+      if (prop.type !== 'ObjectProperty') return;
+
+      const key = prop.key.name ?? prop.key.value;
+      if (typeof key !== 'string') return;
+
+      // sx={{ '&:hover': { color: '#fff' } }}
+      if (prop.value.type === 'ObjectExpression') {
+        this.collectObjectStyle(prop.value, file, origin);
+        return;
+      }
+
+      const property = toKebabCase(key);
+      const line = prop.value.loc?.start.line || 0;
+
+      if (prop.value.type === 'StringLiteral') {
+        this.addDeclaration(property, prop.value.value, file, line, origin);
+      } else if (prop.value.type === 'NumericLiteral') {
+        // padding: 16 → 16px en React; fontWeight: 600 se mantiene
+        const value = UNITLESS_PROPERTIES.test(property) ? String(prop.value.value) : `${prop.value.value}px`;
+        this.addDeclaration(property, value, file, line, origin);
+      }
+    });
+  }
+
+  collectClassNames(attributePath, file) {
+    const strings = [];
+
+    // className="..." / className={`...`} / className={cn('...', cond && '...')}
+    attributePath.traverse({
+      StringLiteral: (stringPath) => {
+        strings.push({ text: stringPath.node.value, line: stringPath.node.loc?.start.line });
+      },
+      TemplateElement: (elementPath) => {
+        strings.push({ text: elementPath.node.value.cooked || '', line: elementPath.node.loc?.start.line });
+      }
+    });
+
+    strings.forEach(({ text, line }) => {
+      for (const match of text.matchAll(TAILWIND_ARBITRARY_PATTERN)) {
+        this.addTailwindValue(match[1], match[2].replace(/_/g, ' '), file, line || 0, match[0].trim());
+      }
+    });
+  }
+
+  addTailwindValue(prefix, value, file, line, className) {
+    const isColor = Boolean(normalizeColor(value));
+
+    const rule = TAILWIND_PREFIXES.find(entry =>
+      entry.pattern.test(prefix) && (entry.category === 'color') === isColor
+    );
+    if (!rule) return;
+
+    let category = rule.category;
+    if (category === 'font') category = /^\d+$/.test(value) ? 'fontWeight' : 'fontFamily';
+
+    this.addValue({ file, line, property: className, value, category, origin: 'tailwind' });
+  }
+
+  addDeclaration(property, value, file, line, origin) {
+    if (!value || this.usesToken(value)) return;
+
+    const category = getStyleCategory(property);
+
+    // box-shadow se compara entero contra los tokens de sombra
+    if (category === 'shadow') {
+      this.addValue({ file, line, property, value, category, origin });
+      return;
+    }
+
+    // Colores en cualquier propiedad: color, background, border: 1px solid #ccc...
+    const colors = value.match(COLOR_PATTERN) || [];
+    if (colors.length === 0 && /color|background|fill|stroke/.test(property) && normalizeColor(value)) {
+      colors.push(value);
+    }
+    colors.forEach(color => this.addValue({ file, line, property, value: color, category: 'color', origin }));
+
+    if (!category) return;
+
+    if (category === 'fontWeight' || category === 'fontFamily') {
+      this.addValue({ file, line, property, value, category, origin });
+      return;
+    }
+
+    // margin: 8px 16px → cada longitud por separado
+    value.split(/\s+/)
+      .filter(part => /^-?\d*\.?\d+(px|rem)$/.test(part))
+      .forEach(part => this.addValue({ file, line, property, value: part.replace(/^-/, ''), category, origin }));
+  }
+
+  usesToken(value) {
+    return /var\(--|\$[\w-]|theme[.(]|\$\{|tokens?\./.test(value);
+  }
+
+  addValue(entry) {
+    const key = `${entry.file}:${entry.line}:${entry.category}:${entry.value}`;
+    if (!this.values.has(key)) this.values.set(key, entry);
+  }
+}
\ No newline at end of file
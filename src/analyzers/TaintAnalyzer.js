@@ -0,0 +1,453 @@
+import traverse from '@babel/traverse';
+
+// Propiedades de req controladas por el cliente
+const REQUEST_SOURCES = ['body', 'query', 'params', 'headers', 'cookies'];
+
+// Fuentes que pueden llegar como objeto ({ "$ne": null }) y no solo como string
+const OBJECT_SOURCES = ['body', 'query'];
+
+// Conversiones/validaciones que neutralizan el valor
+const SANITIZER_PATTERN = /^(parseInt|parseFloat|Number|Boolean)$|escape|sanitiz|validat|clean|ObjectId|isValid|basename/i;
+
+// Funciones que devuelven el mismo dato transformado
+const TRANSPARENT_CALLS = [
+  'String', 'JSON.parse', 'decodeURIComponent', 'decodeURI', 'Buffer.from', 'Object.assign',
+  'path.join', 'path.resolve', 'path.normalize', 'util.format'
+];
+
+const SQL_METHODS = ['query', 'execute', 'raw', '$queryRawUnsafe', '$executeRawUnsafe'];
+
+const MONGO_METHODS = [
+  'find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndRemove', 'findOneAndReplace',
+  'updateOne', 'updateMany', 'deleteOne', 'deleteMany', 'countDocuments', 'exists'
+];
+
+const COMMAND_METHODS = ['exec', 'execSync', 'spawn', 'spawnSync', 'execFile', 'execFileSync'];
+
+const CODE_METHODS = ['runInNewContext', 'runInThisContext', 'runInContext', 'compileFunction'];
+
+const FS_METHODS = [
+  'readFile', 'readFileSync', 'writeFile', 'writeFileSync', 'appendFile', 'appendFileSync',
+  'createReadStream', 'createWriteStream', 'unlink', 'unlinkSync', 'rm', 'rmSync', 'readdir', 'readdirSync',
+  'stat', 'statSync', 'access', 'accessSync', 'mkdir', 'mkdirSync', 'rename', 'renameSync',
+  'copyFile', 'copyFileSync', 'open', 'openSync', 'remove', 'outputFile'
+];
+
+const HTTP_CLIENT_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'request'];
+
+const SINKS = {
+  sql: { severity: 'CRITICAL', label: 'SQL construido con concatenación' },
+  'nosql-where': { severity: 'CRITICAL', label: 'Mongo $where con código del cliente' },
+  nosql: { severity: 'HIGH', label: 'Query Mongo con objeto sin sanitizar (operator injection)' },
+  command: { severity: 'CRITICAL', label: 'Ejecución de comandos (child_process)' },
+  code: { severity: 'CRITICAL', label: 'Evaluación de código (eval/new Function)' },
+  path: { severity: 'HIGH', label: 'Ruta de archivo controlada por el cliente (path traversal)' },
+  ssrf: { severity: 'HIGH', label: 'URL saliente controlada por el cliente (SSRF)' }
+};
+
+/**
+ * Análisis de flujo intra-archivo: sigue req.body/query/params/headers a través de
+ * variables y asignaciones hasta sinks peligrosos (SQL, Mongo, exec, eval, fs, HTTP).
+ * Cada hallazgo conserva el camino fuente → sink con sus líneas.
+ */
+export default class TaintAnalyzer {
+  /**
+   * @param {object} ast - AST del archivo de controladores
+   * @param {string} file - Ruta relativa del archivo
+   * @returns {array} Array de { sink, severity, label, source, function, file, line, path }
+   */
+  analyze(ast, file) {
+    const findings = [];
+
+    // Binding de Babel → camino desde la fuente
+    this.tainted = new Map();
+    this.file = file;
+
+    traverse.default(ast, {
+      VariableDeclarator: (nodePath) => {
+        const { id, init } = nodePath.node;
+        const chain = init && this.getTaint(init, nodePath.scope);
+        if (chain) this.taintPattern(id, chain, nodePath.scope);
+      },
+
+      AssignmentExpression: (nodePath) => {
+        const { left, right, operator } = nodePath.node;
+        if (left.type !== 'Identifier') return;
+
+        // sql += req.body.filter mantiene el taint previo; sql = '...' lo limpia
+        const chain = this.getTaint(right, nodePath.scope) ||
+          (operator === '+=' ? this.getTaint(left, nodePath.scope) : null);
+        const binding = nodePath.scope.getBinding(left.name);
+        if (!binding) return;
+
+        if (chain) {
+          this.tainted.set(binding, [...chain, this.step(left.name, left)]);
+        } else if (operator === '=') {
+          this.tainted.delete(binding);
+        }
+      },
+
+      'CallExpression|NewExpression': (nodePath) => {
+        const finding = this.checkSink(nodePath);
+        if (!finding) return;
+
+        const { chain, sink, callee } = finding;
+        findings.push({
+          sink,
+          severity: SINKS[sink].severity,
+          label: SINKS[sink].label,
+          source: chain[0].label,
+          function: this.getFunctionName(nodePath),
+          file,
+          line: nodePath.node.loc?.start?.line || 0,
+          path: [...chain, this.step(`${callee}()`, nodePath.node)]
+        });
+      }
+    });
+
+    return findings;
+  }
+
+  taintPattern(pattern, chain, scope) {
+    if (!pattern) return;
+
+    if (pattern.type === 'Identifier') {
+      const binding = scope.getBinding(pattern.name);
+      if (binding) this.tainted.set(binding, [...chain, this.step(pattern.name, pattern)]);
+      return;
+    }
+
+    // const { id, filter } = req.body
+    if (pattern.type === 'ObjectPattern') {
+      pattern.properties.forEach(prop => {
+        this.taintPattern(prop.type === 'RestElement' ? prop.argument : prop.value, chain, scope);
+      });
+      return;
+    }
+
+    if (pattern.type === 'ArrayPattern') {
+      pattern.elements.forEach(element => this.taintPattern(element, chain, scope));
+      return;
+    }
+
+    if (pattern.type === 'AssignmentPattern') {
+      this.taintPattern(pattern.left, chain, scope);
+    }
+  }
+
+  step(label, node) {
+    return { label, file: this.file, line: node.loc?.start?.line || 0 };
+  }
+
+  /**
+   * Camino de taint de una expresión, o null si no depende de la request
+   */
+  getTaint(node, scope) {
+    if (!node) return null;
+
+    switch (node.type) {
+      case 'Identifier': {
+        const binding = scope.getBinding(node.name);
+        if (!binding) return null;
+        if (this.tainted?.has(binding)) return this.tainted.get(binding);
+
+        // ({ body, query }, res) => ...
+        const source = this.getDestructuredSource(node.name, binding);
+        return source ? [this.step(`req.${source}`, node)] : null;
+      }
+
+      case 'MemberExpression':
+      case 'OptionalMemberExpression': {
+        const source = this.getRequestSource(node, scope);
+        if (source) return [this.step(source.label, node)];
+        return this.getTaint(node.object, scope);
+      }
+
+      case 'CallExpression':
+      case 'OptionalCallExpression': {
+        const name = this.getCalleeName(node.callee);
+        if (SANITIZER_PATTERN.test(name.split('.').pop())) return null;
+
+        if (TRANSPARENT_CALLS.includes(name)) {
+          return node.arguments.reduce((found, arg) => found || this.getTaint(arg, scope), null);
+        }
+
+        // req.body.name.trim() / ids.join(',')
+        const callee = node.callee;
+        return callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression'
+          ? this.getTaint(callee.object, scope)
+          : null;
+      }
+
+      case 'TemplateLiteral':
+        return node.expressions.reduce((found, expression) => found || this.getTaint(expression, scope), null);
+
+      case 'BinaryExpression':
+        return node.operator === '+'
+          ? this.getTaint(node.left, scope) || this.getTaint(node.right, scope)
+          : null;
+
+      case 'LogicalExpression':
+        return this.getTaint(node.left, scope) || this.getTaint(node.right, scope);
+
+      case 'ConditionalExpression':
+        return this.getTaint(node.consequent, scope) || this.getTaint(node.alternate, scope);
+
+      case 'ObjectExpression':
+        return node.properties.reduce((found, prop) => found || this.getTaint(
+          prop.type === 'SpreadElement' ? prop.argument : prop.value,
+          scope
+        ), null);
+
+      case 'ArrayExpression':
+        return node.elements.reduce((found, element) => found || this.getTaint(element, scope), null);
+
+      case 'AwaitExpression':
+      case 'SpreadElement':
+        return this.getTaint(node.argument, scope);
+
+      case 'TSAsExpression':
+      case 'TSNonNullExpression':
+      case 'ParenthesizedExpression':
+        return this.getTaint(node.expression, scope);
+
+      case 'AssignmentExpression':
+        return this.getTaint(node.right, scope);
+
+      default:
+        return null;
+    }
+  }
+
+  getRequestSource(node, scope) {
+    // req.body.user.id → raíz req, primera propiedad body
+    const properties = [];
+    let current = node;
+    while (current.type === 'MemberExpression' || current.type === 'OptionalMemberExpression') {
+      properties.unshift(current.computed ? '[]' : current.property.name);
+      current = current.object;
+    }
+
+    if (current.type !== 'Identifier' || !REQUEST_SOURCES.includes(properties[0])) return null;
+    if (!this.isRequestParam(current.name, scope)) return null;
+
+    return { kind: properties[0], label: [current.name, ...properties].join('.') };
+  }
+
+  isRequestParam(name, scope) {
+    const binding = scope.getBinding(name);
+    if (binding?.kind !== 'param') return false;
+    if (/^req(uest)?$/.test(name)) return true;
+
+    // (request, response) con nombres no convencionales: (ctx, res)
+    const params = binding.path.parentPath?.node?.params || [];
+    return params[0]?.name === name && /^res(ponse)?$/.test(params[1]?.name || '');
+  }
+
+  getDestructuredSource(name, binding) {
+    if (binding.kind !== 'param' || !REQUEST_SOURCES.includes(name)) return null;
+
+    const param = binding.path.node;
+    const fn = binding.path.parentPath?.node;
+    if (param?.type !== 'ObjectPattern' || fn?.params?.[0] !== param) return null;
+
+    return /^res(ponse)?$/.test(fn.params[1]?.name || '') ? name : null;
+  }
+
+  /**
+   * Detecta si una llamada es un sink y si recibe datos de la request
+   * @returns {object|null} { sink, chain, callee }
+   */
+  checkSink(nodePath) {
+    const { node, scope } = nodePath;
+    const callee = this.getCalleeName(node.callee);
+    const method = callee.split('.').pop();
+    const args = node.arguments;
+    const first = args[0];
+    if (!first) return null;
+
+    // eval(code) / new Function('a', body) / vm.runInNewContext(code)
+    if (
+      (callee === 'eval' || callee === 'Function' || CODE_METHODS.includes(method)) &&
+      (callee !== method || !scope.getBinding(callee))
+    ) {
+      const chain = args.reduce((found, arg) => found || this.getTaint(arg, scope), null);
+      return chain ? { sink: 'code', chain, callee } : null;
+    }
+
+    if (node.type === 'NewExpression') return null;
+
+    // exec(`convert ${req.query.file}`)
+    if (COMMAND_METHODS.includes(method) && this.isModuleCall(node.callee, scope, ['child_process'])) {
+      const chain = this.getTaint(first, scope);
+      return chain ? { sink: 'command', chain, callee } : null;
+    }
+
+    // fs.readFile(path.join(dir, req.params.name)) / res.sendFile(req.query.file)
+    if (
+      (FS_METHODS.includes(method) && this.isModuleCall(node.callee, scope, ['fs', 'fs/promises', 'fs-extra'])) ||
+      (['sendFile', 'download'].includes(method) && node.callee.type === 'MemberExpression')
+    ) {
+      const chain = this.getTaint(first, scope);
+      return chain ? { sink: 'path', chain, callee } : null;
+    }
+
+    // axios.get(req.query.url) / fetch(url) / got(url)
+    if (this.isHttpClientCall(node.callee, callee, method, scope)) {
+      const url = first.type === 'ObjectExpression' ? this.getObjectProperty(first, 'url') : first;
+      const chain = url && this.controlsOrigin(url, scope) ? this.getTaint(url, scope) : null;
+      return chain ? { sink: 'ssrf', chain, callee } : null;
+    }
+
+    // db.query('SELECT ... ' + id): los parámetros enlazados (?, $1) van en el segundo argumento
+    if (SQL_METHODS.includes(method) && node.callee.type === 'MemberExpression' && this.isStringBuilt(first, scope)) {
+      const chain = this.getTaint(first, scope);
+      return chain ? { sink: 'sql', chain, callee } : null;
+    }
+
+    if (MONGO_METHODS.includes(method) && node.callee.type === 'MemberExpression') {
+      return this.checkMongoQuery(first, scope, callee);
+    }
+
+    return null;
+  }
+
+  checkMongoQuery(query, scope, callee) {
+    if (query.type === 'ObjectExpression') {
+      // { $where: `this.name == '${req.query.name}'` }
+      const where = this.getObjectProperty(query, '$where');
+      const whereChain = where && this.getTaint(where, scope);
+      if (whereChain) return { sink: 'nosql-where', chain: whereChain, callee };
+
+      // { email: req.body.email } acepta { "$ne": null } si body viene como JSON
+      for (const prop of query.properties) {
+        const value = prop.type === 'SpreadElement' ? prop.argument : prop.value;
+        const chain = this.getObjectTaint(value, scope);
+        if (chain) return { sink: 'nosql', chain, callee };
+      }
+      return null;
+    }
+
+    // User.find(req.query) / User.findOne(filter)
+    const chain = this.getObjectTaint(query, scope);
+    return chain ? { sink: 'nosql', chain, callee } : null;
+  }
+
+  getObjectTaint(node, scope) {
+    // String(x) o `${x}` fuerzan un string: sin operadores
+    if (!node || node.type === 'TemplateLiteral' || node.type === 'StringLiteral') return null;
+    if (node.type === 'CallExpression' && this.getCalleeName(node.callee) === 'String') return null;
+
+    const chain = this.getTaint(node, scope);
+    const kind = chain?.[0].label.split('.')[1];
+    return chain && OBJECT_SOURCES.includes(kind) ? chain : null;
+  }
+
+  isStringBuilt(node, scope) {
+    if (node.type === 'TemplateLiteral') return node.expressions.length > 0;
+    if (node.type === 'BinaryExpression') return node.operator === '+';
+    if (node.type !== 'Identifier') return false;
+
+    // const sql = `SELECT ... ${id}` / sql += ' AND ...'
+    const binding = scope.getBinding(node.name);
+    const init = binding?.path.node.init;
+    return Boolean(init && this.isStringBuilt(init, scope)) ||
+      (binding?.constantViolations || []).some(violation => violation.node.operator === '+=' ||
+        (violation.node.right && this.isStringBuilt(violation.node.right, scope)));
+  }
+
+  isHttpClientCall(calleeNode, callee, method, scope) {
+    const root = callee.split('.')[0];
+
+    // fetch(url) global o de node-fetch
+    if (callee === 'fetch' || callee === 'got') return true;
+    if (root === 'axios' && (callee === 'axios' || HTTP_CLIENT_METHODS.includes(method))) return true;
+
+    return HTTP_CLIENT_METHODS.includes(method) &&
+      this.isModuleCall(calleeNode, scope, ['http', 'https', 'axios', 'node-fetch', 'got', 'undici']);
+  }
+
+  controlsOrigin(node, scope, depth = 0) {
+    // `https://api.example.com/users/${id}`: el host es fijo, solo cambia el path
+    const fixedOrigin = /^[a-z][a-z0-9+.-]*:\/\/[^/${}]+\//i;
+
+    if (node.type === 'TemplateLiteral') return !fixedOrigin.test(node.quasis[0].value.cooked);
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      return node.left.type === 'StringLiteral'
+        ? !fixedOrigin.test(node.left.value)
+        : this.controlsOrigin(node.left, scope, depth);
+    }
+
+    if (node.type === 'Identifier' && depth === 0) {
+      const init = scope.getBinding(node.name)?.path.node.init;
+      if (init && init.type !== 'Identifier') return this.controlsOrigin(init, scope, depth + 1);
+    }
+
+    return true;
+  }
+
+  isModuleCall(calleeNode, scope, modules) {
+    // exec(...) destructurado o cp.exec(...) / fs.promises.readFile(...)
+    let root = calleeNode;
+    while (root.type === 'MemberExpression') root = root.object;
+    if (root.type !== 'Identifier') return false;
+
+    const source = this.getBindingSource(scope.getBinding(root.name));
+    return Boolean(source) && modules.includes(source.replace(/^node:/, ''));
+  }
+
+  getBindingSource(binding) {
+    if (!binding) return null;
+
+    // import { exec } from 'child_process'
+    if (binding.kind === 'module') return binding.path.parent.source?.value || null;
+
+    // const { exec } = require('child_process') / const fs = require('fs').promises
+    let init = binding.path.node.init;
+    while (init?.type === 'MemberExpression' || init?.type === 'AwaitExpression') {
+      init = init.type === 'MemberExpression' ? init.object : init.argument;
+    }
+    if (init?.type === 'CallExpression' && init.callee.name === 'require') {
+      return init.arguments[0]?.value || null;
+    }
+
+    return null;
+  }
+
+  getObjectProperty(objectNode, key) {
+    const prop = objectNode.properties.find(p =>
+      p.type === 'ObjectProperty' && (p.key.name === key || p.key.value === key)
+    );
+    return prop?.value || null;
+  }
+
+  getCalleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') {
+      const property = callee.computed ? callee.property.value : callee.property.name;
+      return `${this.getCalleeName(callee.object)}.${property}`;
+    }
+    if (callee.type === 'CallExpression') return this.getCalleeName(callee.callee);
+    return '';
+  }
+
+  getFunctionName(nodePath) {
+    let fnPath = nodePath.getFunctionParent();
+    while (fnPath) {
+      // asyncHandler(async (req, res) => {...}) → nombre de la variable/propiedad
+      let parent = fnPath.parentPath;
+      while (parent?.isCallExpression()) parent = parent.parentPath;
+
+      if (fnPath.node.id?.name) return fnPath.node.id.name;
+      if (fnPath.node.key?.name) return fnPath.node.key.name;
+      if (parent?.isVariableDeclarator()) return parent.node.id.name;
+      if (parent?.isObjectProperty()) return parent.node.key.name || parent.node.key.value;
+      if (parent?.isAssignmentExpression() && parent.node.left.type === 'MemberExpression') {
+        return parent.node.left.property.name;
+      }
+
+      fnPath = fnPath.parentPath?.getFunctionParent();
+    }
+    return null;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,264 @@
+import path from 'path';
+import { readFileSafe } from '../utils/fileUtils.js';
+import { parseCodeSafe } from '../utils/astUtils.js';
+import { getTokenCategory, normalizeStyleValue } from '../utils/styleUtils.js';
+
+// Llamadas que envuelven el objeto del tema: createTheme({...}), extendTheme({...})
+const THEME_FACTORY_PATTERN = /^(create|extend|make|define)[A-Z]?\w*Theme$|^(createTheme|extendTheme|defineConfig|defineTokens)$/;
+
+/**
+ * Extrae los valores de los tokens del design system:
+ * - JS/TS: objetos exportados (export default, export const colors, createTheme({...}))
+ *   siguiendo referencias a otras constantes del archivo (primary: palette.blue[500])
+ * - JSON: objetos anidados y formato de design tokens ({ "$value": "#fff", "$type": "color" })
+ * - CSS/SCSS: custom properties (--color-primary) y variables SCSS ($spacing-md)
+ * Cada token queda como { name, value, normalized, category, usage, file }.
+ */
+export default class ThemeTokenExtractor {
+  /**
+   * @param {string} filePath - Ruta absoluta del archivo de tema
+   * @param {string} relativePath - Ruta relativa al design system (para el reporte)
+   * @returns {array} Tokens encontrados
+   */
+  extractFile(filePath, relativePath) {
+    const content = readFileSafe(filePath);
+    if (!content) return [];
+
+    const ext = path.extname(filePath).toLowerCase();
+    // theme/index.ts → theme.colors.primary
+    const baseName = path.basename(filePath, ext).replace(/\.d$/, '');
+    const rootName = baseName === 'index' ? path.basename(path.dirname(filePath)) : baseName;
+    let entries = [];
+
+    if (ext === '.css' || ext === '.scss') {
+      entries = this.extractStylesheet(content);
+    } else if (ext === '.json') {
+      try {
+        entries = this.flatten(JSON.parse(content), []);
+      } catch {
+        return [];
+      }
+    } else {
+      entries = this.extractModule(content, rootName);
+    }
+
+    return entries
+      .map(entry => this.createToken(entry, relativePath))
+      .filter(Boolean);
+  }
+
+  createToken({ name, value, usage, type }, file) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+    const category = this.categoryFromType(type) || getTokenCategory(name, value);
+    const normalized = category ? normalizeStyleValue(category, value) : null;
+    if (!normalized) return null;
+
+    return { name, value, normalized, category, usage: usage || name, file };
+  }
+
+  categoryFromType(type) {
+    // $type del formato W3C de design tokens
+    const types = {
+      color: 'color',
+      dimension: 'spacing',
+      spacing: 'spacing',
+      borderRadius: 'radius',
+      fontSize: 'fontSize',
+      fontWeight: 'fontWeight',
+      fontFamily: 'fontFamily',
+      shadow: 'shadow',
+      boxShadow: 'shadow'
+    };
+    return type ? types[type] || null : null;
+  }
+
+  /**
+   * Recorre un objeto plano (JSON) generando { name: 'colors.primary.500', value }
+   */
+  flatten(value, segments, type = null) {
+    if (value === null || value === undefined) return [];
+
+    if (typeof value !== 'object') {
+      return segments.length > 0 ? [{ name: segments.join('.'), value, type }] : [];
+    }
+
+    // { "$value": "#0d6efd", "$type": "color" } / Style Dictionary: { "value": "#0d6efd" }
+    const tokenValue = value.$value ?? (typeof value.value !== 'object' ? value.value : undefined);
+    if (tokenValue !== undefined) {
+      return [{ name: segments.join('.'), value: tokenValue, type: value.$type || value.type || type }];
+    }
+
+    return Object.entries(value)
+      .filter(([key]) => !key.startsWith('$'))
+      .flatMap(([key, child]) => this.flatten(child, [...segments, key], value.$type || type));
+  }
+
+  extractStylesheet(content) {
+    const entries = [];
+    const text = content.replace(/\/\*[\s\S]*?\*\//g, '');
+    const customProperties = new Map();
+
+    // --color-primary: #0d6efd;
+    for (const match of text.matchAll(/(--[\w-]+)\s*:\s*([^;{}]+);/g)) {
+      customProperties.set(match[1], match[2].trim());
+    }
+
+    // --color-link: var(--color-primary) → valor final
+    const resolve = (value, depth = 0) => {
+      const reference = value.match(/^var\(\s*(--[\w-]+)\s*(?:,\s*([^)]+))?\)$/);
+      if (!reference || depth > 5) return value;
+      const target = customProperties.get(reference[1]) ?? reference[2];
+      return target ? resolve(target.trim(), depth + 1) : value;
+    };
+
+    customProperties.forEach((value, name) => {
+      entries.push({ name, value: resolve(value), usage: `var(${name})` });
+    });
+
+    // $spacing-md: 16px !default;
+    for (const match of text.matchAll(/^\s*\$([\w-]+)\s*:\s*([^;{}]+);/gm)) {
+      entries.push({ name: `$${match[1]}`, value: match[2].replace(/\s*!default$/, '').trim() });
+    }
+
+    return entries;
+  }
+
+  extractModule(content, rootName) {
+    const ast = parseCodeSafe(content);
+    if (!ast) return [];
+
+    // Constantes de nivel superior para resolver referencias (const palette = {...})
+    const bindings = new Map();
+    const exported = [];
+
+    ast.program.body.forEach(statement => {
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+
+      if (declaration?.type === 'VariableDeclaration') {
+        declaration.declarations.forEach(declarator => {
+          if (declarator.id.type !== 'Identifier' || !declarator.init) return;
+          bindings.set(declarator.id.name, declarator.init);
+          if (statement.type === 'ExportNamedDeclaration') exported.push({ prefix: [declarator.id.name], node: declarator.init });
+        });
+      }
+
+      // export default { colors: {...} } / export default createTheme({...}) / export default theme
+      if (statement.type === 'ExportDefaultDeclaration') {
+        const { declaration: value } = statement;
+        // export const theme = {...}; export default theme → ya incluido
+        if (value.type === 'Identifier' && exported.some(entry => entry.prefix[0] === value.name)) return;
+        exported.push({ prefix: [], node: statement.declaration, root: rootName });
+      }
+
+      // module.exports = {...}
+      if (statement.type === 'ExpressionStatement' &&
+          statement.expression.type === 'AssignmentExpression' &&
+          statement.expression.left.type === 'MemberExpression' &&
+          statement.expression.left.object.name === 'module') {
+        exported.push({ prefix: [], node: statement.expression.right, root: rootName });
+      }
+    });
+
+    // Sin exports: todas las constantes que sean objetos
+    const roots = exported.length > 0
+      ? exported
+      : Array.from(bindings.entries()).map(([name, node]) => ({ prefix: [name], node }));
+
+    return roots.flatMap(({ prefix, node, root }) =>
+      this.walkNode(this.unwrap(node, bindings), prefix, bindings, new Set())
+        .map(entry => ({
+          ...entry,
+          // theme.colors.primary para el default export, colors.primary para export const colors
+          usage: root ? `${root}.${entry.name}` : entry.name
+        }))
+    );
+  }
+
+  unwrap(node, bindings) {
+    let current = node;
+
+    for (let depth = 0; current && depth < 5; depth++) {
+      if (current.type === 'TSAsExpression' || current.type === 'TSSatisfiesExpression') {
+        current = current.expression;
+      } else if (current.type === 'CallExpression' && current.callee.type === 'Identifier' &&
+                 THEME_FACTORY_PATTERN.test(current.callee.name)) {
+        current = current.arguments[0];
+      } else if (current.type === 'Identifier' && bindings.has(current.name)) {
+        current = bindings.get(current.name);
+      } else if (current.type === 'MemberExpression') {
+        current = this.resolveMember(current, bindings);
+      } else {
+        break;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * palette.blue[500] → nodo del valor dentro de la constante palette
+   */
+  resolveMember(node, bindings) {
+    const keys = [];
+    let current = node;
+
+    while (current.type === 'MemberExpression') {
+      const key = current.computed ? current.property.value : current.property.name;
+      if (key === undefined) return null;
+      keys.unshift(String(key));
+      current = current.object;
+    }
+
+    if (current.type !== 'Identifier' || !bindings.has(current.name)) return null;
+
+    let target = this.unwrap(bindings.get(current.name), bindings);
+    for (const key of keys) {
+      if (target?.type === 'ObjectExpression') {
+        const prop = target.properties.find(p => p.type === 'ObjectProperty' && String(p.key.name ?? p.key.value) === key);
+        target = prop ? this.unwrap(prop.value, bindings) : null;
+      } else if (target?.type === 'ArrayExpression') {
+        target = this.unwrap(target.elements[Number(key)], bindings);
+      } else {
+        return null;
+      }
+    }
+
+    return target;
+  }
+
+  walkNode(node, segments, bindings, seen) {
+    if (!node || seen.has(node)) return [];
+
+    if (node.type === 'StringLiteral' || node.type === 'NumericLiteral') {
+      return segments.length > 0 ? [{ name: segments.join('.'), value: node.value }] : [];
+    }
+
+    // `${base}px` sin expresiones
+    if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+      return segments.length > 0 ? [{ name: segments.join('.'), value: node.quasis[0].value.cooked }] : [];
+    }
+
+    const nextSeen = new Set(seen).add(node);
+
+    // space: [0, 4, 8, 16, 32] (escala de styled-system)
+    if (node.type === 'ArrayExpression') {
+      return node.elements.flatMap((element, index) =>
+        this.walkNode(this.unwrap(element, bindings), [...segments, String(index)], bindings, nextSeen)
+      );
+    }
+
+    if (node.type !== 'ObjectExpression') return [];
+
+    return node.properties.flatMap(prop => {
+      if (prop.type === 'SpreadElement') {
+        return this.walkNode(this.unwrap(prop.argument, bindings), segments, bindings, nextSeen);
+      }
+
+      const key = prop.key?.name ?? prop.key?.value;
+      if (prop.type !== 'ObjectProperty' || key === undefined) return [];
+
+      return this.walkNode(this.unwrap(prop.value, bindings), [...segments, String(key)], bindings, nextSeen);
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,548 @@
+import path from 'path';
+import { readFileSafe } from '../utils/fileUtils.js';
+import { parseCodeSafe, extractStringValue } from '../utils/astUtils.js';
+
+const MAX_DEPTH = 10;
+
+// Segmentos de request reconocidos en celebrate({ body, query }) / validate(schema, 'query')
+const SEGMENTS = {
+  body: 'body',
+  BODY: 'body',
+  query: 'query',
+  QUERY: 'query'
+};
+
+// express-validator: body('email').isEmail() → tipo
+const VALIDATOR_TYPES = {
+  isInt: 'number',
+  isNumeric: 'number',
+  isFloat: 'number',
+  isDecimal: 'number',
+  toInt: 'number',
+  toFloat: 'number',
+  isBoolean: 'boolean',
+  toBoolean: 'boolean',
+  isArray: 'array',
+  isObject: 'object',
+  isEmail: 'string',
+  isString: 'string',
+  isLength: 'string',
+  isURL: 'string',
+  isUUID: 'string',
+  isMongoId: 'string',
+  isISO8601: 'string',
+  isDate: 'string',
+  isIn: 'string'
+};
+
+/**
+ * Convierte middleware de validación (Joi/celebrate, express-validator, zod)
+ * en entradas de expectedBody/queryParams con nombre, tipo y obligatoriedad.
+ * Resuelve esquemas importados de otros archivos vía el grafo de módulos.
+ */
+export default class ValidationSchemaExtractor {
+  constructor(projectPath, mountResolver) {
+    this.projectPath = projectPath;
+    this.mountResolver = mountResolver;
+
+    // Caché de declaraciones de nivel superior por archivo
+    this.moduleCache = new Map();
+  }
+
+  /**
+   * Extrae el contrato declarado por los middleware de una ruta
+   * @param {array} args - Argumentos de la llamada router.METHOD(...)
+   * @param {string} filePath - Ruta absoluta del archivo de rutas
+   * @param {number} startIndex - Índice del primer middleware
+   * @returns {object} { expectedBody, queryParams, validators }
+   */
+  extract(args, filePath, startIndex = 1) {
+    const contract = { expectedBody: {}, queryParams: [], validators: [] };
+
+    for (let i = startIndex; i < args.length; i++) {
+      this.extractFromMiddleware(args[i], path.resolve(filePath), contract, 0);
+    }
+
+    return contract;
+  }
+
+  extractFromMiddleware(node, file, contract, depth) {
+    if (!node || depth > MAX_DEPTH) return;
+
+    // [body('email').isEmail(), ...] / validateUser (array importado)
+    if (node.type === 'ArrayExpression') {
+      node.elements.forEach(element => this.extractFromMiddleware(element, file, contract, depth + 1));
+      return;
+    }
+
+    if (node.type === 'Identifier') {
+      const resolved = this.resolveIdentifier(file, node.name, 0);
+      if (resolved && resolved.node.type !== 'Identifier') {
+        this.extractFromMiddleware(resolved.node, resolved.file, contract, depth + 1);
+      }
+      return;
+    }
+
+    if (node.type !== 'CallExpression') return;
+
+    // express-validator: body('email').isEmail().optional()
+    const validatorChain = this.parseValidatorChain(node);
+    if (validatorChain) {
+      this.addField(contract, validatorChain.segment, validatorChain.field, validatorChain.spec);
+      this.addValidator(contract, 'express-validator');
+      return;
+    }
+
+    const calleeName = this.getCalleeName(node.callee);
+
+    // checkSchema({ email: { in: ['body'], isEmail: true } })
+    if (calleeName === 'checkSchema' && node.arguments[0]?.type === 'ObjectExpression') {
+      this.extractCheckSchema(node.arguments[0], contract);
+      this.addValidator(contract, 'express-validator');
+      return;
+    }
+
+    // celebrate({ body: Joi.object({...}) }) / validate({ query: schema })
+    // validate(schema) / validate(schema, 'query') / validateQuery(schema)
+    const explicitSegment = this.inferSegment(calleeName, node.arguments.slice(1));
+
+    node.arguments.forEach((arg, index) => {
+      if (index > 0 && arg.type === 'StringLiteral') return;
+
+      const resolved = this.resolveNode(arg, file);
+      if (!resolved) return;
+
+      if (resolved.node.type === 'ObjectExpression' && this.hasSegmentKeys(resolved.node)) {
+        resolved.node.properties.forEach(prop => {
+          const segment = this.getSegmentName(prop);
+          if (!segment || prop.type !== 'ObjectProperty') return;
+
+          const schema = this.resolveNode(prop.value, resolved.file);
+          if (schema) this.extractSchema(schema.node, schema.file, segment, contract);
+        });
+        return;
+      }
+
+      this.extractSchema(resolved.node, resolved.file, explicitSegment || 'body', contract);
+    });
+  }
+
+  extractSchema(node, file, segment, contract) {
+    const objectSchema = this.parseObjectSchema(node, file, 0);
+    if (!objectSchema) return;
+
+    Object.entries(objectSchema.fields).forEach(([field, spec]) => {
+      this.addField(contract, segment, field, spec);
+    });
+    this.addValidator(contract, objectSchema.library);
+  }
+
+  /**
+   * Joi.object({...}) / Joi.object().keys({...}) / z.object({...}) / yup.object({...})
+   */
+  parseObjectSchema(node, file, depth) {
+    if (!node || depth > MAX_DEPTH) return null;
+
+    if (node.type === 'Identifier') {
+      const resolved = this.resolveIdentifier(file, node.name, 0);
+      return resolved ? this.parseObjectSchema(resolved.node, resolved.file, depth + 1) : null;
+    }
+
+    // celebrate({ query: { page: Joi.number() } }): objeto plano de esquemas
+    if (node.type === 'ObjectExpression') {
+      const firstValue = node.properties.find(prop => prop.type === 'ObjectProperty')?.value;
+      const firstChain = firstValue?.type === 'CallExpression' ? this.unwindChain(firstValue) : null;
+      const library = firstChain && this.detectLibrary(firstChain.root);
+      return library ? { library, fields: this.parseShape(node, file, library, depth) } : null;
+    }
+
+    if (node.type !== 'CallExpression') return null;
+
+    const links = this.unwindChain(node);
+    if (!links) return null;
+
+    const library = this.detectLibrary(links.root);
+    if (!library) return null;
+
+    const shape = [...links.calls].reverse()
+      .find(link => (link.name === 'object' || link.name === 'keys') && link.args[0]?.type === 'ObjectExpression');
+
+    if (!shape) return null;
+
+    return { library, fields: this.parseShape(shape.args[0], file, library, depth) };
+  }
+
+  parseShape(objectNode, file, library, depth) {
+    const fields = {};
+    objectNode.properties.forEach(prop => {
+      if (prop.type !== 'ObjectProperty') return;
+      const name = prop.key.name || prop.key.value;
+      if (!name) return;
+
+      fields[name] = this.parseFieldSchema(prop.value, file, library, depth + 1);
+    });
+
+    return fields;
+  }
+
+  parseFieldSchema(node, file, library, depth) {
+    const spec = { type: 'any', required: library === 'zod', source: library };
+
+    let current = node;
+    if (current?.type === 'Identifier') {
+      const resolved = this.resolveIdentifier(file, current.name, 0);
+      if (resolved) {
+        current = resolved.node;
+        file = resolved.file;
+      }
+    }
+
+    const links = current?.type === 'CallExpression' ? this.unwindChain(current) : null;
+    if (!links) return spec;
+
+    links.calls.forEach(link => {
+      switch (link.name) {
+        case 'string':
+        case 'email':
+        case 'uuid':
+        case 'date':
+          if (spec.type === 'any') spec.type = link.name === 'date' ? 'date' : 'string';
+          break;
+        case 'number':
+        case 'integer':
+          spec.type = 'number';
+          break;
+        case 'boolean':
+        case 'bool':
+          spec.type = 'boolean';
+          break;
+        case 'array':
+          spec.type = 'array';
+          break;
+        case 'object':
+          spec.type = 'object';
+          break;
+        case 'enum':
+        case 'valid':
+        case 'oneOf':
+          spec.type = spec.type === 'any' ? 'string' : spec.type;
+          spec.values = this.extractLiteralValues(link.args);
+          break;
+        case 'required':
+        case 'exist':
+        case 'nonempty':
+          spec.required = true;
+          break;
+        case 'optional':
+        case 'nullish':
+        case 'allow':
+        case 'default':
+          if (link.name !== 'allow') spec.required = false;
+          break;
+      }
+    });
+
+    return spec;
+  }
+
+  extractLiteralValues(args) {
+    // valid('a', 'b') / z.enum(['a', 'b']) / oneOf(['a', 'b'])
+    const nodes = args.length === 1 && args[0].type === 'ArrayExpression'
+      ? args[0].elements
+      : args;
+
+    return nodes
+      .map(arg => extractStringValue(arg) ?? (arg?.type === 'NumericLiteral' ? arg.value : null))
+      .filter(value => value !== null);
+  }
+
+  parseValidatorChain(node) {
+    const links = this.unwindChain(node);
+    if (!links || links.root.type !== 'Identifier') return null;
+
+    const first = links.calls[0];
+    const segmentByFunction = { body: 'body', query: 'query', check: 'body' };
+    const segment = segmentByFunction[links.root.name];
+
+    // body('email') es una llamada directa sobre el identificador raíz
+    if (!segment || first?.name !== links.root.name) return null;
+
+    const field = extractStringValue(first.args[0]);
+    if (!field) return null;
+
+    const spec = { type: 'any', required: true, source: 'express-validator' };
+    links.calls.slice(1).forEach(link => {
+      if (link.name === 'optional') spec.required = false;
+      if (VALIDATOR_TYPES[link.name] && spec.type === 'any') spec.type = VALIDATOR_TYPES[link.name];
+      if (link.name === 'isIn') spec.values = this.extractLiteralValues(link.args);
+    });
+
+    return { segment, field, spec };
+  }
+
+  extractCheckSchema(objectNode, contract) {
+    objectNode.properties.forEach(prop => {
+      if (prop.type !== 'ObjectProperty' || prop.value.type !== 'ObjectExpression') return;
+      const field = prop.key.name || prop.key.value;
+      if (!field) return;
+
+      const spec = { type: 'any', required: true, source: 'express-validator' };
+      let segment = 'body';
+
+      prop.value.properties.forEach(option => {
+        const key = option.key?.name || option.key?.value;
+        if (key === 'in') {
+          const locations = this.extractLiteralValues([option.value]);
+          if (locations.includes('query')) segment = 'query';
+        } else if (key === 'optional') {
+          spec.required = false;
+        } else if (VALIDATOR_TYPES[key] && spec.type === 'any') {
+          spec.type = VALIDATOR_TYPES[key];
+        }
+      });
+
+      this.addField(contract, segment, field, spec);
+    });
+  }
+
+  addField(contract, segment, field, spec) {
+    if (segment === 'query') {
+      const existing = contract.queryParams.find(param => param.name === field);
+      if (existing) {
+        Object.assign(existing, spec, { name: field });
+      } else {
+        contract.queryParams.push({ name: field, ...spec });
+      }
+    } else if (segment === 'body') {
+      contract.expectedBody[field] = { ...(contract.expectedBody[field] || {}), ...spec };
+    }
+  }
+
+  addValidator(contract, library) {
+    if (!contract.validators.includes(library)) {
+      contract.validators.push(library);
+    }
+  }
+
+  /**
+   * Desenrolla a.b(x).c(y) en { root, calls: [{ name, args }] } en orden de lectura
+   */
+  unwindChain(node) {
+    const calls = [];
+    let current = node;
+
+    while (current?.type === 'CallExpression') {
+      if (current.callee.type === 'MemberExpression' && !current.callee.computed) {
+        calls.unshift({ name: current.callee.property.name, args: current.arguments });
+        current = current.callee.object;
+      } else if (current.callee.type === 'Identifier') {
+        calls.unshift({ name: current.callee.name, args: current.arguments });
+        current = current.callee;
+      } else {
+        return null;
+      }
+    }
+
+    return current ? { root: current, calls } : null;
+  }
+
+  detectLibrary(root) {
+    if (root.type !== 'Identifier') return null;
+    if (/^joi$/i.test(root.name)) return 'joi';
+    if (root.name === 'z') return 'zod';
+    if (/^yup$/i.test(root.name)) return 'yup';
+    return null;
+  }
+
+  getCalleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    if (callee.type === 'MemberExpression' && !callee.computed) return callee.property.name;
+    return '';
+  }
+
+  inferSegment(calleeName, extraArgs) {
+    const explicit = extraArgs
+      .map(arg => extractStringValue(arg))
+      .find(value => value && SEGMENTS[value]);
+    if (explicit) return SEGMENTS[explicit];
+
+    return /query/i.test(calleeName) ? 'query' : null;
+  }
+
+  hasSegmentKeys(objectNode) {
+    return objectNode.properties.some(prop => this.getSegmentName(prop));
+  }
+
+  getSegmentName(prop) {
+    if (prop.type !== 'ObjectProperty') return null;
+
+    // { body: ... } / { [Segments.BODY]: ... }
+    const key = prop.computed && prop.key.type === 'MemberExpression'
+      ? prop.key.property.name
+      : prop.key.name || prop.key.value;
+
+    return SEGMENTS[key] || null;
+  }
+
+  resolveNode(node, file) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return this.resolveIdentifier(file, node.name, 0);
+    return { node, file };
+  }
+
+  resolveIdentifier(file, name, depth) {
+    if (depth > MAX_DEPTH) return null;
+
+    const module = this.getModule(file);
+    if (!module) return null;
+
+    if (module.declarations.has(name)) {
+      const node = module.declarations.get(name);
+      return node.type === 'Identifier'
+        ? this.resolveIdentifier(file, node.name, depth + 1) || { node, file }
+        : { node, file };
+    }
+
+    const imported = module.imports.get(name);
+    if (!imported) return null;
+
+    const targetFile = this.mountResolver?.resolveModulePath(file, imported.source);
+    if (!targetFile) return null;
+
+    return this.resolveExport(targetFile, imported.imported, depth + 1);
+  }
+
+  resolveExport(file, exportName, depth) {
+    const module = this.getModule(file);
+    if (!module || depth > MAX_DEPTH) return null;
+
+    const exported = module.exports.get(exportName);
+    if (!exported) return null;
+
+    if (exported.node) return { node: exported.node, file };
+    return this.resolveIdentifier(file, exported.local, depth + 1);
+  }
+
+  getModule(file) {
+    if (this.moduleCache.has(file)) return this.moduleCache.get(file);
+
+    const content = readFileSafe(file);
+    const ast = content ? parseCodeSafe(content) : null;
+    const module = ast ? this.collectTopLevel(ast) : null;
+
+    this.moduleCache.set(file, module);
+    return module;
+  }
+
+  collectTopLevel(ast) {
+    const module = {
+      declarations: new Map(),
+      imports: new Map(),
+      exports: new Map()
+    };
+
+    const addDeclarations = (declaration) => {
+      declaration.declarations.forEach(decl => {
+        if (decl.id.type !== 'Identifier' || !decl.init) return;
+
+        const required = this.extractRequire(decl.init);
+        if (required) {
+          module.imports.set(decl.id.name, required);
+        } else {
+          module.declarations.set(decl.id.name, decl.init);
+        }
+      });
+    };
+
+    ast.program.body.forEach(statement => {
+      if (statement.type === 'VariableDeclaration') {
+        addDeclarations(statement);
+
+        // const { userSchema } = require('./schemas')
+        statement.declarations.forEach(decl => {
+          const required = decl.id.type === 'ObjectPattern' && this.extractRequire(decl.init);
+          if (!required) return;
+          decl.id.properties.forEach(prop => {
+            if (prop.type === 'ObjectProperty' && prop.value.type === 'Identifier') {
+              module.imports.set(prop.value.name, { source: required.source, imported: prop.key.name });
+            }
+          });
+        });
+      } else if (statement.type === 'ImportDeclaration') {
+        statement.specifiers.forEach(spec => {
+          if (spec.type === 'ImportDefaultSpecifier') {
+            module.imports.set(spec.local.name, { source: statement.source.value, imported: 'default' });
+          } else if (spec.type === 'ImportSpecifier') {
+            module.imports.set(spec.local.name, {
+              source: statement.source.value,
+              imported: spec.imported.name || spec.imported.value
+            });
+          }
+        });
+      } else if (statement.type === 'ExportNamedDeclaration') {
+        if (statement.declaration?.type === 'VariableDeclaration') {
+          addDeclarations(statement.declaration);
+          statement.declaration.declarations.forEach(decl => {
+            if (decl.id.type === 'Identifier') {
+              module.exports.set(decl.id.name, { local: decl.id.name });
+            }
+          });
+        }
+        (statement.specifiers || []).forEach(spec => {
+          module.exports.set(spec.exported.name, { local: spec.local.name });
+        });
+      } else if (statement.type === 'ExportDefaultDeclaration') {
+        const declaration = statement.declaration;
+        module.exports.set('default', declaration.type === 'Identifier'
+          ? { local: declaration.name }
+          : { node: declaration });
+      } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+        this.collectCommonJSExport(statement.expression, module);
+      }
+    });
+
+    return module;
+  }
+
+  collectCommonJSExport(assignment, module) {
+    const left = assignment.left;
+    if (left.type !== 'MemberExpression') return;
+
+    const toExport = (node) => node.type === 'Identifier' ? { local: node.name } : { node };
+
+    // module.exports = { userSchema, loginSchema: Joi.object(...) }
+    if (left.object.name === 'module' && left.property.name === 'exports') {
+      if (assignment.right.type === 'ObjectExpression') {
+        assignment.right.properties.forEach(prop => {
+          if (prop.type === 'ObjectProperty') {
+            module.exports.set(prop.key.name || prop.key.value, toExport(prop.value));
+          }
+        });
+      } else {
+        module.exports.set('default', toExport(assignment.right));
+      }
+      return;
+    }
+
+    // exports.userSchema = Joi.object(...)
+    const isExportsObject = left.object.name === 'exports' ||
+      (left.object.type === 'MemberExpression' &&
+       left.object.object.name === 'module' &&
+       left.object.property.name === 'exports');
+
+    if (isExportsObject && left.property.name) {
+      module.exports.set(left.property.name, toExport(assignment.right));
+    }
+  }
+
+  extractRequire(node) {
+    if (
+      node?.type === 'CallExpression' &&
+      node.callee.name === 'require' &&
+      node.arguments[0]?.type === 'StringLiteral'
+    ) {
+      return { source: node.arguments[0].value, imported: 'default' };
+    }
+    return null;
+  }
+}
\ No newline at end of file
@@ -264,8 +264,9 @@ export default class RepositoryManager {
       try {
         await git.checkout(branch);
       } catch {
-        // Try to fetch and checkout remote branch
-        await git.fetch('origin', branch);
+        // Try to fetch and checkout remote branch (explicit refspec: single-branch clones
+        // only track the cloned branch, so origin/<branch> would not exist otherwise)
+        await git.fetch('origin', `${branch}:refs/remotes/origin/${branch}`);
         await git.checkout(['-b', branch, `origin/${branch}`]);
       }
       
@@ -36,7 +36,7 @@ program
   .option('-q, --quiet', 'Modo silencioso (solo errores críticos)')
   .option('-v, --verbose', 'Modo verboso (información detallada)')
   .option('-w, --watch', 'Modo watch (re-ejecuta al detectar cambios)')
-  .option('-f, --format <type>', 'Formato de salida (json|html|markdown|console|all)', 'all')
+  .option('-f, --format <type>', 'Formato de salida (json|html|markdown|openapi|console|all)', 'all')
   .option('--backend <path>', 'Ruta personalizada del backend')
   .option('--frontend <path>', 'Ruta personalizada del frontend')
   .option('--design-system <path>', 'Ruta personalizada del design system')
@@ -185,7 +185,7 @@ async function verifyProjectPaths(config, options) {
 
 async function generateReports(bot, result, options) {
   const formats = options.format === 'all' 
-    ? ['json', 'html', 'markdown'] 
+    ? ['json', 'html', 'markdown', 'openapi'] 
     : [options.format];
   
   for (const format of formats) {
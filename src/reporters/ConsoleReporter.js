@@ -43,7 +43,9 @@ export default class ConsoleReporter {
       ['🧩 DESIGN SYSTEM', ''],
       ['  Componentes', results.summary.designSystem.components.toString()],
       ['  Usados', results.summary.designSystem.used.toString()],
-      ['  Sin uso', results.summary.designSystem.unused.toString()]
+      ['  Sin uso', results.summary.designSystem.unused.toString()],
+      ['  Design tokens', (results.summary.designSystem.tokens || 0).toString()],
+      ['  Adopción', results.summary.designSystem.adoption != null ? `${results.summary.designSystem.adoption}%` : '-']
     ];
 
     const config = {
@@ -190,10 +192,30 @@ export default class ConsoleReporter {
       'UNUSED_ENDPOINT': 'Endpoints sin uso',
       'MISSING_AUTH': 'Falta autenticación',
       'SENSITIVE_ENDPOINT_NO_AUTH': 'Endpoints sensibles sin auth',
+      'SENSITIVE_ENDPOINT_NO_ROLE_GUARD': 'Endpoints sensibles sin rol',
+      'INCONSISTENT_ROLE_GUARDS': 'Roles inconsistentes',
+      'TAINTED_INPUT_TO_SINK': 'Input sin sanitizar en sinks',
+      'HARDCODED_SECRET': 'Secretos hardcodeados',
+      'PERMISSIVE_CORS': 'CORS permisivo',
+      'MISSING_RATE_LIMIT': 'Auth sin rate limiting',
+      'INSECURE_COOKIE': 'Cookies inseguras',
+      'DANGEROUS_INNER_HTML': 'HTML dinámico sin sanitizar',
+      'TOKEN_IN_WEB_STORAGE': 'Tokens en localStorage',
+      'POSTMESSAGE_NO_ORIGIN_CHECK': 'postMessage sin validar origen',
+      'INSECURE_HTTP_URL': 'APIs sobre http://',
+      'VULNERABLE_DEPENDENCY': 'Dependencias vulnerables',
+      'DISALLOWED_LICENSE': 'Licencias no permitidas',
+      'DUPLICATE_PACKAGE_VERSION': 'Paquetes duplicados',
+      'UNDECLARED_DEPENDENCY': 'Dependencias sin declarar',
+      'UNUSED_DEPENDENCY': 'Dependencias sin uso',
       'MISSING_URL_PARAM': 'Parámetros faltantes',
       'MISSING_BODY_FIELD': 'Campos de body faltantes',
       'UNUSED_DS_COMPONENT': 'Componentes DS sin uso',
-      'DUPLICATE_COMPONENT': 'Componentes duplicados'
+      'MISSING_REQUIRED_PROP': 'Props requeridas faltantes',
+      'INVALID_PROP_VALUE': 'Valores de props inválidos',
+      'UNKNOWN_COMPONENT_PROP': 'Props no declaradas',
+      'DUPLICATE_COMPONENT': 'Componentes duplicados',
+      'DUPLICATE_FRONTEND_COMPONENT': 'Componentes copiados en frontend'
     };
     
     return typeNames[type] || type.toLowerCase().replace(/_/g, ' ');
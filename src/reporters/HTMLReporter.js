@@ -39,7 +39,9 @@ export default class HTMLReporter {
     ${this.generateSummaryCards(results)}
     ${this.generateIssuesSection(results)}
     ${this.generateEndpointsSection(results)}
+    ${this.generateAccessMatrixSection(results)}
     ${this.generateComponentsSection(results)}
+    ${this.generateAdoptionSection(results)}
     ${this.generateRecommendationsSection(results)}
   </div>
   
@@ -206,6 +208,37 @@ export default class HTMLReporter {
       .badge-medium { background: #ffc107; color: #000; }
       .badge-low { background: #6c757d; color: white; }
       
+      .access-matrix {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 13px;
+      }
+      
+      .access-matrix th,
+      .access-matrix td {
+        border: 1px solid #dee2e6;
+        padding: 6px 10px;
+        text-align: center;
+      }
+      
+      .access-matrix td:first-child { text-align: left; }
+      
+      .code-compare {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 10px;
+        margin-top: 10px;
+      }
+      
+      .code-compare pre {
+        background: #f8f9fa;
+        border: 1px solid #dee2e6;
+        padding: 8px;
+        margin: 4px 0 0;
+        font-size: 12px;
+        overflow-x: auto;
+      }
+      
       .endpoint-card {
         background: #f8f9fa;
         border: 1px solid #dee2e6;
@@ -474,15 +507,16 @@ export default class HTMLReporter {
         ${issues.slice(0, 50).map(issue => `
           <div class="issue-card ${severity}">
             <div class="issue-header">
-              <span class="badge badge-${severity}">${issue.severity}</span>
-              ${issue.type}
+              <span class="badge badge-${severity}">${this.escapeHtml(issue.severity)}</span>
+              ${this.escapeHtml(issue.type)}
             </div>
-            <div class="issue-message">${issue.message}</div>
+            <div class="issue-message">${this.escapeHtml(issue.message)}</div>
             <div class="issue-details">
-              ${issue.endpoint ? `<div><strong>Endpoint:</strong> <code>${issue.endpoint}</code></div>` : ''}
-              ${issue.frontend ? `<div><strong>Frontend:</strong> ${issue.frontend}</div>` : ''}
-              ${issue.backend ? `<div><strong>Backend:</strong> ${issue.backend}</div>` : ''}
-              ${issue.line ? `<div><strong>Línea:</strong> ${issue.line}</div>` : ''}
+              ${issue.endpoint ? `<div><strong>Endpoint:</strong> <code>${this.escapeHtml(issue.endpoint)}</code></div>` : ''}
+              ${issue.frontend ? `<div><strong>Frontend:</strong> ${this.escapeHtml(issue.frontend)}</div>` : ''}
+              ${issue.backend ? `<div><strong>Backend:</strong> ${this.escapeHtml(issue.backend)}</div>` : ''}
+              ${issue.line ? `<div><strong>Línea:</strong> ${this.escapeHtml(issue.line)}</div>` : ''}
+              ${issue.details?.regions?.length > 0 ? this.generateDuplicateRegions(issue) : ''}
             </div>
           </div>
         `).join('')}
@@ -532,7 +566,7 @@ export default class HTMLReporter {
         <div class="endpoint-header">
           <div style="display: flex; align-items: center;">
             <span class="endpoint-method method-${endpoint.method.toLowerCase()}">${endpoint.method}</span>
-            <span class="endpoint-path">${endpoint.path}</span>
+            <span class="endpoint-path">${this.escapeHtml(endpoint.path)}</span>
           </div>
           <div class="endpoint-status">
             ${endpoint.requiresAuth ? '🔒' : '🔓'}
@@ -542,16 +576,116 @@ export default class HTMLReporter {
           </div>
         </div>
         <div class="endpoint-details">
-          <p><strong>Archivo:</strong> <code>${endpoint.file}</code></p>
-          ${endpoint.controller ? `<p><strong>Controlador:</strong> ${endpoint.controller}</p>` : ''}
+          <p><strong>Archivo:</strong> <code>${this.escapeHtml(endpoint.file)}</code></p>
+          ${endpoint.basePathSource === 'heuristic' ? `<p><strong>Base path:</strong> <code>${endpoint.basePath || '/'}</code> (inferido, montaje no resuelto)</p>` : ''}
+          ${endpoint.controller ? `<p><strong>Controlador:</strong> ${this.escapeHtml(endpoint.controller)}</p>` : ''}
           ${endpoint.middleware.length > 0 ? `<p><strong>Middleware:</strong> ${endpoint.middleware.join(', ')}</p>` : ''}
+          ${endpoint.inheritedMiddleware?.length > 0 ? `<p><strong>Middleware heredado:</strong> ${endpoint.inheritedMiddleware.join(', ')}</p>` : ''}
+          ${endpoint.authMiddleware?.length > 0 ? `<p><strong>Autenticación:</strong> ${endpoint.authMiddleware.map(mw => `${mw.name} (${mw.source})`).join(', ')}</p>` : ''}
+          ${endpoint.accessGuards?.length > 0 ? `<p><strong>Roles:</strong> ${endpoint.roles.join(', ') || '—'}${endpoint.permissions.length > 0 ? ` · <strong>Permisos:</strong> ${endpoint.permissions.join(', ')}` : ''}</p>` : ''}
           ${endpoint.params.length > 0 ? `<p><strong>Parámetros:</strong> ${endpoint.params.map(p => `<code>:${p}</code>`).join(', ')}</p>` : ''}
-          ${endpoint.description ? `<p><strong>Descripción:</strong> ${endpoint.description}</p>` : ''}
+          ${endpoint.description ? `<p><strong>Descripción:</strong> ${this.escapeHtml(endpoint.description)}</p>` : ''}
         </div>
       </div>
     `).join('');
   }
 
+  generateAccessMatrixSection(results) {
+    const matrix = results.accessMatrix;
+    if (!matrix || matrix.roles.length + matrix.permissions.length === 0) {
+      return '';
+    }
+    
+    // Solo endpoints autenticados: los públicos no dependen de roles
+    const routes = matrix.routes.filter(route => route.requiresAuth);
+    
+    return `
+      <div class="section">
+        <h2>🛂 Matriz de Acceso</h2>
+        <table class="access-matrix">
+          <thead>
+            <tr>
+              <th>Endpoint</th>
+              ${matrix.roles.map(role => `<th>${role}</th>`).join('')}
+              <th>Permisos</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${routes.map(route => `
+              <tr>
+                <td>
+                  <span class="endpoint-method method-${route.method.toLowerCase()}">${route.method}</span>
+                  <code>${route.path}</code>
+                </td>
+                ${matrix.roles.map(role => `<td>${route.roles.length === 0 || route.roles.includes(role) ? '✅' : '—'}</td>`).join('')}
+                <td>${route.permissions.map(permission => `<code>${permission}</code>`).join(', ') || '—'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  generateAdoptionSection(results) {
+    const adoption = results.adoption;
+    if (!adoption || adoption.totals.elements === 0) {
+      return '';
+    }
+    
+    const { totals } = adoption;
+    const bar = (value) => `
+      <div class="progress-bar" style="min-width: 120px;">
+        <div class="progress-fill" data-width="${value ?? 0}%" style="width: 0%;"></div>
+      </div>
+    `;
+    const row = (label, entry) => `
+      <tr>
+        <td>${label}</td>
+        <td><strong>${entry.adoption ?? '-'}%</strong>${bar(entry.adoption)}</td>
+        <td>${entry.designSystem}</td>
+        <td>${entry.html}</td>
+        <td>${entry.local}</td>
+        <td>${entry.thirdParty}</td>
+      </tr>
+    `;
+    const table = (firstColumn, rows) => `
+      <table class="access-matrix">
+        <thead>
+          <tr><th>${firstColumn}</th><th>Adopción</th><th>DS</th><th>HTML nativo</th><th>Locales</th><th>Terceros</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+    
+    return `
+      <div class="section">
+        <h2>📈 Adopción del Design System</h2>
+        <p>
+          <strong>${totals.adoption ?? 0}%</strong> de ${totals.elements} elementos en ${totals.files} archivos vienen del design system
+          (${totals.designSystem} DS, ${totals.html} HTML nativo, ${totals.local} componentes locales; ${totals.thirdParty} de terceros no cuentan).
+        </p>
+        ${bar(totals.adoption)}
+        ${adoption.topHtmlElements.length > 0 ? `<p><strong>HTML nativo más usado:</strong> ${adoption.topHtmlElements.map(entry => `<code>&lt;${entry.tag}&gt;</code> ×${entry.count}`).join(', ')}</p>` : ''}
+        
+        ${adoption.worstFolders.length > 0 ? `
+          <h3 style="margin: 20px 0 10px;">Carpetas con menor adopción</h3>
+          ${table('Carpeta', adoption.worstFolders.map(folder => row(`<code>${this.escapeHtml(folder.folder)}</code>${folder.owners.length > 0 ? `<br><small>${folder.owners.join(', ')}</small>` : ''}`, folder)).join(''))}
+        ` : ''}
+        
+        ${adoption.teams.length > 0 ? `
+          <h3 style="margin: 20px 0 10px;">Por equipo (${adoption.codeowners})</h3>
+          ${table('Equipo', adoption.teams.map(team => row(`${team.team}<br><small>${team.folders} carpeta(s)</small>`, team)).join(''))}
+        ` : ''}
+        
+        ${adoption.pages.length > 0 ? `
+          <h3 style="margin: 20px 0 10px;">Páginas</h3>
+          ${table('Página', adoption.pages.slice(0, 30).map(page => row(`<code>${this.escapeHtml(page.file)}</code>`, page)).join(''))}
+        ` : ''}
+      </div>
+    `;
+  }
+
   generateComponentsSection(results) {
     if (!results.designSystem?.components) {
       return '';
@@ -603,15 +737,64 @@ export default class HTMLReporter {
           </div>
         </div>
         <div style="padding: 15px;">
-          <p><strong>Archivo:</strong> <code>${component.file}</code></p>
+          <p><strong>Archivo:</strong> <code>${this.escapeHtml(component.file)}</code></p>
           ${component.description ? `<p><strong>Descripción:</strong> ${component.description}</p>` : ''}
-          ${component.props?.length > 0 ? `<p><strong>Props:</strong> ${component.props.map(p => `<code>${p.name}</code>`).join(', ')}</p>` : ''}
+          ${component.props?.length > 0 ? this.generatePropsTable(component) : ''}
           ${component.used && component.usedIn?.length > 0 ? `<p><strong>Usado en:</strong> ${component.usedIn.length} archivo(s)</p>` : ''}
         </div>
       </div>
     `).join('');
   }
 
+  generatePropsTable(component) {
+    return `
+      <p><strong>Props</strong>${component.propsSource ? ` <span style="font-size: 12px; color: #6c757d;">(${component.propsSource})</span>` : ''}</p>
+      <table class="access-matrix">
+        <thead>
+          <tr><th>Prop</th><th>Tipo</th><th>Requerida</th><th>Default</th></tr>
+        </thead>
+        <tbody>
+          ${component.props.map(prop => `
+            <tr>
+              <td><code>${prop.name}</code></td>
+              <td>${prop.type ? `<code>${this.escapeHtml(prop.type)}</code>` : '-'}</td>
+              <td>${prop.required ? '✅' : ''}</td>
+              <td>${prop.default !== null && prop.default !== undefined ? `<code>${this.escapeHtml(prop.default)}</code>` : '-'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  generateDuplicateRegions(issue) {
+    const { left, right, regions, scores } = issue.details;
+    const scoreLabels = { structure: 'AST', jsx: 'JSX', props: 'props', hooks: 'hooks' };
+    
+    return `
+      <div><strong>Similitud:</strong> ${Object.entries(scores)
+        .filter(([, score]) => score !== null)
+        .map(([dimension, score]) => `${scoreLabels[dimension]} ${Math.round(score * 100)}%`)
+        .join(' · ')}</div>
+      ${regions.map(region => `
+        <div class="code-compare">
+          <div><code>${this.escapeHtml(left.name)}</code> ${this.escapeHtml(left.file)}:${region.left.start}-${region.left.end}<pre>${this.escapeHtml(region.left.code)}</pre></div>
+          <div><code>${this.escapeHtml(right.name)}</code> ${this.escapeHtml(right.file)}:${region.right.start}-${region.right.end}<pre>${this.escapeHtml(region.right.code)}</pre></div>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  escapeHtml(value) {
+    // Los tipos de TypeScript traen < > (Array<string>, React.FC<Props>)
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+
   generateRecommendationsSection(results) {
     // Generar recomendaciones basadas en los resultados
     const recommendations = [];
@@ -64,6 +64,20 @@ export default class JSONReporter {
       
       validations: results.validations || [],
       
+      accessMatrix: results.accessMatrix || null,
+      
+      adoption: results.adoption || null,
+      
+      secrets: results.secrets
+        ? {
+            filesScanned: results.secrets.filesScanned,
+            allowlisted: results.secrets.allowlisted,
+            findings: results.secrets.findings
+          }
+        : null,
+      
+      dependencies: results.dependencies || null,
+      
       coverage: this.calculateDetailedCoverage(results),
       
       trends: this.calculateTrends(results),
@@ -81,16 +95,27 @@ export default class JSONReporter {
         key,
         method: endpoint.method,
         path: endpoint.path,
+        basePath: endpoint.basePath || '',
+        basePathSource: endpoint.basePathSource || 'heuristic',
+        mountChain: endpoint.mountChain || [],
         file: endpoint.file,
         line: endpoint.line,
         middleware: endpoint.middleware || [],
+        inheritedMiddleware: endpoint.inheritedMiddleware || [],
         controller: endpoint.controller,
         requiresAuth: endpoint.requiresAuth,
+        authMiddleware: endpoint.authMiddleware || [],
+        accessGuards: endpoint.accessGuards || [],
+        roles: endpoint.roles || [],
+        permissions: endpoint.permissions || [],
         params: endpoint.params || [],
         queryParams: endpoint.queryParams || [],
         expectedBody: endpoint.expectedBody || {},
         responseStructure: endpoint.responseStructure || {},
         statusCodes: endpoint.statusCodes || [],
+        acceptsArbitraryBody: endpoint.acceptsArbitraryBody || false,
+        validators: endpoint.validators || [],
+        pathPattern: endpoint.pathPattern || null,
         used: endpoint.used || false,
         description: endpoint.description || ''
       })),
@@ -108,7 +133,11 @@ export default class JSONReporter {
         }))
       })),
       
-      middleware: backendData.middleware || []
+      middleware: backendData.middleware || [],
+      
+      taintFlows: backendData.taintFlows || [],
+      
+      hardening: backendData.hardening || null
     };
   }
 
@@ -126,6 +155,9 @@ export default class JSONReporter {
           file: call.file,
           line: call.line,
           type: call.type,
+          library: call.library || null,
+          component: call.component || null,
+          usedBy: call.usedBy || [],
           data: call.data || {},
           hasAuth: call.hasAuth || false,
           params: call.params || [],
@@ -150,7 +182,9 @@ export default class JSONReporter {
       imports: Array.from(frontendData.imports?.entries() || []).map(([file, imports]) => ({
         file,
         imports
-      }))
+      })),
+      
+      securityFindings: frontendData.securityFindings || []
     };
   }
 
@@ -180,6 +214,7 @@ export default class JSONReporter {
       
       files: designSystemData.files || [],
       themes: designSystemData.themes || [],
+      tokens: designSystemData.tokens || [],
       utilities: designSystemData.utilities || [],
       
       exports: Array.from(designSystemData.exports?.entries() || []).map(([file, exports]) => ({
@@ -29,6 +29,7 @@ export default class MarkdownReporter {
       this.generateIssues(results),
       this.generateEndpoints(results),
       this.generateComponents(results),
+      this.generateAdoption(results),
       this.generateRecommendations(results),
       this.generateFooter(results)
     ];
@@ -178,6 +179,9 @@ ${this.generateHealthStatus(summary)}`;
         if (issue.component) {
           content += `- **Componente:** \`${issue.component}\`\\n`;
         }
+        if (issue.details?.regions?.length > 0) {
+          content += this.generateDuplicateRegions(issue);
+        }
         
         // Sugerencias
         if (issue.suggestions && issue.suggestions.length > 0) {
@@ -194,6 +198,32 @@ ${this.generateHealthStatus(summary)}`;
     }).join('\\n');
   }
 
+  generateDuplicateRegions(issue) {
+    const { left, right, regions } = issue.details;
+    const lines = [''];
+    
+    // Lado a lado: una tabla con un bloque <pre> por columna
+    regions.forEach(region => {
+      lines.push(
+        `| \`${left.name}\` ${left.file}:${region.left.start}-${region.left.end} | \`${right.name}\` ${right.file}:${region.right.start}-${region.right.end} |`,
+        '|---|---|',
+        `| ${this.toPreCell(region.left.code)} | ${this.toPreCell(region.right.code)} |`,
+        ''
+      );
+    });
+    
+    return lines.join('\n');
+  }
+
+  toPreCell(code) {
+    const escaped = code
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\|/g, '&#124;');
+    return `<pre>${escaped.split('\n').join('<br>')}</pre>`;
+  }
+
   generateEndpoints(results) {
     if (!results.backend?.endpoints || results.backend.endpoints.size === 0) {
       return `## 📋 Endpoints Backend
@@ -330,6 +360,52 @@ No se encontraron componentes del design system.`;
     return content;
   }
 
+  generateAdoption(results) {
+    const adoption = results.adoption;
+    if (!adoption || adoption.totals.elements === 0) {
+      return '';
+    }
+    
+    const { totals } = adoption;
+    const header = (firstColumn) => [
+      `| ${firstColumn} | Adopción | DS | HTML nativo | Locales | Terceros |`,
+      '|---|---|---|---|---|---|'
+    ];
+    const row = (label, entry) =>
+      `| ${label} | ${entry.adoption ?? '-'}% | ${entry.designSystem} | ${entry.html} | ${entry.local} | ${entry.thirdParty} |`;
+    
+    const lines = [
+      '## 📈 Adopción del Design System',
+      '',
+      `- **Adopción global:** ${totals.adoption ?? 0}% (${totals.designSystem} de ${totals.elements} elementos en ${totals.files} archivos)`,
+      `- **HTML nativo:** ${totals.html} · **Componentes locales:** ${totals.local} · **Terceros (no cuentan):** ${totals.thirdParty}`
+    ];
+    
+    if (adoption.topHtmlElements.length > 0) {
+      lines.push(`- **HTML nativo más usado:** ${adoption.topHtmlElements.map(entry => `\`<${entry.tag}>\` ×${entry.count}`).join(', ')}`);
+    }
+    
+    if (adoption.worstFolders.length > 0) {
+      lines.push('', '### 📉 Carpetas con menor adopción', '', ...header('Carpeta'));
+      adoption.worstFolders.forEach(folder => {
+        const owners = folder.owners.length > 0 ? ` (${folder.owners.join(', ')})` : '';
+        lines.push(row(`\`${folder.folder}\`${owners}`, folder));
+      });
+    }
+    
+    if (adoption.teams.length > 0) {
+      lines.push('', `### 👥 Por equipo (${adoption.codeowners})`, '', ...header('Equipo'));
+      adoption.teams.forEach(team => lines.push(row(team.team, team)));
+    }
+    
+    if (adoption.pages.length > 0) {
+      lines.push('', '### 📄 Páginas', '', ...header('Página'));
+      adoption.pages.slice(0, 30).forEach(page => lines.push(row(`\`${page.file}\``, page)));
+    }
+    
+    return lines.join('\n');
+  }
+
   generateRecommendations(results) {
     const recommendations = [];
     const { critical, high, medium, total } = results.summary.issues;
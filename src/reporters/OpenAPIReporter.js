@@ -0,0 +1,281 @@
+import path from 'path';
+import { ensureDir, writeFileSafe } from '../utils/fileUtils.js';
+
+// Métodos que no llevan requestBody en la especificación
+const METHODS_WITHOUT_BODY = ['GET', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// Segmentos de prefijo que no identifican un recurso (/api/v1/users → users)
+const PREFIX_SEGMENT = /^(api|v\d+(\.\d+)?)$/i;
+
+export default class OpenAPIReporter {
+  constructor(config = {}) {
+    this.config = config;
+    this.outputDir = config.outputDir || 'reports';
+  }
+
+  async generate(results) {
+    ensureDir(this.outputDir);
+
+    const document = this.generateDocument(results);
+    const specPath = path.join(this.outputDir, 'openapi.json');
+
+    const success = writeFileSafe(specPath, JSON.stringify(document, null, 2));
+
+    if (!success) {
+      throw new Error('No se pudo generar la especificación OpenAPI');
+    }
+
+    return specPath;
+  }
+
+  generateDocument(results) {
+    const backendConfig = results.metadata?.config?.projects?.backend || {};
+    const endpoints = results.backend?.endpoints
+      ? Array.from(results.backend.endpoints.values())
+      : [];
+
+    const paths = {};
+    const tags = new Set();
+
+    endpoints
+      .slice()
+      .sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method))
+      .forEach(endpoint => {
+        const specPath = this.toOpenAPIPath(endpoint.path);
+        const tag = this.getResourceTag(endpoint.path);
+
+        paths[specPath] = paths[specPath] || {};
+        paths[specPath][endpoint.method.toLowerCase()] = this.generateOperation(endpoint, specPath, tag);
+        tags.add(tag);
+      });
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: backendConfig.name || 'API',
+        version: results.metadata?.version || '1.0.0',
+        description: `Generado por DGuard Audit Bot el ${results.metadata?.timestamp || new Date().toISOString()}`
+      },
+      tags: Array.from(tags).sort().map(name => ({ name })),
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: {
+            type: 'http',
+            scheme: 'bearer',
+            bearerFormat: 'JWT'
+          }
+        }
+      }
+    };
+  }
+
+  generateOperation(endpoint, specPath, tag) {
+    const operation = {
+      operationId: this.generateOperationId(endpoint.method, specPath),
+      tags: [tag]
+    };
+
+    if (endpoint.description) {
+      operation.summary = endpoint.description.split('\n')[0];
+      operation.description = endpoint.description;
+    }
+
+    const parameters = [
+      ...this.generatePathParameters(specPath),
+      ...(endpoint.queryParams || []).map(param => this.generateQueryParameter(param))
+    ];
+    if (parameters.length > 0) {
+      operation.parameters = parameters;
+    }
+
+    const requestBody = this.generateRequestBody(endpoint);
+    if (requestBody) {
+      operation.requestBody = requestBody;
+    }
+
+    operation.responses = this.generateResponses(endpoint);
+
+    // Sin auth se declara explícitamente como público
+    operation.security = endpoint.requiresAuth ? [{ bearerAuth: [] }] : [];
+
+    const location = `${endpoint.file}${endpoint.line ? `:${endpoint.line}` : ''}`;
+    operation['x-source'] = location;
+
+    return operation;
+  }
+
+  generatePathParameters(specPath) {
+    const matches = specPath.match(/\{([^}]+)\}/g) || [];
+
+    return matches.map(match => ({
+      name: match.slice(1, -1),
+      in: 'path',
+      required: true,
+      schema: { type: 'string' }
+    }));
+  }
+
+  generateQueryParameter(param) {
+    // Compatibilidad con queryParams antiguos como strings
+    const spec = typeof param === 'string' ? { name: param, type: 'any', required: false } : param;
+
+    return {
+      name: spec.name,
+      in: 'query',
+      required: !!spec.required,
+      schema: this.fieldToSchema(spec)
+    };
+  }
+
+  generateRequestBody(endpoint) {
+    if (METHODS_WITHOUT_BODY.includes(endpoint.method)) return null;
+
+    const fields = Object.entries(endpoint.expectedBody || {});
+    if (fields.length === 0 && !endpoint.acceptsArbitraryBody) return null;
+
+    const schema = {
+      type: 'object',
+      properties: Object.fromEntries(fields.map(([name, spec]) => [name, this.fieldToSchema(spec)]))
+    };
+
+    const required = fields.filter(([, spec]) => spec.required).map(([name]) => name);
+    if (required.length > 0) {
+      schema.required = required;
+    }
+
+    if (endpoint.acceptsArbitraryBody) {
+      schema.additionalProperties = true;
+    }
+
+    return {
+      required: required.length > 0,
+      content: {
+        'application/json': { schema }
+      }
+    };
+  }
+
+  generateResponses(endpoint) {
+    const responses = {};
+    const statusCodes = endpoint.statusCodes?.length > 0 ? endpoint.statusCodes : [200];
+    const successCode = statusCodes.find(code => code >= 200 && code < 300);
+    const hasStructure = Object.keys(endpoint.responseStructure || {}).length > 0;
+
+    statusCodes.forEach(code => {
+      const response = { description: this.describeStatus(code) };
+
+      if (code === successCode && hasStructure) {
+        response.content = {
+          'application/json': { schema: this.structureToSchema(endpoint.responseStructure) }
+        };
+      }
+
+      responses[String(code)] = response;
+    });
+
+    if (endpoint.requiresAuth && !responses['401']) {
+      responses['401'] = { description: this.describeStatus(401) };
+    }
+
+    return responses;
+  }
+
+  fieldToSchema(spec) {
+    let schema;
+
+    switch (spec.type) {
+      case 'string':
+      case 'number':
+      case 'boolean':
+      case 'object':
+        schema = { type: spec.type };
+        break;
+      case 'array':
+        schema = { type: 'array', items: {} };
+        break;
+      case 'date':
+        schema = { type: 'string', format: 'date-time' };
+        break;
+      default:
+        schema = {};
+    }
+
+    if (spec.values?.length > 0) {
+      schema.enum = spec.values;
+    }
+
+    if (spec.default !== undefined) {
+      schema.default = spec.default;
+    }
+
+    return schema;
+  }
+
+  structureToSchema(value) {
+    // responseStructure guarda valores de ejemplo: 'texto', 1, true, '<Identifier>'
+    if (Array.isArray(value)) {
+      return { type: 'array', items: value.length > 0 ? this.structureToSchema(value[0]) : {} };
+    }
+
+    if (value && typeof value === 'object') {
+      return {
+        type: 'object',
+        properties: Object.fromEntries(
+          Object.entries(value).map(([key, nested]) => [key, this.structureToSchema(nested)])
+        )
+      };
+    }
+
+    if (typeof value === 'string' && /^<.+>$/.test(value)) return {};
+    if (value === null || value === undefined) return {};
+
+    return { type: typeof value, example: value };
+  }
+
+  toOpenAPIPath(expressPath) {
+    // /users/:id → /users/{id}; los parámetros opcionales (:id?) pierden el sufijo
+    return expressPath.replace(/:([A-Za-z0-9_]+)(\([^)]*\))?\??/g, '{$1}');
+  }
+
+  getResourceTag(expressPath) {
+    const segments = expressPath.split('/')
+      .filter(segment => segment && !segment.startsWith(':'));
+
+    const resource = segments.find(segment => !PREFIX_SEGMENT.test(segment));
+    return resource || 'root';
+  }
+
+  generateOperationId(method, specPath) {
+    const words = specPath.split('/')
+      .filter(Boolean)
+      .map(segment => segment.startsWith('{')
+        ? `By${this.capitalize(segment.slice(1, -1))}`
+        : segment.split(/[^A-Za-z0-9]+/).map(part => this.capitalize(part)).join(''));
+
+    return method.toLowerCase() + words.join('');
+  }
+
+  capitalize(text) {
+    return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+  }
+
+  describeStatus(code) {
+    const descriptions = {
+      200: 'OK',
+      201: 'Creado',
+      202: 'Aceptado',
+      204: 'Sin contenido',
+      400: 'Petición inválida',
+      401: 'No autenticado',
+      403: 'Sin permisos',
+      404: 'No encontrado',
+      409: 'Conflicto',
+      422: 'Entidad no procesable',
+      429: 'Demasiadas peticiones',
+      500: 'Error interno del servidor'
+    };
+
+    return descriptions[code] || `Respuesta ${code}`;
+  }
+}
\ No newline at end of file
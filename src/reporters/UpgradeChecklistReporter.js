@@ -0,0 +1,122 @@
+import path from 'path';
+import { writeFileSafe, ensureDir } from '../utils/fileUtils.js';
+
+const CHANGE_LABELS = {
+  COMPONENT_REMOVED: 'Componente eliminado',
+  COMPONENT_RENAMED: 'Componente renombrado',
+  DEFAULT_EXPORT_REMOVED: 'Sin export default',
+  NAMED_EXPORT_REMOVED: 'Sin export por nombre',
+  PROP_REMOVED: 'Prop eliminada',
+  PROP_RENAMED: 'Prop renombrada',
+  PROP_NOW_REQUIRED: 'Prop requerida',
+  PROP_VALUES_NARROWED: 'Valores reducidos',
+  PROP_TYPE_CHANGED: 'Tipo de prop cambiado',
+  TOKEN_REMOVED: 'Token eliminado',
+  TOKEN_RENAMED: 'Token renombrado',
+  TOKEN_VALUE_CHANGED: 'Valor de token cambiado'
+};
+
+/**
+ * Checklist de actualización del design system (DesignSystemUpgradeValidator):
+ * ds-upgrade-checklist.md para el PR de la actualización y ds-upgrade-report.json para CI
+ */
+export default class UpgradeChecklistReporter {
+  constructor(config = {}) {
+    this.config = config;
+    this.outputDir = config.outputDir || 'reports';
+  }
+
+  async generate(report) {
+    ensureDir(this.outputDir);
+
+    const mdPath = path.join(this.outputDir, 'ds-upgrade-checklist.md');
+    const jsonPath = path.join(this.outputDir, 'ds-upgrade-report.json');
+
+    const success = writeFileSafe(mdPath, this.generateMarkdown(report)) &&
+      writeFileSafe(jsonPath, JSON.stringify({ ...report, generatedAt: new Date().toISOString() }, null, 2));
+
+    if (!success) {
+      throw new Error('No se pudo generar el checklist de actualización del design system');
+    }
+
+    return { markdown: mdPath, json: jsonPath };
+  }
+
+  generateMarkdown(report) {
+    const { from, to, summary, changes } = report;
+    const breaking = changes.filter(change => change.breaking);
+    const review = changes.filter(change => !change.breaking && change.type !== 'COMPONENT_ADDED');
+
+    const lines = [
+      `# 🔄 Actualización del design system: ${from.label} → ${to.label}`,
+      '',
+      `**Generado:** ${new Date().toLocaleString('es-ES')}`,
+      '',
+      '| | |',
+      '|---|---|',
+      `| 🚨 Cambios que rompen | ${summary.breakingChanges} |`,
+      `| ⚠️ Cambios a revisar | ${summary.reviewChanges} |`,
+      `| 📍 Usos afectados | ${summary.affectedCallSites} en ${summary.affectedFiles} archivos |`,
+      `| ✨ Componentes nuevos | ${summary.addedComponents.length} |`,
+      ''
+    ];
+
+    if (breaking.length > 0) {
+      lines.push(`## 🚨 Cambios que rompen (${breaking.length})`, '');
+      lines.push(...this.generateGroups(breaking));
+    } else {
+      lines.push('## ✅ Sin cambios que rompan', '');
+    }
+
+    if (review.length > 0) {
+      lines.push(`## ⚠️ Revisar (${review.length})`, '');
+      lines.push(...this.generateGroups(review));
+    }
+
+    if (summary.addedComponents.length > 0) {
+      lines.push('## ✨ Componentes nuevos', '');
+      lines.push(summary.addedComponents.map(name => `\`${name}\``).join(', '), '');
+    }
+
+    return lines.join('\n');
+  }
+
+  generateGroups(changes) {
+    // Un bloque por componente; los tokens van juntos al final
+    const groups = new Map();
+    changes.forEach(change => {
+      const key = change.component || 'Tokens del tema';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(change);
+    });
+
+    const lines = [];
+    groups.forEach((groupChanges, key) => {
+      const title = groupChanges[0].component ? `\`${key}\`` : key;
+      lines.push(`### ${title}`, '');
+
+      groupChanges.forEach(change => {
+        const callSites = change.callSites || [];
+        const label = CHANGE_LABELS[change.type] || change.type;
+
+        // Sin usos en el frontend no hay nada que hacer: se marca como resuelto
+        if (callSites.length === 0) {
+          lines.push(`- [x] **${label}:** ${change.message} _(sin usos en el frontend)_`);
+          return;
+        }
+
+        lines.push(`- [ ] **${label}:** ${change.message} — ${callSites.length} ${callSites.length === 1 ? 'uso' : 'usos'}`);
+        if (change.suggestions?.length > 0) {
+          lines.push(`  - 💡 ${change.suggestions.join(' / ')}`);
+        }
+        callSites.forEach(site => {
+          lines.push(`  - [ ] \`${site.file}:${site.line}\` \`${site.code.replace(/`/g, "'")}\`${site.reason !== change.message ? ` — ${site.reason}` : ''}`);
+        });
+      });
+
+      lines.push('');
+    });
+
+    return lines;
+  }
+}
\ No newline at end of file
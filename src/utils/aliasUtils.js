@@ -0,0 +1,195 @@
+import fs from 'fs';
+import path from 'path';
+import traverse from '@babel/traverse';
+import { readFileSafe } from './fileUtils.js';
+import { parseCodeSafe } from './astUtils.js';
+
+const TSCONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+const BUNDLER_CONFIG_FILES = [
+  'vite.config.js', 'vite.config.ts', 'vite.config.mjs', 'vite.config.mts',
+  'webpack.config.js', 'webpack.config.ts', 'webpack.config.cjs', 'craco.config.js'
+];
+
+/**
+ * Alias de imports del proyecto en el formato de resolveImportPath
+ * ({ '@/': '/app/src' }): paths/baseUrl de tsconfig/jsconfig y resolve.alias
+ * de vite/webpack/craco
+ * @param {string} projectPath - Raíz del proyecto
+ * @returns {object} Prefijo → ruta absoluta
+ */
+export function loadImportAliases(projectPath) {
+  return {
+    ...loadBundlerAliases(projectPath),
+    ...loadTsconfigAliases(projectPath)
+  };
+}
+
+/**
+ * compilerOptions.paths ("@/*": ["src/*"]) y baseUrl ("src": import 'components/Button')
+ */
+export function loadTsconfigAliases(projectPath) {
+  const aliases = {};
+
+  TSCONFIG_FILES.forEach(name => {
+    const file = path.join(projectPath, name);
+    if (!fs.existsSync(file)) return;
+
+    const config = parseJsonWithComments(readFileSafe(file));
+    const options = config?.compilerOptions;
+    if (!options) return;
+
+    const baseDir = path.resolve(projectPath, options.baseUrl || '.');
+
+    Object.entries(options.paths || {}).forEach(([pattern, targets]) => {
+      const target = Array.isArray(targets) ? targets[0] : null;
+      if (!target) return;
+
+      const prefix = pattern.replace(/\*$/, '');
+      aliases[prefix.endsWith('/') ? prefix : `${prefix}/`] = path.resolve(baseDir, target.replace(/\*$/, ''));
+    });
+
+    // Con baseUrl cada entrada del directorio es importable sin ./
+    if (options.baseUrl && baseDir !== path.resolve(projectPath) && fs.existsSync(baseDir)) {
+      fs.readdirSync(baseDir).forEach(entry => {
+        const name = entry.replace(/\.(js|jsx|ts|tsx)$/, '');
+        if (!aliases[`${name}/`]) aliases[`${name}/`] = path.join(baseDir, name);
+      });
+    }
+  });
+
+  return aliases;
+}
+
+/**
+ * resolve.alias de vite/webpack: { '@': path.resolve(__dirname, 'src') } o [{ find, replacement }]
+ */
+export function loadBundlerAliases(projectPath) {
+  const aliases = {};
+
+  BUNDLER_CONFIG_FILES.forEach(name => {
+    const file = path.join(projectPath, name);
+    const ast = fs.existsSync(file) ? parseCodeSafe(readFileSafe(file) || '') : null;
+    if (!ast) return;
+
+    traverse.default(ast, {
+      ObjectProperty: (nodePath) => {
+        const { key, value } = nodePath.node;
+        if ((key.name || key.value) !== 'alias') return;
+
+        if (value.type === 'ObjectExpression') {
+          value.properties.forEach(prop => {
+            const find = prop.key?.name || prop.key?.value;
+            const target = prop.value && resolveAliasTarget(prop.value, projectPath);
+            if (find && target) aliases[toPrefix(find)] = target;
+          });
+        }
+
+        if (value.type === 'ArrayExpression') {
+          value.elements.forEach(element => {
+            const find = getProperty(element, 'find');
+            const replacement = getProperty(element, 'replacement');
+            // find con regex no se puede convertir en prefijo
+            if (find?.type !== 'StringLiteral' || !replacement) return;
+
+            const target = resolveAliasTarget(replacement, projectPath);
+            if (target) aliases[toPrefix(find.value)] = target;
+          });
+        }
+      }
+    });
+  });
+
+  return aliases;
+}
+
+function toPrefix(find) {
+  // webpack: 'utils$' solo coincide exacto; como prefijo basta para resolver
+  const clean = find.replace(/\$$/, '');
+  return clean.endsWith('/') ? clean : `${clean}/`;
+}
+
+function getProperty(objectNode, key) {
+  const prop = objectNode?.properties?.find(p => (p.key?.name || p.key?.value) === key);
+  return prop?.value || null;
+}
+
+/**
+ * Convierte el destino de un alias en ruta absoluta:
+ * './src', '/src', path.resolve(__dirname, 'src'), fileURLToPath(new URL('./src', import.meta.url))
+ */
+function resolveAliasTarget(node, projectPath) {
+  if (node.type === 'StringLiteral') {
+    // En vite '/src' es relativo a la raíz del proyecto
+    return path.isAbsolute(node.value) && !fs.existsSync(node.value)
+      ? path.join(projectPath, node.value)
+      : path.resolve(projectPath, node.value);
+  }
+
+  if (node.type === 'TemplateLiteral') {
+    // `${__dirname}/src`
+    const literal = node.quasis.map(quasi => quasi.value.cooked).join('');
+    return path.resolve(projectPath, literal.replace(/^\//, ''));
+  }
+
+  if (node.type === 'CallExpression' || node.type === 'NewExpression') {
+    const callee = node.callee.type === 'MemberExpression' ? node.callee.property.name : node.callee.name;
+
+    // fileURLToPath(new URL('./src', import.meta.url))
+    if (callee === 'fileURLToPath' || callee === 'URL') {
+      const [first] = node.arguments;
+      return first ? resolveAliasTarget(first, projectPath) : null;
+    }
+
+    // path.resolve(__dirname, 'src', 'components') / path.join(process.cwd(), 'src')
+    if (callee === 'resolve' || callee === 'join') {
+      const segments = node.arguments
+        .filter(arg => arg.type === 'StringLiteral')
+        .map(arg => arg.value.replace(/^\.?\//, ''));
+      return segments.length > 0 ? path.join(projectPath, ...segments) : null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * JSON.parse tolerante a comentarios y comas finales (tsconfig/jsconfig)
+ */
+export function parseJsonWithComments(content) {
+  if (!content) return null;
+
+  let output = '';
+  let inString = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (inString) {
+      output += char;
+      if (char === '\\') output += content[++i] || '';
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && next === '/') {
+      while (i < content.length && content[i] !== '\n') i++;
+      output += '\n';
+    } else if (char === '/' && next === '*') {
+      i = content.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      output += char;
+    }
+  }
+
+  try {
+    return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+  } catch {
+    return null;
+  }
+}
\ No newline at end of file
@@ -159,20 +159,35 @@ export function extractArrayStructure(node) {
 }
 
 /**
- * Encuentra imports en un AST
+ * Encuentra imports en un AST: import estáticos, re-exports (export ... from),
+ * require('x') e import('x') dinámicos con source literal
  * @param {object} ast - AST del código
- * @returns {array} Array de imports encontrados
+ * @returns {array} Array de imports encontrados ({ source, kind, line, specifiers, ... })
  */
 export function findImports(ast) {
   const imports = [];
   
   if (!ast) return imports;
   
+  const addSourceOnly = (source, kind, node) => {
+    imports.push({
+      source,
+      kind,
+      line: node.loc?.start?.line || 0,
+      specifiers: [],
+      isDefault: false,
+      isNamespace: false
+    });
+  };
+  
   traverse.default(ast, {
     ImportDeclaration: (path) => {
       const node = path.node;
       const importInfo = {
         source: node.source.value,
+        kind: 'import',
+        line: node.loc?.start?.line || 0,
+        isTypeOnly: node.importKind === 'type',
         specifiers: [],
         isDefault: false,
         isNamespace: false
@@ -194,6 +209,29 @@ export function findImports(ast) {
       });
       
       imports.push(importInfo);
+    },
+    
+    // export { Button } from '@dguard/ds' / export * from './utils'
+    'ExportNamedDeclaration|ExportAllDeclaration': (path) => {
+      if (path.node.source) addSourceOnly(path.node.source.value, 're-export', path.node);
+    },
+    
+    // require('x') / import('x')
+    CallExpression: (path) => {
+      const node = path.node;
+      const [arg] = node.arguments;
+      if (arg?.type !== 'StringLiteral') return;
+      
+      if (node.callee.type === 'Import') {
+        addSourceOnly(arg.value, 'dynamic', node);
+      } else if (node.callee.type === 'Identifier' && node.callee.name === 'require' && !path.scope.hasBinding('require')) {
+        addSourceOnly(arg.value, 'require', node);
+      }
+    },
+    
+    // Babel con createImportExpressions: import('x') como nodo propio
+    ImportExpression: (path) => {
+      if (path.node.source?.type === 'StringLiteral') addSourceOnly(path.node.source.value, 'dynamic', path.node);
     }
   });
   
@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { readFileSafe } from './fileUtils.js';
+
+// Ubicaciones que GitHub/GitLab aceptan para CODEOWNERS
+const CODEOWNERS_LOCATIONS = ['CODEOWNERS', '.github/CODEOWNERS', 'docs/CODEOWNERS', '.gitlab/CODEOWNERS'];
+
+/**
+ * Lee el CODEOWNERS del proyecto
+ * @param {string} projectPath - Raíz del repositorio
+ * @returns {object|null} { file, rules: [{ pattern, owners, regex }] }
+ */
+export function loadCodeowners(projectPath) {
+  const location = CODEOWNERS_LOCATIONS.find(candidate => fs.existsSync(path.join(projectPath, candidate)));
+  if (!location) return null;
+
+  const content = readFileSafe(path.join(projectPath, location)) || '';
+  const rules = content.split('\n')
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    // Secciones de GitLab: [Frontend] @org/frontend
+    .filter(line => line && !line.startsWith('['))
+    .map(line => {
+      const [pattern, ...owners] = line.split(/\s+/);
+      return { pattern, owners, regex: patternToRegex(pattern) };
+    });
+
+  return { file: location, rules };
+}
+
+/**
+ * Owners de un archivo: gana la última regla que coincide (como en GitHub)
+ * @param {object} codeowners - Resultado de loadCodeowners
+ * @param {string} filePath - Ruta relativa a la raíz, con "/"
+ * @returns {string[]} Owners (vacío si no hay regla)
+ */
+export function findOwners(codeowners, filePath) {
+  if (!codeowners) return [];
+
+  const normalized = filePath.split(path.sep).join('/');
+  for (let i = codeowners.rules.length - 1; i >= 0; i--) {
+    if (codeowners.rules[i].regex.test(normalized)) return codeowners.rules[i].owners;
+  }
+
+  return [];
+}
+
+/**
+ * Patrón estilo gitignore → regex: "*.js", "/src/app/", "docs/**", "apps/*\/billing"
+ */
+function patternToRegex(pattern) {
+  const anchored = pattern.startsWith('/') || pattern.slice(0, -1).includes('/');
+  const directory = pattern.endsWith('/');
+  const body = pattern.replace(/^\//, '').replace(/\/$/, '');
+
+  const source = body
+    .split('**')
+    .map(part => part
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]'))
+    .join('.*');
+
+  // Sin "/" intermedia el patrón coincide a cualquier profundidad; un directorio incluye todo su contenido
+  return new RegExp(`${anchored ? '^' : '(^|/)'}${source}${directory ? '/' : '(/|$)'}`);
+}
\ No newline at end of file
@@ -0,0 +1,347 @@
+import { extractObjectStructure, extractNumberValue } from './astUtils.js';
+
+/**
+ * Crea un contrato vacío de endpoint
+ * @returns {object} Contrato con body, query, respuesta y status codes
+ */
+export function createEmptyContract() {
+  return {
+    expectedBody: {},
+    queryParams: [],
+    responseStructure: {},
+    statusCodes: [],
+    acceptsArbitraryBody: false
+  };
+}
+
+/**
+ * Extrae el contrato de request/response de un handler Express
+ * (req.body.x, destructuring de req.body/req.query, res.status(n), res.json({...}))
+ * @param {object} functionPath - NodePath de babel de la función handler
+ * @returns {object} Contrato del handler
+ */
+export function extractHandlerContract(functionPath) {
+  const contract = createEmptyContract();
+  const node = functionPath?.node;
+
+  if (!node || !node.params) return contract;
+
+  const [reqParam, resParam] = node.params;
+  const names = {
+    req: reqParam?.type === 'Identifier' ? reqParam.name : null,
+    res: resParam?.type === 'Identifier' ? resParam.name : null,
+    // Alias locales de req.body / req.query (const data = req.body)
+    body: new Set(),
+    query: new Set()
+  };
+
+  // ({ body, query }, res) => ...
+  if (reqParam?.type === 'ObjectPattern') {
+    reqParam.properties.forEach(prop => {
+      const key = prop.key?.name;
+      if ((key === 'body' || key === 'query') && prop.value?.type === 'Identifier') {
+        names[key].add(prop.value.name);
+      } else if ((key === 'body' || key === 'query') && prop.value?.type === 'ObjectPattern') {
+        collectPatternFields(prop.value, key === 'body' ? contract.expectedBody : null, key === 'query' ? contract.queryParams : null);
+      }
+    });
+  }
+
+  // Campos locales → campo del contrato, para detectar validaciones `if (!email)`
+  const fieldLocals = new Map();
+  const successResponses = [];
+
+  functionPath.traverse({
+    VariableDeclarator: (path) => {
+      const { id, init } = path.node;
+      const source = getRequestSource(init, names);
+      if (!source) return;
+
+      if (id.type === 'Identifier') {
+        names[source].add(id.name);
+      } else if (id.type === 'ObjectPattern') {
+        const fields = collectPatternFields(
+          id,
+          source === 'body' ? contract.expectedBody : null,
+          source === 'query' ? contract.queryParams : null
+        );
+        fields.forEach(field => fieldLocals.set(field.local, { source, name: field.name }));
+      }
+    },
+
+    MemberExpression: (path) => {
+      // req.body.email / data.email / req.query.page
+      const source = getRequestSource(path.node.object, names);
+      if (!source) return;
+
+      const field = getPropertyName(path.node);
+      if (!field) return;
+
+      if (source === 'body') {
+        if (!contract.expectedBody[field]) {
+          contract.expectedBody[field] = { type: inferUsageType(path), required: false };
+        }
+      } else if (!contract.queryParams.some(param => param.name === field)) {
+        contract.queryParams.push({ name: field, type: inferUsageType(path), required: false });
+      }
+    },
+
+    Identifier: (path) => {
+      // req.body usado completo: User.create(req.body), { ...req.body }
+      if (!path.parentPath.isMemberExpression() || path.parent.object !== path.node) return;
+      const member = path.parentPath;
+      if (getRequestSource(member.node, names) !== 'body') return;
+
+      const consumer = member.parentPath;
+      const isFieldAccess = consumer.isMemberExpression() && consumer.node.object === member.node;
+      const isDeclaration = consumer.isVariableDeclarator();
+      if (!isFieldAccess && !isDeclaration) {
+        contract.acceptsArbitraryBody = true;
+      }
+    },
+
+    CallExpression: (path) => {
+      const response = getResponseCall(path.node, names.res);
+      if (!response) return;
+
+      if (response.status && !contract.statusCodes.includes(response.status)) {
+        contract.statusCodes.push(response.status);
+      }
+
+      if (response.payload && (!response.status || response.status < 300)) {
+        successResponses.push(response.payload);
+      }
+    },
+
+    IfStatement: (path) => {
+      // if (!email) return res.status(400)... → campo requerido
+      const rejects = containsClientErrorResponse(path.node.consequent, names.res);
+      if (!rejects) return;
+
+      collectNegatedFields(path.node.test).forEach(negated => {
+        const field = resolveFieldReference(negated, names, fieldLocals);
+        if (!field) return;
+
+        if (field.source === 'body' && contract.expectedBody[field.name]) {
+          contract.expectedBody[field.name].required = true;
+        } else if (field.source === 'query') {
+          const param = contract.queryParams.find(p => p.name === field.name);
+          if (param) param.required = true;
+        }
+      });
+    }
+  });
+
+  if (successResponses.length > 0) {
+    contract.responseStructure = successResponses[0];
+  }
+
+  contract.statusCodes.sort((a, b) => a - b);
+
+  return contract;
+}
+
+function getRequestSource(node, names) {
+  if (!node) return null;
+
+  if (node.type === 'Identifier') {
+    if (names.body.has(node.name)) return 'body';
+    if (names.query.has(node.name)) return 'query';
+    return null;
+  }
+
+  // req.body / req.query
+  if (
+    node.type === 'MemberExpression' &&
+    names.req &&
+    node.object.type === 'Identifier' &&
+    node.object.name === names.req
+  ) {
+    const property = getPropertyName(node);
+    if (property === 'body' || property === 'query') return property;
+  }
+
+  return null;
+}
+
+function getPropertyName(memberNode) {
+  if (!memberNode.computed && memberNode.property.type === 'Identifier') {
+    return memberNode.property.name;
+  }
+  if (memberNode.property.type === 'StringLiteral') {
+    return memberNode.property.value;
+  }
+  return null;
+}
+
+function collectPatternFields(pattern, body, query) {
+  const fields = [];
+
+  pattern.properties.forEach(prop => {
+    if (prop.type !== 'ObjectProperty') return;
+
+    const name = prop.key?.name || prop.key?.value;
+    if (!name) return;
+
+    const hasDefault = prop.value?.type === 'AssignmentPattern';
+    const local = hasDefault ? prop.value.left?.name : prop.value?.name;
+    const type = hasDefault ? inferLiteralType(prop.value.right) : 'any';
+
+    if (body && !body[name]) {
+      body[name] = { type, required: false };
+      if (hasDefault) body[name].default = literalValue(prop.value.right);
+    }
+
+    if (query && !query.some(param => param.name === name)) {
+      const param = { name, type, required: false };
+      if (hasDefault) param.default = literalValue(prop.value.right);
+      query.push(param);
+    }
+
+    if (local) fields.push({ name, local });
+  });
+
+  return fields;
+}
+
+function inferLiteralType(node) {
+  switch (node?.type) {
+    case 'StringLiteral':
+    case 'TemplateLiteral':
+      return 'string';
+    case 'NumericLiteral':
+      return 'number';
+    case 'BooleanLiteral':
+      return 'boolean';
+    case 'ArrayExpression':
+      return 'array';
+    case 'ObjectExpression':
+      return 'object';
+    default:
+      return 'any';
+  }
+}
+
+function literalValue(node) {
+  if (!node) return undefined;
+  if ('value' in node && node.type !== 'TemplateLiteral') return node.value;
+  return extractNumberValue(node) ?? undefined;
+}
+
+function inferUsageType(memberPath) {
+  // parseInt(req.query.page) / Number(req.body.amount)
+  const parent = memberPath.parentPath;
+  if (parent?.isCallExpression() && parent.node.arguments[0] === memberPath.node) {
+    const callee = parent.node.callee.name;
+    if (['parseInt', 'parseFloat', 'Number'].includes(callee)) return 'number';
+    if (callee === 'Boolean') return 'boolean';
+    if (callee === 'String') return 'string';
+  }
+  return 'any';
+}
+
+function getResponseCall(node, resName) {
+  if (!resName || node.callee.type !== 'MemberExpression') return null;
+
+  const method = node.callee.property.name;
+  let status = null;
+  let current = node.callee.object;
+
+  // res.status(201).json(...) → recorrer la cadena hasta res
+  while (current?.type === 'CallExpression' && current.callee.type === 'MemberExpression') {
+    if (current.callee.property.name === 'status') {
+      status = extractNumberValue(current.arguments[0]);
+    }
+    current = current.callee.object;
+  }
+
+  if (current?.type !== 'Identifier' || current.name !== resName) return null;
+
+  if (method === 'status' || method === 'sendStatus') {
+    const code = extractNumberValue(node.arguments[0]);
+    return code ? { status: code, payload: null } : null;
+  }
+
+  if (method === 'json' || method === 'send') {
+    const payload = node.arguments[0]?.type === 'ObjectExpression'
+      ? extractObjectStructure(node.arguments[0])
+      : null;
+    return { status: status || 200, payload };
+  }
+
+  return null;
+}
+
+function containsClientErrorResponse(node, resName) {
+  if (!node || !resName) return false;
+
+  let found = false;
+  const visit = (current) => {
+    if (found || !current || typeof current !== 'object') return;
+
+    if (current.type === 'CallExpression') {
+      const response = getResponseCall(current, resName);
+      if (response?.status >= 400 && response.status < 500) {
+        found = true;
+        return;
+      }
+    }
+
+    // throw new ValidationError(...) / next(createError(400))
+    if (current.type === 'ThrowStatement') {
+      found = true;
+      return;
+    }
+
+    Object.keys(current).forEach(key => {
+      if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') return;
+      const child = current[key];
+      if (Array.isArray(child)) {
+        child.forEach(visit);
+      } else if (child && typeof child.type === 'string') {
+        visit(child);
+      }
+    });
+  };
+
+  visit(node);
+  return found;
+}
+
+function collectNegatedFields(test) {
+  const fields = [];
+
+  const visit = (node) => {
+    if (!node) return;
+
+    if (node.type === 'LogicalExpression') {
+      visit(node.left);
+      visit(node.right);
+    } else if (node.type === 'UnaryExpression' && node.operator === '!') {
+      fields.push(node.argument);
+    } else if (
+      node.type === 'BinaryExpression' &&
+      ['===', '=='].includes(node.operator) &&
+      (node.right.type === 'Identifier' && node.right.name === 'undefined' || node.right.type === 'NullLiteral')
+    ) {
+      fields.push(node.left);
+    }
+  };
+
+  visit(test);
+  return fields;
+}
+
+function resolveFieldReference(node, names, fieldLocals) {
+  if (node.type === 'Identifier') {
+    return fieldLocals.get(node.name) || null;
+  }
+
+  if (node.type === 'MemberExpression') {
+    const source = getRequestSource(node.object, names);
+    const name = getPropertyName(node);
+    return source && name ? { source, name } : null;
+  }
+
+  return null;
+}
\ No newline at end of file
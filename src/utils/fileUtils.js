@@ -289,4 +289,43 @@ export function directoryContainsFileTypes(dir, extensions) {
   } catch (error) {
     return false;
   }
+}
+
+/**
+ * Resuelve el archivo al que apunta un import (relativo o con alias)
+ * @param {string} fromFile - Archivo que contiene el import
+ * @param {string} source - Especificador del import ('./api', '@/services/client')
+ * @param {string[]} extensions - Extensiones a probar si el import no la incluye
+ * @param {object} aliases - Prefijos de alias → directorio absoluto ({ '@/': '/app/src/' })
+ * @returns {string|null} Ruta absoluta del archivo o null si es un paquete/no existe
+ */
+export function resolveImportPath(fromFile, source, extensions = [], aliases = {}) {
+  if (!source) return null;
+  
+  let basePath = null;
+  
+  if (source.startsWith('.')) {
+    basePath = path.resolve(path.dirname(fromFile), source);
+  } else {
+    const alias = Object.keys(aliases)
+      .sort((a, b) => b.length - a.length)
+      .find(prefix => source === prefix.replace(/\/$/, '') || source.startsWith(prefix));
+    
+    if (!alias) return null;
+    basePath = path.resolve(aliases[alias], source.substring(alias.length));
+  }
+  
+  const candidates = [
+    basePath,
+    ...extensions.map(ext => basePath + ext),
+    ...extensions.map(ext => path.join(basePath, 'index' + ext))
+  ];
+  
+  return candidates.find(candidate => {
+    try {
+      return fs.statSync(candidate).isFile();
+    } catch (error) {
+      return false;
+    }
+  }) || null;
 }
\ No newline at end of file
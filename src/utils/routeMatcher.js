@@ -0,0 +1,299 @@
+/**
+ * Matching de rutas estilo Express entre llamadas del frontend y endpoints del backend.
+ * Compara segmento a segmento: estáticos, :params (opcionales y con regex),
+ * comodines `*` y rutas definidas con expresiones regulares.
+ */
+
+// Puntuación por segmento: cuanto más específico, mejor candidato
+const SCORE = {
+  static: 4,
+  constrainedParam: 3,
+  param: 2,
+  pattern: 1,
+  wildcard: 0
+};
+
+const compiledCache = new Map();
+
+/**
+ * Divide un path en segmentos no vacíos
+ * @param {string} routePath - Path a dividir
+ * @returns {string[]} Segmentos
+ */
+export function splitPath(routePath) {
+  return (routePath || '')
+    .split('/')
+    .filter(Boolean);
+}
+
+/**
+ * Compila un path de Express en tokens por segmento
+ * @param {string} routePath - Path del backend (/users/:id?, /files/*, /:id(\\d+))
+ * @returns {array} Tokens { type, value, name, optional, regex }
+ */
+export function compileRoute(routePath) {
+  if (compiledCache.has(routePath)) return compiledCache.get(routePath);
+
+  const tokens = splitPath(routePath).map(segment => {
+    if (segment === '*' || segment === '(.*)') {
+      return { type: 'wildcard' };
+    }
+
+    // :name, :name?, :name(\\d+), :name(\\d+)?
+    const param = segment.match(/^:([A-Za-z0-9_]+)(\((.+)\))?(\?)?$/);
+    if (param) {
+      return {
+        type: 'param',
+        name: param[1],
+        optional: !!param[4],
+        regex: param[3] ? safeRegExp(`^(?:${param[3]})$`) : null
+      };
+    }
+
+    // Segmentos mixtos: :from-:to, file.:ext, img*
+    if (/[:*]/.test(segment)) {
+      const source = segment
+        .split(/(:[A-Za-z0-9_]+(?:\([^)]*\))?\??|\*)/)
+        .map(part => {
+          if (!part) return '';
+          if (part === '*') return '.*';
+          const named = part.match(/^:[A-Za-z0-9_]+(?:\(([^)]*)\))?(\?)?$/);
+          if (named) return `(?:${named[1] || '[^/]+?'})${named[2] || ''}`;
+          return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+      return { type: 'pattern', value: segment, regex: safeRegExp(`^${source}$`, 'i') };
+    }
+
+    return { type: 'static', value: segment.toLowerCase() };
+  });
+
+  compiledCache.set(routePath, tokens);
+  return tokens;
+}
+
+/**
+ * Compara un path del frontend con una ruta del backend
+ * @param {string} callPath - Path de la llamada (/api/users/123, /api/users/:userId)
+ * @param {object|string} route - Endpoint ({ path, pathPattern }) o path del backend
+ * @returns {object|null} { score, params } o null si no coincide
+ */
+export function matchRoute(callPath, route) {
+  const routePath = typeof route === 'string' ? route : route.path;
+  const pathPattern = typeof route === 'string' ? null : route.pathPattern;
+
+  if (pathPattern) {
+    return matchRegexRoute(callPath, pathPattern);
+  }
+
+  // En la llamada, '?' inicia la query string; en la ruta marca un parámetro opcional
+  const segments = splitPath(callPath.split('?')[0]);
+  const tokens = compileRoute(routePath);
+
+  return matchTokens(segments, tokens, 0, 0, new Map());
+}
+
+/**
+ * Busca el endpoint del backend que mejor coincide con una llamada
+ * @param {string} method - Método HTTP de la llamada
+ * @param {string} callPath - Path de la llamada
+ * @param {Map} backendEndpoints - Endpoints del backend ("METHOD /path" → endpoint)
+ * @returns {object|null} { key, endpoint, score, params } del mejor candidato
+ */
+export function findMatchingEndpoint(method, callPath, backendEndpoints) {
+  // Coincidencia exacta: camino rápido
+  const exactKey = `${method} ${callPath}`;
+  if (backendEndpoints.has(exactKey)) {
+    const endpoint = backendEndpoints.get(exactKey);
+    const match = matchRoute(callPath, endpoint);
+    if (match) return { key: exactKey, endpoint, ...match };
+  }
+
+  let best = null;
+
+  backendEndpoints.forEach((endpoint, key) => {
+    if (endpoint.method !== method) return;
+
+    const match = matchRoute(callPath, endpoint);
+    if (!match) return;
+
+    // A igual puntuación gana la ruta registrada antes, como en Express
+    if (!best || compareScores(match.score, best.score) > 0) {
+      best = { key, endpoint, ...match };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Rutas más parecidas a una llamada sin coincidencia, para sugerirlas
+ * @param {string} method - Método HTTP de la llamada
+ * @param {string} callPath - Path de la llamada
+ * @param {Map} backendEndpoints - Endpoints del backend
+ * @param {number} limit - Número máximo de sugerencias
+ * @returns {array} [{ key, distance, methodMismatch }] ordenado por cercanía
+ */
+export function findNearestRoutes(method, callPath, backendEndpoints, limit = 3) {
+  const callSegments = splitPath(callPath.split('?')[0]);
+  const candidates = [];
+
+  backendEndpoints.forEach((endpoint, key) => {
+    const methodMismatch = endpoint.method !== method;
+
+    // Mismo path con otro método: la sugerencia más útil
+    const pathMatches = !!matchRoute(callPath, endpoint);
+    const distance = pathMatches
+      ? 0
+      : segmentDistance(callSegments, compileRoute(endpoint.pathPattern ? '' : endpoint.path));
+
+    candidates.push({
+      key,
+      distance: distance + (methodMismatch ? 1 : 0),
+      methodMismatch
+    });
+  });
+
+  // Descartar candidatos que no comparten casi nada con la llamada
+  const maxDistance = Math.max(1, callSegments.length / 2);
+
+  return candidates
+    .filter(candidate => candidate.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+}
+
+function matchTokens(segments, tokens, i, j, params) {
+  if (j === tokens.length) {
+    return i === segments.length ? { score: [], params: Object.fromEntries(params) } : null;
+  }
+
+  const token = tokens[j];
+  const candidates = [];
+
+  if (token.type === 'wildcard') {
+    // `*` consume cero o más segmentos
+    for (let end = segments.length; end >= i; end--) {
+      const rest = matchTokens(segments, tokens, end, j + 1, params);
+      if (rest) candidates.push({ score: [SCORE.wildcard, ...rest.score], params: rest.params });
+    }
+    return pickBest(candidates);
+  }
+
+  if (token.optional) {
+    const skipped = matchTokens(segments, tokens, i, j + 1, params);
+    if (skipped) candidates.push(skipped);
+  }
+
+  if (i < segments.length) {
+    const segmentScore = scoreSegment(segments[i], token);
+
+    if (segmentScore !== null) {
+      const nextParams = token.type === 'param'
+        ? new Map([...params, [token.name, segments[i]]])
+        : params;
+      const rest = matchTokens(segments, tokens, i + 1, j + 1, nextParams);
+      if (rest) candidates.push({ score: [segmentScore, ...rest.score], params: rest.params });
+    }
+  }
+
+  return pickBest(candidates);
+}
+
+function scoreSegment(segment, token) {
+  // Segmento dinámico del frontend (`${id}` → :id): solo encaja en parámetros
+  const isCallParam = segment.startsWith(':');
+
+  switch (token.type) {
+    case 'static':
+      return !isCallParam && segment.toLowerCase() === token.value ? SCORE.static : null;
+
+    case 'param':
+      if (isCallParam || !token.regex) return SCORE.param;
+      return token.regex.test(segment) ? SCORE.constrainedParam : null;
+
+    case 'pattern':
+      if (isCallParam) return SCORE.wildcard;
+      return token.regex?.test(segment) ? SCORE.pattern : null;
+
+    default:
+      return null;
+  }
+}
+
+function matchRegexRoute(callPath, pathPattern) {
+  const basePath = (pathPattern.basePath || '').replace(/\/$/, '');
+  if (basePath && !callPath.toLowerCase().startsWith(basePath.toLowerCase())) return null;
+
+  const regex = safeRegExp(pathPattern.source, pathPattern.flags);
+  const remainder = callPath.split('?')[0].substring(basePath.length) || '/';
+
+  return regex?.test(remainder)
+    ? { score: [SCORE.wildcard], params: {} }
+    : null;
+}
+
+function pickBest(candidates) {
+  return candidates.reduce((best, candidate) =>
+    !best || compareScores(candidate.score, best.score) > 0 ? candidate : best, null);
+}
+
+function compareScores(a, b) {
+  // Lexicográfico: los segmentos iniciales pesan más (/users/me antes que /users/:id)
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+}
+
+function segmentDistance(segments, tokens) {
+  // Distancia de edición por segmentos; un parámetro encaja con cualquier segmento
+  const rows = segments.length + 1;
+  const cols = tokens.length + 1;
+  const dp = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+
+  for (let j = 1; j < cols; j++) dp[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const token = tokens[j - 1];
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + (token.optional || token.type === 'wildcard' ? 0 : 1),
+        dp[i - 1][j - 1] + substitutionCost(segments[i - 1], token)
+      );
+    }
+  }
+
+  return dp[rows - 1][cols - 1];
+}
+
+function substitutionCost(segment, token) {
+  if (token.type === 'wildcard' || scoreSegment(segment, token) !== null) return 0;
+  if (token.type !== 'static' || segment.startsWith(':')) return 1;
+
+  // Segmentos parecidos (user/users) cuestan menos que segmentos distintos
+  const a = segment.toLowerCase();
+  const b = token.value;
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+
+  return row[b.length] / Math.max(a.length, b.length);
+}
+
+function safeRegExp(source, flags = '') {
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    return null;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,183 @@
+// Colores con nombre más habituales en CSS hardcodeado
+const NAMED_COLORS = {
+  white: '#ffffff',
+  black: '#000000',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  orange: '#ffa500',
+  purple: '#800080',
+  gray: '#808080',
+  grey: '#808080',
+  silver: '#c0c0c0',
+  navy: '#000080',
+  teal: '#008080',
+  maroon: '#800000',
+  olive: '#808000',
+  lime: '#00ff00',
+  aqua: '#00ffff',
+  fuchsia: '#ff00ff'
+};
+
+// Colores literales dentro de un valor: 1px solid #ccc, 0 1px 2px rgba(0,0,0,.2)
+export const COLOR_PATTERN = /#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})\b|rgba?\([^)]*\)|hsla?\([^)]*\)/gi;
+
+// Tamaño base del rem para comparar 1rem con 16px
+const ROOT_FONT_SIZE = 16;
+
+/**
+ * Categoría de token que corresponde a una propiedad CSS (en kebab-case).
+ * Los colores se detectan por el valor, no por la propiedad.
+ * @returns {string|null} spacing | radius | fontSize | fontWeight | fontFamily | shadow
+ */
+export function getStyleCategory(property) {
+  if (/^(margin|padding|inset|scroll-margin|scroll-padding)(-|$)|^(gap|row-gap|column-gap|top|right|bottom|left)$/.test(property)) return 'spacing';
+  if (/^border(-[a-z]+)*-radius$/.test(property)) return 'radius';
+  if (property === 'font-size') return 'fontSize';
+  if (property === 'font-weight') return 'fontWeight';
+  if (property === 'font-family') return 'fontFamily';
+  if (property === 'box-shadow') return 'shadow';
+  return null;
+}
+
+/**
+ * Categoría de un token a partir de su nombre/ruta (colors.primary, --space-4, $radius-md)
+ */
+export function getTokenCategory(name, value) {
+  const key = name.toLowerCase();
+
+  if (/shadow|elevation/.test(key)) return 'shadow';
+  if (normalizeColor(value)) return 'color';
+  if (/radi(us|i)|rounded|corner/.test(key)) return 'radius';
+  if (/font-?weight|weights?\b/.test(key)) return 'fontWeight';
+  if (/font-?famil|famil(y|ies)|fonts?\b/.test(key) && typeof value === 'string' && !parseLength(value)) return 'fontFamily';
+  if (/font-?size|text-?size|typography|fontsizes/.test(key)) return parseLength(value) !== null ? 'fontSize' : null;
+  if (/spac(e|ing)|gap|gutter|margin|padding|inset|sizes?\b|scale/.test(key)) return parseLength(value) !== null ? 'spacing' : null;
+
+  return null;
+}
+
+/**
+ * '#FFF', 'rgb(255 255 255)', 'hsl(0, 0%, 100%)', 'white' → '#ffffff' (con alpha: '#rrggbbaa')
+ * @returns {string|null}
+ */
+export function normalizeColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+
+  if (NAMED_COLORS[color]) return NAMED_COLORS[color];
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+    return digits.length === 8 && digits.endsWith('ff') ? `#${digits.slice(0, 6)}` : `#${digits}`;
+  }
+
+  const fn = color.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!fn) return null;
+
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+
+  const alpha = parts[3] !== undefined ? parseChannel(parts[3], 1) : 1;
+  const rgb = fn[1].startsWith('rgb')
+    ? parts.slice(0, 3).map(part => parseChannel(part, 255))
+    : hslToRgb(parseFloat(parts[0]), parseFloat(parts[1]) / 100, parseFloat(parts[2]) / 100);
+
+  if ([...rgb, alpha].some(Number.isNaN)) return null;
+
+  const toHex = (channel) => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0');
+  return `#${rgb.map(toHex).join('')}${alpha < 1 ? toHex(alpha * 255) : ''}`;
+}
+
+function parseChannel(part, max) {
+  return part.endsWith('%') ? parseFloat(part) / 100 * max : parseFloat(part);
+}
+
+function hslToRgb(h, s, l) {
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return [f(0) * 255, f(8) * 255, f(4) * 255];
+}
+
+/**
+ * Distancia euclídea RGB entre dos colores normalizados (0 = iguales, ~441 = blanco/negro)
+ */
+export function colorDistance(a, b) {
+  const channels = (hex) => [1, 3, 5, 7].map(i => parseInt(hex.slice(i, i + 2) || 'ff', 16));
+  const [ca, cb] = [channels(a), channels(b)];
+  return Math.sqrt(ca.reduce((sum, value, i) => sum + (value - cb[i]) ** 2, 0));
+}
+
+/**
+ * '16px' / '1rem' / 16 → 16; null si no es una longitud absoluta
+ */
+export function parseLength(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(-?\d*\.?\d+)(px|rem)?$/);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  return match[2] === 'rem' ? number * ROOT_FONT_SIZE : number;
+}
+
+/**
+ * Clave de comparación de un valor según su categoría
+ * ('1rem' y '16px' son el mismo spacing; '#FFF' y 'white' el mismo color)
+ */
+export function normalizeStyleValue(category, value) {
+  switch (category) {
+    case 'color':
+      return normalizeColor(value);
+    case 'spacing':
+    case 'radius':
+    case 'fontSize': {
+      const length = parseLength(value);
+      return length === null ? null : `${length}px`;
+    }
+    case 'fontWeight':
+      return String({ normal: 400, bold: 700 }[value] || value).trim();
+    case 'fontFamily':
+      return String(value).split(',')[0].replace(/['"]/g, '').trim().toLowerCase();
+    case 'shadow':
+      return String(value).toLowerCase().replace(COLOR_PATTERN, color => normalizeColor(color) || color).replace(/\s+/g, ' ').trim();
+    default:
+      return null;
+  }
+}
+
+export function toKebabCase(property) {
+  return property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Declaraciones "propiedad: valor" de un bloque CSS/SCSS (o de un template de styled-components)
+ * @param {string} css - Texto CSS
+ * @param {number} startLine - Línea en la que empieza el texto dentro del archivo
+ * @returns {array} [{ property, value, line }]
+ */
+export function parseDeclarations(css, startLine = 1) {
+  // Quitar comentarios conservando los saltos de línea
+  const text = css
+    .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '))
+    .replace(/(^|[\s;{}])\/\/[^\n]*/g, '$1');
+
+  const declarations = [];
+  const pattern = /(?:^|[;{}])\s*(--[\w-]+|[a-z-]+)\s*:\s*([^;{}\n]+?)\s*(?=;|}|\n|$)/gm;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const offset = match.index + match[0].indexOf(match[1]);
+    declarations.push({
+      property: match[1],
+      value: match[2].replace(/\s*!important$/, ''),
+      line: startLine + (text.slice(0, offset).match(/\n/g) || []).length
+    });
+  }
+
+  return declarations;
+}
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * Comparación de versiones semver y rangos de advisories
+ * (`<4.17.21`, `>=2.0.0 <2.3.1 || >=3.0.0 <3.0.2`, `^1.2.0`, `~0.21.1`, `1.x`).
+ * Suficiente para los rangos de npm audit / GitHub Advisory, sin dependencias.
+ */
+
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/i;
+
+/**
+ * Parsea una versión; los componentes comodín (x, *) o ausentes quedan en null
+ * @param {string} version - Versión (1.2.3, v1.2.3-beta.1, 1.x)
+ * @returns {object|null} { major, minor, patch, prerelease }
+ */
+export function parseVersion(version) {
+  const match = String(version || '').trim().match(VERSION_PATTERN);
+  if (!match) return null;
+
+  const part = (value) => (value === undefined || /^[x*]$/i.test(value) ? null : Number(value));
+  return {
+    major: Number(match[1]),
+    minor: part(match[2]),
+    patch: part(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+/**
+ * Compara dos versiones completas
+ * @returns {number} -1, 0 o 1
+ */
+export function compareVersions(a, b) {
+  const left = typeof a === 'string' ? parseVersion(a) : a;
+  const right = typeof b === 'string' ? parseVersion(b) : b;
+  if (!left || !right) return 0;
+
+  for (const key of ['major', 'minor', 'patch']) {
+    const diff = (left[key] || 0) - (right[key] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+
+  // 1.0.0-beta < 1.0.0
+  if (left.prerelease.length === 0 && right.prerelease.length === 0) return 0;
+  if (left.prerelease.length === 0) return 1;
+  if (right.prerelease.length === 0) return -1;
+
+  for (let i = 0; i < Math.max(left.prerelease.length, right.prerelease.length); i++) {
+    const x = left.prerelease[i];
+    const y = right.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+
+    const numeric = /^\d+$/.test(x) && /^\d+$/.test(y);
+    if (numeric) return Number(x) > Number(y) ? 1 : -1;
+    return x > y ? 1 : -1;
+  }
+
+  return 0;
+}
+
+/**
+ * Indica si una versión instalada cae dentro de un rango
+ * @param {string} version - Versión exacta instalada
+ * @param {string} range - Rango semver (`*` o vacío = cualquiera)
+ * @returns {boolean}
+ */
+export function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  if (!parsed) return false;
+
+  return String(range || '*').split('||').some(alternative => {
+    const comparators = normalizeRange(alternative);
+    return comparators.every(({ operator, version: bound }) => {
+      const diff = compareVersions(parsed, bound);
+      switch (operator) {
+        case '<': return diff < 0;
+        case '<=': return diff <= 0;
+        case '>': return diff > 0;
+        case '>=': return diff >= 0;
+        default: return diff === 0;
+      }
+    });
+  });
+}
+
+/**
+ * Convierte un rango (sin ||) en comparadores simples { operator, version }
+ */
+function normalizeRange(range) {
+  // "1.2.3 - 2.0.0" → >=1.2.3 <=2.0.0
+  const hyphen = range.trim().match(/^(\S+)\s+-\s+(\S+)$/);
+  if (hyphen) {
+    return [
+      { operator: '>=', version: fill(parseVersion(hyphen[1])) },
+      { operator: '<=', version: fill(parseVersion(hyphen[2])) }
+    ];
+  }
+
+  return range
+    .trim()
+    .replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1')
+    .split(/\s+/)
+    .filter(Boolean)
+    .flatMap(token => {
+      const [, operator, raw] = token.match(/^(<=|>=|<|>|=|\^|~)?(.*)$/);
+      if (raw === '*' || raw === 'x' || raw === '') return [];
+
+      const version = parseVersion(raw);
+      if (!version) return [{ operator: '=', version: { major: -1, minor: -1, patch: -1, prerelease: [] } }];
+
+      if (operator === '^') return caretRange(version);
+      if (operator === '~') return tildeRange(version);
+      if (operator && operator !== '=') return [{ operator, version: fill(version) }];
+
+      // 1.2 / 1.x: cualquier versión con ese prefijo
+      if (version.minor === null) return [ge(version), { operator: '<', version: bump(version, 'major') }];
+      if (version.patch === null) return [ge(version), { operator: '<', version: bump(version, 'minor') }];
+      return [{ operator: '=', version }];
+    });
+}
+
+function caretRange(version) {
+  // ^1.2.3 <2.0.0, ^0.2.3 <0.3.0, ^0.0.3 <0.0.4
+  let upper;
+  if (version.major > 0 || version.minor === null) upper = bump(version, 'major');
+  else if (version.minor > 0 || version.patch === null) upper = bump(version, 'minor');
+  else upper = bump(version, 'patch');
+  return [ge(version), { operator: '<', version: upper }];
+}
+
+function tildeRange(version) {
+  // ~1.2.3 <1.3.0, ~1 <2.0.0
+  const upper = version.minor === null ? bump(version, 'major') : bump(version, 'minor');
+  return [ge(version), { operator: '<', version: upper }];
+}
+
+function ge(version) {
+  return { operator: '>=', version: fill(version) };
+}
+
+function fill(version) {
+  return { ...version, minor: version.minor || 0, patch: version.patch || 0 };
+}
+
+function bump(version, key) {
+  const next = fill(version);
+  if (key === 'major') return { major: next.major + 1, minor: 0, patch: 0, prerelease: ['0'] };
+  if (key === 'minor') return { major: next.major, minor: next.minor + 1, patch: 0, prerelease: ['0'] };
+  return { major: next.major, minor: next.minor, patch: next.patch + 1, prerelease: ['0'] };
+}
\ No newline at end of file
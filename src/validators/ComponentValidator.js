@@ -1,9 +1,24 @@
+import path from 'path';
+import { findOwners } from '../utils/codeownersUtils.js';
+
+// Elementos HTML que el design system suele reemplazar; div/span/section son layout y no cuentan
+const DEFAULT_ADOPTION_ELEMENTS = [
+  'button', 'input', 'select', 'textarea', 'a', 'label', 'form', 'table', 'img',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'hr', 'dialog', 'progress', 'ul', 'ol'
+];
+
+// Atributos de React que no llegan al componente como props
+const REACT_RESERVED_ATTRIBUTES = ['key', 'ref'];
+
+// "input[type=checkbox]", "@mui/material Dialog", "a[href][target=_blank]"
+const REPLACEMENT_SELECTOR_PATTERN = /^(?:(\S+)\s+)?([A-Za-z][\w.]*)((?:\[[^\]]+\])*)$/;
+
 export default class ComponentValidator {
   constructor(rules) {
     this.rules = rules;
   }
 
-  async validate(designSystemComponents, frontendComponents) {
+  async validate(designSystemComponents, frontendComponents, jsxUsages = [], packageName = null, renderedElements = []) {
     const issues = [];
     
     if (!designSystemComponents || !frontendComponents) {
@@ -16,11 +31,14 @@ export default class ComponentValidator {
     // Encontrar componentes no utilizados
     this.findUnusedComponents(designSystemComponents, issues);
     
-    // Validar duplicación de componentes
-    this.detectIncorrectUsage(designSystemComponents, frontendComponents, issues);
+    // Copias estructurales de componentes (frontend vs DS y entre componentes del frontend)
+    this.detectDuplicateComponents(designSystemComponents, frontendComponents, issues);
     
-    // Validar consistencia de props
-    this.validatePropsConsistency(designSystemComponents, frontendComponents, issues);
+    // Validar props en cada uso JSX contra el contrato del DS
+    this.validatePropsConsistency(designSystemComponents, jsxUsages, packageName, issues);
+    
+    // HTML nativo y componentes de terceros que tienen reemplazo en el DS (rules.replacements)
+    this.detectReplaceableElements(designSystemComponents, renderedElements, packageName, issues);
     
     return issues;
   }
@@ -54,9 +72,6 @@ export default class ComponentValidator {
         }
       });
     });
-    
-    // Detectar uso incorrecto (componentes similares en frontend cuando existe en DS)
-    this.detectIncorrectUsage(designSystemComponents, frontendComponents, issues);
   }
 
   extractImportsFromFrontend(frontendComponents) {
@@ -100,69 +115,233 @@ export default class ComponentValidator {
     return dsPatterns.some(pattern => pattern.test(source));
   }
 
-  detectIncorrectUsage(designSystemComponents, frontendComponents, issues) {
-    const dsComponentNames = Array.from(designSystemComponents.keys()).map(name => name.toLowerCase());
+  /**
+   * Componentes del frontend que son copias estructurales (aunque renombradas) de
+   * componentes del design system o de otros componentes del frontend
+   */
+  detectDuplicateComponents(designSystemComponents, frontendComponents, issues) {
+    const options = this.rules.duplicates || {};
+    const threshold = options.threshold ?? 0.8;
+    const minTokens = options.minTokens ?? 60;
     
-    frontendComponents.forEach((component, key) => {
-      const componentName = component.name.toLowerCase();
+    // Los componentes triviales (<div>{children}</div>) se parecen todos entre sí
+    const isComparable = (component) => (component.fingerprint?.tokens.length || 0) >= minTokens;
+    const dsComponents = Array.from(designSystemComponents.values()).filter(isComparable);
+    const feComponents = Array.from(frontendComponents.values()).filter(isComparable);
+    
+    feComponents.forEach((component, index) => {
+      // Contra el design system: solo el componente más parecido
+      const original = this.findMostSimilar(component, dsComponents, threshold);
+      if (original) {
+        issues.push(this.createDuplicateIssue(component, original.component, original.score, true, options));
+      }
       
-      // Buscar componentes similares en el design system
-      const similarDSComponent = dsComponentNames.find(dsName => {
-        return this.areComponentsSimilar(componentName, dsName);
-      });
+      if (options.compareFrontend === false) return;
       
-      if (similarDSComponent) {
-        const dsComponent = Array.from(designSystemComponents.values())
-          .find(ds => ds.name.toLowerCase() === similarDSComponent);
-        
-        if (dsComponent && !dsComponent.used) {
-          issues.push({
-            type: 'DUPLICATE_COMPONENT',
-            severity: 'MEDIUM',
-            message: `Componente "${component.name}" en frontend es similar a "${dsComponent.name}" del design system`,
-            frontend: component.file,
-            designSystem: dsComponent.file,
-            component: component.name,
-            dsComponent: dsComponent.name,
-            details: {
-              similarity: this.calculateSimilarity(componentName, similarDSComponent),
-              frontendComponent: component,
-              dsComponent: dsComponent
-            },
-            suggestions: [
-              `Usar componente ${dsComponent.name} del design system`,
-              'Eliminar componente duplicado del frontend',
-              'Verificar si hay diferencias funcionales que justifiquen la duplicación'
-            ]
-          });
+      // Entre componentes del frontend: cada par una sola vez y solo la copia más parecida
+      // (N copias del mismo componente generan N-1 issues, no N²)
+      const copy = this.findMostSimilar(component, feComponents.slice(index + 1), threshold);
+      if (copy) {
+        issues.push(this.createDuplicateIssue(component, copy.component, copy.score, false, options));
+      }
+    });
+  }
+
+  findMostSimilar(component, candidates, threshold) {
+    let best = null;
+    
+    candidates.forEach(candidate => {
+      const score = this.compareFingerprints(component.fingerprint, candidate.fingerprint, threshold);
+      if (score && (!best || score.similarity > best.score.similarity)) {
+        best = { component: candidate, score };
+      }
+    });
+    
+    return best;
+  }
+
+  /**
+   * Similitud ponderada: estructura del AST (shingles), forma del árbol JSX, props y hooks.
+   * Las dimensiones vacías en ambos componentes no cuentan.
+   * @returns {object|null} { similarity, scores } si supera el umbral
+   */
+  compareFingerprints(a, b, threshold) {
+    const weights = { structure: 0.55, jsx: 0.25, props: 0.1, hooks: 0.1 };
+    
+    // Cota superior barata: el Jaccard nunca supera |menor| / |mayor|
+    const sizes = [a.shingles.size, b.shingles.size].sort((x, y) => x - y);
+    const bound = weights.structure * (sizes[0] / sizes[1]) + (1 - weights.structure);
+    if (bound < threshold) return null;
+    
+    const scores = {
+      structure: this.jaccard(a.shingles, b.shingles),
+      jsx: this.jaccard(new Set(a.jsx), new Set(b.jsx)),
+      props: this.jaccard(new Set(a.props), new Set(b.props)),
+      hooks: this.jaccard(this.countOccurrences(a.hooks), this.countOccurrences(b.hooks))
+    };
+    
+    let total = 0;
+    let weightSum = 0;
+    Object.entries(scores).forEach(([dimension, score]) => {
+      if (score === null) return;
+      total += score * weights[dimension];
+      weightSum += weights[dimension];
+    });
+    
+    const similarity = weightSum > 0 ? total / weightSum : 0;
+    if (similarity < threshold) return null;
+    
+    const round = (value) => value === null ? null : Math.round(value * 100) / 100;
+    return {
+      similarity: round(similarity),
+      scores: Object.fromEntries(Object.entries(scores).map(([dimension, score]) => [dimension, round(score)]))
+    };
+  }
+
+  jaccard(setA, setB) {
+    if (setA.size === 0 && setB.size === 0) return null;
+    
+    let intersection = 0;
+    setA.forEach(value => {
+      if (setB.has(value)) intersection++;
+    });
+    
+    return intersection / (setA.size + setB.size - intersection);
+  }
+
+  countOccurrences(values) {
+    // ['useState', 'useState'] → useState#1, useState#2 (Jaccard de multiconjuntos)
+    const counts = new Map();
+    return new Set(values.map(value => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+      return `${value}#${counts.get(value)}`;
+    }));
+  }
+
+  /**
+   * Regiones equivalentes de dos componentes para mostrarlas lado a lado
+   * @returns {array} [{ left: { start, end, code }, right: { start, end, code }, tokens }]
+   */
+  findMatchingRegions(a, b, maxRegions = 3, maxLines = 12) {
+    const size = a.shingleSize;
+    const key = (tokens, i) => tokens.slice(i, i + size).join(' ');
+    
+    const positions = new Map();
+    for (let j = 0; j + size <= b.tokens.length; j++) {
+      const shingle = key(b.tokens, j);
+      if (!positions.has(shingle)) positions.set(shingle, []);
+      positions.get(shingle).push(j);
+    }
+    
+    // Tramos maximales de tokens idénticos
+    const runs = [];
+    let i = 0;
+    while (i + size <= a.tokens.length) {
+      let best = null;
+      (positions.get(key(a.tokens, i)) || []).slice(0, 20).forEach(j => {
+        let length = size;
+        while (i + length < a.tokens.length && j + length < b.tokens.length &&
+               a.tokens[i + length] === b.tokens[j + length]) {
+          length++;
         }
+        if (!best || length > best.length) best = { a: i, b: j, length };
+      });
+      
+      if (best) {
+        runs.push(best);
+        i += best.length;
+      } else {
+        i++;
+      }
+    }
+    
+    // Tramos en líneas contiguas de ambos lados forman una misma región
+    const regions = [];
+    runs.forEach(run => {
+      const region = {
+        left: { start: a.lines[run.a], end: a.lines[run.a + run.length - 1] },
+        right: { start: b.lines[run.b], end: b.lines[run.b + run.length - 1] },
+        tokens: run.length
+      };
+      const previous = regions[regions.length - 1];
+      
+      if (previous &&
+          region.left.start - previous.left.end <= 1 && region.left.start >= previous.left.start &&
+          region.right.start - previous.right.end <= 1 && region.right.start >= previous.right.start) {
+        previous.left.end = Math.max(previous.left.end, region.left.end);
+        previous.right.end = Math.max(previous.right.end, region.right.end);
+        previous.tokens += region.tokens;
+      } else {
+        regions.push(region);
       }
     });
+    
+    const snippet = (fingerprint, range) => {
+      const lines = fingerprint.code.split('\n')
+        .slice(range.start - fingerprint.startLine, range.end - fingerprint.startLine + 1);
+      return lines.length > maxLines
+        ? [...lines.slice(0, maxLines), `// ... ${lines.length - maxLines} líneas más`].join('\n')
+        : lines.join('\n');
+    };
+    
+    return regions
+      .sort((x, y) => y.tokens - x.tokens)
+      .slice(0, maxRegions)
+      .sort((x, y) => x.left.start - y.left.start)
+      .map(region => ({
+        left: { ...region.left, code: snippet(a, region.left) },
+        right: { ...region.right, code: snippet(b, region.right) },
+        tokens: region.tokens
+      }));
   }
 
-  areComponentsSimilar(name1, name2) {
-    // Normalizar nombres
-    const normalize = (name) => name.toLowerCase()
-      .replace(/component$/, '')
-      .replace(/^ui/, '')
-      .replace(/^ds/, '')
-      .replace(/button|btn/, 'button')
-      .replace(/input|field/, 'input')
-      .replace(/modal|dialog/, 'modal')
-      .replace(/card|panel/, 'card');
-    
-    const norm1 = normalize(name1);
-    const norm2 = normalize(name2);
-    
-    // Similitud exacta
-    if (norm1 === norm2) return true;
-    
-    // Similitud por inclusión
-    if (norm1.includes(norm2) || norm2.includes(norm1)) return true;
-    
-    // Similitud de Levenshtein
-    const similarity = this.calculateSimilarity(norm1, norm2);
-    return similarity > 0.8;
+  createDuplicateIssue(component, original, score, fromDesignSystem, options) {
+    const severity = this.rules.severity || {};
+    const percentage = Math.round(score.similarity * 100);
+    const describe = (entry) => ({ name: entry.name, file: entry.file, line: entry.line });
+    
+    const details = {
+      similarity: score.similarity,
+      scores: score.scores,
+      left: describe(component),
+      right: describe(original),
+      regions: this.findMatchingRegions(component.fingerprint, original.fingerprint, options.maxRegions ?? 3, options.maxSnippetLines ?? 12)
+    };
+    
+    if (fromDesignSystem) {
+      return {
+        type: 'DUPLICATE_COMPONENT',
+        severity: severity.duplicateComponent || 'MEDIUM',
+        message: `Componente "${component.name}" en frontend es una copia estructural de "${original.name}" del design system (${percentage}% de similitud)`,
+        file: component.file,
+        line: component.line,
+        frontend: component.file,
+        designSystem: original.file,
+        component: component.name,
+        dsComponent: original.name,
+        details,
+        suggestions: [
+          `Usar componente ${original.name} del design system`,
+          'Eliminar componente duplicado del frontend',
+          'Si hay diferencias funcionales, proponerlas como props o variantes del componente del DS'
+        ]
+      };
+    }
+    
+    return {
+      type: 'DUPLICATE_FRONTEND_COMPONENT',
+      severity: severity.duplicateFrontendComponent || 'LOW',
+      message: `Componentes "${component.name}" (${component.file}) y "${original.name}" (${original.file}) son casi idénticos (${percentage}% de similitud)`,
+      file: component.file,
+      line: component.line,
+      frontend: component.file,
+      component: component.name,
+      details,
+      suggestions: [
+        `Extraer un componente compartido y reutilizarlo desde ${component.file} y ${original.file}`,
+        'Si el componente es genérico, proponerlo al design system'
+      ]
+    };
   }
 
   calculateSimilarity(str1, str2) {
@@ -230,45 +409,358 @@ export default class ComponentValidator {
     });
   }
 
-  validatePropsConsistency(designSystemComponents, frontendComponents, issues) {
-    // Validar que el uso de props sea consistente con la definición del DS
-    designSystemComponents.forEach((dsComponent, name) => {
-      if (dsComponent.used && dsComponent.props && dsComponent.props.length > 0) {
-        const usageFiles = dsComponent.usedIn;
-        
-        // Aquí se podría implementar análisis más profundo del uso de props
-        // Por ahora, solo verificamos la estructura básica
-        this.validateBasicPropsUsage(dsComponent, usageFiles, issues);
-      }
+  validatePropsConsistency(designSystemComponents, jsxUsages, packageName, issues) {
+    // Cada uso JSX de un componente del DS contra su contrato de props
+    jsxUsages.forEach(usage => {
+      if (!this.isDesignSystemSource(usage.source, packageName)) return;
+      
+      const dsComponent = designSystemComponents.get(usage.component);
+      if (!dsComponent?.props || dsComponent.props.length === 0) return;
+      
+      this.validateUsageProps(dsComponent, usage, issues);
     });
   }
 
-  validateBasicPropsUsage(dsComponent, usageFiles, issues) {
-    const requiredProps = dsComponent.props.filter(prop => !prop.hasDefault && prop.name !== 'children');
+  isDesignSystemSource(source, packageName) {
+    if (packageName && (source === packageName || source.startsWith(`${packageName}/`))) return true;
+    
+    // Imports relativos solo si apuntan al design system, no a ../components locales
+    if (source.startsWith('.')) return /design-system/.test(source);
+    
+    // Con el nombre del paquete conocido, los patrones genéricos (@.*ui) confundirían @mui con el DS
+    if (packageName) return /(^|\/)design-system(\/|$)/.test(source);
+    return this.isDesignSystemImport(source);
+  }
+
+  validateUsageProps(dsComponent, usage, issues) {
+    const severity = this.rules.severity || {};
+    const propsByName = new Map(dsComponent.props.map(prop => [prop.name, prop]));
+    const passed = new Set(usage.attributes.map(attr => attr.name));
+    if (usage.hasChildren) passed.add('children');
+    
+    const base = {
+      component: dsComponent.name,
+      frontend: usage.file,
+      designSystem: dsComponent.file,
+      file: usage.file,
+      line: usage.line
+    };
+    
+    // Con {...props} no se sabe qué props llegan
+    if (!usage.hasSpread) {
+      const missing = dsComponent.props.filter(prop => prop.required && !passed.has(prop.name));
+      
+      if (missing.length > 0) {
+        issues.push({
+          ...base,
+          type: 'MISSING_REQUIRED_PROP',
+          severity: severity.missingRequiredProp || 'HIGH',
+          message: `<${usage.local}> no recibe ${missing.length === 1 ? 'la prop requerida' : 'las props requeridas'} ${missing.map(p => `"${p.name}"`).join(', ')}`,
+          details: {
+            missingProps: missing.map(p => p.name),
+            passedProps: Array.from(passed),
+            propsSource: dsComponent.propsSource
+          },
+          suggestions: missing.map(p => p.values ? `Pasar ${p.name} (${p.values.map(v => JSON.stringify(v)).join(' | ')})` : `Pasar la prop ${p.name}`)
+        });
+      }
+    }
     
-    if (requiredProps.length > 0) {
-      usageFiles.forEach(file => {
-        // En una implementación real, aquí se analizaría el archivo para verificar
-        // que las props requeridas se están pasando
+    usage.attributes.forEach(attr => {
+      const prop = propsByName.get(attr.name);
+      
+      if (!prop) {
+        // key/ref los consume React; data-*/aria-* se aceptan como atributos HTML
+        if (dsComponent.acceptsUnknownProps || REACT_RESERVED_ATTRIBUTES.includes(attr.name) || /^(data|aria)-/.test(attr.name)) return;
         
-        // Por ahora, solo generamos una validación de ejemplo
+        const suggestion = this.findClosestProp(attr.name, dsComponent.props);
         issues.push({
-          type: 'VERIFY_PROPS_USAGE',
-          severity: 'LOW',
-          message: `Verificar uso correcto de props para ${dsComponent.name} en ${file}`,
-          component: dsComponent.name,
-          file,
+          ...base,
+          type: 'UNKNOWN_COMPONENT_PROP',
+          severity: severity.unknownProp || 'MEDIUM',
+          message: `<${usage.local}> recibe la prop "${attr.name}" que ${dsComponent.name} no declara`,
           details: {
-            requiredProps: requiredProps.map(p => p.name),
-            totalProps: dsComponent.props.length
+            prop: attr.name,
+            declaredProps: dsComponent.props.map(p => p.name),
+            propsSource: dsComponent.propsSource
           },
-          suggestions: [
-            'Verificar que todas las props requeridas se están pasando',
-            'Revisar documentación del componente',
-            'Usar TypeScript para validación automática de props'
-          ]
+          suggestions: suggestion
+            ? [`¿Quisiste decir "${suggestion}"?`, 'Quitar la prop o agregarla al componente del design system']
+            : ['Quitar la prop o agregarla al componente del design system']
+        });
+        return;
+      }
+      
+      // variant="tertiary" cuando el tipo es 'primary' | 'secondary'
+      if (attr.isLiteral && prop.values && !prop.values.includes(attr.value)) {
+        issues.push({
+          ...base,
+          type: 'INVALID_PROP_VALUE',
+          severity: severity.invalidPropValue || 'HIGH',
+          message: `<${usage.local} ${attr.name}=${JSON.stringify(attr.value)}>: valor fuera de los permitidos por ${dsComponent.name}`,
+          details: {
+            prop: attr.name,
+            value: attr.value,
+            allowedValues: prop.values
+          },
+          suggestions: [`Usar uno de: ${prop.values.map(v => JSON.stringify(v)).join(', ')}`]
         });
+      }
+    });
+  }
+
+  detectReplaceableElements(designSystemComponents, renderedElements, packageName, issues) {
+    const severity = this.rules.severity || {};
+    // Reglas cuyo componente no existe en el DS se ignoran (el DS aún no lo ofrece)
+    const rules = this.compileReplacementRules(this.rules.replacements)
+      .filter(rule => designSystemComponents.has(rule.component));
+    if (rules.length === 0) return;
+    
+    renderedElements.forEach(element => {
+      if (element.kind === 'imported' && this.isDesignSystemSource(element.source, packageName)) return;
+      
+      const rule = rules.find(candidate => this.matchesReplacementRule(candidate, element));
+      if (!rule) return;
+      
+      const dsComponent = designSystemComponents.get(rule.component);
+      const support = this.checkAttributeSupport(dsComponent, rule, element);
+      const original = rule.source
+        ? `<${element.tag}> de ${rule.source}`
+        : `<${element.tag}${rule.conditions.map(condition => condition.value === undefined ? ` ${condition.name}` : ` ${condition.name}="${condition.value}"`).join('')}>`;
+      
+      issues.push({
+        type: 'REPLACEABLE_WITH_DS_COMPONENT',
+        severity: rule.severity || severity.replaceableElement || 'MEDIUM',
+        message: `${original} debería ser <${rule.component}> del design system (${support.unsupported.length === 0
+          ? 'admite todos los atributos usados'
+          : `no admite: ${support.unsupported.join(', ')}`})`,
+        component: rule.component,
+        frontend: element.file,
+        designSystem: dsComponent.file,
+        file: element.file,
+        line: element.line,
+        details: {
+          selector: rule.selector,
+          element: element.tag,
+          source: element.source,
+          replacement: rule.component,
+          supportsAllAttributes: support.unsupported.length === 0,
+          supportedAttributes: support.supported,
+          unsupportedAttributes: support.unsupported,
+          renamedAttributes: support.renamed,
+          hasSpread: element.hasSpread
+        },
+        suggestions: [
+          `Reemplazar por <${rule.component}>${packageName ? ` de ${packageName}` : ''}`,
+          ...support.renamed.map(rename => `Renombrar ${rename.from} → ${rename.to}`),
+          ...(support.unsupported.length > 0
+            ? [`${rule.component} no declara ${support.unsupported.join(', ')}: extender el componente del DS o resolverlo de otra forma`]
+            : []),
+          ...(element.hasSpread ? ['Revisar las props que llegan por {...spread}: no se pueden verificar'] : [])
+        ]
       });
+    });
+  }
+  
+  /**
+   * rules.replacements: { 'input[type=checkbox]': 'Checkbox', '@mui/material Dialog': { component: 'Modal', props: { onClose: 'onDismiss' } } }
+   * Las reglas con más condiciones de atributos se evalúan primero
+   */
+  compileReplacementRules(replacements = {}) {
+    return Object.entries(replacements)
+      .map(([selector, target], order) => {
+        const match = selector.trim().match(REPLACEMENT_SELECTOR_PATTERN);
+        const options = typeof target === 'string' ? { component: target } : target;
+        if (!match || !options?.component) return null;
+        
+        const conditions = (match[3].match(/\[[^\]]+\]/g) || []).map(condition => {
+          const [, name, value] = condition.match(/^\[\s*([\w:-]+)\s*(?:=\s*["']?([^"'\]]*)["']?\s*)?\]$/) || [];
+          return { name, value };
+        }).filter(condition => condition.name);
+        
+        return {
+          selector,
+          source: match[1] || null,
+          tag: match[2],
+          conditions,
+          component: options.component,
+          props: options.props || {},
+          severity: options.severity || null,
+          order
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.conditions.length - a.conditions.length || a.order - b.order);
+  }
+  
+  matchesReplacementRule(rule, element) {
+    if (element.tag !== rule.tag) return false;
+    
+    // Sin origen: elemento HTML nativo; con origen: import de ese paquete (o de un subpath)
+    if (rule.source) {
+      if (element.kind !== 'imported' || !(element.source === rule.source || element.source.startsWith(`${rule.source}/`))) return false;
+    } else if (element.kind !== 'html') {
+      return false;
     }
+    
+    return rule.conditions.every(condition => {
+      const attribute = element.attributes.find(attr => attr.name === condition.name);
+      if (!attribute) return false;
+      if (condition.value === undefined) return true;
+      return attribute.isLiteral && String(attribute.value) === condition.value;
+    });
+  }
+  
+  checkAttributeSupport(dsComponent, rule, element) {
+    const declared = new Set((dsComponent.props || []).map(prop => prop.name));
+    // Los atributos del selector (type="checkbox") ya están implícitos en el componente
+    const implicit = new Set(rule.conditions.map(condition => condition.name));
+    const result = { supported: [], unsupported: [], renamed: [] };
+    
+    element.attributes
+      .filter(attr => !REACT_RESERVED_ATTRIBUTES.includes(attr.name) && !implicit.has(attr.name))
+      .forEach(attr => {
+        // props: { open: 'isOpen' } renombra; { variant: null } indica que no hace falta
+        const mapped = Object.prototype.hasOwnProperty.call(rule.props, attr.name) ? rule.props[attr.name] : attr.name;
+        if (mapped === null) return;
+        if (mapped !== attr.name) result.renamed.push({ from: attr.name, to: mapped });
+        
+        if (declared.has(mapped) || dsComponent.acceptsUnknownProps) {
+          result.supported.push(mapped);
+        } else {
+          result.unsupported.push(attr.name);
+        }
+      });
+    
+    return result;
+  }
+  
+  findClosestProp(name, props) {
+    const candidates = props
+      .map(prop => ({ name: prop.name, similarity: this.calculateSimilarity(name.toLowerCase(), prop.name.toLowerCase()) }))
+      .filter(candidate => candidate.similarity >= 0.6)
+      .sort((a, b) => b.similarity - a.similarity);
+    
+    return candidates[0]?.name || null;
+  }
+
+  /**
+   * Adopción del design system por página, carpeta y equipo: elementos JSX del DS
+   * frente a HTML nativo reemplazable y componentes locales. Los componentes de
+   * paquetes de terceros (router, providers) se cuentan aparte y no entran en el %.
+   * @param {array} renderedElements - Elementos JSX del frontend (FrontendAnalyzer)
+   * @param {array} pages - Páginas detectadas en el frontend
+   * @param {string} packageName - Nombre del paquete del design system
+   * @param {object} codeowners - Resultado de loadCodeowners (opcional)
+   * @returns {object} { totals, pages, folders, teams, worstFolders, topHtmlElements, codeowners }
+   */
+  buildAdoptionReport(renderedElements = [], pages = [], packageName = null, codeowners = null) {
+    const options = this.rules.adoption || {};
+    const htmlElements = new Set(options.htmlElements || DEFAULT_ADOPTION_ELEMENTS);
+    const folderDepth = options.folderDepth || 3;
+    const minElements = options.minElements ?? 10;
+    
+    const byFile = new Map();
+    const htmlCounts = new Map();
+    
+    renderedElements.forEach(element => {
+      const kind = this.classifyRenderedElement(element, packageName, htmlElements);
+      if (!kind) return;
+      
+      if (!byFile.has(element.file)) byFile.set(element.file, this.createAdoptionCounts());
+      byFile.get(element.file)[kind]++;
+      if (kind === 'html') htmlCounts.set(element.tag, (htmlCounts.get(element.tag) || 0) + 1);
+    });
+    
+    const files = Array.from(byFile.entries()).map(([file, counts]) => ({
+      file,
+      folder: this.getAdoptionFolder(file, folderDepth),
+      owners: findOwners(codeowners, file),
+      ...counts
+    }));
+    
+    // Páginas (pueden aparecer repetidas si el archivo se analizó dos veces)
+    const pageFiles = new Set(pages.map(page => page.file));
+    const pageStats = files
+      .filter(entry => pageFiles.has(entry.file))
+      .map(entry => this.finishAdoption({ file: entry.file, name: path.basename(entry.file, path.extname(entry.file)), owners: entry.owners }, [entry]));
+    
+    const folders = this.groupAdoption(files, entry => [entry.folder])
+      .map(([folder, entries]) => this.finishAdoption({
+        folder,
+        files: entries.length,
+        owners: [...new Set(entries.flatMap(entry => entry.owners))]
+      }, entries));
+    
+    const teams = codeowners
+      ? this.groupAdoption(files, entry => entry.owners.length > 0 ? entry.owners : ['(sin owner)'])
+        .map(([team, entries]) => this.finishAdoption({
+          team,
+          files: entries.length,
+          folders: [...new Set(entries.map(entry => entry.folder))].length
+        }, entries))
+      : [];
+    
+    // Peores carpetas: con suficientes elementos para que el % sea representativo
+    const byAdoption = (a, b) => a.adoption - b.adoption || b.elements - a.elements;
+    const worstFolders = folders
+      .filter(folder => folder.adoption !== null && folder.elements >= minElements)
+      .sort(byAdoption)
+      .slice(0, options.worstFolders || 10);
+    
+    return {
+      totals: this.finishAdoption({ files: files.length }, files),
+      pages: pageStats.sort((a, b) => (a.adoption ?? 101) - (b.adoption ?? 101)),
+      folders: folders.sort((a, b) => a.folder.localeCompare(b.folder)),
+      teams: teams.sort((a, b) => (a.adoption ?? 101) - (b.adoption ?? 101)),
+      worstFolders,
+      topHtmlElements: Array.from(htmlCounts.entries())
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10),
+      codeowners: codeowners?.file || null
+    };
+  }
+  
+  classifyRenderedElement(element, packageName, htmlElements) {
+    if (element.kind === 'html') return htmlElements.has(element.tag) ? 'html' : null;
+    if (element.kind === 'local') return 'local';
+    
+    if (this.isDesignSystemSource(element.source, packageName)) return 'designSystem';
+    return element.localSource ? 'local' : 'thirdParty';
+  }
+  
+  createAdoptionCounts() {
+    return { designSystem: 0, html: 0, local: 0, thirdParty: 0 };
+  }
+  
+  getAdoptionFolder(file, depth) {
+    const segments = path.dirname(file).split(path.sep).filter(segment => segment !== '.');
+    return segments.slice(0, depth).join('/') || '.';
+  }
+  
+  groupAdoption(entries, getKeys) {
+    const groups = new Map();
+    entries.forEach(entry => {
+      getKeys(entry).forEach(key => {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+      });
+    });
+    return Array.from(groups.entries());
+  }
+  
+  finishAdoption(base, entries) {
+    const counts = this.createAdoptionCounts();
+    entries.forEach(entry => Object.keys(counts).forEach(key => { counts[key] += entry[key]; }));
+    
+    // % sobre lo que el DS podría cubrir: DS + HTML nativo + componentes locales
+    const elements = counts.designSystem + counts.html + counts.local;
+    return {
+      ...base,
+      ...counts,
+      elements,
+      adoption: elements > 0 ? Math.round(counts.designSystem / elements * 1000) / 10 : null
+    };
   }
 }
\ No newline at end of file
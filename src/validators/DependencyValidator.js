@@ -0,0 +1,174 @@
+// Todos los issues de este validador se agrupan en la categoría "dependencies"
+const CATEGORY = 'dependencies';
+
+export default class DependencyValidator {
+  constructor(rules) {
+    this.rules = rules;
+  }
+
+  /**
+   * @param {object} dependencies - Resultado de DependencyAnalyzer
+   * @returns {array} Issues detectados
+   */
+  validate(dependencies) {
+    const issues = [];
+    if (!dependencies) return issues;
+
+    const severity = this.rules.severity || {};
+
+    // Sin lockfile no hay versiones exactas que auditar
+    Object.entries(dependencies.projects).forEach(([project, info]) => {
+      if (info.lockfile) return;
+
+      issues.push({
+        type: 'MISSING_LOCKFILE',
+        category: CATEGORY,
+        severity: severity.missingLockfile || 'MEDIUM',
+        message: `${project} no tiene lockfile: las versiones instaladas no son reproducibles ni auditables`,
+        file: `${project}/package.json`,
+        details: { project },
+        suggestions: ['Commitear package-lock.json / yarn.lock / pnpm-lock.yaml']
+      });
+    });
+
+    dependencies.vulnerabilities.forEach(finding => {
+      const { advisory } = finding;
+      issues.push({
+        type: 'VULNERABLE_DEPENDENCY',
+        category: CATEGORY,
+        // Dependencias de desarrollo no llegan a producción: un nivel menos
+        severity: finding.dev ? this.lowerSeverity(advisory.severity) : advisory.severity,
+        message: `${finding.package}@${finding.version} (${finding.project}) es vulnerable: ${advisory.title}`,
+        file: `${finding.project}/${finding.lockfile}`,
+        details: {
+          project: finding.project,
+          package: finding.package,
+          version: finding.version,
+          direct: finding.direct,
+          dev: finding.dev,
+          path: finding.path,
+          advisory: advisory.id,
+          vulnerableVersions: advisory.vulnerableVersions,
+          patchedVersions: advisory.patchedVersions,
+          url: advisory.url
+        },
+        suggestions: [
+          advisory.patchedVersions
+            ? `Actualizar ${finding.package} a ${advisory.patchedVersions}`
+            : `Actualizar ${finding.package} fuera del rango ${advisory.vulnerableVersions}`,
+          finding.direct
+            ? 'Es una dependencia directa: actualizar el rango en package.json'
+            : 'Es transitiva: actualizar el paquete que la requiere o fijarla con overrides/resolutions'
+        ]
+      });
+    });
+
+    dependencies.licenses.forEach(finding => {
+      issues.push({
+        type: 'DISALLOWED_LICENSE',
+        category: CATEGORY,
+        severity: severity.disallowedLicense || 'HIGH',
+        message: finding.reason === 'denied'
+          ? `${finding.package}@${finding.version} (${finding.project}) usa una licencia prohibida: ${finding.license}`
+          : `${finding.package}@${finding.version} (${finding.project}) usa una licencia fuera de la lista permitida: ${finding.license}`,
+        file: `${finding.project}/package.json`,
+        details: finding,
+        suggestions: [
+          'Reemplazar el paquete por una alternativa con licencia permitida',
+          'Si legal lo aprobó, agregarlo a audit.dependencies.licenses.exceptions'
+        ]
+      });
+    });
+
+    dependencies.duplicates.forEach(finding => {
+      issues.push({
+        type: 'DUPLICATE_PACKAGE_VERSION',
+        category: CATEGORY,
+        severity: severity.duplicatePackage || 'HIGH',
+        message: `${finding.package} está instalado en ${finding.versions.length} versiones en ${finding.project}: ${finding.versions.join(', ')}`,
+        file: `${finding.project}/package.json`,
+        details: finding,
+        suggestions: finding.isDesignSystem
+          ? ['Alinear la versión del design system en todos los paquetes', 'Declararlo como peerDependency en las librerías internas']
+          : ['Deduplicar con npm dedupe / yarn dedupe', `Declarar ${finding.package} como peerDependency en las librerías que lo incluyen`]
+      });
+    });
+
+    Object.entries(dependencies.usage || {}).forEach(([project, usage]) => {
+      this.validateUsage(project, usage, issues);
+    });
+
+    return issues;
+  }
+
+  validateUsage(project, usage, issues) {
+    const severity = this.rules.severity || {};
+    const location = (usages) => usages.slice(0, 5).map(usage => `${usage.file}:${usage.line}`);
+
+    usage.missing.forEach(finding => {
+      const [first] = finding.files;
+      // Sin lockfile (installed === null) no se sabe cómo llega
+      let reason = '';
+      if (finding.installed === true) reason = ' (llega solo como dependencia transitiva)';
+      else if (finding.installed === false) reason = ' y no está en el lockfile: no se instala';
+      issues.push({
+        type: 'UNDECLARED_DEPENDENCY',
+        category: CATEGORY,
+        // Solo en tests/configuración: no rompe producción
+        severity: finding.onlyDev ? 'MEDIUM' : severity.undeclaredDependency || 'HIGH',
+        message: `${project} importa ${finding.package} sin declararlo en package.json${reason}`,
+        file: first.file,
+        line: first.line,
+        details: {
+          project,
+          package: finding.package,
+          installed: finding.installed ?? null,
+          usedIn: location(finding.files),
+          usages: finding.files.length
+        },
+        suggestions: [
+          finding.onlyDev
+            ? `npm install --save-dev ${finding.package}`
+            : `npm install ${finding.package}`,
+          'Si es un alias de imports, declararlo en tsconfig paths o en resolve.alias de vite/webpack'
+        ]
+      });
+    });
+
+    usage.misplaced.forEach(finding => {
+      const [first] = finding.files;
+      issues.push({
+        type: 'MISPLACED_DEV_DEPENDENCY',
+        category: CATEGORY,
+        // El backend y las librerías se instalan sin devDependencies; el bundle del frontend no
+        severity: project === 'frontend' ? 'LOW' : severity.misplacedDevDependency || 'MEDIUM',
+        message: `${finding.package} está en devDependencies de ${project} pero se importa desde código de producción`,
+        file: first.file,
+        line: first.line,
+        details: { project, package: finding.package, usedIn: location(finding.files) },
+        suggestions: [`Mover ${finding.package} a dependencies`]
+      });
+    });
+
+    usage.unused.forEach(finding => {
+      issues.push({
+        type: 'UNUSED_DEPENDENCY',
+        category: CATEGORY,
+        severity: severity.unusedDependency || 'LOW',
+        message: `${finding.package} está declarado en ${finding.dev ? 'devDependencies' : 'dependencies'} de ${project} pero ningún archivo lo importa`,
+        file: `${project}/package.json`,
+        details: { project, package: finding.package, dev: finding.dev },
+        suggestions: [
+          `npm uninstall ${finding.package}`,
+          'Si se carga sin import (plugin, polyfill), agregarlo a audit.dependencies.usage.ignorePackages'
+        ]
+      });
+    });
+  }
+
+  lowerSeverity(severity) {
+    const order = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+    const index = order.indexOf(severity);
+    return index === -1 ? severity : order[Math.min(index + 1, order.length - 1)];
+  }
+}
\ No newline at end of file
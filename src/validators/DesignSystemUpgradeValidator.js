@@ -0,0 +1,508 @@
+import path from 'path';
+import { findFiles, readFileSafe } from '../utils/fileUtils.js';
+import ComponentValidator from './ComponentValidator.js';
+
+// Similitud mínima entre nombres de props para considerar un renombrado (size → sizeVariant)
+const PROP_RENAME_SIMILARITY = 0.5;
+
+// Tokens mínimos del AST para buscar renombrados: solo se comparan eliminados contra nuevos,
+// así que basta con descartar los componentes triviales (<span title={text} />)
+const RENAME_MIN_TOKENS = 20;
+
+// Archivos del frontend en los que se buscan referencias a tokens
+const TOKEN_REFERENCE_EXTENSIONS = ['.css', '.scss'];
+
+/**
+ * Compara dos análisis del design system (DesignSystemAnalyzer) y cruza los cambios con
+ * los usos reales del frontend para armar un checklist de actualización:
+ * - componentes eliminados, renombrados (por huella estructural) o que dejan de exportarse
+ * - props eliminadas, renombradas, que pasan a ser requeridas o cuyo union se reduce
+ * - tokens del tema eliminados, renombrados o con otro valor
+ * Cada cambio lleva sus callSites: [{ file, line, kind, code, reason }]
+ */
+export default class DesignSystemUpgradeValidator {
+  constructor(rules) {
+    this.rules = rules;
+    // Reutiliza la comparación de huellas y de nombres de la validación de componentes
+    this.components = new ComponentValidator(rules);
+  }
+
+  /**
+   * @param {object} before - Resultado de DesignSystemAnalyzer en la versión actual
+   * @param {object} after - Resultado de DesignSystemAnalyzer en la versión nueva
+   * @returns {array} Cambios detectados
+   */
+  compare(before, after) {
+    const changes = [];
+
+    const renames = this.compareComponents(before.components, after.components, changes);
+
+    before.components.forEach((component, name) => {
+      // Un componente renombrado se compara contra su nuevo nombre
+      const next = after.components.get(renames.get(name) || name);
+      if (!next) return;
+
+      this.compareExports(component, next, changes);
+      this.compareProps(component, next, changes);
+    });
+
+    this.compareTokens(before.tokens || [], after.tokens || [], changes);
+
+    return changes;
+  }
+
+  compareComponents(beforeComponents, afterComponents, changes) {
+    const threshold = this.rules.duplicates?.threshold ?? 0.8;
+    const added = Array.from(afterComponents.values()).filter(component => !beforeComponents.has(component.name));
+    const isComparable = (component) => (component.fingerprint?.tokens.length || 0) >= RENAME_MIN_TOKENS;
+    const renames = new Map();
+
+    beforeComponents.forEach((component, name) => {
+      if (afterComponents.has(name)) return;
+
+      // Eliminado en la versión nueva: ¿hay un componente nuevo con la misma estructura?
+      const renamed = isComparable(component)
+        ? this.components.findMostSimilar(component, added.filter(isComparable), threshold)
+        : null;
+
+      if (renamed) {
+        renames.set(name, renamed.component.name);
+        changes.push({
+          type: 'COMPONENT_RENAMED',
+          breaking: true,
+          component: name,
+          message: `${name} pasa a llamarse ${renamed.component.name}`,
+          details: { from: name, to: renamed.component.name, similarity: renamed.score.similarity },
+          suggestions: [`Reemplazar ${name} por ${renamed.component.name} en imports y JSX`]
+        });
+      } else {
+        changes.push({
+          type: 'COMPONENT_REMOVED',
+          breaking: true,
+          component: name,
+          message: `${name} se elimina del design system`,
+          details: { file: component.file },
+          suggestions: ['Buscar el componente que lo reemplaza en el changelog del design system']
+        });
+      }
+    });
+
+    const renamedTo = new Set(renames.values());
+    added
+      .filter(component => !renamedTo.has(component.name))
+      .forEach(component => {
+        changes.push({
+          type: 'COMPONENT_ADDED',
+          breaking: false,
+          component: component.name,
+          message: `Nuevo componente ${component.name}`,
+          details: { file: component.file },
+          suggestions: []
+        });
+      });
+
+    return renames;
+  }
+
+  compareExports(component, next, changes) {
+    const before = component.exportedAs || {};
+    const after = next.exportedAs || {};
+
+    // import Button from '@acme/ds/Button' deja de compilar
+    if (before.isDefault && !after.isDefault) {
+      changes.push({
+        type: 'DEFAULT_EXPORT_REMOVED',
+        breaking: true,
+        component: component.name,
+        message: `${next.name} deja de tener export default`,
+        details: { isNamed: Boolean(after.isNamed) },
+        suggestions: after.isNamed ? [`Cambiar a import { ${next.name} } from ...`] : []
+      });
+    }
+
+    // import { Button } from '@acme/ds' deja de compilar
+    if (before.isNamed && !after.isNamed) {
+      changes.push({
+        type: 'NAMED_EXPORT_REMOVED',
+        breaking: true,
+        component: component.name,
+        message: `${next.name} deja de exportarse por nombre`,
+        details: { isDefault: Boolean(after.isDefault) },
+        suggestions: after.isDefault ? [`Cambiar a import ${next.name} from ...`] : []
+      });
+    }
+  }
+
+  compareProps(component, next, changes) {
+    const beforeProps = new Map((component.props || []).map(prop => [prop.name, prop]));
+    const afterProps = new Map((next.props || []).map(prop => [prop.name, prop]));
+    // Los usos del frontend todavía tienen el nombre anterior (componentes renombrados)
+    const base = { component: component.name };
+    // Prop nueva → prop anterior, para los renombrados
+    const renamedFrom = new Map();
+
+    const removed = Array.from(beforeProps.values()).filter(prop => !afterProps.has(prop.name));
+    const added = Array.from(afterProps.values()).filter(prop => !beforeProps.has(prop.name));
+
+    removed.forEach(prop => {
+      const renamed = this.findRenamedProp(prop, added);
+
+      if (renamed) {
+        added.splice(added.indexOf(renamed), 1);
+        renamedFrom.set(renamed.name, prop);
+        changes.push({
+          ...base,
+          type: 'PROP_RENAMED',
+          breaking: true,
+          prop: prop.name,
+          message: `<${next.name}>: la prop ${prop.name} pasa a llamarse ${renamed.name}`,
+          details: { from: prop.name, to: renamed.name, type: renamed.type },
+          suggestions: [`Renombrar ${prop.name}= por ${renamed.name}=`]
+        });
+        return;
+      }
+
+      changes.push({
+        ...base,
+        type: 'PROP_REMOVED',
+        breaking: true,
+        prop: prop.name,
+        message: `<${next.name}>: se elimina la prop ${prop.name}`,
+        details: { type: prop.type, acceptsUnknownProps: Boolean(next.acceptsUnknownProps) },
+        suggestions: [`Quitar ${prop.name}= de los usos de ${next.name}`]
+      });
+    });
+
+    afterProps.forEach(prop => {
+      const previous = beforeProps.get(prop.name) || renamedFrom.get(prop.name);
+      // En el frontend la prop se sigue pasando con el nombre anterior
+      const propBase = { ...base, prop: previous?.name || prop.name };
+
+      // Requerida sin default: los usos que no la pasan dejan de compilar (o de renderizar bien)
+      if (prop.required && !prop.hasDefault && (!previous || !previous.required)) {
+        changes.push({
+          ...propBase,
+          type: 'PROP_NOW_REQUIRED',
+          breaking: true,
+          message: `<${next.name}>: la prop ${prop.name} pasa a ser requerida`,
+          details: { type: prop.type, isNew: !previous, values: prop.values || null },
+          suggestions: [prop.values ? `Pasar ${prop.name} (${prop.values.map(v => JSON.stringify(v)).join(' | ')})` : `Pasar la prop ${prop.name}`]
+        });
+      }
+
+      if (!previous) return;
+
+      // 'primary' | 'secondary' | 'link' → 'primary' | 'secondary'
+      if (prop.values) {
+        const removedValues = previous.values ? previous.values.filter(value => !prop.values.includes(value)) : null;
+
+        if (removedValues === null || removedValues.length > 0) {
+          changes.push({
+            ...propBase,
+            type: 'PROP_VALUES_NARROWED',
+            breaking: true,
+            message: removedValues
+              ? `<${next.name}>: ${prop.name} ya no admite ${removedValues.map(v => JSON.stringify(v)).join(', ')}`
+              : `<${next.name}>: ${prop.name} pasa de ${previous.type || 'cualquier valor'} a ${prop.type}`,
+            details: { removedValues, allowedValues: prop.values, previousType: previous.type },
+            suggestions: [`Usar uno de: ${prop.values.map(v => JSON.stringify(v)).join(', ')}`]
+          });
+          return;
+        }
+      }
+
+      // Otros cambios de tipo: no siempre rompen, se revisan a mano
+      if (previous.type && prop.type && previous.type !== prop.type && !(prop.values && previous.values)) {
+        changes.push({
+          ...propBase,
+          type: 'PROP_TYPE_CHANGED',
+          breaking: false,
+          message: `<${next.name}>: el tipo de ${prop.name} cambia de ${previous.type} a ${prop.type}`,
+          details: { from: previous.type, to: prop.type },
+          suggestions: [`Verificar los valores que se pasan a ${prop.name}`]
+        });
+      }
+    });
+  }
+
+  findRenamedProp(prop, candidates) {
+    // Tipo compatible y nombre parecido, o el único candidato compatible
+    const compatible = candidates.filter(candidate => this.isCompatibleType(prop, candidate));
+    const byName = compatible
+      .map(candidate => ({
+        candidate,
+        similarity: this.components.calculateSimilarity(prop.name.toLowerCase(), candidate.name.toLowerCase())
+      }))
+      .sort((a, b) => b.similarity - a.similarity)[0];
+
+    if (byName && byName.similarity >= PROP_RENAME_SIMILARITY) return byName.candidate;
+    return compatible.length === 1 && candidates.length === 1 ? compatible[0] : null;
+  }
+
+  isCompatibleType(prop, candidate) {
+    // kind: 'primary' | 'link' → variant: 'primary' | 'secondary' (renombrado y reducido a la vez)
+    if (prop.values && candidate.values) return prop.values.some(value => candidate.values.includes(value));
+    return Boolean(prop.type) && prop.type === candidate.type;
+  }
+
+  compareTokens(beforeTokens, afterTokens, changes) {
+    const beforeByUsage = new Map(beforeTokens.map(token => [token.usage, token]));
+    const afterByUsage = new Map(afterTokens.map(token => [token.usage, token]));
+    const added = afterTokens.filter(token => !beforeByUsage.has(token.usage));
+
+    beforeByUsage.forEach((token, usage) => {
+      const next = afterByUsage.get(usage);
+
+      if (!next) {
+        // Mismo valor y categoría con otro nombre: probablemente un renombrado
+        const renamed = added.find(candidate =>
+          candidate.category === token.category && candidate.normalized === token.normalized
+        );
+
+        if (renamed) {
+          changes.push({
+            type: 'TOKEN_RENAMED',
+            breaking: true,
+            token: usage,
+            message: `El token ${usage} pasa a llamarse ${renamed.usage}`,
+            details: { from: usage, to: renamed.usage, value: token.value },
+            suggestions: [`Reemplazar ${usage} por ${renamed.usage}`]
+          });
+        } else {
+          changes.push({
+            type: 'TOKEN_REMOVED',
+            breaking: true,
+            token: usage,
+            message: `Se elimina el token ${usage} (${token.value})`,
+            details: { value: token.value, category: token.category },
+            suggestions: ['Elegir el token equivalente de la nueva escala/paleta']
+          });
+        }
+        return;
+      }
+
+      // Mismo nombre, otro valor: no rompe el build pero cambia el aspecto
+      if (next.normalized !== token.normalized) {
+        changes.push({
+          type: 'TOKEN_VALUE_CHANGED',
+          breaking: false,
+          token: usage,
+          message: `El token ${usage} cambia de ${token.value} a ${next.value}`,
+          details: { from: token.value, to: next.value, category: token.category },
+          suggestions: ['Revisar visualmente las pantallas que lo usan']
+        });
+      }
+    });
+  }
+
+  /**
+   * Asocia a cada cambio los puntos del frontend que afecta
+   * @param {array} changes - Resultado de compare()
+   * @param {object} frontend - Resultado de FrontendAnalyzer ({ jsxUsages, imports })
+   * @param {string} packageName - Nombre del paquete del design system
+   * @param {object} options - { frontendPath, fileExtensions, ignorePatterns } para buscar tokens
+   */
+  findCallSites(changes, frontend, packageName, options = {}) {
+    const isDesignSystem = (source) => this.components.isDesignSystemSource(source, packageName);
+    const imports = [];
+    (frontend.imports || new Map()).forEach((fileImports, file) => {
+      fileImports
+        .filter(imp => imp.kind === 'import' && isDesignSystem(imp.source))
+        .forEach(imp => imports.push({ ...imp, file }));
+    });
+
+    // import DefaultButton from '@acme/ds/Button': el JSX usa el nombre local, el componente sale de la ruta
+    const defaultBindings = new Set(imports.filter(imp => imp.isDefault).map(imp => `${imp.file}:${imp.defaultName}`));
+    const usages = (frontend.jsxUsages || [])
+      .filter(usage => isDesignSystem(usage.source))
+      .map(usage => defaultBindings.has(`${usage.file}:${usage.local}`)
+        ? { ...usage, component: path.basename(usage.source) }
+        : usage);
+
+    const tokenChanges = changes.filter(change => change.token);
+    const tokenReferences = tokenChanges.length > 0 && options.frontendPath
+      ? this.collectTokenReferences(tokenChanges.map(change => change.token), options)
+      : new Map();
+
+    changes.forEach(change => {
+      if (change.token) {
+        change.callSites = (tokenReferences.get(change.token) || []).map(site => ({ ...site, reason: change.message }));
+      } else if (change.prop) {
+        change.callSites = this.findPropCallSites(change, usages);
+      } else {
+        change.callSites = this.findComponentCallSites(change, usages, imports);
+      }
+    });
+
+    return changes;
+  }
+
+  findComponentCallSites(change, usages, imports) {
+    if (change.type === 'COMPONENT_ADDED') return [];
+
+    const name = change.component;
+    // import Button from '@acme/ds/Button' → el nombre sale de la ruta o del binding local
+    const importsDefault = (imp) => imp.isDefault && (path.basename(imp.source) === name || imp.defaultName === name);
+    const importsNamed = (imp) => imp.specifiers.some(spec => spec.imported === name);
+
+    const matching = imports.filter(imp => {
+      if (change.type === 'DEFAULT_EXPORT_REMOVED') return importsDefault(imp);
+      if (change.type === 'NAMED_EXPORT_REMOVED') return importsNamed(imp);
+      return importsDefault(imp) || importsNamed(imp);
+    });
+
+    const callSites = matching.map(imp => ({
+      file: imp.file,
+      line: imp.line,
+      kind: 'import',
+      code: importsNamed(imp) && change.type !== 'DEFAULT_EXPORT_REMOVED'
+        ? `import { ${name} } from '${imp.source}'`
+        : `import ${imp.defaultName} from '${imp.source}'`,
+      reason: change.message
+    }));
+
+    // Eliminado o renombrado: también cada JSX que lo renderiza
+    if (change.type === 'COMPONENT_REMOVED' || change.type === 'COMPONENT_RENAMED') {
+      usages
+        .filter(usage => usage.component === name)
+        .forEach(usage => callSites.push({
+          file: usage.file,
+          line: usage.line,
+          kind: 'jsx',
+          code: `<${usage.local}>`,
+          reason: change.message
+        }));
+    }
+
+    return callSites;
+  }
+
+  findPropCallSites(change, usages) {
+    const callSites = [];
+
+    usages
+      .filter(usage => usage.component === change.component)
+      .forEach(usage => {
+        const attribute = usage.attributes.find(attr => attr.name === change.prop);
+        const site = (reason) => callSites.push({
+          file: usage.file,
+          line: usage.line,
+          kind: 'jsx',
+          code: attribute ? `<${usage.local} ${this.formatAttribute(attribute)}>` : `<${usage.local}>`,
+          reason
+        });
+
+        switch (change.type) {
+          case 'PROP_REMOVED':
+          case 'PROP_RENAMED':
+          case 'PROP_TYPE_CHANGED':
+            if (attribute) site(change.message);
+            break;
+          case 'PROP_NOW_REQUIRED': {
+            const passed = attribute || (change.prop === 'children' && usage.hasChildren);
+            // Con {...props} puede que ya llegue: se lista para revisar
+            if (!passed) site(usage.hasSpread ? `${change.message} (usa {...spread}: revisar)` : change.message);
+            break;
+          }
+          case 'PROP_VALUES_NARROWED': {
+            if (!attribute) break;
+            // Si antes ya era un union solo rompen los valores quitados: variant="huge" ya era inválido
+            const { removedValues, allowedValues } = change.details;
+            const breaks = removedValues
+              ? removedValues.includes(attribute.value)
+              : !allowedValues.includes(attribute.value);
+            if (!attribute.isLiteral) {
+              site(`${change.message} (valor dinámico: revisar)`);
+            } else if (breaks) {
+              site(change.message);
+            }
+            break;
+          }
+          default:
+            break;
+        }
+      });
+
+    return callSites;
+  }
+
+  formatAttribute(attribute) {
+    if (!attribute.isLiteral) return `${attribute.name}={...}`;
+    if (attribute.value === true) return attribute.name;
+    return typeof attribute.value === 'string'
+      ? `${attribute.name}="${attribute.value}"`
+      : `${attribute.name}={${attribute.value}}`;
+  }
+
+  /**
+   * Referencias textuales a tokens en el código del frontend:
+   * var(--color-primary), $spacing-md, theme.colors.primary / colors.primary
+   * @returns {Map} token → callSites
+   */
+  collectTokenReferences(tokens, options) {
+    const extensions = [...(options.fileExtensions || []), ...TOKEN_REFERENCE_EXTENSIONS];
+    const files = findFiles(options.frontendPath, extensions, options.ignorePatterns || []);
+    const patterns = tokens.map(token => ({ token, pattern: this.createTokenPattern(token) }));
+    const references = new Map();
+
+    files.forEach(filePath => {
+      const content = readFileSafe(filePath);
+      if (!content) return;
+
+      const file = path.relative(options.frontendPath, filePath);
+      const lines = content.split('\n');
+
+      patterns.forEach(({ token, pattern }) => {
+        lines.forEach((line, index) => {
+          if (!pattern.test(line)) return;
+          if (!references.has(token)) references.set(token, []);
+          references.get(token).push({
+            file,
+            line: index + 1,
+            kind: 'token',
+            code: line.trim().slice(0, 120)
+          });
+        });
+      });
+    });
+
+    return references;
+  }
+
+  createTokenPattern(usage) {
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    // var(--color-primary) → --color-primary
+    const customProperty = usage.match(/^var\((--[\w-]+)\)$/);
+    if (customProperty) return new RegExp(`${escape(customProperty[1])}(?![\\w-])`);
+
+    // $spacing-md
+    if (usage.startsWith('$')) return new RegExp(`${escape(usage)}(?![\\w-])`);
+
+    // theme.colors.primary: el frontend puede acceder con otro nombre (tokens.colors.primary, t.colors.primary)
+    const segments = usage.split('.');
+    const tail = segments.length > 2 ? segments.slice(1) : segments;
+    return new RegExp(`(^|[^\\w$])${tail.map(escape).join('\\??\\.')}(?![\\w$])`);
+  }
+
+  /**
+   * Reporte de actualización: cambios con sus usos afectados y resumen
+   */
+  buildUpgradeReport(changes, from, to) {
+    const breaking = changes.filter(change => change.breaking);
+    const callSites = breaking.flatMap(change => change.callSites || []);
+
+    return {
+      from,
+      to,
+      summary: {
+        breakingChanges: breaking.length,
+        reviewChanges: changes.filter(change => !change.breaking && change.type !== 'COMPONENT_ADDED').length,
+        addedComponents: changes.filter(change => change.type === 'COMPONENT_ADDED').map(change => change.component),
+        affectedCallSites: callSites.length,
+        affectedFiles: new Set(callSites.map(site => site.file)).size
+      },
+      changes
+    };
+  }
+}
\ No newline at end of file
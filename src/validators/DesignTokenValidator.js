@@ -0,0 +1,171 @@
+import { colorDistance, normalizeStyleValue, parseLength } from '../utils/styleUtils.js';
+
+// Todos los issues de este validador se agrupan en la categoría "design-tokens"
+const CATEGORY = 'design-tokens';
+
+const CATEGORY_LABELS = {
+  color: 'color',
+  spacing: 'espaciado',
+  radius: 'radio de borde',
+  fontSize: 'tamaño de fuente',
+  fontWeight: 'peso de fuente',
+  fontFamily: 'fuente',
+  shadow: 'sombra'
+};
+
+// Valores que no tienen sentido tokenizar
+const DEFAULT_IGNORED_VALUES = ['0px', '1px', '#ffffff00', '#00000000', 'inherit'];
+
+export default class DesignTokenValidator {
+  constructor(rules) {
+    this.rules = rules;
+
+    const options = rules.designTokens || {};
+    // Distancia RGB máxima para sugerir "probablemente es el token X"
+    this.colorTolerance = options.colorTolerance ?? 24;
+    this.ignoreValues = options.ignoreValues || DEFAULT_IGNORED_VALUES;
+    this.ignoreFiles = options.ignoreFiles || [];
+  }
+
+  /**
+   * @param {array} tokens - Tokens del design system (DesignSystemAnalyzer)
+   * @param {array} styleValues - Valores hardcodeados del frontend (StyleValueCollector)
+   * @returns {array} Issues detectados
+   */
+  validate(tokens = [], styleValues = []) {
+    const issues = [];
+    if (tokens.length === 0) return issues;
+
+    const index = this.indexTokens(tokens);
+    const groups = new Map();
+
+    styleValues.forEach(entry => {
+      if (this.ignoreFiles.some(pattern => entry.file.includes(pattern))) return;
+
+      const normalized = normalizeStyleValue(entry.category, entry.value);
+      // Sin tokens de esa categoría no hay paleta/escala contra la que comparar
+      if (!normalized || !index.has(entry.category) || this.ignoreValues.includes(normalized)) return;
+
+      // Un issue por archivo y valor, con todas sus apariciones
+      const key = `${entry.file}:${entry.category}:${normalized}`;
+      if (!groups.has(key)) groups.set(key, { ...entry, normalized, occurrences: [] });
+      groups.get(key).occurrences.push({ line: entry.line, property: entry.property, origin: entry.origin });
+    });
+
+    groups.forEach(group => {
+      const matches = index.get(group.category).get(group.normalized);
+      const issue = matches
+        ? this.createHardcodedIssue(group, matches)
+        : this.createDriftIssue(group, index.get(group.category));
+      if (issue) issues.push(issue);
+    });
+
+    return issues;
+  }
+
+  indexTokens(tokens) {
+    // categoría → valor normalizado → tokens
+    const index = new Map();
+
+    tokens.forEach(token => {
+      if (!index.has(token.category)) index.set(token.category, new Map());
+      const byValue = index.get(token.category);
+      if (!byValue.has(token.normalized)) byValue.set(token.normalized, []);
+      byValue.get(token.normalized).push(token);
+    });
+
+    return index;
+  }
+
+  createHardcodedIssue(group, matches) {
+    const severity = this.rules.severity || {};
+    // En CSS/SCSS solo sirven var(--x) y $x; en JS, theme.x
+    const preferCss = group.origin === 'stylesheet';
+    const token = matches.find(match => /^(var\(|\$)/.test(match.usage) === preferCss) || matches[0];
+
+    return {
+      type: 'HARDCODED_TOKEN_VALUE',
+      category: CATEGORY,
+      severity: severity.hardcodedToken || 'LOW',
+      message: `${group.value} está hardcodeado en ${group.file} y coincide con el token ${token.usage}`,
+      file: group.file,
+      line: group.occurrences[0].line,
+      details: {
+        value: group.value,
+        tokenCategory: group.category,
+        tokens: matches.map(match => match.usage),
+        occurrences: group.occurrences
+      },
+      suggestions: [
+        `Reemplazar ${group.value} por ${token.usage}`,
+        ...(matches.length > 1 ? [`Tokens equivalentes: ${matches.filter(match => match !== token).map(match => match.usage).join(', ')}`] : [])
+      ]
+    };
+  }
+
+  createDriftIssue(group, byValue) {
+    const severity = this.rules.severity || {};
+    const nearest = this.findNearestToken(group, byValue);
+    const label = CATEGORY_LABELS[group.category] || group.category;
+
+    // Fuentes y sombras no tienen "más cercano": solo se sugiere proponer el token
+    const suggestions = [];
+    if (nearest?.close) {
+      suggestions.push(`Probablemente debería ser ${nearest.token.usage} (${nearest.token.value})`);
+    } else if (nearest) {
+      suggestions.push(`El token más cercano es ${nearest.token.usage} (${nearest.token.value})`);
+    }
+    suggestions.push(`Si el valor es intencional, proponer un nuevo token de ${label} al design system`);
+
+    return {
+      type: 'DESIGN_TOKEN_DRIFT',
+      category: CATEGORY,
+      severity: severity.tokenDrift || 'MEDIUM',
+      message: group.category === 'color'
+        ? `${group.value} en ${group.file} no pertenece a la paleta del design system`
+        : `${label} ${group.value} en ${group.file} está fuera de la escala del design system`,
+      file: group.file,
+      line: group.occurrences[0].line,
+      details: {
+        value: group.value,
+        tokenCategory: group.category,
+        nearestToken: nearest ? nearest.token.usage : null,
+        nearestValue: nearest ? nearest.token.value : null,
+        distance: nearest ? Math.round(nearest.distance * 100) / 100 : null,
+        occurrences: group.occurrences
+      },
+      suggestions
+    };
+  }
+
+  findNearestToken(group, byValue) {
+    const measure = this.getDistance(group.category);
+    if (!measure) return null;
+
+    let nearest = null;
+    byValue.forEach((tokens, normalized) => {
+      const distance = measure(group.normalized, normalized);
+      if (distance !== null && (!nearest || distance < nearest.distance)) {
+        nearest = { token: tokens[0], distance };
+      }
+    });
+
+    if (!nearest) return null;
+
+    // Colores: distancia RGB; longitudes: a menos de 2px o del 15%
+    const close = group.category === 'color'
+      ? nearest.distance <= this.colorTolerance
+      : nearest.distance <= Math.max(2, parseLength(group.normalized) * 0.15);
+
+    return { ...nearest, close };
+  }
+
+  getDistance(category) {
+    if (category === 'color') return colorDistance;
+    if (category === 'fontWeight') return (a, b) => Math.abs(Number(a) - Number(b)) || null;
+    if (['spacing', 'radius', 'fontSize'].includes(category)) {
+      return (a, b) => Math.abs(parseLength(a) - parseLength(b));
+    }
+    return null;
+  }
+}
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { findMatchingEndpoint, findNearestRoutes } from '../utils/routeMatcher.js';
+
 export default class EndpointValidator {
   constructor(rules) {
     this.rules = rules;
@@ -9,9 +11,12 @@ export default class EndpointValidator {
     // Validar que todas las llamadas del frontend tengan endpoints correspondientes
     frontendAPICalls.forEach((calls, key) => {
       calls.forEach(call => {
-        const endpoint = backendEndpoints.get(key);
+        // Matching por segmentos: /api/users/:userId ↔ /api/users/:id
+        const match = findMatchingEndpoint(call.method, call.endpoint, backendEndpoints);
         
-        if (!endpoint) {
+        if (!match) {
+          const nearestRoutes = findNearestRoutes(call.method, call.endpoint, backendEndpoints);
+          
           issues.push({
             type: 'MISSING_BACKEND_ENDPOINT',
             severity: this.rules.severity.missingEndpoint || 'CRITICAL',
@@ -22,15 +27,22 @@ export default class EndpointValidator {
             details: {
               method: call.method,
               url: call.endpoint,
-              calledFrom: call.file
-            }
+              calledFrom: call.file,
+              nearestRoute: nearestRoutes[0]?.key || null,
+              nearestRoutes
+            },
+            suggestions: nearestRoutes.length > 0
+              ? nearestRoutes.map(route => route.methodMismatch
+                ? `¿Método incorrecto? El backend define ${route.key}`
+                : `¿Quisiste decir ${route.key}?`)
+              : undefined
           });
         } else {
           // Marcar endpoint como usado
-          endpoint.used = true;
+          match.endpoint.used = true;
           
           // Validar parámetros, body, etc.
-          this.validateEndpointUsage(endpoint, call, issues);
+          this.validateEndpointUsage(match.endpoint, call, issues, match);
         }
       });
     });
@@ -52,9 +64,9 @@ export default class EndpointValidator {
     return issues;
   }
 
-  validateEndpointUsage(endpoint, call, issues) {
+  validateEndpointUsage(endpoint, call, issues, match) {
     // Validar parámetros de URL
-    this.validateURLParams(endpoint, call, issues);
+    this.validateURLParams(endpoint, call, issues, match);
     
     // Validar body de la request
     this.validateRequestBody(endpoint, call, issues);
@@ -63,10 +75,18 @@ export default class EndpointValidator {
     this.validateQueryParams(endpoint, call, issues);
   }
 
-  validateURLParams(endpoint, call, issues) {
+  validateURLParams(endpoint, call, issues, match) {
+    // Parámetros que el matcher asoció por posición (backend → segmento del frontend)
+    const matchedParams = match?.params || {};
+    const matchedSegments = Object.values(matchedParams);
+    
     // Verificar que todos los parámetros esperados por el backend estén presentes
-    endpoint.params.forEach(param => {
-      if (!call.params.includes(param) && !call.endpoint.includes(`:${param}`)) {
+    endpoint.params.forEach(rawParam => {
+      // :id? es opcional; :id(\d+) lleva restricción
+      if (rawParam.endsWith('?')) return;
+      const param = rawParam.replace(/\(.*\)$/, '');
+      
+      if (!(param in matchedParams) && !call.params.includes(param) && !call.endpoint.includes(`:${param}`)) {
         issues.push({
           type: 'MISSING_URL_PARAM',
           severity: this.rules.severity.missingParam || 'HIGH',
@@ -79,9 +99,9 @@ export default class EndpointValidator {
       }
     });
     
-    // Verificar parámetros extra en frontend
+    // Verificar parámetros extra en frontend (segmentos dinámicos que no caen en un :param)
     call.params.forEach(param => {
-      if (!endpoint.params.includes(param)) {
+      if (!matchedSegments.includes(`:${param}`) && !endpoint.params.includes(param)) {
         issues.push({
           type: 'EXTRA_URL_PARAM',
           severity: 'LOW',
@@ -114,6 +134,9 @@ export default class EndpointValidator {
       }
     });
     
+    // Sin contrato conocido (o el handler consume req.body completo) no hay campos "extra"
+    if (Object.keys(endpoint.expectedBody || {}).length === 0 || endpoint.acceptsArbitraryBody) return;
+    
     // Verificar campos extra en frontend
     Object.keys(call.data).forEach(field => {
       if (!endpoint.expectedBody || !endpoint.expectedBody.hasOwnProperty(field)) {
@@ -130,8 +153,11 @@ export default class EndpointValidator {
   }
 
   validateQueryParams(endpoint, call, issues) {
-    // Verificar query parameters esperados
-    endpoint.queryParams.forEach(param => {
+    // Verificar query parameters requeridos
+    endpoint.queryParams.forEach(queryParam => {
+      const param = typeof queryParam === 'string' ? queryParam : queryParam.name;
+      if (typeof queryParam === 'object' && !queryParam.required) return;
+      
       if (!call.queryParams.includes(param)) {
         issues.push({
           type: 'MISSING_QUERY_PARAM',
@@ -0,0 +1,363 @@
+import path from 'path';
+import yaml from 'js-yaml';
+import { readFileSafe } from '../utils/fileUtils.js';
+
+const SPEC_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head'];
+
+export default class OpenAPIValidator {
+  constructor(rules) {
+    this.rules = rules;
+  }
+
+  /**
+   * Valida backend y frontend contra una especificación OpenAPI escrita a mano
+   * @param {Map} backendEndpoints - Endpoints detectados en el backend
+   * @param {Map} frontendAPICalls - Llamadas API detectadas en el frontend
+   * @param {string} specPath - Ruta absoluta a openapi.yaml / openapi.json
+   * @returns {array} Issues detectados
+   */
+  async validate(backendEndpoints, frontendAPICalls, specPath) {
+    const issues = [];
+    const spec = this.loadSpec(specPath);
+    const operations = this.collectOperations(spec, specPath);
+
+    const specFile = path.basename(specPath);
+    const backendByShape = this.indexByShape(backendEndpoints);
+    const operationsByShape = this.indexByShape(operations);
+
+    // Operaciones documentadas sin implementación / implementadas con diferencias
+    operations.forEach((operation, key) => {
+      const endpoint = backendByShape.get(this.toShapeKey(key));
+
+      if (!endpoint) {
+        issues.push({
+          type: 'SPEC_OPERATION_NOT_IMPLEMENTED',
+          severity: this.rules.severity.specNotImplemented || 'HIGH',
+          message: `${key} está documentado en ${specFile} pero no existe en el backend`,
+          endpoint: key,
+          file: specFile,
+          details: {
+            specPath: operation.specPath,
+            operationId: operation.operationId
+          },
+          suggestions: [
+            'Implementar el endpoint en el backend',
+            'Eliminar la operación de la especificación si ya no existe'
+          ]
+        });
+        return;
+      }
+
+      this.validateParams(operation, endpoint, specFile, issues);
+      this.validateSecurity(operation, endpoint, specFile, issues);
+    });
+
+    // Endpoints implementados sin documentar
+    backendEndpoints.forEach((endpoint, key) => {
+      if (operationsByShape.has(this.toShapeKey(key))) return;
+
+      issues.push({
+        type: 'UNDOCUMENTED_ENDPOINT',
+        severity: this.rules.severity.undocumentedEndpoint || 'MEDIUM',
+        message: `${key} existe en el backend pero no está documentado en ${specFile}`,
+        endpoint: key,
+        backend: endpoint.file,
+        line: endpoint.line,
+        suggestions: [
+          `Documentar la operación en ${specFile}`,
+          'Usar --format openapi para generar un borrador de la operación'
+        ]
+      });
+    });
+
+    // Llamadas del frontend que no cumplen el esquema documentado
+    frontendAPICalls.forEach((calls, key) => {
+      const operation = operationsByShape.get(this.toShapeKey(key));
+      if (!operation) return;
+
+      // El FrontendAnalyzer puede registrar la misma llamada más de una vez
+      const seen = new Set();
+      calls.forEach(call => {
+        const location = `${call.file}:${call.line}`;
+        if (seen.has(location)) return;
+        seen.add(location);
+
+        this.validateRequestBody(operation, call, specFile, issues);
+      });
+    });
+
+    return issues;
+  }
+
+  loadSpec(specPath) {
+    const content = readFileSafe(specPath);
+    if (!content) {
+      throw new Error(`No se pudo leer la especificación OpenAPI: ${specPath}`);
+    }
+
+    try {
+      const spec = /\.json$/i.test(specPath) ? JSON.parse(content) : yaml.load(content);
+      if (!spec || typeof spec.paths !== 'object') {
+        throw new Error('no contiene "paths"');
+      }
+      return spec;
+    } catch (error) {
+      throw new Error(`Especificación OpenAPI inválida (${specPath}): ${error.message}`);
+    }
+  }
+
+  collectOperations(spec, specPath) {
+    const operations = new Map();
+    const basePath = this.getServerBasePath(spec);
+
+    Object.entries(spec.paths).forEach(([route, pathItem]) => {
+      const resolvedItem = this.resolveRef(spec, pathItem) || {};
+
+      SPEC_METHODS.forEach(method => {
+        const operation = resolvedItem[method];
+        if (!operation) return;
+
+        const expressPath = this.toExpressPath(basePath + route);
+        const security = operation.security ?? spec.security ?? [];
+
+        operations.set(`${method.toUpperCase()} ${expressPath}`, {
+          method: method.toUpperCase(),
+          path: expressPath,
+          specPath: route,
+          operationId: operation.operationId,
+          params: (expressPath.match(/:([^/]+)/g) || []).map(param => param.substring(1)),
+          requestSchema: this.getRequestSchema(spec, operation),
+          requiresAuth: this.securityRequiresAuth(security),
+          file: specPath
+        });
+      });
+    });
+
+    return operations;
+  }
+
+  validateParams(operation, endpoint, specFile, issues) {
+    const key = `${endpoint.method} ${endpoint.path}`;
+    const codeParams = endpoint.params || [];
+    // :id?, :id(\d+) y :path* son el parámetro id/path para la especificación
+    const codeNames = codeParams.map(param => param.replace(/\(.*\)/, '').replace(/[?*+]$/, ''));
+
+    // Los nombres se comparan por posición: /users/{userId} vs /users/:id
+    const mismatches = operation.params
+      .map((param, index) => ({ spec: param, code: codeNames[index] }))
+      .filter(pair => pair.spec !== pair.code);
+
+    if (mismatches.length === 0) return;
+
+    issues.push({
+      type: 'SPEC_PARAM_MISMATCH',
+      severity: this.rules.severity.specParamMismatch || 'MEDIUM',
+      message: `Parámetros de path distintos en ${key}: spec {${operation.params.join('}, {')}} vs código :${codeParams.join(', :')}`,
+      endpoint: key,
+      backend: endpoint.file,
+      line: endpoint.line,
+      file: specFile,
+      details: {
+        specPath: operation.specPath,
+        specParams: operation.params,
+        codeParams,
+        mismatches
+      },
+      suggestions: [
+        'Renombrar los parámetros para que coincidan con la especificación'
+      ]
+    });
+  }
+
+  validateSecurity(operation, endpoint, specFile, issues) {
+    if (operation.requiresAuth === !!endpoint.requiresAuth) return;
+
+    const key = `${endpoint.method} ${endpoint.path}`;
+    const specRequiresAuth = operation.requiresAuth;
+
+    issues.push({
+      type: 'SPEC_AUTH_MISMATCH',
+      severity: specRequiresAuth
+        ? (this.rules.severity.missingAuth || 'HIGH')
+        : 'MEDIUM',
+      message: specRequiresAuth
+        ? `${key} requiere autenticación según ${specFile} pero el backend no la aplica`
+        : `${key} es público según ${specFile} pero el backend exige autenticación`,
+      endpoint: key,
+      backend: endpoint.file,
+      line: endpoint.line,
+      file: specFile,
+      details: {
+        specRequiresAuth,
+        codeRequiresAuth: !!endpoint.requiresAuth,
+        middleware: endpoint.middleware
+      },
+      suggestions: specRequiresAuth
+        ? ['Agregar middleware de autenticación a la ruta', 'Revisar el bloque "security" de la operación']
+        : ['Declarar "security" en la operación', 'Verificar si el endpoint debe ser público']
+    });
+  }
+
+  validateRequestBody(operation, call, specFile, issues) {
+    const schema = operation.requestSchema;
+    if (!schema || !call.data || typeof call.data !== 'object' || Object.keys(call.data).length === 0) return;
+
+    const key = `${operation.method} ${operation.path}`;
+    const properties = schema.properties || {};
+    const baseIssue = {
+      endpoint: key,
+      frontend: call.file,
+      line: call.line,
+      file: specFile
+    };
+
+    (schema.required || []).forEach(field => {
+      if (call.data.hasOwnProperty(field)) return;
+
+      issues.push({
+        ...baseIssue,
+        type: 'SPEC_REQUEST_MISSING_FIELD',
+        severity: this.rules.severity.missingBodyField || 'MEDIUM',
+        message: `Frontend no envía el campo requerido "${field}" documentado para ${key}`,
+        field
+      });
+    });
+
+    Object.entries(call.data).forEach(([field, value]) => {
+      const fieldSchema = properties[field];
+
+      if (!fieldSchema) {
+        if (schema.additionalProperties === false) {
+          issues.push({
+            ...baseIssue,
+            type: 'SPEC_REQUEST_UNKNOWN_FIELD',
+            severity: 'LOW',
+            message: `Frontend envía "${field}" pero ${specFile} no lo admite en ${key}`,
+            field
+          });
+        }
+        return;
+      }
+
+      const actualType = this.getLiteralType(value);
+      const expectedTypes = [].concat(fieldSchema.type || []);
+      if (!actualType || expectedTypes.length === 0) return;
+
+      const compatible = expectedTypes.includes(actualType) ||
+        (actualType === 'number' && expectedTypes.includes('integer'));
+
+      if (!compatible) {
+        issues.push({
+          ...baseIssue,
+          type: 'SPEC_REQUEST_TYPE_MISMATCH',
+          severity: this.rules.severity.specTypeMismatch || 'MEDIUM',
+          message: `Campo "${field}" enviado como ${actualType} pero ${specFile} espera ${expectedTypes.join(' | ')}`,
+          field,
+          details: {
+            expected: expectedTypes,
+            actual: actualType,
+            value
+          }
+        });
+      } else if (fieldSchema.enum && !fieldSchema.enum.includes(value)) {
+        issues.push({
+          ...baseIssue,
+          type: 'SPEC_REQUEST_TYPE_MISMATCH',
+          severity: this.rules.severity.specTypeMismatch || 'MEDIUM',
+          message: `Campo "${field}" = ${JSON.stringify(value)} no está entre los valores permitidos por ${specFile}`,
+          field,
+          details: {
+            allowed: fieldSchema.enum,
+            actual: value
+          }
+        });
+      }
+    });
+  }
+
+  getLiteralType(value) {
+    // call.data proviene de extractObjectStructure: '<Identifier>' = valor desconocido
+    if (typeof value === 'string') return /^<.+>$/.test(value) ? null : 'string';
+    if (typeof value === 'number') return 'number';
+    if (typeof value === 'boolean') return 'boolean';
+    if (Array.isArray(value)) return 'array';
+    if (value && typeof value === 'object') return 'object';
+    return null;
+  }
+
+  getRequestSchema(spec, operation) {
+    const requestBody = this.resolveRef(spec, operation.requestBody);
+    const content = requestBody?.content || {};
+    const media = content['application/json'] ||
+      Object.entries(content).find(([type]) => type.includes('json'))?.[1];
+
+    const schema = this.resolveRef(spec, media?.schema);
+    if (!schema) return null;
+
+    // allOf: combinar propiedades y requeridos
+    if (schema.allOf) {
+      return schema.allOf
+        .map(part => this.resolveRef(spec, part) || {})
+        .reduce((merged, part) => ({
+          ...merged,
+          ...part,
+          properties: { ...merged.properties, ...this.resolveProperties(spec, part.properties) },
+          required: [...merged.required, ...(part.required || [])]
+        }), { properties: {}, required: [] });
+    }
+
+    return { ...schema, properties: this.resolveProperties(spec, schema.properties) };
+  }
+
+  resolveProperties(spec, properties = {}) {
+    return Object.fromEntries(
+      Object.entries(properties).map(([name, value]) => [name, this.resolveRef(spec, value) || {}])
+    );
+  }
+
+  resolveRef(spec, value, depth = 0) {
+    if (!value || typeof value !== 'object' || !value.$ref) return value;
+    if (depth > 10 || !value.$ref.startsWith('#/')) return null;
+
+    const target = value.$ref
+      .substring(2)
+      .split('/')
+      .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, part) => node?.[part], spec);
+
+    return this.resolveRef(spec, target, depth + 1);
+  }
+
+  securityRequiresAuth(security) {
+    // [] o [{}] significa que la autenticación es opcional
+    return Array.isArray(security) &&
+      security.length > 0 &&
+      security.every(requirement => Object.keys(requirement || {}).length > 0);
+  }
+
+  getServerBasePath(spec) {
+    const url = spec.servers?.[0]?.url;
+    if (!url) return '';
+
+    const pathname = url.replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/\{[^}]+\}/g, '');
+    return pathname === '/' ? '' : pathname.replace(/\/$/, '');
+  }
+
+  toExpressPath(specPath) {
+    return specPath.replace(/\{([^}]+)\}/g, ':$1');
+  }
+
+  toShapeKey(key) {
+    // Comparar rutas ignorando el nombre de los parámetros
+    return key.replace(/:[^/]+/g, ':param').replace(/\/$/, '');
+  }
+
+  indexByShape(endpoints) {
+    const index = new Map();
+    endpoints.forEach((endpoint, key) => {
+      const shape = this.toShapeKey(key);
+      if (!index.has(shape)) index.set(shape, endpoint);
+    });
+    return index;
+  }
+}
\ No newline at end of file
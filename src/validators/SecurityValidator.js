@@ -1,3 +1,14 @@
+import { findMatchingEndpoint } from '../utils/routeMatcher.js';
+
+// Nombres de middleware de rate limiting (express-rate-limit, slow-down, brute)
+const RATE_LIMIT_NAME_PATTERN = /limit|throttl|slow ?down|brute/i;
+
+// Cookies que identifican al usuario: sin httpOnly son robables vía XSS
+const AUTH_COOKIE_PATTERN = /token|session|auth|jwt|sid/i;
+
+// Cuanto más destructivo el método, más restrictivo debería ser el acceso
+const METHOD_PRIVILEGE = { GET: 0, HEAD: 0, OPTIONS: 0, POST: 1, PUT: 2, PATCH: 2, DELETE: 3 };
+
 export default class SecurityValidator {
   constructor(rules) {
     this.rules = rules;
@@ -18,6 +29,10 @@ export default class SecurityValidator {
     // Validar métodos HTTP sensibles
     this.validateSensitiveMethods(backendEndpoints, issues);
     
+    // Validar roles/permisos en endpoints autenticados
+    this.validateRoleGuards(backendEndpoints, issues);
+    this.validateRoleConsistency(backendEndpoints, issues);
+    
     return issues;
   }
 
@@ -50,10 +65,10 @@ export default class SecurityValidator {
 
   validateFrontendAuthentication(backendEndpoints, frontendAPICalls, issues) {
     frontendAPICalls.forEach((calls, key) => {
-      const endpoint = backendEndpoints.get(key);
-      
-      if (endpoint && endpoint.requiresAuth) {
-        calls.forEach(call => {
+      calls.forEach(call => {
+        const endpoint = findMatchingEndpoint(call.method, call.endpoint, backendEndpoints)?.endpoint;
+        
+        if (endpoint && endpoint.requiresAuth) {
           if (!call.hasAuth) {
             issues.push({
               type: 'MISSING_AUTH_HEADER',
@@ -66,7 +81,7 @@ export default class SecurityValidator {
               details: {
                 endpointRequiresAuth: endpoint.requiresAuth,
                 frontendHasAuth: call.hasAuth,
-                authMiddleware: endpoint.middleware.filter(m => this.isAuthMiddleware(m))
+                authMiddleware: (endpoint.authMiddleware || []).map(mw => mw.name)
               },
               suggestions: [
                 'Agregar header Authorization en la request',
@@ -75,8 +90,8 @@ export default class SecurityValidator {
               ]
             });
           }
-        });
-      }
+        }
+      });
     });
   }
 
@@ -136,18 +151,424 @@ export default class SecurityValidator {
     });
   }
 
-  isSensitiveEndpoint(key, endpoint) {
+  validateRoleGuards(backendEndpoints, issues) {
+    backendEndpoints.forEach((endpoint, key) => {
+      // Sin auth ya lo reporta SENSITIVE_ENDPOINT_NO_AUTH
+      if (!endpoint.requiresAuth || !this.matchesRequireAuthPatterns(key)) return;
+      if ((endpoint.accessGuards || []).length > 0) return;
+      
+      issues.push({
+        type: 'SENSITIVE_ENDPOINT_NO_ROLE_GUARD',
+        severity: this.rules.severity.missingRoleGuard || 'HIGH',
+        message: `Endpoint sensible accesible para cualquier usuario autenticado: ${key}`,
+        endpoint: key,
+        backend: endpoint.file,
+        line: endpoint.line,
+        details: {
+          reason: this.getSensitivityReason(key, endpoint),
+          authMiddleware: (endpoint.authMiddleware || []).map(mw => mw.name),
+          method: endpoint.method,
+          path: endpoint.path
+        },
+        suggestions: [
+          'Agregar un guard de rol, p.ej. authorize(\'admin\')',
+          'Verificar permisos específicos con hasPermission()',
+          'Verificar si cualquier usuario autenticado debe tener acceso'
+        ]
+      });
+    });
+  }
+
+  validateRoleConsistency(backendEndpoints, issues) {
+    // Agrupar por recurso: mismo path, distintos métodos
+    const resources = new Map();
+    backendEndpoints.forEach((endpoint, key) => {
+      if (!endpoint.requiresAuth) return;
+      const resource = this.getResourceKey(endpoint.path);
+      if (!resources.has(resource)) resources.set(resource, []);
+      resources.get(resource).push({ key, endpoint });
+    });
+    
+    resources.forEach((entries, resource) => {
+      entries.forEach(({ key, endpoint }) => {
+        // DELETE abierto a 'user' mientras PUT exige 'admin'
+        const stricter = entries.filter(other =>
+          other.endpoint !== endpoint &&
+          (METHOD_PRIVILEGE[endpoint.method] ?? 0) >= (METHOD_PRIVILEGE[other.endpoint.method] ?? 0) &&
+          this.isLooserAccess(endpoint, other.endpoint)
+        );
+        if (stricter.length === 0) return;
+        
+        issues.push({
+          type: 'INCONSISTENT_ROLE_GUARDS',
+          severity: this.rules.severity.inconsistentRoleGuards || 'HIGH',
+          message: `${key} es más permisivo que ${stricter.map(other => other.key).join(', ')}`,
+          endpoint: key,
+          backend: endpoint.file,
+          line: endpoint.line,
+          details: {
+            resource,
+            roles: this.describeAccess(endpoint),
+            stricterEndpoints: Object.fromEntries(
+              stricter.map(other => [other.key, this.describeAccess(other.endpoint)])
+            )
+          },
+          suggestions: [
+            `Restringir ${endpoint.method} a los roles de ${stricter[0].endpoint.method}`,
+            'Unificar los guards del recurso en router.use() o route().all()',
+            'Verificar si la diferencia de roles es intencional'
+          ]
+        });
+      });
+    });
+  }
+
+  isLooserAccess(endpoint, other) {
+    const roles = endpoint.roles || [];
+    const otherRoles = other.roles || [];
+    const guarded = (endpoint.accessGuards || []).length > 0;
+    const otherGuarded = (other.accessGuards || []).length > 0;
+    
+    // Sin guards: cualquier usuario autenticado
+    if (!guarded) return otherGuarded;
+    
+    // Roles que alcanzan este endpoint pero no el otro
+    return roles.length > 0 && otherRoles.length > 0 && roles.some(role => !otherRoles.includes(role));
+  }
+
+  describeAccess(endpoint) {
+    if ((endpoint.accessGuards || []).length === 0) return ['*autenticado*'];
+    return [...(endpoint.roles || []), ...(endpoint.permissions || []).map(permission => `permiso:${permission}`)];
+  }
+
+  getResourceKey(endpointPath) {
+    // /users/:id y /users/:userId son el mismo recurso
+    return endpointPath.replace(/:[^/]+/g, ':param').replace(/\/$/, '') || '/';
+  }
+
+  buildAccessMatrix(backendEndpoints) {
+    const routes = [];
+    const roles = new Set();
+    const permissions = new Set();
+    
+    backendEndpoints.forEach((endpoint, key) => {
+      (endpoint.roles || []).forEach(role => roles.add(role));
+      (endpoint.permissions || []).forEach(permission => permissions.add(permission));
+      
+      routes.push({
+        endpoint: key,
+        method: endpoint.method,
+        path: endpoint.path,
+        resource: this.getResourceKey(endpoint.path),
+        requiresAuth: endpoint.requiresAuth,
+        roles: endpoint.roles || [],
+        permissions: endpoint.permissions || [],
+        guards: (endpoint.accessGuards || []).map(guard => guard.name),
+        file: endpoint.file,
+        line: endpoint.line
+      });
+    });
+    
+    // Por rol: endpoints accesibles (los que no tienen guard de rol también cuentan)
+    const byRole = {};
+    roles.forEach(role => {
+      byRole[role] = routes
+        .filter(route => route.requiresAuth && (route.roles.length === 0 || route.roles.includes(role)))
+        .map(route => route.endpoint);
+    });
+    
+    return {
+      roles: [...roles].sort(),
+      permissions: [...permissions].sort(),
+      routes: routes.sort((a, b) => a.resource.localeCompare(b.resource) || a.method.localeCompare(b.method)),
+      byRole
+    };
+  }
+
+  validateTaintFlows(taintFlows, backendEndpoints) {
+    return (taintFlows || []).map(flow => {
+      // Endpoint cuyo controlador contiene el sink
+      const endpointKey = Array.from(backendEndpoints?.entries() || []).find(([, endpoint]) =>
+        endpoint.controllerDetails?.file === flow.file &&
+        endpoint.controllerDetails?.name === flow.function
+      )?.[0] || null;
+      const sink = flow.path[flow.path.length - 1].label;
+      
+      return {
+        type: 'TAINTED_INPUT_TO_SINK',
+        severity: flow.severity,
+        message: `${flow.label}: ${flow.source} llega a ${sink}${flow.function ? ` en ${flow.function}` : ''}`,
+        endpoint: endpointKey,
+        backend: flow.file,
+        file: flow.file,
+        line: flow.line,
+        details: {
+          sink: flow.sink,
+          source: flow.source,
+          function: flow.function,
+          flow: flow.path.map(step => `${step.label} (${step.file}:${step.line})`).join(' → '),
+          path: flow.path
+        },
+        suggestions: this.getTaintSuggestions(flow.sink)
+      };
+    });
+  }
+
+  getTaintSuggestions(sink) {
+    const suggestions = {
+      sql: ['Usar consultas parametrizadas (?, $1) en lugar de concatenar', 'Validar el input con un esquema antes de la consulta'],
+      'nosql-where': ['Eliminar $where: usar operadores de query de Mongo', 'Nunca interpolar input del cliente en código JavaScript'],
+      nosql: ['Convertir los valores a string (String(x)) o validarlos con un esquema', 'Usar express-mongo-sanitize o sanitizeFilter de mongoose'],
+      command: ['Usar execFile/spawn con argumentos en array y sin shell', 'Validar el input contra una lista permitida'],
+      code: ['Eliminar eval/new Function', 'Usar JSON.parse o un parser dedicado para datos'],
+      path: ['Usar path.basename() y verificar que la ruta resuelta quede dentro del directorio permitido', 'Validar el nombre de archivo contra una lista permitida'],
+      ssrf: ['Validar la URL contra una lista de hosts permitidos', 'Bloquear IPs privadas y de metadata (169.254.169.254)']
+    };
+    
+    return suggestions[sink] || ['Validar y sanitizar el input antes de usarlo'];
+  }
+
+  validateFrontendSecurity(findings) {
+    const suggestions = {
+      'dangerous-html': ['Sanitizar con DOMPurify.sanitize() antes de renderizar', 'Renderizar el contenido como texto o con componentes'],
+      'token-storage': ['Guardar el token en una cookie httpOnly emitida por el backend', 'Mantener el access token solo en memoria'],
+      'unsafe-url': ['Validar que la URL use http(s): y rechazar javascript:', 'Construir la URL desde rutas conocidas'],
+      'postmessage-origin': ['Comparar event.origin con una lista de orígenes permitidos antes de leer event.data'],
+      'insecure-http': ['Usar https:// para la API fuera de localhost', 'Configurar la URL base por entorno'],
+      'target-blank': ['Agregar rel="noopener noreferrer"']
+    };
+    
+    return (findings || []).map(finding => ({
+      type: finding.type,
+      severity: finding.severity,
+      message: finding.message,
+      frontend: finding.file,
+      file: finding.file,
+      line: finding.line,
+      details: finding.details,
+      suggestions: suggestions[finding.rule] || []
+    }));
+  }
+
+  validateSecrets(findings) {
+    const projectNames = { backend: 'backend', frontend: 'frontend', designSystem: 'design system' };
+    
+    return (findings || []).map(finding => ({
+      type: 'HARDCODED_SECRET',
+      severity: finding.severity,
+      message: `Secreto hardcodeado (${finding.kind}) en ${projectNames[finding.project] || finding.project}: ${finding.redacted}`,
+      [finding.project === 'frontend' ? 'frontend' : 'backend']: finding.file,
+      file: finding.file,
+      line: finding.line,
+      details: {
+        project: finding.project,
+        kind: finding.kind,
+        detector: finding.detector,
+        name: finding.name,
+        preview: finding.preview,
+        entropy: finding.entropy,
+        fingerprint: `sha256:${finding.fingerprint}`
+      },
+      suggestions: [
+        finding.project === 'frontend'
+          ? 'Mover la llamada que usa el secreto al backend: todo el código del frontend llega al navegador'
+          : 'Leer el valor desde variables de entorno (process.env) o un gestor de secretos',
+        'Rotar la credencial: ya quedó en el historial de git',
+        `Si es un fixture de test, agregar sha256:${finding.fingerprint} al allowlist de secretos`
+      ]
+    }));
+  }
+
+  validateHardening(hardening, backendEndpoints) {
+    const issues = [];
+    if (!hardening) return issues;
+    
+    const appFile = hardening.appFiles[0] || null;
+    
+    // Sin archivo de bootstrap no hay configuración global que revisar
+    if (appFile) {
+      if (hardening.helmet.length === 0) {
+        issues.push({
+          type: 'MISSING_HELMET',
+          severity: 'MEDIUM',
+          message: 'La app Express no usa helmet(): faltan headers de seguridad (CSP, HSTS, X-Frame-Options)',
+          backend: appFile,
+          file: appFile,
+          details: { appFiles: hardening.appFiles },
+          suggestions: [
+            'Agregar app.use(helmet()) antes de las rutas',
+            'Configurar contentSecurityPolicy según los orígenes del frontend'
+          ]
+        });
+      }
+      
+      // helmet() ya elimina x-powered-by
+      if (hardening.poweredByDisabled.length === 0 && hardening.helmet.length === 0) {
+        issues.push({
+          type: 'X_POWERED_BY_ENABLED',
+          severity: 'LOW',
+          message: 'La app expone el header X-Powered-By: Express',
+          backend: appFile,
+          file: appFile,
+          details: { appFiles: hardening.appFiles },
+          suggestions: ['Agregar app.disable(\'x-powered-by\') o usar helmet()']
+        });
+      }
+    }
+    
+    hardening.cors
+      .filter(cors => ['*', 'reflect'].includes(cors.origin) && cors.credentials === true)
+      .forEach(cors => {
+        issues.push({
+          type: 'PERMISSIVE_CORS',
+          severity: 'HIGH',
+          message: `cors() acepta cualquier origen con credentials: true (${cors.origin === '*' ? "origin: '*'" : 'origin: true'})`,
+          backend: cors.file,
+          file: cors.file,
+          line: cors.line,
+          details: { origin: cors.origin, credentials: cors.credentials },
+          suggestions: [
+            'Restringir origin a una lista de dominios permitidos',
+            'Usar credentials: true solo con orígenes explícitos'
+          ]
+        });
+      });
+    
+    this.validateBodyLimits(hardening.bodyParsers, issues);
+    this.validateCookieFlags([...hardening.sessions, ...hardening.cookies], issues);
+    
+    hardening.errorHandlers
+      .filter(handler => handler.leaksStack)
+      .forEach(handler => {
+        issues.push({
+          type: 'ERROR_STACK_LEAK',
+          severity: 'MEDIUM',
+          message: `Error handler envía err.stack al cliente en ${handler.file}:${handler.stackLine}`,
+          backend: handler.file,
+          file: handler.file,
+          line: handler.stackLine,
+          details: { handlerLine: handler.line },
+          suggestions: [
+            'Responder un mensaje genérico y loguear el stack en el servidor',
+            'Incluir el stack solo si process.env.NODE_ENV === \'development\''
+          ]
+        });
+      });
+    
+    this.validateAuthRateLimits(hardening, backendEndpoints, issues);
+    
+    return issues;
+  }
+
+  validateBodyLimits(bodyParsers, issues) {
+    const maxBodySize = this.rules.security?.maxBodySize || '1mb';
+    
+    bodyParsers.forEach(parser => {
+      if (parser.limit === 'dynamic') return;
+      
+      const size = this.parseSize(parser.limit);
+      if (parser.limit !== null && size <= this.parseSize(maxBodySize)) return;
+      
+      issues.push({
+        type: parser.limit === null ? 'MISSING_BODY_LIMIT' : 'EXCESSIVE_BODY_LIMIT',
+        severity: parser.limit === null ? 'LOW' : 'MEDIUM',
+        message: parser.limit === null
+          ? `${parser.name}() sin límite de tamaño explícito`
+          : `${parser.name}() acepta bodies de hasta ${parser.limit} (máximo recomendado: ${maxBodySize})`,
+        backend: parser.file,
+        file: parser.file,
+        line: parser.line,
+        details: { parser: parser.name, limit: parser.limit, maxBodySize },
+        suggestions: [
+          `Declarar ${parser.name}({ limit: '${maxBodySize}' })`,
+          'Usar un límite mayor solo en las rutas de subida de archivos'
+        ]
+      });
+    });
+  }
+
+  validateCookieFlags(cookies, issues) {
+    cookies.forEach(cookie => {
+      // Cookies de preferencias (theme) pueden necesitar leerse desde JS
+      const isAuthCookie = cookie.kind === 'session' || AUTH_COOKIE_PATTERN.test(cookie.name || '');
+      
+      // 'dynamic' (secure: isProd) se considera configurado
+      const missing = Object.entries(cookie.flags)
+        .filter(([flag, value]) => value === false && (isAuthCookie || flag !== 'httpOnly'))
+        .map(([flag]) => flag);
+      if (missing.length === 0) return;
+      
+      let label = cookie.name ? `Cookie '${cookie.name}'` : 'Cookie de res.cookie()';
+      if (cookie.kind === 'session') label = `Cookie de ${cookie.name}()`;
+      
+      issues.push({
+        type: 'INSECURE_COOKIE',
+        severity: isAuthCookie && missing.includes('httpOnly') ? 'HIGH' : 'MEDIUM',
+        message: `${label} sin ${missing.join(', ')}`,
+        backend: cookie.file,
+        file: cookie.file,
+        line: cookie.line,
+        details: { cookie: cookie.name, flags: cookie.flags, missing },
+        suggestions: [
+          `Agregar ${missing.map(flag => flag === 'sameSite' ? "sameSite: 'lax'" : `${flag}: true`).join(', ')}`,
+          'Centralizar las opciones de cookie en un único objeto de configuración'
+        ]
+      });
+    });
+  }
+
+  validateAuthRateLimits(hardening, backendEndpoints, issues) {
+    const patterns = this.rules.security?.authRoutePatterns ||
+      [/login|signin|signup|register|password|token|otp|verify/i];
+    const limiters = new Set(hardening.rateLimiters);
+    
+    backendEndpoints.forEach((endpoint, key) => {
+      if (endpoint.method !== 'POST' || !patterns.some(pattern => pattern.test(endpoint.path))) return;
+      
+      // Limiters propios de la ruta o heredados de app.use()/router.use()
+      const chain = [...(endpoint.middleware || []), ...(endpoint.inheritedMiddleware || [])];
+      if (chain.some(name => limiters.has(name) || RATE_LIMIT_NAME_PATTERN.test(name))) return;
+      
+      issues.push({
+        type: 'MISSING_RATE_LIMIT',
+        severity: 'HIGH',
+        message: `Ruta de autenticación sin rate limiting: ${key}`,
+        endpoint: key,
+        backend: endpoint.file,
+        line: endpoint.line,
+        details: { middleware: chain },
+        suggestions: [
+          'Agregar un limiter (express-rate-limit) a las rutas de login/registro',
+          'Limitar intentos por IP y por cuenta para frenar fuerza bruta'
+        ]
+      });
+    });
+  }
+
+  parseSize(value) {
+    if (typeof value === 'number') return value;
+    
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+    if (!match) return Infinity;
+    
+    const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+    return parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()];
+  }
+
+  matchesRequireAuthPatterns(key) {
     const patterns = this.rules.requireAuthPatterns || [];
     
     // Verificar patrones de regex
-    const matchesPattern = patterns.some(pattern => {
+    return patterns.some(pattern => {
       if (pattern instanceof RegExp) {
         return pattern.test(key);
       }
       return key.toLowerCase().includes(pattern.toLowerCase());
     });
-    
-    if (matchesPattern) return true;
+  }
+
+  isSensitiveEndpoint(key, endpoint) {
+    if (this.matchesRequireAuthPatterns(key)) return true;
     
     // Verificar patrones comunes de seguridad
     const sensitiveKeywords = [
@@ -189,22 +610,6 @@ export default class SecurityValidator {
     return 'Endpoint potencialmente sensible';
   }
 
-  isAuthMiddleware(middlewareName) {
-    const authPatterns = [
-      /auth/i,
-      /jwt/i,
-      /verify/i,
-      /protect/i,
-      /authenticate/i,
-      /authorize/i,
-      /guard/i,
-      /secure/i,
-      /token/i
-    ];
-    
-    return authPatterns.some(pattern => pattern.test(middlewareName));
-  }
-
   isPublicEndpoint(key, publicPatterns) {
     return publicPatterns.some(pattern => {
       if (typeof pattern === 'string') {
@@ -0,0 +1,179 @@
+import { parseCodeSafe } from '../../src/utils/astUtils.js';
+import ComponentFingerprinter from '../../src/analyzers/ComponentFingerprinter.js';
+import ComponentValidator from '../../src/validators/ComponentValidator.js';
+
+const SEARCH_FIELD = `export function SearchField({ value, onChange, placeholder }) {
+  const [focused, setFocused] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (focused) inputRef.current.select();
+  }, [focused]);
+
+  return (
+    <div className={focused ? 'field field--focused' : 'field'}>
+      <input
+        ref={inputRef}
+        value={value}
+        placeholder={placeholder}
+        onFocus={() => setFocused(true)}
+        onBlur={() => setFocused(false)}
+        onChange={(event) => onChange(event.target.value)}
+      />
+      <Icon name="search" size={16} />
+    </div>
+  );
+}`;
+
+// La misma implementación con otros nombres, textos y tipos de TS
+const FILTER_BOX = `export function FilterBox({ value, onChange, placeholder }: FilterBoxProps): JSX.Element {
+  const [active, setActive] = useState<boolean>(false);
+  const boxRef = useRef<HTMLInputElement>(null);
+
+  useEffect(() => {
+    if (active) boxRef.current.select();
+  }, [active]);
+
+  return (
+    <div className={active ? 'filter is-active' : 'filter'}>
+      <input
+        ref={boxRef}
+        value={value}
+        placeholder={placeholder}
+        onFocus={() => setActive(true)}
+        onBlur={() => setActive(false)}
+        onChange={(e) => onChange(e.target.value)}
+      />
+      <SvgIcon name="filter" size={14} />
+    </div>
+  );
+}`;
+
+const USER_TABLE = `export function UserTable({ users, onSelect }) {
+  const [sort, setSort] = useState('name');
+  const sorted = useMemo(() => [...users].sort((a, b) => a[sort].localeCompare(b[sort])), [users, sort]);
+
+  return (
+    <table>
+      <thead>
+        <tr><th onClick={() => setSort('name')}>Nombre</th><th onClick={() => setSort('email')}>Email</th></tr>
+      </thead>
+      <tbody>
+        {sorted.map(user => <tr key={user.id} onClick={() => onSelect(user)}><td>{user.name}</td><td>{user.email}</td></tr>)}
+      </tbody>
+    </table>
+  );
+}`;
+
+const fingerprinter = new ComponentFingerprinter();
+
+function fingerprintOf(code) {
+  const declaration = parseCodeSafe(code).program.body[0].declaration;
+  const props = declaration.params[0].properties.map(prop => ({ name: prop.key.name }));
+  return fingerprinter.fingerprint(declaration, code, props);
+}
+
+function component(name, file, code) {
+  return { name, file, line: 1, fingerprint: fingerprintOf(code) };
+}
+
+describe('ComponentFingerprinter', () => {
+  test('anonimiza identificadores y literales pero conserva tags, atributos y hooks', () => {
+    const fingerprint = fingerprintOf(SEARCH_FIELD);
+
+    expect(fingerprint.tokens).toEqual(expect.arrayContaining(['useState', 'useRef', 'useEffect', 'input', 'onFocus', 'className', 'Component', 'str', 'num']));
+    expect(fingerprint.tokens).not.toContain('focused');
+    expect(fingerprint.hooks).toEqual(['useState', 'useRef', 'useEffect']);
+    expect(fingerprint.props).toEqual(['value', 'onChange', 'placeholder']);
+    expect(fingerprint.jsx).toEqual(['root>div', 'div>input', 'div>Component']);
+    expect(fingerprint.lines).toHaveLength(fingerprint.tokens.length);
+    expect(fingerprint.startLine).toBe(1);
+    expect(fingerprint.code).toBe(SEARCH_FIELD);
+  });
+
+  test('una copia renombrada y con tipos de TS tiene la misma huella', () => {
+    const original = fingerprintOf(SEARCH_FIELD);
+    const copy = fingerprintOf(FILTER_BOX);
+
+    expect(copy.tokens).toEqual(original.tokens);
+    expect(copy.shingles).toEqual(original.shingles);
+  });
+
+  test('sin loc no hay huella', () => {
+    expect(fingerprinter.fingerprint({ type: 'FunctionDeclaration' }, '')).toBeNull();
+  });
+});
+
+describe('ComponentValidator: componentes duplicados', () => {
+  const rules = { severity: {}, duplicates: { threshold: 0.8, minTokens: 60 } };
+
+  test('compara estructura, JSX, props y hooks', () => {
+    const validator = new ComponentValidator(rules);
+    const searchField = fingerprintOf(SEARCH_FIELD);
+
+    expect(validator.compareFingerprints(searchField, fingerprintOf(FILTER_BOX), 0.8)).toEqual({
+      similarity: 1,
+      scores: { structure: 1, jsx: 1, props: 1, hooks: 1 }
+    });
+    expect(validator.compareFingerprints(searchField, fingerprintOf(USER_TABLE), 0.8)).toBeNull();
+  });
+
+  test('reporta la copia del design system con las regiones coincidentes', () => {
+    const validator = new ComponentValidator(rules);
+    const issues = [];
+
+    validator.detectDuplicateComponents(
+      new Map([['SearchField', component('SearchField', 'src/components/SearchField.jsx', SEARCH_FIELD)]]),
+      new Map([
+        ['FilterBox', component('FilterBox', 'src/components/FilterBox.tsx', FILTER_BOX)],
+        ['UserTable', component('UserTable', 'src/components/UserTable.jsx', USER_TABLE)]
+      ]),
+      issues
+    );
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      type: 'DUPLICATE_COMPONENT',
+      severity: 'MEDIUM',
+      component: 'FilterBox',
+      dsComponent: 'SearchField',
+      details: { similarity: 1, left: { name: 'FilterBox' }, right: { name: 'SearchField' } }
+    });
+    // Las etiquetas de cierre no generan tokens: la región termina en <Icon /> (línea 19)
+    expect(issues[0].details.regions).toEqual([
+      expect.objectContaining({ left: expect.objectContaining({ start: 1, end: 19 }), right: expect.objectContaining({ start: 1, end: 19 }) })
+    ]);
+    expect(issues[0].details.regions[0].left.code).toContain('// ... 7 líneas más');
+  });
+
+  test('N copias en el frontend generan N-1 issues y se ignoran los componentes triviales', () => {
+    const validator = new ComponentValidator({ ...rules, severity: { duplicateFrontendComponent: 'MEDIUM' } });
+    const issues = [];
+    const trivial = 'export function Box({ children }) {\n  return <div>{children}</div>;\n}';
+
+    validator.detectDuplicateComponents(new Map(), new Map([
+      ['SearchField', component('SearchField', 'src/a/SearchField.jsx', SEARCH_FIELD)],
+      ['FilterBox', component('FilterBox', 'src/b/FilterBox.tsx', FILTER_BOX)],
+      ['QueryInput', component('QueryInput', 'src/c/QueryInput.jsx', SEARCH_FIELD.replace('SearchField', 'QueryInput'))],
+      ['Box', component('Box', 'src/d/Box.jsx', trivial)],
+      ['Panel', component('Panel', 'src/e/Panel.jsx', trivial.replace('Box', 'Panel'))]
+    ]), issues);
+
+    expect(issues.map(issue => [issue.type, issue.severity, issue.component])).toEqual([
+      ['DUPLICATE_FRONTEND_COMPONENT', 'MEDIUM', 'SearchField'],
+      ['DUPLICATE_FRONTEND_COMPONENT', 'MEDIUM', 'FilterBox']
+    ]);
+  });
+
+  test('compareFrontend: false solo compara contra el design system', () => {
+    const validator = new ComponentValidator({ ...rules, duplicates: { ...rules.duplicates, compareFrontend: false } });
+    const issues = [];
+
+    validator.detectDuplicateComponents(new Map(), new Map([
+      ['SearchField', component('SearchField', 'src/a/SearchField.jsx', SEARCH_FIELD)],
+      ['FilterBox', component('FilterBox', 'src/b/FilterBox.tsx', FILTER_BOX)]
+    ]), issues);
+
+    expect(issues).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,156 @@
+import { createProject, removeProject } from '../helpers/project.js';
+import FrontendAnalyzer from '../../src/analyzers/FrontendAnalyzer.js';
+
+// DataFetchingDetector se prueba a través de FrontendAnalyzer, que es quien normaliza las URLs
+async function analyzeFrontend(files) {
+  const root = createProject(files);
+  const analyzer = new FrontendAnalyzer(
+    { path: root, folders: {} },
+    { ignorePatterns: [], fileExtensions: { frontend: ['.js', '.jsx'] } }
+  );
+  try {
+    const { apiCalls } = await analyzer.analyze();
+    return apiCalls;
+  } finally {
+    removeProject(root);
+  }
+}
+
+function summary(apiCalls, key) {
+  return (apiCalls.get(key) || []).map(({ file, line, library, component }) => ({ file, line, library, component }));
+}
+
+describe('DataFetchingDetector', () => {
+  describe('RTK Query', () => {
+    let apiCalls;
+
+    beforeAll(async () => {
+      apiCalls = await analyzeFrontend({
+        'src/services/usersApi.js': [
+          "import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';",
+          'export const usersApi = createApi({',
+          "  baseQuery: fetchBaseQuery({ baseUrl: '/api' }),",
+          '  endpoints: (build) => ({',
+          '    getUser: build.query({ query: (id) => `users/${id}` }),',
+          "    updateUser: build.mutation({ query: ({ id, ...body }) => ({ url: `users/${id}`, method: 'PATCH', body }) }),",
+          "    searchUsers: build.query({ query: (q) => ({ url: 'users', params: { q, page: 1 } }) })",
+          '  })',
+          '});',
+          'export const { useGetUserQuery, useUpdateUserMutation } = usersApi;'
+        ].join('\n'),
+        'src/services/ordersApi.js': [
+          "import { usersApi } from './usersApi';",
+          'export const ordersApi = usersApi.injectEndpoints({',
+          '  endpoints(build) {',
+          "    return { cancelOrder: build.mutation({ query: (id) => ({ url: `orders/${id}`, method: 'DELETE' }) }) };",
+          '  }',
+          '});'
+        ].join('\n'),
+        'src/components/UserProfile.jsx': [
+          "import { useGetUserQuery } from '../services/usersApi';",
+          'export default function UserProfile({ id }) {',
+          '  const { data } = useGetUserQuery(id);',
+          '  return <div>{data?.name}</div>;',
+          '}'
+        ].join('\n')
+      });
+    });
+
+    test('combina el baseUrl de fetchBaseQuery con la query de cada endpoint', () => {
+      expect([...apiCalls.keys()]).toEqual(expect.arrayContaining([
+        'GET /api/users/:id',
+        'PATCH /api/users/:id',
+        'GET /api/users',
+        'DELETE /api/orders/:id'
+      ]));
+      expect(apiCalls.get('GET /api/users')[0].queryParams).toEqual(['q', 'page']);
+    });
+
+    test('vincula cada endpoint con los componentes que usan su hook', () => {
+      const [getUser] = apiCalls.get('GET /api/users/:id');
+
+      expect(getUser).toMatchObject({
+        library: 'rtk-query',
+        endpointName: 'getUser',
+        hooks: ['useGetUserQuery', 'useLazyGetUserQuery'],
+        component: 'UserProfile'
+      });
+      expect(getUser.usedBy).toEqual([{ component: 'UserProfile', file: 'src/components/UserProfile.jsx', line: 3 }]);
+      expect(apiCalls.get('PATCH /api/users/:id')[0]).toMatchObject({ hooks: ['useUpdateUserMutation'], usedBy: [] });
+    });
+  });
+
+  describe('React Query', () => {
+    test('atribuye las requests de queryFn/mutationFn al hook que las declara', async () => {
+      const apiCalls = await analyzeFrontend({
+        'src/hooks/useOrders.js': [
+          "import axios from 'axios';",
+          "import { useQuery, useMutation } from '@tanstack/react-query';",
+          'export function useOrders() {',
+          "  return useQuery({ queryKey: ['orders'], queryFn: () => axios.get('/api/orders') });",
+          '}',
+          'export function useCreateOrder() {',
+          "  return useMutation((order) => axios.post('/api/orders', order));",
+          '}',
+          'export function useRefunds() {',
+          "  return useQuery({ queryKey: ['refunds'], async queryFn() { return axios.get('/api/refunds'); } });",
+          '}'
+        ].join('\n')
+      });
+
+      expect(summary(apiCalls, 'GET /api/orders')).toEqual([
+        { file: 'src/hooks/useOrders.js', line: 4, library: 'react-query', component: 'useOrders' }
+      ]);
+      expect(summary(apiCalls, 'POST /api/orders')).toEqual([
+        { file: 'src/hooks/useOrders.js', line: 7, library: 'react-query', component: 'useCreateOrder' }
+      ]);
+      expect(summary(apiCalls, 'GET /api/refunds')).toEqual([
+        { file: 'src/hooks/useOrders.js', line: 10, library: 'react-query', component: 'useRefunds' }
+      ]);
+    });
+  });
+
+  describe('SWR', () => {
+    test('la key es la URL y el fetcher define el método de las mutaciones', async () => {
+      const apiCalls = await analyzeFrontend({
+        'src/components/Settings.jsx': [
+          "import useSWR from 'swr';",
+          "import useSWRMutation from 'swr/mutation';",
+          'const fetcher = (url) => fetch(url).then(res => res.json());',
+          "async function save(url, { arg }) { return fetch(url, { method: 'PUT', body: JSON.stringify(arg) }); }",
+          'export default function Settings({ user, enabled }) {',
+          '  const { data } = useSWR(user && `/api/users/${user.id}/settings`, fetcher);',
+          "  const { data: flags } = useSWR(enabled ? ['/api/flags', user.id] : null, fetcher);",
+          "  const { trigger } = useSWRMutation('/api/settings', save);",
+          '  return <div />;',
+          '}'
+        ].join('\n')
+      });
+
+      expect(summary(apiCalls, 'GET /api/users/:id/settings')).toEqual([
+        { file: 'src/components/Settings.jsx', line: 6, library: 'swr', component: 'Settings' }
+      ]);
+      expect(summary(apiCalls, 'GET /api/flags')).toHaveLength(1);
+      expect(summary(apiCalls, 'PUT /api/settings')).toEqual([
+        { file: 'src/components/Settings.jsx', line: 8, library: 'swr', component: 'Settings' }
+      ]);
+    });
+
+    test('la key y un fetcher inline con la misma URL cuentan como una sola request', async () => {
+      const apiCalls = await analyzeFrontend({
+        'src/components/Profile.jsx': [
+          "import useSWR from 'swr';",
+          "import axios from 'axios';",
+          'export default function Profile() {',
+          "  const { data } = useSWR('/api/profile', () => axios.get('/api/profile'));",
+          '  return <div />;',
+          '}'
+        ].join('\n')
+      });
+
+      expect(summary(apiCalls, 'GET /api/profile')).toEqual([
+        { file: 'src/components/Profile.jsx', line: 4, library: 'swr', component: 'Profile' }
+      ]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,60 @@
+import yaml from 'js-yaml';
+import DependencyAnalyzer from '../../src/analyzers/DependencyAnalyzer.js';
+
+// pnpm v5: /name/version con el sufijo _… de los peers
+const PNPM_V5_LOCK = `
+lockfileVersion: 5.4
+packages:
+  /react/18.2.0:
+    resolution: {integrity: sha512-a}
+  /react/17.0.2:
+    resolution: {integrity: sha512-b}
+  /react-dom/18.2.0_react@18.2.0:
+    resolution: {integrity: sha512-c}
+  /react-dom/17.0.2_react@17.0.2:
+    resolution: {integrity: sha512-d}
+  /@acme/ds/2.1.0_react-dom@18.2.0+react@18.2.0:
+    resolution: {integrity: sha512-e}
+  /lodash/4.17.20:
+    resolution: {integrity: sha512-f}
+    dev: false
+`;
+
+describe('DependencyAnalyzer.parsePnpmLock', () => {
+  const analyzer = new DependencyAnalyzer({}, {});
+
+  test('separa nombre y versión en claves de pnpm v5 con peers', () => {
+    const packages = analyzer.parsePnpmLock(yaml.load(PNPM_V5_LOCK));
+
+    expect(packages.map(pkg => `${pkg.name}@${pkg.version}`)).toEqual([
+      'react@18.2.0',
+      'react@17.0.2',
+      'react-dom@18.2.0',
+      'react-dom@17.0.2',
+      '@acme/ds@2.1.0',
+      'lodash@4.17.20'
+    ]);
+  });
+
+  test('los paquetes de v5 pasan por advisories y duplicados', () => {
+    const project = { lockfile: 'pnpm-lock.yaml', packages: analyzer.parsePnpmLock(yaml.load(PNPM_V5_LOCK)) };
+
+    const duplicates = analyzer.findDuplicates('frontend', project);
+    expect(duplicates.map(duplicate => duplicate.package)).toEqual(['react', 'react-dom']);
+    expect(duplicates[1].versions).toEqual(['18.2.0', '17.0.2']);
+
+    const vulnerabilities = analyzer.findVulnerabilities('frontend', project);
+    expect(vulnerabilities.map(finding => `${finding.package}@${finding.version}`)).toContain('lodash@4.17.20');
+  });
+
+  test('mantiene el formato name@version de v6 y v9', () => {
+    const packages = analyzer.parsePnpmLock({
+      packages: {
+        '/react-dom@18.2.0(react@18.2.0)': {},
+        '@babel/core@7.23.6': {}
+      }
+    });
+
+    expect(packages.map(pkg => `${pkg.name}@${pkg.version}`)).toEqual(['react-dom@18.2.0', '@babel/core@7.23.6']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,136 @@
+import path from 'path';
+import { createProject, removeProject } from '../helpers/project.js';
+import RouteMountResolver from '../../src/analyzers/RouteMountResolver.js';
+import MiddlewareClassifier from '../../src/analyzers/MiddlewareClassifier.js';
+
+const PROJECT = {
+  'routes/users.js': `
+    import passport from 'passport';
+    import * as auth from '../middleware/auth.js';
+    import { checkSession, authLogger } from '../middleware/session.js';
+    const { loadAccount } = require('../middleware/account');
+  `,
+  'middleware/session.js': `
+    import jwt from 'jsonwebtoken';
+
+    const verifyToken = (token) => jwt.verify(token, process.env.JWT_SECRET);
+
+    // Nombre neutro, pero verifica el token
+    export function checkSession(req, res, next) {
+      const header = req.headers.authorization;
+      req.user = verifyToken(header.replace('Bearer ', ''));
+      next();
+    }
+
+    // Nombre de auth, pero solo registra la petición
+    export const authLogger = (req, res, next) => {
+      console.log(req.method, req.path);
+      next();
+    };
+  `,
+  'middleware/auth.js': `
+    export const required = (request, response, next) => {
+      if (!request.cookies.session) return response.sendStatus(401);
+      next();
+    };
+    export const optional = (req, res, next) => next();
+  `,
+  'middleware/account.js': `
+    module.exports.loadAccount = function (req, res, next) {
+      const { authorization } = req.headers;
+      req.currentUser = lookup(authorization);
+      next();
+    };
+  `,
+  'middleware/requireRole.js': `
+    module.exports = (role) => (req, res, next) => {
+      if (req.user.role !== role) throw new ForbiddenError('Sin permisos');
+      next();
+    };
+  `
+};
+
+describe('MiddlewareClassifier', () => {
+  let root;
+  let classifier;
+  let routesFile;
+
+  beforeAll(() => {
+    root = createProject(PROJECT);
+    const resolver = new RouteMountResolver(root, { fileExtensions: { backend: ['.js'] }, ignorePatterns: [] });
+    resolver.resolve();
+    classifier = new MiddlewareClassifier(root, resolver);
+    routesFile = path.join(root, 'routes/users.js');
+  });
+
+  afterAll(() => removeProject(root));
+
+  describe('por definición', () => {
+    test('verificar un token es autenticación aunque el nombre no lo diga', () => {
+      const result = classifier.classify('checkSession', routesFile);
+
+      expect(result).toMatchObject({ isAuth: true, source: 'definition', file: path.join('middleware', 'session.js') });
+      // jwt.verify está en un helper local
+      expect(result.signals).toEqual(expect.arrayContaining(['reads-credentials', 'verifies-token', 'sets-req-user']));
+    });
+
+    test('un nombre de auth sin señales en su definición no es autenticación', () => {
+      expect(classifier.classify('authLogger', routesFile)).toMatchObject({ isAuth: false, source: 'definition', signals: [] });
+    });
+
+    test('responder 401 con el request renombrado y a través de un namespace import', () => {
+      const result = classifier.classify('auth.required', routesFile);
+
+      expect(result).toMatchObject({ isAuth: true, source: 'definition' });
+      expect(result.signals.sort()).toEqual(['reads-credentials', 'rejects-401-403']);
+      expect(classifier.classify('auth.optional', routesFile)).toMatchObject({ isAuth: false, source: 'definition' });
+    });
+
+    test('leer credenciales y asignar el usuario (require de CommonJS)', () => {
+      const result = classifier.classify('loadAccount', routesFile);
+
+      expect(result.isAuth).toBe(true);
+      expect(result.signals.sort()).toEqual(['reads-credentials', 'sets-req-user']);
+    });
+
+    test('factories sin import se buscan en la carpeta de middleware', () => {
+      expect(classifier.classify('requireRole', routesFile)).toMatchObject({
+        isAuth: true,
+        source: 'definition',
+        file: path.join('middleware', 'requireRole.js')
+      });
+    });
+  });
+
+  test('middleware de paquetes de autenticación', () => {
+    // passport.authenticate('jwt') tal como llega del AST de la ruta
+    const node = {
+      type: 'CallExpression',
+      callee: {
+        type: 'MemberExpression',
+        object: { type: 'Identifier', name: 'passport' },
+        property: { type: 'Identifier', name: 'authenticate' },
+        computed: false
+      },
+      arguments: [{ type: 'StringLiteral', value: 'jwt' }],
+      start: 0
+    };
+
+    expect(classifier.classify(node, routesFile)).toMatchObject({
+      name: 'passport.authenticate',
+      isAuth: true,
+      source: 'library',
+      signals: ['package:passport']
+    });
+  });
+
+  describe('sin definición, por nombre', () => {
+    test('nombres de auth se consideran autenticación', () => {
+      expect(classifier.classify('ensureAuthenticated', routesFile)).toMatchObject({ isAuth: true, source: 'name' });
+    });
+
+    test('el resto queda sin resolver', () => {
+      expect(classifier.classify('rateLimiter', routesFile)).toMatchObject({ isAuth: false, source: 'unresolved' });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+import path from 'path';
+import { createProject, removeProject } from '../helpers/project.js';
+import RouteMountResolver from '../../src/analyzers/RouteMountResolver.js';
+
+const PROJECT = {
+  'app.js': `
+    const express = require('express');
+    const helmet = require('helmet');
+    const API_PREFIX = '/api';
+    const apiRouter = require('./routes');
+    const app = express();
+    app.use(helmet());
+    app.use(API_PREFIX, apiRouter);
+    app.use(logger);
+    module.exports = app;
+  `,
+  'routes/index.js': `
+    import { Router } from 'express';
+    import usersRouter from './users.js';
+    import { adminRouter } from './admin.js';
+    const router = Router();
+    router.use('/users', usersRouter);
+    router.use(['/admin', '/backoffice'], requireAdmin, adminRouter);
+    export default router;
+  `,
+  'routes/users.js': `
+    const express = require('express');
+    const router = express.Router();
+    router.get('/', listUsers);
+    router.use(requireUser);
+    router.get('/:id', getUser);
+    router.use('/:id/devices', devicesRouter);
+    module.exports = router;
+  `,
+  'routes/admin.js': `
+    const express = require('express');
+    const adminRouter = express.Router();
+    adminRouter.get('/stats', stats);
+    exports.adminRouter = adminRouter;
+  `,
+  'routes/devices.js': `
+    const router = require('express').Router({ mergeParams: true });
+    router.get('/', listDevices);
+    module.exports = router;
+  `
+};
+
+describe('RouteMountResolver', () => {
+  let root;
+  let resolver;
+  const file = (relative) => path.join(root, relative);
+
+  beforeAll(() => {
+    root = createProject(PROJECT);
+    resolver = new RouteMountResolver(root, { fileExtensions: { backend: ['.js'] }, ignorePatterns: [] });
+    resolver.resolve();
+  });
+
+  afterAll(() => removeProject(root));
+
+  test('resuelve cadenas de montaje anidadas entre archivos', () => {
+    const mounts = resolver.getMountPaths(file('routes/users.js'), 'router');
+
+    expect(mounts.map(mount => mount.path)).toEqual(['/api/users']);
+    expect(mounts[0].chain.map(link => `${link.file}:${link.path}`)).toEqual([
+      'app.js:/api',
+      `${path.join('routes', 'index.js')}:/users`
+    ]);
+  });
+
+  test('un router montado en varios prefijos tiene un path por prefijo', () => {
+    const mounts = resolver.getMountPaths(file('routes/admin.js'), 'adminRouter');
+
+    expect(mounts.map(mount => mount.path).sort()).toEqual(['/api/admin', '/api/backoffice']);
+  });
+
+  test('los routers que nadie monta no se resuelven', () => {
+    expect(resolver.getMountPaths(file('routes/devices.js'), 'router')).toBeNull();
+  });
+
+  test('hereda el middleware de app.use() registrado antes del montaje', () => {
+    const [mount] = resolver.getMountPaths(file('routes/index.js'), 'router');
+
+    // logger se registra después de montar el router: no le aplica
+    expect(mount.middleware.map(mw => mw.name)).toEqual(['helmet']);
+  });
+
+  test('el middleware del use() que monta un router le aplica con el scope de cada prefijo', () => {
+    const [mount] = resolver.getMountPaths(file('routes/admin.js'), 'adminRouter');
+
+    expect(mount.middleware.map(mw => `${mw.name} ${mw.scope || '/'}`)).toEqual([
+      'helmet /',
+      'requireAdmin /api/admin',
+      'requireAdmin /api/backoffice'
+    ]);
+    // BackendAnalyzer filtra por scope: en /api/admin/stats solo aplica el primero
+    const applied = mount.middleware.filter(mw => resolver.appliesTo(mw.scope, '/api/admin/stats'));
+    expect(applied.map(mw => mw.scope || '/')).toEqual(['/', '/api/admin']);
+  });
+
+  test('router.use() solo aplica a las rutas definidas después', () => {
+    const routerFile = file('routes/users.js');
+
+    expect(resolver.getRouterMiddleware(routerFile, 'router', 4, '/api/users')).toEqual([]);
+    expect(resolver.getRouterMiddleware(routerFile, 'router', 6, '/api/users')).toMatchObject([
+      { name: 'requireUser', scope: '/api/users' }
+    ]);
+  });
+
+  test('appliesTo compara el scope por segmentos', () => {
+    expect(resolver.appliesTo('', '/api/users')).toBe(true);
+    expect(resolver.appliesTo('/api/admin', '/api/admin/stats')).toBe(true);
+    expect(resolver.appliesTo('/api/:id', '/api/42')).toBe(true);
+    expect(resolver.appliesTo('/api/admin', '/api/administrators')).toBe(false);
+    expect(resolver.appliesTo('/api/admin/stats', '/api/admin')).toBe(false);
+  });
+});
\ No newline at end of file
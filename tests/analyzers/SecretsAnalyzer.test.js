@@ -0,0 +1,151 @@
+import { createProject, removeProject } from '../helpers/project.js';
+import SecretsAnalyzer from '../../src/analyzers/SecretsAnalyzer.js';
+
+async function scan(projectKey, files, secrets = {}) {
+  const root = createProject(files);
+  const analyzer = new SecretsAnalyzer(
+    { [projectKey]: { path: root } },
+    { ignorePatterns: [], fileExtensions: { [projectKey]: ['.js'] }, secrets: { allowlistFile: '.secrets-allowlist', ...secrets } }
+  );
+  try {
+    return await analyzer.analyze();
+  } finally {
+    removeProject(root);
+  }
+}
+
+describe('SecretsAnalyzer', () => {
+  test('no reporta dependencias de package.json cuyo nombre acaba en token', async () => {
+    const packageJson = JSON.stringify({
+      name: 'api',
+      dependencies: { jsonwebtoken: '^9.0.0', 'csrf-token': '~1.2.3', 'my-apikey': 'latest' },
+      devDependencies: { 'react-password': '^2.0.0' }
+    }, null, 2);
+
+    const backend = await scan('backend', { 'package.json': packageJson });
+    const frontend = await scan('frontend', { 'package.json': packageJson });
+
+    expect(backend.findings).toEqual([]);
+    expect(frontend.findings).toEqual([]);
+  });
+
+  test('sigue revisando el resto de package.json', async () => {
+    const packageJson = JSON.stringify({
+      name: 'api',
+      dependencies: { jsonwebtoken: '^9.0.0' },
+      config: { password: 'hunter2-prod' }
+    }, null, 2);
+
+    const { findings } = await scan('backend', { 'package.json': packageJson });
+
+    expect(findings).toHaveLength(1);
+    expect(findings[0]).toMatchObject({ name: 'password', detector: 'assignment', line: 7 });
+  });
+
+  test('un nombre de token necesita un valor largo y variado', async () => {
+    const { findings } = await scan('backend', {
+      'src/config.js': [
+        "const apiKey = 'abc123';",
+        "const accessToken = 'aaaaaaaaaaaaaaaaaaaa';",
+        "const authToken = 'Zq8rT2vLx9PmW4kN7bYc';"
+      ].join('\n')
+    });
+
+    expect(findings.map(finding => finding.name)).toEqual(['authToken']);
+  });
+});
+// Credenciales falsas armadas por partes para que el repo no contenga el literal
+const GITHUB_TOKEN = 'ghp_' + 'a1B2'.repeat(9);
+const AWS_KEY = 'AKIA' + 'Q7X2'.repeat(4);
+const HIGH_ENTROPY = 'q8Zr' + 'T2vL9xPm4kN7bYc3WdE6' + 'hJ5s';
+
+describe('SecretsAnalyzer: detectores', () => {
+  test('formatos conocidos, asignaciones y entropía', async () => {
+    const { findings } = await scan('backend', {
+      'src/clients.js': [
+        `const github = '${GITHUB_TOKEN}';`,
+        `const aws = { accessKeyId: '${AWS_KEY}' };`,
+        "const db = { password: 'hunter2-prod' };",
+        `const salt = '${HIGH_ENTROPY}';`,
+        '-----BEGIN RSA ' + 'PRIVATE KEY-----'
+      ].join('\n')
+    });
+
+    expect(findings.map(({ kind, detector, line }) => ({ kind, detector, line }))).toEqual([
+      { kind: 'github-token', detector: 'format', line: 1 },
+      { kind: 'aws-access-key', detector: 'format', line: 2 },
+      { kind: 'assignment', detector: 'assignment', line: 3 },
+      { kind: 'high-entropy', detector: 'entropy', line: 4 },
+      { kind: 'private-key', detector: 'format', line: 5 }
+    ]);
+  });
+
+  test('el valor nunca aparece completo en el hallazgo', async () => {
+    const { findings } = await scan('backend', { 'src/github.js': `const github = '${GITHUB_TOKEN}';` });
+
+    expect(findings[0].redacted).toBe('ghp_************B2');
+    expect(findings[0].preview).not.toContain(GITHUB_TOKEN);
+  });
+
+  test('ignora placeholders, variables de entorno y textos de UI', async () => {
+    const { findings } = await scan('backend', {
+      'src/config.js': [
+        "const password = process.env.DB_PASSWORD;",
+        "const secret = 'your-secret-here';",
+        "const label = { password: 'Contraseña' };",
+        "const TOKEN_KEY = 'auth_token';"
+      ].join('\n')
+    });
+
+    expect(findings).toEqual([]);
+  });
+
+  test('en .env solo se reportan las variables sensibles', async () => {
+    const { findings } = await scan('backend', {
+      '.env': ['PORT=3000', 'DB_HOST=localhost', 'JWT_SECRET=supersecretkey', 'export DB_PASSWORD="hunter2-prod"'].join('\n')
+    });
+
+    expect(findings.map(finding => [finding.name, finding.line])).toEqual([['JWT_SECRET', 3], ['DB_PASSWORD', 4]]);
+  });
+});
+
+describe('SecretsAnalyzer: allowlist', () => {
+  test('globs de archivo y fingerprints sha256', async () => {
+    const analyzer = new SecretsAnalyzer({}, {});
+    const fingerprint = analyzer.fingerprint('hunter2-prod');
+
+    const result = await scan('backend', {
+      '.secrets-allowlist': ['# fixtures de tests', 'fixtures/**', `sha256:${fingerprint}`].join('\n'),
+      'fixtures/github.js': `const github = '${GITHUB_TOKEN}';`,
+      'src/db.js': "const db = { password: 'hunter2-prod' };",
+      'src/aws.js': `const aws = '${AWS_KEY}';`
+    });
+
+    expect(result.allowlisted).toBe(2);
+    expect(result.findings.map(finding => finding.file)).toEqual([expect.stringMatching(/aws\.js$/)]);
+  });
+});
+
+describe('SecretsAnalyzer: severidad', () => {
+  test('backend: clave privada CRITICAL, entropía MEDIUM, el resto HIGH', async () => {
+    const { findings } = await scan('backend', {
+      'src/keys.js': [
+        '-----BEGIN ' + 'PRIVATE KEY-----',
+        `const salt = '${HIGH_ENTROPY}';`,
+        `const github = '${GITHUB_TOKEN}';`
+      ].join('\n')
+    });
+
+    expect(findings.map(finding => finding.severity)).toEqual(['CRITICAL', 'MEDIUM', 'HIGH']);
+  });
+
+  test('frontend: todo lo que llega al bundle es CRITICAL', async () => {
+    const { findings } = await scan('frontend', {
+      'src/api.js': `const salt = '${HIGH_ENTROPY}';`,
+      '.env': ['VITE_API_TOKEN=' + HIGH_ENTROPY, 'DB_PASSWORD=hunter2-prod'].join('\n')
+    });
+
+    const byName = Object.fromEntries(findings.map(finding => [finding.name || finding.file, finding.severity]));
+    expect(byName).toEqual({ 'src/api.js': 'CRITICAL', VITE_API_TOKEN: 'CRITICAL', DB_PASSWORD: 'HIGH' });
+  });
+});
\ No newline at end of file
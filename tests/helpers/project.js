@@ -0,0 +1,24 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Proyecto temporal para los tests de analizadores que leen del disco
+ * @param {object} files - { 'ruta/relativa': contenido }
+ * @returns {string} Ruta absoluta del proyecto
+ */
+export function createProject(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dguard-test-'));
+
+  Object.entries(files).forEach(([file, content]) => {
+    const filePath = path.join(root, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+
+  return root;
+}
+
+export function removeProject(root) {
+  fs.rmSync(root, { recursive: true, force: true });
+}
\ No newline at end of file
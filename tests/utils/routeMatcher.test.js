@@ -0,0 +1,104 @@
+import { compileRoute, matchRoute, findMatchingEndpoint, findNearestRoutes } from '../../src/utils/routeMatcher.js';
+
+// Endpoints del backend como los deja BackendAnalyzer ("METHOD /path" → endpoint)
+function endpoints(...routes) {
+  return new Map(routes.map(route => {
+    const [method, routePath, pathPattern] = route;
+    return [`${method} ${routePath}`, { method, path: routePath, pathPattern }];
+  }));
+}
+
+describe('routeMatcher', () => {
+  describe('compileRoute', () => {
+    test('clasifica cada segmento', () => {
+      expect(compileRoute('/files/:id(\\d+)?/:name/*/img-:size')).toEqual([
+        { type: 'static', value: 'files' },
+        { type: 'param', name: 'id', optional: true, regex: /^(?:\d+)$/ },
+        { type: 'param', name: 'name', optional: false, regex: null },
+        { type: 'wildcard' },
+        { type: 'pattern', value: 'img-:size', regex: /^img-(?:[^/]+?)$/i }
+      ]);
+    });
+  });
+
+  describe('matchRoute', () => {
+    test('estáticos sin distinguir mayúsculas e ignorando la query string', () => {
+      expect(matchRoute('/API/Users?page=2', '/api/users')).toEqual({ score: [4, 4], params: {} });
+      expect(matchRoute('/api/users/1', '/api/users')).toBeNull();
+    });
+
+    test('parámetros opcionales', () => {
+      expect(matchRoute('/api/users', '/api/users/:id?')).toMatchObject({ params: {} });
+      expect(matchRoute('/api/users/7', '/api/users/:id?')).toMatchObject({ params: { id: '7' } });
+      expect(matchRoute('/api/users/7/extra', '/api/users/:id?')).toBeNull();
+    });
+
+    test('parámetros con regex', () => {
+      expect(matchRoute('/api/users/42', '/api/users/:id(\\d+)')).toEqual({ score: [4, 4, 3], params: { id: '42' } });
+      expect(matchRoute('/api/users/me', '/api/users/:id(\\d+)')).toBeNull();
+      // `${id}` del frontend llega como :id y encaja en cualquier parámetro
+      expect(matchRoute('/api/users/:userId', '/api/users/:id(\\d+)')).toMatchObject({ score: [4, 4, 2] });
+    });
+
+    test('comodines: cero o más segmentos', () => {
+      expect(matchRoute('/static', '/static/*')).toMatchObject({ score: [4, 0] });
+      expect(matchRoute('/static/css/app.css', '/static/*')).toMatchObject({ score: [4, 0] });
+      expect(matchRoute('/public/app.css', '/static/*')).toBeNull();
+    });
+
+    test('segmentos mixtos', () => {
+      expect(matchRoute('/img/logo.png', '/img/:name.:ext')).toMatchObject({ score: [4, 1] });
+      expect(matchRoute('/img/logo', '/img/:name.:ext')).toBeNull();
+    });
+
+    test('rutas definidas con expresiones regulares', () => {
+      const route = { path: '/api/(regex)', pathPattern: { source: '^\\/v\\d+\\/status$', flags: 'i', basePath: '/api' } };
+
+      expect(matchRoute('/api/v2/status', route)).toEqual({ score: [0], params: {} });
+      expect(matchRoute('/api/v2/health', route)).toBeNull();
+      expect(matchRoute('/other/v2/status', route)).toBeNull();
+    });
+  });
+
+  describe('findMatchingEndpoint', () => {
+    const backend = endpoints(
+      ['GET', '/api/users/:id'],
+      ['GET', '/api/users/me'],
+      ['GET', '/api/users/:id(\\d+)'],
+      ['GET', '/api/*'],
+      ['POST', '/api/users/:id']
+    );
+
+    test('gana la ruta más específica segmento a segmento', () => {
+      expect(findMatchingEndpoint('GET', '/api/users/me', backend).key).toBe('GET /api/users/me');
+      expect(findMatchingEndpoint('GET', '/api/users/42', backend).key).toBe('GET /api/users/:id(\\d+)');
+      expect(findMatchingEndpoint('GET', '/api/users/ana', backend).key).toBe('GET /api/users/:id');
+      expect(findMatchingEndpoint('GET', '/api/orders/1', backend).key).toBe('GET /api/*');
+    });
+
+    test('a igual puntuación gana la registrada antes, como en Express', () => {
+      const sameScore = endpoints(['GET', '/api/:section/:id'], ['GET', '/api/:kind/:slug']);
+
+      expect(findMatchingEndpoint('GET', '/api/users/1', sameScore)).toMatchObject({
+        key: 'GET /api/:section/:id',
+        params: { section: 'users', id: '1' }
+      });
+    });
+
+    test('respeta el método y devuelve null sin coincidencias', () => {
+      expect(findMatchingEndpoint('POST', '/api/users/1', backend).key).toBe('POST /api/users/:id');
+      expect(findMatchingEndpoint('DELETE', '/api/users/1', backend)).toBeNull();
+    });
+  });
+
+  describe('findNearestRoutes', () => {
+    test('sugiere el mismo path con otro método y rutas con segmentos parecidos', () => {
+      const backend = endpoints(['POST', '/api/users'], ['GET', '/api/user/:id'], ['GET', '/api/reports/daily']);
+
+      expect(findNearestRoutes('GET', '/api/users', backend)).toEqual([
+        { key: 'POST /api/users', distance: 1, methodMismatch: true },
+        { key: 'GET /api/user/:id', distance: 1, methodMismatch: false }
+      ]);
+    });
+  });
+});
\ No newline at end of file
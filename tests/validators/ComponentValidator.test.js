@@ -0,0 +1,90 @@
+import ComponentValidator from '../../src/validators/ComponentValidator.js';
+
+// Componentes del design system (DesignSystemAnalyzer)
+const DS_COMPONENTS = new Map([
+  ['Button', { name: 'Button', file: 'src/components/Button.jsx', props: [{ name: 'onClick' }, { name: 'variant' }, { name: 'disabled' }] }],
+  ['Checkbox', { name: 'Checkbox', file: 'src/components/Checkbox.jsx', props: [{ name: 'checked' }, { name: 'onChange' }] }],
+  ['Modal', { name: 'Modal', file: 'src/components/Modal.jsx', props: [{ name: 'isOpen' }, { name: 'onDismiss' }] }]
+]);
+
+// Elementos JSX renderizados en el frontend (FrontendAnalyzer)
+function element(tag, attributes, overrides = {}) {
+  return {
+    tag,
+    kind: 'html',
+    source: null,
+    file: 'src/pages/Settings.jsx',
+    line: 1,
+    hasSpread: false,
+    attributes: Object.entries(attributes).map(([name, value]) => ({ name, value, isLiteral: typeof value === 'string' })),
+    ...overrides
+  };
+}
+
+function detect(replacements, renderedElements, packageName = '@acme/ds') {
+  const validator = new ComponentValidator({ severity: {}, replacements });
+  const issues = [];
+  validator.detectReplaceableElements(DS_COMPONENTS, renderedElements, packageName, issues);
+  return issues;
+}
+
+describe('ComponentValidator: reemplazos por componentes del design system', () => {
+  test('HTML nativo con reemplazo y atributos admitidos', () => {
+    const [issue] = detect({ button: 'Button' }, [element('button', { onClick: null, key: 'save', disabled: null })]);
+
+    expect(issue).toMatchObject({
+      type: 'REPLACEABLE_WITH_DS_COMPONENT',
+      severity: 'MEDIUM',
+      component: 'Button',
+      designSystem: 'src/components/Button.jsx',
+      message: '<button> debería ser <Button> del design system (admite todos los atributos usados)',
+      details: { supportedAttributes: ['onClick', 'disabled'], unsupportedAttributes: [] }
+    });
+    expect(issue.suggestions).toEqual(['Reemplazar por <Button> de @acme/ds']);
+  });
+
+  test('las reglas con más condiciones tienen prioridad y sus atributos son implícitos', () => {
+    const issues = detect(
+      { input: 'Input', 'input[type=checkbox]': 'Checkbox' },
+      [element('input', { type: 'checkbox', checked: null, onChange: null, autoFocus: null })]
+    );
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0].message).toBe('<input type="checkbox"> debería ser <Checkbox> del design system (no admite: autoFocus)');
+    expect(issues[0].details.supportedAttributes).toEqual(['checked', 'onChange']);
+  });
+
+  test('componentes de terceros con props renombradas', () => {
+    const [issue] = detect(
+      { '@mui/material Dialog': { component: 'Modal', props: { open: 'isOpen', onClose: 'onDismiss', fullWidth: null }, severity: 'HIGH' } },
+      [element('Dialog', { open: null, onClose: null, fullWidth: null }, { kind: 'imported', source: '@mui/material/Dialog', hasSpread: true })]
+    );
+
+    expect(issue).toMatchObject({
+      severity: 'HIGH',
+      message: '<Dialog> de @mui/material debería ser <Modal> del design system (admite todos los atributos usados)',
+      details: { renamedAttributes: [{ from: 'open', to: 'isOpen' }, { from: 'onClose', to: 'onDismiss' }] }
+    });
+    expect(issue.suggestions).toEqual([
+      'Reemplazar por <Modal> de @acme/ds',
+      'Renombrar open → isOpen',
+      'Renombrar onClose → onDismiss',
+      'Revisar las props que llegan por {...spread}: no se pueden verificar'
+    ]);
+  });
+
+  test('ignora reglas sin componente en el DS, imports del propio DS y elementos que no cumplen el selector', () => {
+    const issues = detect(
+      { select: 'Select', 'input[type=checkbox]': 'Checkbox', '@mui/material Dialog': 'Modal', Button: 'Button' },
+      [
+        element('select', { value: null }),
+        element('input', { type: 'text' }),
+        element('input', { type: null }),
+        element('Dialog', {}, { kind: 'local' }),
+        element('Button', {}, { kind: 'imported', source: '@acme/ds' })
+      ]
+    );
+
+    expect(issues).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,98 @@
+import DesignTokenValidator from '../../src/validators/DesignTokenValidator.js';
+
+// Tokens tal como los entrega DesignSystemAnalyzer
+const TOKENS = [
+  { category: 'color', name: '--color-primary', value: '#1da1f2', normalized: '#1da1f2', usage: 'var(--color-primary)' },
+  { category: 'color', name: 'colors.primary', value: '#1da1f2', normalized: '#1da1f2', usage: 'theme.colors.primary' },
+  { category: 'spacing', name: 'space.2', value: '8px', normalized: '8px', usage: 'theme.space[2]' },
+  { category: 'spacing', name: 'space.4', value: '1rem', normalized: '16px', usage: 'theme.space[4]' },
+  { category: 'fontFamily', name: 'fonts.body', value: 'Inter, sans-serif', normalized: 'inter', usage: 'theme.fonts.body' }
+];
+
+function styleValue(overrides) {
+  return { file: 'src/components/Card.jsx', line: 1, property: 'color', origin: 'style-prop', ...overrides };
+}
+
+describe('DesignTokenValidator', () => {
+  const validator = new DesignTokenValidator({ severity: { hardcodedToken: 'LOW', tokenDrift: 'MEDIUM' } });
+
+  test('sin tokens del design system no hay nada contra qué comparar', () => {
+    expect(validator.validate([], [styleValue({ category: 'color', value: '#ff0000' })])).toEqual([]);
+  });
+
+  test('un valor igual a un token se reporta como hardcodeado, con el token según el origen', () => {
+    const issues = validator.validate(TOKENS, [
+      styleValue({ category: 'color', value: '#1DA1F2' }),
+      styleValue({ category: 'color', value: '#1da1f2', file: 'src/styles/card.css', origin: 'stylesheet' }),
+      styleValue({ category: 'spacing', value: '16px', property: 'padding', line: 4 })
+    ]);
+
+    expect(issues.map(({ type, category, severity, file, line }) => ({ type, category, severity, file, line }))).toEqual([
+      { type: 'HARDCODED_TOKEN_VALUE', category: 'design-tokens', severity: 'LOW', file: 'src/components/Card.jsx', line: 1 },
+      { type: 'HARDCODED_TOKEN_VALUE', category: 'design-tokens', severity: 'LOW', file: 'src/styles/card.css', line: 1 },
+      { type: 'HARDCODED_TOKEN_VALUE', category: 'design-tokens', severity: 'LOW', file: 'src/components/Card.jsx', line: 4 }
+    ]);
+    expect(issues[0].suggestions).toEqual(['Reemplazar #1DA1F2 por theme.colors.primary', 'Tokens equivalentes: var(--color-primary)']);
+    expect(issues[1].suggestions[0]).toBe('Reemplazar #1da1f2 por var(--color-primary)');
+    expect(issues[2].suggestions).toEqual(['Reemplazar 16px por theme.space[4]']);
+  });
+
+  test('agrupa las apariciones del mismo valor en un archivo', () => {
+    const issues = validator.validate(TOKENS, [
+      styleValue({ category: 'color', value: '#1da1f2', line: 3 }),
+      styleValue({ category: 'color', value: 'rgb(29, 161, 242)', line: 9, property: 'border-color' })
+    ]);
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0].line).toBe(3);
+    expect(issues[0].details.occurrences).toEqual([
+      { line: 3, property: 'color', origin: 'style-prop' },
+      { line: 9, property: 'border-color', origin: 'style-prop' }
+    ]);
+  });
+
+  test('drift: sugiere el token cercano solo dentro de la tolerancia', () => {
+    const issues = validator.validate(TOKENS, [
+      styleValue({ category: 'color', value: '#1da1f3' }),
+      styleValue({ category: 'color', value: '#ff0000' }),
+      styleValue({ category: 'spacing', value: '15px', property: 'margin' }),
+      styleValue({ category: 'spacing', value: '40px', property: 'margin' })
+    ]);
+
+    expect(issues.map(issue => [issue.type, issue.severity, issue.details.nearestToken, issue.suggestions[0]])).toEqual([
+      ['DESIGN_TOKEN_DRIFT', 'MEDIUM', 'var(--color-primary)', 'Probablemente debería ser var(--color-primary) (#1da1f2)'],
+      ['DESIGN_TOKEN_DRIFT', 'MEDIUM', 'var(--color-primary)', 'El token más cercano es var(--color-primary) (#1da1f2)'],
+      ['DESIGN_TOKEN_DRIFT', 'MEDIUM', 'theme.space[4]', 'Probablemente debería ser theme.space[4] (1rem)'],
+      ['DESIGN_TOKEN_DRIFT', 'MEDIUM', 'theme.space[4]', 'El token más cercano es theme.space[4] (1rem)']
+    ]);
+    expect(issues[0].message).toBe('#1da1f3 en src/components/Card.jsx no pertenece a la paleta del design system');
+    expect(issues[2].message).toBe('espaciado 15px en src/components/Card.jsx está fuera de la escala del design system');
+    expect(issues[0].details.distance).toBe(1);
+  });
+
+  test('fuentes: sin token más cercano, solo la propuesta de token nuevo', () => {
+    const [issue] = validator.validate(TOKENS, [
+      styleValue({ category: 'fontFamily', value: '"Comic Sans MS", cursive', property: 'font-family' })
+    ]);
+
+    expect(issue.details.nearestToken).toBeNull();
+    expect(issue.suggestions).toEqual(['Si el valor es intencional, proponer un nuevo token de fuente al design system']);
+  });
+
+  test('ignora valores, archivos y categorías sin tokens', () => {
+    const configured = new DesignTokenValidator({
+      severity: {},
+      designTokens: { ignoreValues: ['#ff0000'], ignoreFiles: ['vendor/'] }
+    });
+
+    const issues = configured.validate(TOKENS, [
+      styleValue({ category: 'color', value: 'red' }),
+      styleValue({ category: 'color', value: '#123456', file: 'src/vendor/datepicker.css', origin: 'stylesheet' }),
+      styleValue({ category: 'radius', value: '6px', property: 'border-radius' }),
+      styleValue({ category: 'spacing', value: '1px', property: 'margin' })
+    ]);
+
+    // 1px solo está en los valores ignorados por defecto: con ignoreValues propio se reporta
+    expect(issues.map(issue => issue.details.value)).toEqual(['1px']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import OpenAPIValidator from '../../src/validators/OpenAPIValidator.js';
+
+const SPEC = {
+  openapi: '3.1.0',
+  servers: [{ url: 'https://api.dguard.com/api' }],
+  security: [{ bearerAuth: [] }],
+  paths: {
+    '/users/{id}': {
+      get: { operationId: 'getUser' },
+      delete: { operationId: 'deleteUser' }
+    },
+    '/users/{userId}/devices/{deviceId}': {
+      get: { operationId: 'getDevice' }
+    },
+    '/health': {
+      get: { operationId: 'health', security: [] }
+    },
+    '/reports': {
+      get: { operationId: 'listReports' }
+    },
+    '/alerts': {
+      post: {
+        operationId: 'createAlert',
+        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Alert' } } } }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Alert: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['title', 'level'],
+        properties: {
+          title: { type: 'string' },
+          level: { type: 'string', enum: ['low', 'high'] },
+          retries: { type: 'integer' }
+        }
+      }
+    }
+  }
+};
+
+const endpoint = (method, routePath, params = [], requiresAuth = true) => [
+  `${method} ${routePath}`,
+  { method, path: routePath, params, requiresAuth, file: 'routes/api.js', line: 1, middleware: [] }
+];
+
+let specDir;
+let specPath;
+
+beforeAll(() => {
+  specDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dguard-openapi-'));
+  specPath = path.join(specDir, 'openapi.json');
+  fs.writeFileSync(specPath, JSON.stringify(SPEC));
+});
+
+afterAll(() => {
+  fs.rmSync(specDir, { recursive: true, force: true });
+});
+
+async function validate(endpoints, calls = []) {
+  const validator = new OpenAPIValidator({ severity: {} });
+  const frontendCalls = new Map();
+  calls.forEach(([key, call]) => {
+    if (!frontendCalls.has(key)) frontendCalls.set(key, []);
+    frontendCalls.get(key).push({ file: 'src/api.js', line: 1, ...call });
+  });
+  return validator.validate(new Map(endpoints), frontendCalls, specPath);
+}
+
+const ofType = (issues, type) => issues.filter(issue => issue.type === type);
+
+// Backend que implementa toda la especificación
+const IMPLEMENTED = [
+  endpoint('GET', '/api/users/:id', ['id']),
+  endpoint('DELETE', '/api/users/:id', ['id']),
+  endpoint('GET', '/api/users/:userId/devices/:deviceId', ['userId', 'deviceId']),
+  endpoint('GET', '/api/health', [], false),
+  endpoint('GET', '/api/reports'),
+  endpoint('POST', '/api/alerts')
+];
+
+describe('OpenAPIValidator', () => {
+  test('un backend que cumple la especificación no genera issues', async () => {
+    expect(await validate(IMPLEMENTED)).toEqual([]);
+  });
+
+  test('SPEC_OPERATION_NOT_IMPLEMENTED y UNDOCUMENTED_ENDPOINT', async () => {
+    const issues = await validate([
+      ...IMPLEMENTED.filter(([key]) => key !== 'GET /api/reports'),
+      endpoint('POST', '/api/internal/reindex')
+    ]);
+
+    expect(ofType(issues, 'SPEC_OPERATION_NOT_IMPLEMENTED')).toMatchObject([
+      { endpoint: 'GET /api/reports', severity: 'HIGH', details: { operationId: 'listReports' } }
+    ]);
+    expect(ofType(issues, 'UNDOCUMENTED_ENDPOINT')).toMatchObject([
+      { endpoint: 'POST /api/internal/reindex', severity: 'MEDIUM' }
+    ]);
+  });
+
+  test('las severidades se leen de rules.severity', async () => {
+    const validator = new OpenAPIValidator({ severity: { specNotImplemented: 'CRITICAL' } });
+    const issues = await validator.validate(new Map(), new Map(), specPath);
+
+    expect(ofType(issues, 'SPEC_OPERATION_NOT_IMPLEMENTED').every(issue => issue.severity === 'CRITICAL')).toBe(true);
+  });
+
+  describe('SPEC_PARAM_MISMATCH', () => {
+    test('reporta parámetros con otro nombre en la misma posición', async () => {
+      const issues = await validate([
+        ...IMPLEMENTED.filter(([key]) => !key.includes('devices')),
+        endpoint('GET', '/api/users/:id/devices/:deviceId', ['id', 'deviceId'])
+      ]);
+
+      expect(ofType(issues, 'SPEC_PARAM_MISMATCH')).toMatchObject([
+        { details: { mismatches: [{ spec: 'userId', code: 'id' }] } }
+      ]);
+    });
+
+    test.each([
+      ['opcional', ':id?', 'id?'],
+      ['con regex', ':id(\\d+)', 'id(\\d+)'],
+      ['con regex opcional', ':id(\\d+)?', 'id(\\d+)?']
+    ])('ignora los modificadores de Express: parámetro %s', async (label, segment, param) => {
+      const issues = await validate([
+        ...IMPLEMENTED.filter(([key]) => key !== 'GET /api/users/:id'),
+        endpoint('GET', `/api/users/${segment}`, [param])
+      ]);
+
+      expect(ofType(issues, 'SPEC_PARAM_MISMATCH')).toEqual([]);
+    });
+  });
+
+  test('SPEC_AUTH_MISMATCH en ambos sentidos', async () => {
+    const issues = await validate([
+      ...IMPLEMENTED.filter(([key]) => key !== 'DELETE /api/users/:id' && key !== 'GET /api/health'),
+      endpoint('DELETE', '/api/users/:id', ['id'], false),
+      endpoint('GET', '/api/health', [], true)
+    ]);
+
+    const mismatches = ofType(issues, 'SPEC_AUTH_MISMATCH');
+    expect(mismatches).toMatchObject([
+      { endpoint: 'DELETE /api/users/:id', severity: 'HIGH', details: { specRequiresAuth: true } },
+      { endpoint: 'GET /api/health', severity: 'MEDIUM', details: { specRequiresAuth: false } }
+    ]);
+  });
+
+  describe('cuerpo de las llamadas del frontend', () => {
+    test('SPEC_REQUEST_MISSING_FIELD y SPEC_REQUEST_UNKNOWN_FIELD', async () => {
+      const issues = await validate(IMPLEMENTED, [
+        ['POST /api/alerts', { data: { title: 'Fuga', severity: 'alta' } }]
+      ]);
+
+      expect(ofType(issues, 'SPEC_REQUEST_MISSING_FIELD')).toMatchObject([{ field: 'level', frontend: 'src/api.js' }]);
+      expect(ofType(issues, 'SPEC_REQUEST_UNKNOWN_FIELD')).toMatchObject([{ field: 'severity', severity: 'LOW' }]);
+    });
+
+    test('SPEC_REQUEST_TYPE_MISMATCH por tipo y por enum', async () => {
+      const issues = await validate(IMPLEMENTED, [
+        ['POST /api/alerts', { data: { title: 42, level: 'medium', retries: 3 } }]
+      ]);
+
+      expect(ofType(issues, 'SPEC_REQUEST_TYPE_MISMATCH')).toMatchObject([
+        { field: 'title', details: { expected: ['string'], actual: 'number' } },
+        { field: 'level', details: { allowed: ['low', 'high'], actual: 'medium' } }
+      ]);
+    });
+
+    test('los valores desconocidos (<Identifier>) no se validan', async () => {
+      const issues = await validate(IMPLEMENTED, [
+        ['POST /api/alerts', { data: { title: '<title>', level: '<level>' } }]
+      ]);
+
+      expect(issues).toEqual([]);
+    });
+
+    test('una llamada registrada dos veces se reporta una vez', async () => {
+      const call = { data: { title: 'Fuga' }, line: 12 };
+      const issues = await validate(IMPLEMENTED, [
+        ['POST /api/alerts', call],
+        ['POST /api/alerts', call],
+        ['POST /api/alerts', { ...call, line: 30 }]
+      ]);
+
+      expect(ofType(issues, 'SPEC_REQUEST_MISSING_FIELD').map(issue => issue.line)).toEqual([12, 30]);
+    });
+  });
+});
\ No newline at end of file